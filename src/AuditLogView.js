@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import './AuditLogView.css';
+import { FIELD_LABELS, formatValue } from './ImportReview';
+import { auditTimeline } from './auditLog';
+
+const ITEM_LABELS = { notes: 'Note', purchases: 'Order' };
+
+// Fields offered in the change log filter
+const FILTERS = [
+  { field: 'leadStage', label: 'Stage changes' },
+  { field: '', label: 'All changes' },
+  { field: 'active', label: 'Active / inactive' },
+  { field: 'followUpDate', label: 'Follow-up dates' },
+  { field: 'purchases', label: 'Orders' },
+  { field: 'notes', label: 'Notes' },
+  { field: 'demos', label: 'Demos' },
+  { field: 'deletedAt', label: 'Deletions' }
+];
+
+// "Lead Stage", "Spring demo", "Order delivered"...
+const describeField = (field) => {
+  const [base, part] = field.split('.');
+  if (base === 'demos' && part) return `${part} demo`;
+  if (base === 'customPrices' && part) return `${part} price`;
+  if (ITEM_LABELS[base]) {
+    return part ? `${ITEM_LABELS[base]} ${(FIELD_LABELS[part] || part).toLowerCase()}` : ITEM_LABELS[base];
+  }
+  return FIELD_LABELS[field] || field;
+};
+
+const formatChange = (change) => {
+  const [base, part] = change.field.split('.');
+  if (ITEM_LABELS[base] && !part) {
+    return change.from === null ? `Added: ${change.to}` : `Removed: ${change.from}`;
+  }
+  return `${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`;
+};
+
+export const formatAuditTime = (at) => new Date(at).toLocaleString();
+
+// Field-level changes of one audit entry
+export const AuditChangeList = ({ entry, changes = entry.changes }) => {
+  if (entry.created) {
+    return <div className="audit-created">Customer created</div>;
+  }
+  return (
+    <ul className="audit-changes">
+      {changes.map((change, index) => (
+        <li key={`${change.field}-${change.itemId ?? ''}-${index}`}>
+          <span className="audit-field">{describeField(change.field)}:</span> {formatChange(change)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Timeline of one customer's audit log, newest first
+export const CustomerAuditTrail = ({ customer }) => {
+  const entries = [...(customer.auditLog || [])].reverse();
+
+  if (entries.length === 0) {
+    return <p className="empty-state">No changes recorded yet.</p>;
+  }
+
+  return (
+    <div className="audit-timeline">
+      {entries.map(entry => (
+        <div key={entry.id} className="audit-entry">
+          <div className="audit-entry-header">
+            <strong>{entry.label}</strong>
+            <span className="audit-meta">
+              {formatAuditTime(entry.at)}{entry.user && ` • ${entry.user}`}
+            </span>
+          </div>
+          <AuditChangeList entry={entry} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Changes across all customers, filtered to one field (stage changes by default)
+const AuditLogView = ({ customers, onSelectCustomer, onBack }) => {
+  const [field, setField] = useState('leadStage');
+  const [search, setSearch] = useState('');
+
+  const query = search.trim().toLowerCase();
+  const rows = auditTimeline(customers, { field })
+    .filter(row => !query || row.customer.name.toLowerCase().includes(query));
+
+  return (
+    <div className="form-container audit-log-view">
+      <div className="form-header">
+        <h2>📜 Change Log</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <div className="audit-filters">
+        <select value={field} onChange={(e) => setField(e.target.value)}>
+          {FILTERS.map(filter => (
+            <option key={filter.field} value={filter.field}>{filter.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Filter by customer name..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <span className="help-text">{rows.length} change{rows.length !== 1 ? 's' : ''}</span>
+      </div>
+
+      {rows.length === 0 && (
+        <p className="empty-state">No matching changes recorded.</p>
+      )}
+
+      <div className="audit-timeline">
+        {rows.map(({ customer, entry, changes }) => (
+          <div key={`${customer.id}-${entry.id}`} className="audit-entry">
+            <div className="audit-entry-header">
+              <button className="audit-customer-link" onClick={() => onSelectCustomer(customer)}>
+                {customer.name}
+              </button>
+              <span className="audit-meta">
+                {formatAuditTime(entry.at)}{entry.user && ` • ${entry.user}`}
+              </span>
+            </div>
+            <div className="audit-label">{entry.label}</div>
+            <AuditChangeList entry={entry} changes={changes} />
+          </div>
+        ))}
+      </div>
+
+      <div className="form-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogView;
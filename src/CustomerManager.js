@@ -1,71 +1,313 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './CustomerManager.css';
 import RoutePlanner from './RoutePlanner';
-
-// Helper function to load customers from localStorage
-const loadCustomersFromStorage = () => {
-  try {
-    const stored = localStorage.getItem('primrose-customers');
-    if (stored) {
-      const parsed = JSON.parse(stored);
-      console.log(`✅ Loaded ${parsed.length} customers from localStorage`);
-      return parsed;
-    }
-  } catch (error) {
-    console.error('Error loading customers from localStorage:', error);
-  }
-  return [];
-};
+import SyncPanel from './SyncPanel';
+import ImportReview from './ImportReview';
+import SpreadsheetImport from './SpreadsheetImport';
+import ExportDialog from './ExportDialog';
+import DuplicateFinder from './DuplicateFinder';
+import RecycleBin from './RecycleBin';
+import AuditLogView, { CustomerAuditTrail } from './AuditLogView';
+import TerritoryManager from './TerritoryManager';
+import PipelineSettings from './PipelineSettings';
+import PipelineBoard from './PipelineBoard';
+import PipelineAnalytics from './PipelineAnalytics';
+import ProductCatalog from './ProductCatalog';
+import { loadCatalog, saveCatalog, productsByCategory, findProduct, productLabel } from './products';
+import { resolvePrice, describeDiscount, isResolvedPrice, PRICE_SOURCES, productKey } from './pricing';
+import { reorderAlerts, reorderPredictions, lastSale, lineKey } from './reorders';
+import CustomerPricing from './CustomerPricing';
+import OrderDocument from './OrderDocument';
+import {
+  loadDocumentSettings,
+  saveDocumentSettings,
+  loadDocumentCounters,
+  saveDocumentCounters,
+  nextDocumentNumber,
+  recordDocumentNumber,
+  mergeDocumentCounters,
+  countersFromOrders,
+  documentKindFor,
+  DOCUMENT_KINDS
+} from './documents';
+import {
+  ORDER_STATUSES,
+  STATUS_ACTIONS,
+  salesOrders,
+  openOrders,
+  openLines,
+  lineBalance,
+  backorderQuantity,
+  setOrderStatus,
+  convertQuote,
+  cancelBackorder,
+  recordDelivery,
+  remainingQuantities,
+  DELIVERY_METHODS
+} from './orders';
+import { currentStint } from './stageHistory';
+import { compareImport, applyImport } from './importMerge';
+import { useCustomerSync } from './syncEngine';
+import { useCustomerHistory } from './customerHistory';
+import UndoToast from './UndoToast';
+import UserSwitcher from './UserSwitcher';
+import { loadCustomers, saveCustomerChanges } from './customerRepository';
+import { DEMO_TYPES, CURRENT_SCHEMA_VERSION, migrateCustomers, isNewerSchema } from './customerSchema';
+import { formatPhoneNumber, createEmptyCustomer } from './customerUtils';
+import { findPossibleDuplicates } from './duplicates';
+import { downloadFile } from './customerExport';
+import { liveItems, moveToBin, binnedItems, purgeExpired, loadRecycleBinSettings, saveRecycleBinSettings } from './softDelete';
+import { loadUserSettings, saveUserSettings, roleOf, OWNER_VIEWS, matchesOwnerView } from './users';
+import { can, authorizeChanges } from './permissions';
+import {
+  loadPipeline,
+  savePipeline,
+  touchPipeline,
+  stageNames,
+  stagesByPriority,
+  stagePriority,
+  stageColor,
+  stageBadgeStyle,
+  defaultStage,
+  migrateStages
+} from './pipeline';
+import { loadTerritories, saveTerritories, applyTerritory } from './territories';
+import TaxSettings from './TaxSettings';
+import ReceivablesReport from './ReceivablesReport';
+import SalesAnalytics from './SalesAnalytics';
+import { salesSince, salesSummary, periodStart, boughtInMonth, boughtProduct } from './salesStats';
+import {
+  PAYMENT_METHODS,
+  amountPaid,
+  orderBalance,
+  customerBalance,
+  recordPayment,
+  settleIfPaid,
+  overdueBalances
+} from './receivables';
+import { loadTaxSettings, saveTaxSettings, calculateTax, taxRateFor, expiringCertificates, isTaxExempt, formatRate, orderTotalWithTax } from './salesTax';
+
+
+// Short description of an order's product lines, e.g. "2 × Phaser, 1 × 480M"
+const describeOrder = (purchase) =>
+  purchase.products.map(line => `${line.quantity} × ${line.product}`).join(', ');
 
 const CustomerManager = () => {
-  // Initialize state DIRECTLY from localStorage (not in useEffect!)
-  // This prevents empty array from ever being the initial state
-  const [customers, setCustomers] = useState(() => loadCustomersFromStorage());
+  const [customers, setCustomers] = useState([]);
+  const [customersLoaded, setCustomersLoaded] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStage, setFilterStage] = useState('All');
   const [sortBy, setSortBy] = useState('name-asc'); // New sort state
+  const [viewMode, setViewMode] = useState('list'); // 'list' | 'board'
   const [showForm, setShowForm] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState(null);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [showRoutePlanner, setShowRoutePlanner] = useState(false);
+  const [showSyncPanel, setShowSyncPanel] = useState(false);
   const [activeFilter, setActiveFilter] = useState(null); // For clickable stats
+  const [importReview, setImportReview] = useState(null); // Pending merge import awaiting review
+  const [showSpreadsheetImport, setShowSpreadsheetImport] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [showDuplicateFinder, setShowDuplicateFinder] = useState(false);
+  const [showRecycleBin, setShowRecycleBin] = useState(false);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const [showTerritories, setShowTerritories] = useState(false);
+  const [showPipelineSettings, setShowPipelineSettings] = useState(false);
+  const [showPipelineAnalytics, setShowPipelineAnalytics] = useState(false);
+  const [showReceivables, setShowReceivables] = useState(false);
+  const [showSalesAnalytics, setShowSalesAnalytics] = useState(false);
+  const [showProductCatalog, setShowProductCatalog] = useState(false);
+  const [showTaxSettings, setShowTaxSettings] = useState(false);
+  const [recycleBinSettings, setRecycleBinSettings] = useState(loadRecycleBinSettings);
+  const [userSettings, setUserSettings] = useState(loadUserSettings);
+  const [ownerView, setOwnerView] = useState('all'); // 'all' | 'mine' | 'unassigned'
+  const [territories, setTerritories] = useState(loadTerritories);
+  const [pipeline, setPipeline] = useState(loadPipeline);
+  const [catalog, setCatalog] = useState(loadCatalog);
+  const [documentSettings, setDocumentSettings] = useState(loadDocumentSettings);
+  const [documentCounters, setDocumentCounters] = useState(loadDocumentCounters);
+  const [taxSettings, setTaxSettings] = useState(loadTaxSettings);
+
+  // The rep signed in on this device; notes, orders and changes are recorded under this name
+  const { currentUser } = userSettings;
+  const role = roleOf(userSettings, currentUser);
+
+  // Last customer list written to storage, used to save only what changed
+  const persistedCustomers = useRef([]);
+
+  // Load customers from the repository (IndexedDB, or localStorage fallback).
+  // Records from older schema versions are migrated here and written back by the save effect.
+  useEffect(() => {
+    loadCustomers().then(loaded => {
+      persistedCustomers.current = loaded;
+      setCustomers(migrateCustomers(loaded));
+      setCustomersLoaded(true);
+    });
+  }, []);
+
+  // Save changed customers whenever they change.
+  // Never runs before the initial load, so an empty list can't overwrite stored data.
+  useEffect(() => {
+    if (!customersLoaded) return;
+    const previous = persistedCustomers.current;
+    persistedCustomers.current = customers;
+    saveCustomerChanges(previous, customers);
+  }, [customers, customersLoaded]);
+
+  // Replicate customers with other devices through the sync server
+  // along with the lead pipeline, since stage renames rewrite customer records,
+  // and the document counters, so every device continues the same numbering
+  const sync = useCustomerSync(customers, setCustomers, customersLoaded, {
+    shared: { pipeline, documentNumbers: documentCounters },
+    onSharedSettings: (key, value) => {
+      if (key === 'pipeline') {
+        savePipeline(value);
+        setPipeline(value);
+      } else if (key === 'documentNumbers') {
+        updateDocumentCounters(current => mergeDocumentCounters(current, value));
+      }
+    }
+  });
+
+  // Undo/redo for user changes. Every edit goes through history.commit;
+  // loading and sync call setCustomers directly and stay out of history.
+  // Each commit, undo and redo is also written to the customers' audit logs,
+  // and commits the current user's role doesn't allow are refused.
+  const history = useCustomerHistory(customers, setCustomers, {
+    user: currentUser,
+    authorize: (previous, next, options) => authorizeChanges(role, previous, next, options)
+  });
+
+  // Customers not in the Recycle Bin - everything except the bin works on these
+  const liveCustomers = liveItems(customers);
+  const bin = binnedItems(customers);
+  const binCount = bin.customers.length + bin.notes.length + bin.purchases.length;
 
-  // Save customers to localStorage whenever they change
+  // Permanently remove binned items past the purge age, once loaded and when the setting changes
   useEffect(() => {
-    localStorage.setItem('primrose-customers', JSON.stringify(customers));
-    console.log(`💾 Saved ${customers.length} customers to localStorage`);
+    if (!customersLoaded) return;
+    setCustomers(current => purgeExpired(current, recycleBinSettings.purgeAfterDays));
+  }, [customersLoaded, recycleBinSettings.purgeAfterDays]);
+
+  const handleChangePurgeDays = (purgeAfterDays) => {
+    const settings = { ...recycleBinSettings, purgeAfterDays };
+    saveRecycleBinSettings(settings);
+    setRecycleBinSettings(settings);
+  };
+
+  // Switch the current user or change the list of users
+  const updateUserSettings = (settings) => {
+    saveUserSettings(settings);
+    setUserSettings(settings);
+  };
+
+  const handleSaveTerritories = (updated) => {
+    saveTerritories(updated);
+    setTerritories(updated);
+  };
+
+  // Save pipeline stages and move customers out of renamed or removed stages
+  const handleSavePipeline = (updated, migrations) => {
+    if (Object.keys(migrations).length > 0 &&
+        !history.commit(migrateStages(customers, migrations), 'Update pipeline stages')) {
+      return;
+    }
+    const stamped = touchPipeline(updated);
+    savePipeline(stamped);
+    setPipeline(stamped);
+    setFilterStage('All');
+    setShowPipelineSettings(false);
+  };
+
+  const handleSaveCatalog = (updated) => {
+    saveCatalog(updated);
+    setCatalog(updated);
+    setShowProductCatalog(false);
+  };
+
+  const handleSaveTaxSettings = (updated) => {
+    saveTaxSettings(updated);
+    setTaxSettings(updated);
+    setShowTaxSettings(false);
+  };
+
+  const handleSaveDocumentSettings = (updated) => {
+    saveDocumentSettings(updated);
+    setDocumentSettings(updated);
+  };
+
+  const updateDocumentCounters = (update) => {
+    setDocumentCounters(current => {
+      const next = update(current);
+      if (next !== current) saveDocumentCounters(next);
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    if (!customersLoaded) return;
+    updateDocumentCounters(current => countersFromOrders(current, customers));
+    // updateDocumentCounters only uses state setters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [customers, customersLoaded]);
+
+  // Hand out the next quote or invoice number and raise its counter, so the
+  // number stays used even if its order is later purged
+  const takeDocumentNumber = (kind) => {
+    const number = nextDocumentNumber(customers, kind, documentSettings, documentCounters);
+    updateDocumentCounters(current => recordDocumentNumber(current, kind, number));
+    return number;
+  };
+
+  const handleSaveStuckDays = (stuckDays) => {
+    const updated = touchPipeline({ ...pipeline, stuckDays });
+    savePipeline(updated);
+    setPipeline(updated);
+  };
+
+  // Drag-and-drop on the pipeline board
+  const handleBoardStageChange = (customer, leadStage) => {
+    history.commit(customers.map(c =>
+      c.id === customer.id ? { ...c, leadStage } : c
+    ), `Move ${customer.name} from ${customer.leadStage} to ${leadStage}`, { undoable: true });
+  };
+
+  // Keep the open customer in step with the list (e.g. after a sync brings in changes)
+  useEffect(() => {
+    setSelectedCustomer(current => current && (customers.find(c => c.id === current.id && !c.deletedAt) || null));
   }, [customers]);
 
-  // Lead stages
-  const leadStages = ['Scouting', 'Lead', 'Cold', 'Warm', 'Hot'];
+  // Lead stages, earliest first
+  const leadStages = stageNames(pipeline);
+  const hottestStage = stagesByPriority(pipeline)[0];
 
   // US States
   const states = ['AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'];
 
   // Demo types
-  const demoTypes = ['Phaser', 'Grease', 'Engine Oil', 'Hydraulic Fluid', 'Gear Oil'];
+  const demoTypes = DEMO_TYPES;
 
   // Add or update customer
   const handleSaveCustomer = (customerData) => {
     if (editingCustomer) {
       // Update existing
       const updatedCustomer = { ...customerData, id: editingCustomer.id };
-      setCustomers(customers.map(c => 
+      const saved = history.commit(customers.map(c => 
         c.id === editingCustomer.id ? updatedCustomer : c
-      ));
+      ), `Edit ${updatedCustomer.name}`);
+      if (!saved) return; // Refused: stay on the form
       // Re-select the customer to stay on their detail page
       setSelectedCustomer(updatedCustomer);
     } else {
       // Check for duplicate before adding new customer
-      const duplicateCheck = customers.find(c => 
-        c.name.toLowerCase().trim() === customerData.name.toLowerCase().trim() &&
-        c.active === true
-      );
+      const [duplicateMatch] = findPossibleDuplicates(liveCustomers, customerData);
       
-      if (duplicateCheck) {
+      if (duplicateMatch) {
+        const duplicateCheck = duplicateMatch.customer;
         const proceed = window.confirm(
-          `⚠️ DUPLICATE CUSTOMER DETECTED!\n\n` +
-          `A customer named "${duplicateCheck.name}" already exists.\n\n` +
+          `⚠️ POSSIBLE DUPLICATE CUSTOMER!\n\n` +
+          `This looks like "${duplicateCheck.name}", who already exists.\n` +
+          `(${duplicateMatch.reasons.join(', ')})\n\n` +
           `Company: ${duplicateCheck.company || 'N/A'}\n` +
           `Location: ${duplicateCheck.city}, ${duplicateCheck.state}\n` +
           `Phone: ${duplicateCheck.primaryPhone || 'N/A'}\n\n` +
@@ -83,9 +325,10 @@ const CustomerManager = () => {
         ...customerData,
         id: Date.now(),
         dateAdded: new Date().toISOString(),
-        active: true
+        active: true,
+        schemaVersion: CURRENT_SCHEMA_VERSION
       };
-      setCustomers([...customers, newCustomer]);
+      if (!history.commit([...customers, newCustomer], `Add ${newCustomer.name}`)) return;
       // Select the new customer to view their detail page
       setSelectedCustomer(newCustomer);
     }
@@ -93,14 +336,29 @@ const CustomerManager = () => {
     setEditingCustomer(null);
   };
 
-  // Delete customer
+  // Delete customer (moves it to the Recycle Bin)
   const handleDeleteCustomer = (id) => {
-    if (window.confirm('Are you sure you want to delete this customer?')) {
-      setCustomers(customers.filter(c => c.id !== id));
+    if (window.confirm('Move this customer to the Recycle Bin?')) {
+      const customer = customers.find(c => c.id === id);
+      history.commit(customers.map(c => 
+        c.id === id ? moveToBin(c, currentUser) : c
+      ), `Delete ${customer?.name || 'customer'}`, { undoable: true });
       setSelectedCustomer(null);
     }
   };
 
+  // Fold a duplicate into the record being kept and bin the other one. Its
+  // notes and orders now live on the kept record, so the binned copy is
+  // marked mergedInto and can't be restored (that would count them twice).
+  const handleMergeCustomers = (merged, removedId) => {
+    history.commit(customers
+      .map(c => c.id === removedId ? { ...moveToBin(c, currentUser), mergedInto: merged.id } : c)
+      .map(c => c.id === merged.id ? merged : c),
+      `Merge duplicate into ${merged.name}`,
+      { undoable: true }
+    );
+  };
+
   // Toggle active/inactive
   const handleToggleActive = (customer) => {
     const reason = customer.active 
@@ -109,15 +367,43 @@ const CustomerManager = () => {
     
     if (customer.active && !reason) return; // Cancelled
 
-    setCustomers(customers.map(c => 
+    history.commit(customers.map(c => 
       c.id === customer.id 
         ? { ...c, active: !c.active, inactiveReason: reason || c.inactiveReason }
         : c
-    ));
+    ), `Mark ${customer.name} ${customer.active ? 'inactive' : 'active'}`, { undoable: true });
+  };
+
+  // Filters applied by clicking a stat (stage and state filters work through filterStage/searchTerm)
+  const matchesActiveFilter = (customer) => {
+    if (!activeFilter) return true;
+    switch (activeFilter.type) {
+      case 'recent': {
+        const now = new Date();
+        return new Date(customer.dateAdded) >= new Date(now.getFullYear(), now.getMonth(), 1);
+      }
+      case 'followup':
+        return !!customer.followUpDate;
+      case 'owner':
+        return (customer.owner || '') === activeFilter.key;
+      case 'territory':
+        return (customer.territory || '') === activeFilter.key;
+      case 'month':
+        return boughtInMonth(customer, activeFilter.key);
+      case 'product':
+        return boughtProduct(customer, activeFilter.key);
+      case 'source':
+        return (customer.referralSource || '').trim() === activeFilter.key;
+      default:
+        return true;
+    }
   };
 
   // Filter customers - Enhanced search across ALL fields
-  const filteredCustomers = customers.filter(customer => {
+  const filteredCustomers = liveCustomers.filter(customer => {
+    if (!matchesActiveFilter(customer)) return false;
+    if (!matchesOwnerView(customer, ownerView, currentUser)) return false;
+
     if (!searchTerm || !searchTerm.trim()) {
       // No search term, just apply stage filter
       const matchesStage = filterStage === 'All' || customer.leadStage === filterStage;
@@ -152,7 +438,7 @@ const CustomerManager = () => {
     );
     
     // Search in all notes
-    const matchesNotes = customer.notes?.some(note =>
+    const matchesNotes = liveItems(customer.notes).some(note =>
       note.text?.toLowerCase().includes(searchLower) ||
       note.contactName?.toLowerCase().includes(searchLower)
     );
@@ -204,9 +490,8 @@ const CustomerManager = () => {
         return new Date(a.followUpDate) - new Date(b.followUpDate);
       
       case 'stage-priority':
-        // Hot → Warm → Cold → Lead → Scouting
-        const stageOrder = { 'Hot': 1, 'Warm': 2, 'Cold': 3, 'Lead': 4, 'Scouting': 5 };
-        return (stageOrder[a.leadStage] || 99) - (stageOrder[b.leadStage] || 99);
+        // Hottest stage first, unknown stages last
+        return stagePriority(pipeline, a.leadStage) - stagePriority(pipeline, b.leadStage);
       
       case 'city-asc':
         return (a.city || '').localeCompare(b.city || '');
@@ -272,29 +557,28 @@ const CustomerManager = () => {
     const thisWeek = [];
     const upcoming = [];
     
+    // One entry per open order, so a customer with several shows up once per order
     activeCustomers.forEach(customer => {
-      if (!customer.orderPendingDelivery) return;
-      
-      const deliveryTime = customer.expectedDeliveryDate 
-        ? new Date(customer.expectedDeliveryDate).getTime()
-        : null;
-      
-      if (!deliveryTime) {
-        // No date set, but order pending
-        upcoming.push({ ...customer, daysUntil: null });
-        return;
-      }
-      
-      const daysUntil = Math.round((deliveryTime - today) / (24 * 60 * 60 * 1000));
-      const customerWithDays = { ...customer, daysUntil };
-      
-      if (deliveryTime < today) {
-        overdue.push(customerWithDays);
-      } else if (deliveryTime <= weekFromNow) {
-        thisWeek.push(customerWithDays);
-      } else {
-        upcoming.push(customerWithDays);
-      }
+      openOrders(customer.purchases).forEach(order => {
+        const alert = { customer, order, backordered: openLines(order).length };
+
+        if (!order.expectedDeliveryDate) {
+          // No date set, but order pending
+          upcoming.push({ ...alert, daysUntil: null });
+          return;
+        }
+
+        const deliveryTime = new Date(order.expectedDeliveryDate).getTime();
+        const daysUntil = Math.round((deliveryTime - today) / (24 * 60 * 60 * 1000));
+
+        if (deliveryTime < today) {
+          overdue.push({ ...alert, daysUntil });
+        } else if (deliveryTime <= weekFromNow) {
+          thisWeek.push({ ...alert, daysUntil });
+        } else {
+          upcoming.push({ ...alert, daysUntil });
+        }
+      });
     });
     
     // Sort by days
@@ -310,7 +594,14 @@ const CustomerManager = () => {
   };
   
   const followUpAlerts = calculateFollowUpAlerts();
+  const reorders = reorderAlerts(activeCustomers);
+  const reordersOverdue = reorders.filter(alert => alert.daysUntil < 0);
+  const reordersDue = reorders.filter(alert => alert.daysUntil >= 0);
   const deliveryAlerts = calculateDeliveryAlerts();
+  const balanceAlerts = overdueBalances(activeCustomers, documentSettings.paymentTermsDays);
+  const certificateAlerts = expiringCertificates(activeCustomers, taxSettings);
+  const expiredCertificates = certificateAlerts.filter(alert => alert.daysUntil < 0);
+  const expiringSoon = certificateAlerts.filter(alert => alert.daysUntil >= 0);
 
   // Calculate stats for dashboard
   const calculateStats = () => {
@@ -324,13 +615,27 @@ const CustomerManager = () => {
       .sort((a, b) => b[1] - a[1])
       .map(([state, count]) => ({ state, count }));
 
+    // Customers and sales by rep and by territory ('' = unassigned / no territory)
+    const byGroup = (field) => {
+      const groups = {};
+      activeCustomers.forEach(customer => {
+        const key = customer[field] || '';
+        const group = groups[key] || (groups[key] = { key, count: 0, sales: 0 });
+        group.count++;
+        group.sales += salesOrders(customer.purchases).reduce((sum, p) => sum + p.orderTotal, 0);
+      });
+      return Object.values(groups).sort((a, b) => b.count - a.count);
+    };
+    const repStats = byGroup('owner');
+    const territoryStats = byGroup('territory');
+
     // Customers by lead stage
     const byStage = {};
     activeCustomers.forEach(customer => {
       const stage = customer.leadStage || 'Unknown';
       byStage[stage] = (byStage[stage] || 0) + 1;
     });
-    const stageStats = ['Hot', 'Warm', 'Cold', 'Lead', 'Scouting'].map(stage => ({
+    const stageStats = stagesByPriority(pipeline).map(stage => ({
       stage,
       count: byStage[stage] || 0,
       percentage: activeCustomers.length > 0 
@@ -349,7 +654,7 @@ const CustomerManager = () => {
     const withFollowUps = activeCustomers.filter(c => c.followUpDate).length;
 
     // Demo completion rate
-    const totalDemos = activeCustomers.length * 5; // 5 demos per customer
+    const totalDemos = activeCustomers.length * demoTypes.length;
     let completedDemos = 0;
     activeCustomers.forEach(customer => {
       if (customer.demos) {
@@ -361,38 +666,28 @@ const CustomerManager = () => {
       : 0;
 
     // Purchase stats
-    const currentDate = new Date();
-    const firstDayOfCurrentMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-    let totalSalesThisMonth = 0;
-    let totalSalesAllTime = 0;
-    
-    activeCustomers.forEach(customer => {
-      if (customer.purchases) {
-        customer.purchases.forEach(purchase => {
-          totalSalesAllTime += purchase.total;
-          if (new Date(purchase.date) >= firstDayOfCurrentMonth) {
-            totalSalesThisMonth += purchase.total;
-          }
-        });
-      }
-    });
+    const allTimeSales = salesSummary(salesSince(activeCustomers));
+    const monthSales = salesSummary(salesSince(activeCustomers, periodStart('month')));
 
     return {
       stateStats,
+      repStats,
+      territoryStats,
       stageStats,
       addedThisMonth,
       withFollowUps,
       demoCompletionRate,
       totalActive: activeCustomers.length,
-      totalSalesThisMonth,
-      totalSalesAllTime
+      totalSalesThisMonth: monthSales.revenue,
+      totalSalesAllTime: allTimeSales.revenue,
+      averageOrderSize: allTimeSales.averageOrder
     };
   };
 
   const stats = calculateStats();
 
-  // Handle clicking on stats to filter
-  const handleStatClick = (filterType, filterValue) => {
+  // Handle clicking on stats to filter (label names the value when the key alone doesn't)
+  const handleStatClick = (filterType, filterValue, label) => {
     // Scroll to customer list
     const customerList = document.querySelector('.customer-list');
     if (customerList) {
@@ -419,6 +714,21 @@ const CustomerManager = () => {
         // Show only customers with follow-ups
         setActiveFilter({ type: 'followup', value: 'Has Follow-up' });
         break;
+      case 'owner':
+        setActiveFilter({ type: 'owner', key: filterValue, value: `Rep: ${filterValue || 'Unassigned'}` });
+        break;
+      case 'territory':
+        setActiveFilter({ type: 'territory', key: filterValue, value: `Territory: ${filterValue || 'None'}` });
+        break;
+      case 'month':
+        setActiveFilter({ type: 'month', key: filterValue, value: `Bought in ${label || filterValue}` });
+        break;
+      case 'product':
+        setActiveFilter({ type: 'product', key: filterValue, value: `Bought: ${label || filterValue}` });
+        break;
+      case 'source':
+        setActiveFilter({ type: 'source', key: filterValue, value: `Lead Source: ${filterValue || 'Not recorded'}` });
+        break;
       case 'all':
         setFilterStage('All');
         setSearchTerm('');
@@ -438,16 +748,12 @@ const CustomerManager = () => {
 
   // Export customers to JSON file
   const handleExportCustomers = () => {
-    const dataStr = JSON.stringify(customers, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `primrose-customers-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    if (!can(role, 'exportAll')) return;
+    downloadFile(
+      JSON.stringify(customers, null, 2),
+      `primrose-customers-backup-${new Date().toISOString().split('T')[0]}.json`,
+      'application/json'
+    );
     alert(`✅ Exported ${customers.length} customers!\n\nFile saved to your Downloads folder.`);
   };
 
@@ -459,33 +765,45 @@ const CustomerManager = () => {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const importedData = JSON.parse(e.target.result);
-        if (!Array.isArray(importedData)) {
+        const parsedData = JSON.parse(e.target.result);
+        if (!Array.isArray(parsedData)) {
           alert('❌ Invalid file format. Must be a JSON array of customers.');
           return;
         }
 
+        if (parsedData.some(isNewerSchema)) {
+          alert('❌ This backup was made by a newer version of Primrose CRM. Update the app before importing it.');
+          return;
+        }
+
+        // Bring old backups up to the current schema before they touch our data
+        const importedData = migrateCustomers(parsedData);
+
         const confirmMessage = `Found ${importedData.length} customers in backup file.\n\n` +
           `Current customers: ${customers.length}\n` +
           `Import method:\n\n` +
-          `OK = MERGE (add to existing customers)\n` +
+          `OK = MERGE (review changes, then merge with existing customers)\n` +
           `Cancel = REPLACE (delete all and import)\n\n` +
           `What would you like to do?`;
 
-        const shouldMerge = window.confirm(confirmMessage);
+        // Only admins may replace everything; everyone else merges
+        const shouldMerge = !can(role, 'importReplace') || window.confirm(confirmMessage);
         
         if (shouldMerge) {
-          // Merge - add imported customers to existing
-          const mergedCustomers = [...customers, ...importedData];
-          setCustomers(mergedCustomers);
-          alert(`✅ Imported ${importedData.length} customers!\n\nTotal customers now: ${mergedCustomers.length}`);
+          // Merge - match against existing customers and review before committing
+          const comparison = compareImport(customers, importedData);
+          if (comparison.newRecords.length === 0 && comparison.changed.length === 0) {
+            alert(`✅ All ${importedData.length} customers in the backup are already up to date.\n\nNothing to import.`);
+            return;
+          }
+          setImportReview({ comparison, fileName: file.name });
         } else {
           // User clicked Cancel - ask for confirmation to replace
           const confirmReplace = window.confirm(
             `⚠️ WARNING: This will DELETE all ${customers.length} existing customers and replace with ${importedData.length} from backup.\n\nAre you SURE?`
           );
           if (confirmReplace) {
-            setCustomers(importedData);
+            history.commit(importedData, 'Replace all customers from backup', { undoable: true });
             alert(`✅ Replaced all data with backup!\n\nTotal customers: ${importedData.length}`);
           }
         }
@@ -500,22 +818,83 @@ const CustomerManager = () => {
     event.target.value = '';
   };
 
+  // Commit a reviewed merge import
+  const handleConfirmImport = (choices, includeNew) => {
+    const { comparison } = importReview;
+    const mergedCustomers = applyImport(customers, comparison, choices, includeNew);
+    history.commit(mergedCustomers, `Import from ${importReview.fileName}`, { undoable: true });
+    setImportReview(null);
+    alert(
+      `✅ Imported ${includeNew.size} new and merged ${comparison.changed.length} changed customers!\n\n` +
+      `Total customers now: ${mergedCustomers.length}`
+    );
+  };
+
+  // Add customers from the spreadsheet import wizard
+  const handleSpreadsheetImport = (newCustomers) => {
+    const placed = newCustomers.map(c => applyTerritory(c, territories));
+    history.commit([...customers, ...placed], `Import ${newCustomers.length} customers from spreadsheet`, { undoable: true });
+    setShowSpreadsheetImport(false);
+    alert(
+      `✅ Imported ${newCustomers.length} customer${newCustomers.length !== 1 ? 's' : ''}!\n\n` +
+      `Total customers now: ${customers.length + newCustomers.length}`
+    );
+  };
+
   return (
     <div className="customer-manager">
       <header className="header">
         <h1>🎯 Primrose CRM</h1>
         <div className="header-stats">
           <div className="stat">
-            <span className="stat-value">{customers.filter(c => c.active).length}</span>
+            <span className="stat-value">{liveCustomers.filter(c => c.active).length}</span>
             <span className="stat-label">Active Customers</span>
           </div>
           <div className="stat">
-            <span className="stat-value">{customers.filter(c => c.leadStage === 'Hot').length}</span>
-            <span className="stat-label">Hot Leads</span>
+            <span className="stat-value">{liveCustomers.filter(c => c.leadStage === hottestStage).length}</span>
+            <span className="stat-label">{hottestStage} Leads</span>
           </div>
+          <UserSwitcher
+            settings={userSettings}
+            canManage={can(role, 'manage')}
+            onChange={updateUserSettings}
+          />
+          {can(role, 'edit') && (
+            <div className="header-history">
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={history.undo}
+                disabled={!history.canUndo}
+                title={history.canUndo ? `Undo: ${history.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                ↶ Undo
+              </button>
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={history.redo}
+                disabled={!history.canRedo}
+                title={history.canRedo ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                ↷ Redo
+              </button>
+            </div>
+          )}
+          <button 
+            className="btn btn-secondary header-route-btn"
+            onClick={() => {
+              setShowSyncPanel(!showSyncPanel);
+              setShowRoutePlanner(false);
+            }}
+            title={sync.syncState.serverUrl ? `${sync.pendingCount} change(s) waiting to sync` : 'Set up device sync'}
+          >
+            {showSyncPanel ? '👥 Customers' : `🔄 Sync${sync.conflicts.length > 0 ? ` (${sync.conflicts.length} ⚠️)` : ''}`}
+          </button>
           <button 
             className="btn btn-primary header-route-btn"
-            onClick={() => setShowRoutePlanner(!showRoutePlanner)}
+            onClick={() => {
+              setShowRoutePlanner(!showRoutePlanner);
+              setShowSyncPanel(false);
+            }}
           >
             {showRoutePlanner ? '👥 Customers' : '🗺️ Route Planner'}
           </button>
@@ -524,15 +903,165 @@ const CustomerManager = () => {
 
       {showRoutePlanner ? (
         <RoutePlanner 
-          customers={customers} 
+          customers={liveCustomers} 
+          territories={territories}
+          pipeline={pipeline}
           onBack={() => setShowRoutePlanner(false)}
         />
+      ) : showSyncPanel ? (
+        <SyncPanel
+          sync={sync}
+          customers={customers}
+          onBack={() => setShowSyncPanel(false)}
+        />
       ) : (
         <>
-      {!selectedCustomer && !showForm && (
+      {importReview && (
+        <ImportReview
+          comparison={importReview.comparison}
+          fileName={importReview.fileName}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setImportReview(null)}
+        />
+      )}
+
+      {showSpreadsheetImport && (
+        <SpreadsheetImport
+          customers={liveCustomers}
+          leadStages={leadStages}
+          defaultLeadStage={defaultStage(pipeline)}
+          states={states}
+          onImport={handleSpreadsheetImport}
+          onCancel={() => setShowSpreadsheetImport(false)}
+        />
+      )}
+
+      {showDuplicateFinder && (
+        <DuplicateFinder
+          customers={liveCustomers}
+          onMerge={handleMergeCustomers}
+          onBack={() => setShowDuplicateFinder(false)}
+        />
+      )}
+
+      {showRecycleBin && (
+        <RecycleBin
+          customers={customers}
+          purgeAfterDays={recycleBinSettings.purgeAfterDays}
+          canRestore={can(role, 'edit')}
+          canPurge={can(role, 'hardDelete')}
+          onChangePurgeDays={handleChangePurgeDays}
+          onCommit={history.commit}
+          onBack={() => setShowRecycleBin(false)}
+        />
+      )}
+
+      {showTerritories && (
+        <TerritoryManager
+          customers={customers}
+          territories={territories}
+          users={userSettings.users}
+          onSaveTerritories={handleSaveTerritories}
+          onCommit={history.commit}
+          onBack={() => setShowTerritories(false)}
+        />
+      )}
+
+      {showPipelineSettings && (
+        <PipelineSettings
+          pipeline={pipeline}
+          customers={customers}
+          onSave={handleSavePipeline}
+          onBack={() => setShowPipelineSettings(false)}
+        />
+      )}
+
+      {showProductCatalog && (
+        <ProductCatalog
+          catalog={catalog}
+          onSave={handleSaveCatalog}
+          onBack={() => setShowProductCatalog(false)}
+        />
+      )}
+
+      {showTaxSettings && (
+        <TaxSettings
+          settings={taxSettings}
+          states={states}
+          onSave={handleSaveTaxSettings}
+          onBack={() => setShowTaxSettings(false)}
+        />
+      )}
+
+      {showReceivables && (
+        <ReceivablesReport
+          customers={liveCustomers}
+          users={userSettings.users}
+          termsDays={documentSettings.paymentTermsDays}
+          onSelectCustomer={(customer) => {
+            setShowReceivables(false);
+            setSelectedCustomer(customer);
+          }}
+          onBack={() => setShowReceivables(false)}
+        />
+      )}
+
+      {showSalesAnalytics && (
+        <SalesAnalytics
+          customers={liveCustomers}
+          onDrill={(type, key, label) => {
+            setShowSalesAnalytics(false);
+            handleStatClick(type, key, label);
+          }}
+          onBack={() => setShowSalesAnalytics(false)}
+        />
+      )}
+
+      {showPipelineAnalytics && (
+        <PipelineAnalytics
+          customers={liveCustomers}
+          pipeline={pipeline}
+          users={userSettings.users}
+          onChangeStuckDays={handleSaveStuckDays}
+          onSelectCustomer={(customer) => {
+            setShowPipelineAnalytics(false);
+            setSelectedCustomer(customer);
+          }}
+          onBack={() => setShowPipelineAnalytics(false)}
+        />
+      )}
+
+      {showAuditLog && (
+        <AuditLogView
+          customers={liveCustomers}
+          onSelectCustomer={(customer) => {
+            setShowAuditLog(false);
+            setSelectedCustomer(customer);
+          }}
+          onBack={() => setShowAuditLog(false)}
+        />
+      )}
+
+      {showExportDialog && (
+        <ExportDialog
+          customers={can(role, 'exportAll') ? filteredCustomers : filteredCustomers.filter(c => c.owner === currentUser)}
+          totalCount={liveCustomers.length}
+          filterDescription={[
+            !can(role, 'exportAll') && 'Only your own customers',
+            ownerView !== 'all' && OWNER_VIEWS[ownerView],
+            filterStage !== 'All' && `Stage: ${filterStage}`,
+            searchTerm.trim() && `Search: "${searchTerm.trim()}"`,
+            activeFilter && activeFilter.type !== 'stage' && activeFilter.type !== 'state' && activeFilter.value
+          ].filter(Boolean)}
+          demoTypes={demoTypes}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
+
+      {!selectedCustomer && !showForm && !importReview && !showSpreadsheetImport && !showDuplicateFinder && !showRecycleBin && !showAuditLog && !showTerritories && !showPipelineSettings && !showPipelineAnalytics && !showProductCatalog && !showTaxSettings && !showReceivables && !showSalesAnalytics && (
         <>
           {/* Follow-Up Alerts Dashboard */}
-          {(followUpAlerts.overdue.length > 0 || followUpAlerts.thisWeek.length > 0 || followUpAlerts.nextWeek.length > 0) && (
+          {(followUpAlerts.overdue.length > 0 || followUpAlerts.thisWeek.length > 0 || followUpAlerts.nextWeek.length > 0 || balanceAlerts.length > 0) && (
             <div className="followup-dashboard">
               {/* Overdue */}
               {followUpAlerts.overdue.length > 0 && (
@@ -620,6 +1149,104 @@ const CustomerManager = () => {
                   </div>
                 </div>
               )}
+
+              {/* Overdue Balances */}
+              {balanceAlerts.length > 0 && (
+                <div className="followup-alert alert-overdue">
+                  <div className="alert-header">
+                    <span className="alert-icon">💵</span>
+                    <h3>{balanceAlerts.length} OVERDUE BALANCE{balanceAlerts.length !== 1 ? 'S' : ''}</h3>
+                  </div>
+                  <div className="alert-list">
+                    {balanceAlerts.slice(0, 5).map(({ customer, amount, daysPastDue }) => (
+                      <div 
+                        key={customer.id} 
+                        className="alert-item"
+                        onClick={() => setSelectedCustomer(customer)}
+                        title={`${daysPastDue} day${daysPastDue !== 1 ? 's' : ''} past due`}
+                      >
+                        <span className="alert-customer-name">{customer.name}</span>
+                        <span className="alert-order">${amount.toFixed(2)}</span>
+                        <span className="alert-time">
+                          {daysPastDue} day{daysPastDue !== 1 ? 's' : ''} late
+                        </span>
+                      </div>
+                    ))}
+                    {balanceAlerts.length > 5 && (
+                      <div className="alert-more" onClick={() => setShowReceivables(true)}>
+                        + {balanceAlerts.length - 5} more overdue
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Reorder Alerts Dashboard */}
+          {reorders.length > 0 && (
+            <div className="reorder-dashboard">
+              {reordersOverdue.length > 0 && (
+                <div className="followup-alert alert-overdue">
+                  <div className="alert-header">
+                    <span className="alert-icon">🔁</span>
+                    <h3>{reordersOverdue.length} REORDER{reordersOverdue.length !== 1 ? 'S' : ''} OVERDUE</h3>
+                  </div>
+                  <div className="alert-list">
+                    {reordersOverdue.slice(0, 5).map(alert => (
+                      <div 
+                        key={alert.customer.id} 
+                        className="alert-item"
+                        onClick={() => setSelectedCustomer(alert.customer)}
+                        title={alert.products.map(p => `${p.product}: every ~${p.intervalDays} days`).join('\n')}
+                      >
+                        <span className="alert-customer-name">{alert.customer.name}</span>
+                        <span className="alert-order">{alert.products.map(p => p.product).join(', ')}</span>
+                        <span className="alert-time">
+                          {Math.abs(alert.daysUntil)} day{Math.abs(alert.daysUntil) !== 1 ? 's' : ''} overdue
+                        </span>
+                      </div>
+                    ))}
+                    {reordersOverdue.length > 5 && (
+                      <div className="alert-more">
+                        + {reordersOverdue.length - 5} more overdue
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {reordersDue.length > 0 && (
+                <div className="followup-alert alert-thisweek">
+                  <div className="alert-header">
+                    <span className="alert-icon">🔁</span>
+                    <h3>{reordersDue.length} REORDER{reordersDue.length !== 1 ? 'S' : ''} DUE THIS WEEK</h3>
+                  </div>
+                  <div className="alert-list">
+                    {reordersDue.slice(0, 5).map(alert => (
+                      <div 
+                        key={alert.customer.id} 
+                        className="alert-item"
+                        onClick={() => setSelectedCustomer(alert.customer)}
+                        title={alert.products.map(p => `${p.product}: every ~${p.intervalDays} days`).join('\n')}
+                      >
+                        <span className="alert-customer-name">{alert.customer.name}</span>
+                        <span className="alert-order">{alert.products.map(p => p.product).join(', ')}</span>
+                        <span className="alert-time">
+                          {alert.daysUntil === 0 ? 'Today' : 
+                           alert.daysUntil === 1 ? 'Tomorrow' : 
+                           `in ${alert.daysUntil} days`}
+                        </span>
+                      </div>
+                    ))}
+                    {reordersDue.length > 5 && (
+                      <div className="alert-more">
+                        + {reordersDue.length - 5} more this week
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -634,15 +1261,19 @@ const CustomerManager = () => {
                     <h3>{deliveryAlerts.overdue.length} DELIVER{deliveryAlerts.overdue.length !== 1 ? 'IES' : 'Y'} OVERDUE</h3>
                   </div>
                   <div className="alert-list">
-                    {deliveryAlerts.overdue.slice(0, 5).map(customer => (
+                    {deliveryAlerts.overdue.slice(0, 5).map(alert => (
                       <div 
-                        key={customer.id} 
+                        key={`${alert.customer.id}-${alert.order.id}`} 
                         className="alert-item"
-                        onClick={() => setSelectedCustomer(customer)}
+                        onClick={() => setSelectedCustomer(alert.customer)}
+                        title={`${alert.backordered} order line${alert.backordered !== 1 ? 's' : ''} to deliver`}
                       >
-                        <span className="alert-customer-name">{customer.name}</span>
+                        <span className="alert-customer-name">{alert.customer.name}</span>
+                        <span className="alert-order">
+                          {describeOrder(alert.order)}{alert.order.deliveryMethod && ` • ${alert.order.deliveryMethod}`}
+                        </span>
                         <span className="alert-time">
-                          {Math.abs(customer.daysUntil)} day{Math.abs(customer.daysUntil) !== 1 ? 's' : ''} overdue
+                          {Math.abs(alert.daysUntil)} day{Math.abs(alert.daysUntil) !== 1 ? 's' : ''} overdue
                         </span>
                       </div>
                     ))}
@@ -663,17 +1294,21 @@ const CustomerManager = () => {
                     <h3>{deliveryAlerts.thisWeek.length} DELIVER{deliveryAlerts.thisWeek.length !== 1 ? 'IES' : 'Y'} THIS WEEK</h3>
                   </div>
                   <div className="alert-list">
-                    {deliveryAlerts.thisWeek.slice(0, 5).map(customer => (
+                    {deliveryAlerts.thisWeek.slice(0, 5).map(alert => (
                       <div 
-                        key={customer.id} 
+                        key={`${alert.customer.id}-${alert.order.id}`} 
                         className="alert-item"
-                        onClick={() => setSelectedCustomer(customer)}
+                        onClick={() => setSelectedCustomer(alert.customer)}
+                        title={`${alert.backordered} order line${alert.backordered !== 1 ? 's' : ''} to deliver`}
                       >
-                        <span className="alert-customer-name">{customer.name}</span>
+                        <span className="alert-customer-name">{alert.customer.name}</span>
+                        <span className="alert-order">
+                          {describeOrder(alert.order)}{alert.order.deliveryMethod && ` • ${alert.order.deliveryMethod}`}
+                        </span>
                         <span className="alert-time">
-                          {customer.daysUntil === 0 ? 'Today' : 
-                           customer.daysUntil === 1 ? 'Tomorrow' : 
-                           `in ${customer.daysUntil} days`}
+                          {alert.daysUntil === 0 ? 'Today' : 
+                           alert.daysUntil === 1 ? 'Tomorrow' : 
+                           `in ${alert.daysUntil} days`}
                         </span>
                       </div>
                     ))}
@@ -694,18 +1329,87 @@ const CustomerManager = () => {
                     <h3>{deliveryAlerts.upcoming.length} UPCOMING DELIVER{deliveryAlerts.upcoming.length !== 1 ? 'IES' : 'Y'}</h3>
                   </div>
                   <div className="alert-list">
-                    {deliveryAlerts.upcoming.map(customer => (
+                    {deliveryAlerts.upcoming.map(alert => (
                       <div 
-                        key={customer.id} 
+                        key={`${alert.customer.id}-${alert.order.id}`} 
+                        className="alert-item"
+                        onClick={() => setSelectedCustomer(alert.customer)}
+                        title={`${alert.backordered} order line${alert.backordered !== 1 ? 's' : ''} to deliver`}
+                      >
+                        <span className="alert-customer-name">{alert.customer.name}</span>
+                        <span className="alert-order">
+                          {describeOrder(alert.order)}{alert.order.deliveryMethod && ` • ${alert.order.deliveryMethod}`}
+                        </span>
+                        <span className="alert-time">
+                          {alert.daysUntil === null ? 'No date set' : `in ${alert.daysUntil} days`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Tax Exemption Certificate Alerts */}
+          {certificateAlerts.length > 0 && (
+            <div className="certificate-dashboard">
+              {expiredCertificates.length > 0 && (
+                <div className="delivery-alert alert-overdue">
+                  <div className="alert-header">
+                    <span className="alert-icon">🧾</span>
+                    <h3>{expiredCertificates.length} TAX CERTIFICATE{expiredCertificates.length !== 1 ? 'S' : ''} EXPIRED</h3>
+                  </div>
+                  <div className="alert-list">
+                    {expiredCertificates.slice(0, 5).map(({ customer, daysUntil }) => (
+                      <div
+                        key={customer.id}
+                        className="alert-item"
+                        onClick={() => setSelectedCustomer(customer)}
+                        title={customer.taxCertificate ? `Certificate ${customer.taxCertificate}` : 'No certificate number'}
+                      >
+                        <span className="alert-customer-name">{customer.name}</span>
+                        <span className="alert-time">
+                          {Math.abs(daysUntil)} day{Math.abs(daysUntil) !== 1 ? 's' : ''} ago
+                        </span>
+                      </div>
+                    ))}
+                    {expiredCertificates.length > 5 && (
+                      <div className="alert-more">
+                        + {expiredCertificates.length - 5} more expired
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {expiringSoon.length > 0 && (
+                <div className="delivery-alert alert-thisweek">
+                  <div className="alert-header">
+                    <span className="alert-icon">🧾</span>
+                    <h3>{expiringSoon.length} TAX CERTIFICATE{expiringSoon.length !== 1 ? 'S' : ''} EXPIRING</h3>
+                  </div>
+                  <div className="alert-list">
+                    {expiringSoon.slice(0, 5).map(({ customer, daysUntil }) => (
+                      <div
+                        key={customer.id}
                         className="alert-item"
                         onClick={() => setSelectedCustomer(customer)}
+                        title={customer.taxCertificate ? `Certificate ${customer.taxCertificate}` : 'No certificate number'}
                       >
                         <span className="alert-customer-name">{customer.name}</span>
                         <span className="alert-time">
-                          {customer.daysUntil === null ? 'No date set' : `in ${customer.daysUntil} days`}
+                          {daysUntil === 0 ? 'Today' : 
+                           daysUntil === 1 ? 'Tomorrow' : 
+                           `in ${daysUntil} days`}
                         </span>
                       </div>
                     ))}
+                    {expiringSoon.length > 5 && (
+                      <div className="alert-more">
+                        + {expiringSoon.length - 5} more expiring
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -761,6 +1465,10 @@ const CustomerManager = () => {
                       <div className="metric-value metric-value-currency">${stats.totalSalesAllTime.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
                       <div className="metric-label">Total Sales</div>
                     </div>
+                    <div className="metric-item clickable" onClick={() => setShowSalesAnalytics(true)} title="Open sales analytics">
+                      <div className="metric-value metric-value-currency">${stats.averageOrderSize.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                      <div className="metric-label">Avg. Order</div>
+                    </div>
                   </div>
                 </div>
 
@@ -777,7 +1485,7 @@ const CustomerManager = () => {
                       >
                         <div className="stage-stat-header">
                           <span className="stage-stat-name">
-                            <span className={`stage-dot stage-${stage.toLowerCase()}`}></span>
+                            <span className="stage-dot" style={{ background: stageColor(pipeline, stage) }}></span>
                             {stage}
                           </span>
                           <span className="stage-stat-count">
@@ -786,8 +1494,8 @@ const CustomerManager = () => {
                         </div>
                         <div className="stage-stat-bar">
                           <div 
-                            className={`stage-stat-fill stage-${stage.toLowerCase()}`}
-                            style={{ width: `${percentage}%` }}
+                            className="stage-stat-fill"
+                            style={{ width: `${percentage}%`, background: stageColor(pipeline, stage) }}
                           ></div>
                         </div>
                       </div>
@@ -829,12 +1537,52 @@ const CustomerManager = () => {
                     )}
                   </div>
                 </div>
+
+                {/* Customers by Rep and by Territory */}
+                {[
+                  { title: '👤 By Rep', type: 'owner', rows: stats.repStats, empty: 'Unassigned' },
+                  { title: '🧭 By Territory', type: 'territory', rows: stats.territoryStats, empty: 'No territory' }
+                ].map(({ title, type, rows, empty }) => (
+                  <div key={type} className="stat-card">
+                    <h3 className="stat-card-title">{title}</h3>
+                    <div className="state-stats">
+                      {rows.slice(0, 8).map(({ key, count, sales }) => {
+                        const maxCount = rows[0]?.count || 1;
+                        const percentage = Math.round((count / maxCount) * 100);
+                        return (
+                          <div
+                            key={key}
+                            className="state-stat-item clickable"
+                            onClick={() => handleStatClick(type, key)}
+                            title={`$${sales.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} in orders. Click to show these customers`}
+                          >
+                            <div className="state-stat-header">
+                              <span className="state-stat-name">{key || empty}</span>
+                              <span className="state-stat-count">{count}</span>
+                            </div>
+                            <div className="state-stat-bar">
+                              <div
+                                className="state-stat-fill"
+                                style={{ width: `${percentage}%` }}
+                              ></div>
+                            </div>
+                          </div>
+                        );
+                      })}
+                      {rows.length > 8 && (
+                        <div className="state-stat-more">
+                          + {rows.length - 8} more
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
               </div>
             </div>
           )}
 
           {/* Backup Reminder */}
-          {customers.length > 0 && (
+          {customers.length > 0 && can(role, 'exportAll') && (
             <div className="backup-reminder">
               <div className="backup-reminder-icon">💾</div>
               <div className="backup-reminder-text">
@@ -851,23 +1599,77 @@ const CustomerManager = () => {
           )}
 
           <div className="toolbar">
-            <button className="btn btn-primary" onClick={() => setShowForm(true)}>
-              + Add Customer
-            </button>
+            {can(role, 'edit') && (
+              <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                + Add Customer
+              </button>
+            )}
 
             <div className="backup-buttons">
-              <button className="btn btn-success btn-backup" onClick={handleExportCustomers}>
-                💾 Export Backup
+              {can(role, 'exportAll') && (
+                <button className="btn btn-success btn-backup" onClick={handleExportCustomers}>
+                  💾 Export Backup
+                </button>
+              )}
+              {can(role, 'import') && (
+                <>
+                  <label className="btn btn-secondary btn-backup">
+                    📥 Import Backup
+                    <input
+                      type="file"
+                      accept=".json"
+                      onChange={handleImportCustomers}
+                      style={{ display: 'none' }}
+                    />
+                  </label>
+                  <button className="btn btn-secondary btn-backup" onClick={() => setShowSpreadsheetImport(true)}>
+                    📊 Import Spreadsheet
+                  </button>
+                </>
+              )}
+              <button className="btn btn-secondary btn-backup" onClick={() => setShowExportDialog(true)}>
+                📄 Export CSV
               </button>
-              <label className="btn btn-secondary btn-backup">
-                📥 Import Backup
-                <input
-                  type="file"
-                  accept=".json"
-                  onChange={handleImportCustomers}
-                  style={{ display: 'none' }}
-                />
-              </label>
+              {can(role, 'edit') && (
+                <button className="btn btn-secondary btn-backup" onClick={() => setShowDuplicateFinder(true)}>
+                  🔍 Find Duplicates
+                </button>
+              )}
+              <button className="btn btn-secondary btn-backup" onClick={() => setShowRecycleBin(true)}>
+                🗑️ Recycle Bin{binCount > 0 ? ` (${binCount})` : ''}
+              </button>
+              <button className="btn btn-secondary btn-backup" onClick={() => setShowAuditLog(true)}>
+                📜 Change Log
+              </button>
+              <button className="btn btn-secondary btn-backup" onClick={() => setShowPipelineAnalytics(true)}>
+                📈 Velocity
+              </button>
+              <button className="btn btn-secondary btn-backup" onClick={() => setShowReceivables(true)}>
+                💵 Receivables
+              </button>
+              <button className="btn btn-secondary btn-backup" onClick={() => setShowSalesAnalytics(true)}>
+                📊 Sales
+              </button>
+              {can(role, 'manage') && (
+                <button className="btn btn-secondary btn-backup" onClick={() => setShowTerritories(true)}>
+                  🧭 Territories
+                </button>
+              )}
+              {can(role, 'manage') && (
+                <button className="btn btn-secondary btn-backup" onClick={() => setShowPipelineSettings(true)}>
+                  🎯 Pipeline
+                </button>
+              )}
+              {can(role, 'manage') && (
+                <button className="btn btn-secondary btn-backup" onClick={() => setShowProductCatalog(true)}>
+                  📦 Products
+                </button>
+              )}
+              {can(role, 'manage') && (
+                <button className="btn btn-secondary btn-backup" onClick={() => setShowTaxSettings(true)}>
+                  🧾 Sales Tax
+                </button>
+              )}
             </div>
             
             <input
@@ -889,6 +1691,16 @@ const CustomerManager = () => {
               ))}
             </select>
 
+            <select
+              className="filter-select"
+              value={ownerView}
+              onChange={(e) => setOwnerView(e.target.value)}
+            >
+              {Object.entries(OWNER_VIEWS).map(([view, label]) => (
+                <option key={view} value={view}>👤 {label}</option>
+              ))}
+            </select>
+
             <select 
               className="filter-select sort-select"
               value={sortBy}
@@ -899,10 +1711,19 @@ const CustomerManager = () => {
               <option value="date-newest">📅 Newest First</option>
               <option value="date-oldest">📅 Oldest First</option>
               <option value="followup-soonest">⏰ Follow-up (Soonest)</option>
-              <option value="stage-priority">🔥 Stage (Hot First)</option>
+              <option value="stage-priority">🔥 Stage ({hottestStage} First)</option>
               <option value="city-asc">🏙️ City (A-Z)</option>
               <option value="state-asc">📍 State (A-Z)</option>
             </select>
+
+            <select
+              className="filter-select"
+              value={viewMode}
+              onChange={(e) => setViewMode(e.target.value)}
+            >
+              <option value="list">☰ List</option>
+              <option value="board">▦ Board</option>
+            </select>
           </div>
 
           <div className="customer-list">
@@ -936,103 +1757,119 @@ const CustomerManager = () => {
               </div>
             )}
 
-            <h2>Active Customers ({activeCustomers.length})</h2>
-            {activeCustomers.length === 0 && (
-              <p className="empty-state">No customers yet. Click "Add Customer" to get started!</p>
-            )}
-            {activeCustomers.map(customer => (
-              <div key={customer.id} className="customer-card">
-                <div className="customer-card-main" onClick={() => setSelectedCustomer(customer)}>
-                  <div className="customer-card-header">
-                    <h3>{customer.name}</h3>
-                    <span className={`badge badge-${customer.leadStage.toLowerCase()}`}>
-                      {customer.leadStage}
-                    </span>
-                  </div>
-                  <p className="customer-company">{customer.company}</p>
-                  <p className="customer-location">📍 {customer.city}, {customer.state}</p>
-                  
-                  {/* Demo Badges */}
-                  {customer.demos && Object.values(customer.demos).some(d => d.completed) && (
-                    <div className="demo-badges">
-                      {Object.entries(customer.demos).map(([demoType, demo]) => 
-                        demo.completed && (
-                          <span key={demoType} className="demo-badge">
-                            {demoType} ✓
-                          </span>
-                        )
+            {viewMode === 'board' ? (
+              <PipelineBoard
+                customers={activeCustomers}
+                pipeline={pipeline}
+                readOnly={!can(role, 'edit')}
+                onSelectCustomer={setSelectedCustomer}
+                onChangeStage={handleBoardStageChange}
+              />
+            ) : (
+              <>
+                <h2>Active Customers ({activeCustomers.length})</h2>
+                {!customersLoaded && (
+                  <p className="empty-state">⏳ Loading customers...</p>
+                )}
+                {customersLoaded && activeCustomers.length === 0 && (
+                  <p className="empty-state">No customers yet. Click "Add Customer" to get started!</p>
+                )}
+                {activeCustomers.map(customer => (
+                  <div key={customer.id} className="customer-card">
+                    <div className="customer-card-main" onClick={() => setSelectedCustomer(customer)}>
+                      <div className="customer-card-header">
+                        <h3>{customer.name}</h3>
+                        <span className="badge" style={stageBadgeStyle(pipeline, customer.leadStage)}>
+                          {customer.leadStage}
+                        </span>
+                      </div>
+                      <p className="customer-company">{customer.company}</p>
+                      <p className="customer-location">📍 {customer.city}, {customer.state}</p>
+                      {customer.owner && <p className="customer-owner">👤 {customer.owner}</p>}
+                      
+                      {/* Demo Badges */}
+                      {customer.demos && Object.values(customer.demos).some(d => d.completed) && (
+                        <div className="demo-badges">
+                          {Object.entries(customer.demos).map(([demoType, demo]) => 
+                            demo.completed && (
+                              <span key={demoType} className="demo-badge">
+                                {demoType} ✓
+                              </span>
+                            )
+                          )}
+                        </div>
                       )}
-                    </div>
-                  )}
 
-                  {customer.followUpDate && (
-                    <p className="customer-followup">📅 Follow-up: {new Date(customer.followUpDate).toLocaleDateString()}</p>
-                  )}
+                      {customer.followUpDate && (
+                        <p className="customer-followup">📅 Follow-up: {new Date(customer.followUpDate).toLocaleDateString()}</p>
+                      )}
 
-                  {/* Purchase Summary */}
-                  {customer.purchases && customer.purchases.length > 0 && (
-                    <div className="purchase-summary">
-                      <span className="purchase-badge">
-                        💰 ${customer.purchases.reduce((sum, p) => sum + p.total, 0).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
-                      </span>
-                      <span className="purchase-count">
-                        {customer.purchases.length} {customer.purchases.length === 1 ? 'order' : 'orders'}
-                      </span>
+                      {/* Purchase Summary */}
+                      {salesOrders(customer.purchases).length > 0 && (
+                        <div className="purchase-summary">
+                          <span className="purchase-badge">
+                            💰 ${salesOrders(customer.purchases).reduce((sum, p) => sum + p.orderTotal, 0).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                          </span>
+                          <span className="purchase-count">
+                            {salesOrders(customer.purchases).length} {salesOrders(customer.purchases).length === 1 ? 'order' : 'orders'}
+                          </span>
+                        </div>
+                      )}
                     </div>
-                  )}
-                </div>
 
-                {/* Quick Action Buttons */}
-                <div className="customer-quick-actions">
-                  {customer.contacts && customer.contacts[0]?.phone && (
-                    <a 
-                      href={`tel:${customer.contacts[0].phone}`}
-                      className="quick-action-btn call-btn"
-                      onClick={(e) => e.stopPropagation()}
-                      title="Call"
-                    >
-                      📞
-                    </a>
-                  )}
-                  {customer.contacts && customer.contacts[0]?.email && (
-                    <a 
-                      href={`mailto:${customer.contacts[0].email}`}
-                      className="quick-action-btn email-btn"
-                      onClick={(e) => e.stopPropagation()}
-                      title="Email"
-                    >
-                      ✉️
-                    </a>
-                  )}
-                  {customer.address && customer.city && customer.state && (
-                    <a 
-                      href={`https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(`${customer.address}, ${customer.city}, ${customer.state} ${customer.zip || ''}`)}`}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="quick-action-btn nav-btn"
-                      onClick={(e) => e.stopPropagation()}
-                      title="Navigate"
-                    >
-                      🗺️
-                    </a>
-                  )}
-                </div>
-              </div>
-            ))}
-
-            {inactiveCustomers.length > 0 && (
-              <>
-                <h2 style={{marginTop: '2rem'}}>Inactive Customers ({inactiveCustomers.length})</h2>
-                {inactiveCustomers.map(customer => (
-                  <div key={customer.id} className="customer-card inactive" onClick={() => setSelectedCustomer(customer)}>
-                    <div className="customer-card-header">
-                      <h3>{customer.name}</h3>
-                      <span className="badge badge-inactive">Inactive</span>
+                    {/* Quick Action Buttons */}
+                    <div className="customer-quick-actions">
+                      {customer.contacts && customer.contacts[0]?.phone && (
+                        <a 
+                          href={`tel:${customer.contacts[0].phone}`}
+                          className="quick-action-btn call-btn"
+                          onClick={(e) => e.stopPropagation()}
+                          title="Call"
+                        >
+                          📞
+                        </a>
+                      )}
+                      {customer.contacts && customer.contacts[0]?.email && (
+                        <a 
+                          href={`mailto:${customer.contacts[0].email}`}
+                          className="quick-action-btn email-btn"
+                          onClick={(e) => e.stopPropagation()}
+                          title="Email"
+                        >
+                          ✉️
+                        </a>
+                      )}
+                      {customer.address && customer.city && customer.state && (
+                        <a 
+                          href={`https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(`${customer.address}, ${customer.city}, ${customer.state} ${customer.zip || ''}`)}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="quick-action-btn nav-btn"
+                          onClick={(e) => e.stopPropagation()}
+                          title="Navigate"
+                        >
+                          🗺️
+                        </a>
+                      )}
                     </div>
-                    <p className="customer-company">{customer.company}</p>
-                    <p className="customer-reason">Reason: {customer.inactiveReason}</p>
                   </div>
                 ))}
+
+                {inactiveCustomers.length > 0 && (
+                  <>
+                    <h2 style={{marginTop: '2rem'}}>Inactive Customers ({inactiveCustomers.length})</h2>
+                    {inactiveCustomers.map(customer => (
+                      <div key={customer.id} className="customer-card inactive" onClick={() => setSelectedCustomer(customer)}>
+                        <div className="customer-card-header">
+                          <h3>{customer.name}</h3>
+                          <span className="badge badge-inactive">Inactive</span>
+                        </div>
+                        <p className="customer-company">{customer.company}</p>
+                        <p className="customer-reason">Reason: {customer.inactiveReason}</p>
+                      </div>
+                    ))}
+                  </>
+                )}
               </>
             )}
           </div>
@@ -1043,8 +1880,11 @@ const CustomerManager = () => {
         <CustomerForm
           customer={editingCustomer}
           leadStages={leadStages}
+          defaultLeadStage={defaultStage(pipeline)}
           states={states}
-          demoTypes={demoTypes}
+          users={userSettings.users}
+          territories={territories}
+          currentUser={currentUser}
           onSave={handleSaveCustomer}
           onCancel={() => {
             setShowForm(false);
@@ -1057,6 +1897,16 @@ const CustomerManager = () => {
         <CustomerDetail
           customer={selectedCustomer}
           demoTypes={demoTypes}
+          pipeline={pipeline}
+          catalog={catalog}
+          documentSettings={documentSettings}
+          taxSettings={taxSettings}
+          currentUser={currentUser}
+          readOnly={!can(role, 'edit')}
+          canDelete={can(role, 'delete')}
+          canManage={can(role, 'manage')}
+          nextDocumentNumber={takeDocumentNumber}
+          onSaveDocumentSettings={handleSaveDocumentSettings}
           onClose={() => setSelectedCustomer(null)}
           onEdit={(customer) => {
             setEditingCustomer(customer);
@@ -1065,72 +1915,36 @@ const CustomerManager = () => {
           }}
           onDelete={handleDeleteCustomer}
           onToggleActive={handleToggleActive}
-          onUpdate={(updatedCustomer) => {
-            setCustomers(customers.map(c => 
+          onUpdate={(updatedCustomer, label = `Update ${updatedCustomer.name}`, options) => {
+            const saved = history.commit(customers.map(c => 
               c.id === updatedCustomer.id ? updatedCustomer : c
-            ));
-            setSelectedCustomer(updatedCustomer);
+            ), label, options);
+            if (saved) setSelectedCustomer(updatedCustomer);
           }}
         />
       )}
         </>
       )}
+
+      <UndoToast
+        toast={history.toast}
+        onUndo={history.undoToast}
+        onDismiss={history.dismissToast}
+      />
     </div>
   );
 };
 
 // Customer Form Component
-const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCancel }) => {
-  const [formData, setFormData] = useState(customer || {
-    name: '',
-    company: '',
-    address: '',
-    city: '',
-    state: '',
-    zip: '',
-    primaryPhone: '',
-    email: '',
-    leadStage: 'Lead',
-    referralSource: '',
-    followUpDate: '',
-    orderPendingDelivery: false,
-    expectedDeliveryDate: '',
-    contacts: [{
-      name: '',
-      title: '',
-      phone: '',
-      email: '',
-      bestTime: '',
-      isPrimary: true
-    }],
-    demos: {
-      'Phaser': { completed: false, date: '' },
-      'Grease': { completed: false, date: '' },
-      'Engine Oil': { completed: false, date: '' },
-      'Hydraulic Fluid': { completed: false, date: '' },
-      'Gear Oil': { completed: false, date: '' }
-    },
-    notes: []
-  });
+const CustomerForm = ({ customer, leadStages, defaultLeadStage, states, users, territories, currentUser, onSave, onCancel }) => {
+  // New customers belong to whoever adds them
+  const [formData, setFormData] = useState(
+    customer || { ...createEmptyCustomer(), leadStage: defaultLeadStage, owner: currentUser }
+  );
 
   // Business card scanning state
   const [isScanning, setIsScanning] = useState(false);
 
-  // Phone number formatting function
-  const formatPhoneNumber = (value) => {
-    // Remove all non-digits
-    const numbers = value.replace(/\D/g, '');
-    
-    // Format as (XXX) XXX-XXXX
-    if (numbers.length <= 3) {
-      return numbers;
-    } else if (numbers.length <= 6) {
-      return `(${numbers.slice(0, 3)}) ${numbers.slice(3)}`;
-    } else {
-      return `(${numbers.slice(0, 3)}) ${numbers.slice(3, 6)}-${numbers.slice(6, 10)}`;
-    }
-  };
-
   // Business Card Scanner Function
   const scanBusinessCard = async (imageFile) => {
     setIsScanning(true);
@@ -1219,6 +2033,9 @@ const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCance
         [field]: value,
         contacts: newContacts
       });
+    } else if (field === 'state' || field === 'zip') {
+      // Territory (and its rep as owner) follow the address
+      setFormData(applyTerritory({ ...formData, [field]: value }, territories));
     } else {
       setFormData({ ...formData, [field]: value });
     }
@@ -1258,7 +2075,11 @@ const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCance
       alert('Please fill in required fields: Name, City, State');
       return;
     }
-    onSave(formData);
+    if (formData.taxExempt && !(formData.taxCertificate || '').trim()) {
+      alert('Please enter the exemption certificate number');
+      return;
+    }
+    onSave(applyTerritory(formData, territories));
   };
 
   return (
@@ -1355,6 +2176,16 @@ const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCance
               />
             </div>
           </div>
+
+          <div className="form-field">
+            <label>County</label>
+            <input
+              type="text"
+              value={formData.county || ''}
+              onChange={(e) => handleChange('county', e.target.value)}
+              placeholder="Used for county and city sales tax rates"
+            />
+          </div>
         </div>
 
         <div className="form-section">
@@ -1441,6 +2272,9 @@ const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCance
                 {leadStages.map(stage => (
                   <option key={stage} value={stage}>{stage}</option>
                 ))}
+                {!leadStages.includes(formData.leadStage) && (
+                  <option value={formData.leadStage}>{formData.leadStage}</option>
+                )}
               </select>
             </div>
             <div className="form-field">
@@ -1453,6 +2287,66 @@ const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCance
               />
             </div>
           </div>
+          <div className="form-row">
+            <div className="form-field">
+              <label>Owner</label>
+              <select
+                value={formData.owner || ''}
+                onChange={(e) => handleChange('owner', e.target.value)}
+              >
+                <option value="">Unassigned</option>
+                {users.map(user => (
+                  <option key={user} value={user}>{user}</option>
+                ))}
+                {formData.owner && !users.includes(formData.owner) && (
+                  <option value={formData.owner}>{formData.owner}</option>
+                )}
+              </select>
+            </div>
+            <div className="form-field">
+              <label>Territory</label>
+              <input
+                type="text"
+                value={formData.territory || 'No matching territory'}
+                readOnly
+                title="Set automatically from State and ZIP"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="form-section">
+          <h3>Sales Tax</h3>
+          <div className="form-field">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!formData.taxExempt}
+                onChange={(e) => handleChange('taxExempt', e.target.checked)}
+              />
+              <span>Tax exempt (e.g. agricultural exemption)</span>
+            </label>
+          </div>
+          {formData.taxExempt && (
+            <div className="form-row">
+              <div className="form-field">
+                <label>Exemption Certificate # *</label>
+                <input
+                  type="text"
+                  value={formData.taxCertificate || ''}
+                  onChange={(e) => handleChange('taxCertificate', e.target.value)}
+                />
+              </div>
+              <div className="form-field">
+                <label>Certificate Expires</label>
+                <input
+                  type="date"
+                  value={formData.taxCertificateExpires || ''}
+                  onChange={(e) => handleChange('taxCertificateExpires', e.target.value)}
+                />
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="form-actions">
@@ -1469,12 +2363,14 @@ const CustomerForm = ({ customer, leadStages, states, demoTypes, onSave, onCance
 };
 
 // Customer Detail Component
-const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onToggleActive, onUpdate }) => {
+// readOnly hides every editing control (read-only role)
+const CustomerDetail = ({ customer, demoTypes, pipeline, catalog, documentSettings, taxSettings, currentUser, readOnly, canDelete, canManage, nextDocumentNumber, onSaveDocumentSettings, onClose, onEdit, onDelete, onToggleActive, onUpdate }) => {
   const [showNoteForm, setShowNoteForm] = useState(false);
   const [noteText, setNoteText] = useState('');
   const [selectedContact, setSelectedContact] = useState(customer.contacts[0]?.name || '');
   const [filterContact, setFilterContact] = useState('All');
   const [editingNote, setEditingNote] = useState(null);
+  const [detailTab, setDetailTab] = useState('overview'); // 'overview' | 'pricing' | 'history'
   
   // Task completion states
   const [showCompleteFollowup, setShowCompleteFollowup] = useState(false);
@@ -1482,29 +2378,65 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
   const [followupNote, setFollowupNote] = useState('');
   const [nextFollowupDate, setNextFollowupDate] = useState('');
   const [selectedPurchaseForDelivery, setSelectedPurchaseForDelivery] = useState(null);
+  const [deliveryQuantities, setDeliveryQuantities] = useState({}); // { [lineId]: quantity } being delivered
+  const [deliveryDate, setDeliveryDate] = useState('');
   
   // Quick Order states
   const [showQuickOrder, setShowQuickOrder] = useState(false);
   const [orderProducts, setOrderProducts] = useState([]);
-  const [currentProduct, setCurrentProduct] = useState('');
+  const [currentProductId, setCurrentProductId] = useState('');
   const [currentQuantity, setCurrentQuantity] = useState('');
   const [currentUnitPrice, setCurrentUnitPrice] = useState('');
+  const [priceEdited, setPriceEdited] = useState(false); // Rep typed their own unit price
   const [orderCWO, setOrderCWO] = useState(false);
   const [orderPendingDelivery, setOrderPendingDelivery] = useState(false);
   const [orderDeliveryDate, setOrderDeliveryDate] = useState('');
+  const [orderDeliveryMethod, setOrderDeliveryMethod] = useState('');
   const [orderNotes, setOrderNotes] = useState('');
   
   // Quick action states
   const [showChangeFollowupDate, setShowChangeFollowupDate] = useState(false);
   const [newFollowupDate, setNewFollowupDate] = useState('');
-  const [showMarkDeliveryPending, setShowMarkDeliveryPending] = useState(false);
   const [newDeliveryDate, setNewDeliveryDate] = useState('');
   const [showChangeDeliveryDate, setShowChangeDeliveryDate] = useState(false);
+  const [newDeliveryMethod, setNewDeliveryMethod] = useState('');
+  const [dateOrderId, setDateOrderId] = useState(null); // Order whose delivery date is being changed
+  const [documentOrderId, setDocumentOrderId] = useState(null); // Order shown as a quote or invoice
+
+  // Payment states
+  const [paymentOrderId, setPaymentOrderId] = useState(null); // Order a payment is being recorded against
+  const [paymentAmount, setPaymentAmount] = useState('');
+  const [paymentDate, setPaymentDate] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('Check');
+  const [paymentCheckNumber, setPaymentCheckNumber] = useState('');
+  const [paymentNote, setPaymentNote] = useState('');
   
   // Demo editing states
   const [showDemoDialog, setShowDemoDialog] = useState(false);
   const [selectedDemo, setSelectedDemo] = useState(null);
   const [demoDate, setDemoDate] = useState('');
+
+  // Notes and orders not in the Recycle Bin
+  const notes = liveItems(customer.notes);
+  const purchases = liveItems(customer.purchases);
+  const sales = salesOrders(purchases);
+
+  // Open orders, soonest expected delivery first (undated last)
+  const pendingOrders = openOrders(purchases).sort((a, b) => {
+    if (!a.expectedDeliveryDate) return 1;
+    if (!b.expectedDeliveryDate) return -1;
+    return new Date(a.expectedDeliveryDate) - new Date(b.expectedDeliveryDate);
+  });
+
+  // Select values are strings; legacy order ids may be numbers
+  const findOrder = (orderId) => purchases.find(p => String(p.id) === String(orderId));
+
+  const balanceDue = customerBalance(customer);
+  const reorderRhythm = reorderPredictions(customer);
+  const previousSale = lastSale(customer);
+
+  // Tax for the customer's location, used when they aren't exempt
+  const customerTaxRate = taxRateFor(customer, taxSettings);
   
   // Voice recording states
   const [isRecording, setIsRecording] = useState(false);
@@ -1576,50 +2508,6 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
     }
   };
 
-  // Product list for Quick Order
-  const productList = [
-    '5007 Power Klenz ID',
-    '5055 Rescue Rx',
-    '5437 Winter Klenz ID',
-    '5757 Winter Klenz ID',
-    'Phaser',
-    '480M',
-    'Seal Saver',
-    '2035 Thermal Advantage',
-    '532T',
-    'B66R',
-    '203M',
-    '205R',
-    '208M',
-    '210M',
-    '210V',
-    '211M',
-    '212A',
-    '212M',
-    '213R',
-    '217M',
-    '252R',
-    '327C',
-    '400P',
-    '510M',
-    '512M',
-    '513M',
-    '514M',
-    '514S',
-    '548A',
-    'B620',
-    'B660',
-    'B680',
-    '714M',
-    '747S',
-    'MP8',
-    'Grease',
-    'Engine Oil',
-    'Hydraulic Fluid',
-    'Gear Oil',
-    'Custom'
-  ];
-
   const handleAddNote = () => {
     if (!noteText.trim()) return;
     
@@ -1636,7 +2524,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
         notes: updatedNotes
       };
       
-      onUpdate(updatedCustomer);
+      onUpdate(updatedCustomer, 'Edit note');
       setEditingNote(null);
     } else {
       // Add new note
@@ -1645,7 +2533,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
         contactName: selectedContact,
         text: noteText,
         date: new Date().toISOString(),
-        addedBy: 'Andy' // In future, this would be current user
+        addedBy: currentUser
       };
 
       const updatedCustomer = {
@@ -1653,7 +2541,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
         notes: [newNote, ...(customer.notes || [])]
       };
 
-      onUpdate(updatedCustomer);
+      onUpdate(updatedCustomer, 'Add note');
     }
     
     setNoteText('');
@@ -1668,14 +2556,14 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
   };
 
   const deleteNote = (noteId) => {
-    if (!window.confirm('Delete this note?')) return;
+    if (!window.confirm('Move this note to the Recycle Bin?')) return;
     
     const updatedCustomer = {
       ...customer,
-      notes: (customer.notes || []).filter(note => note.id !== noteId)
+      notes: (customer.notes || []).map(note => note.id === noteId ? moveToBin(note, currentUser) : note)
     };
     
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, 'Delete note', { undoable: true });
   };
 
   const cancelNoteForm = () => {
@@ -1685,7 +2573,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
     setSelectedContact(customer.contacts[0]?.name || '');
   };
 
-  const filteredNotes = (customer.notes || []).filter(note => 
+  const filteredNotes = notes.filter(note => 
     filterContact === 'All' || note.contactName === filterContact
   );
 
@@ -1708,7 +2596,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       contactName: customer.contacts[0]?.name || 'General',
       text: followupNote.trim() || 'Follow-up completed',
       date: new Date().toISOString(),
-      addedBy: 'Andy',
+      addedBy: currentUser,
       type: 'followup' // Tag to identify as follow-up note
     };
 
@@ -1718,62 +2606,181 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       followUpDate: nextFollowupDate || null
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, 'Complete follow-up');
     setShowCompleteFollowup(false);
     setFollowupNote('');
   };
 
-  const handleCompleteDelivery = () => {
-    // Get pending purchases (with orderPendingDelivery flag)
-    const pendingPurchases = (customer.purchases || []).filter(p => 
-      p.date === customer.expectedDeliveryDate || !p.delivered
-    );
-    
-    if (pendingPurchases.length === 0) {
-      alert('No pending purchases found for this delivery date.');
+  // Record a delivery against an open order
+  const handleCompleteDelivery = (orderId) => {
+    const order = findOrder(orderId);
+    if (!order) {
+      alert('No open orders to deliver.');
       return;
     }
-    
-    setSelectedPurchaseForDelivery(pendingPurchases[0].id);
+    selectOrderForDelivery(order.id);
+    setDeliveryDate(new Date().toISOString().split('T')[0]);
     setShowCompleteDelivery(true);
   };
 
+  // Start with everything still outstanding on the order
+  const selectOrderForDelivery = (orderId) => {
+    setSelectedPurchaseForDelivery(orderId);
+    const order = findOrder(orderId);
+    setDeliveryQuantities(order ? remainingQuantities(order) : {});
+  };
+
   const saveDeliveryCompletion = () => {
-    if (!selectedPurchaseForDelivery) {
-      alert('Please select which purchase was delivered');
+    const purchase = findOrder(selectedPurchaseForDelivery);
+    if (!purchase) {
+      alert('Please select which order was delivered');
       return;
     }
 
-    const purchase = customer.purchases.find(p => p.id === selectedPurchaseForDelivery);
+    const shipped = recordDelivery(purchase, deliveryQuantities, { date: deliveryDate, user: currentUser });
+    if (shipped === purchase) {
+      alert('Please enter a delivered quantity for at least one product');
+      return;
+    }
+    const delivered = settleIfPaid(shipped, { user: currentUser });
+    const shipment = delivered.deliveries[delivered.deliveries.length - 1];
+    const backordered = backorderQuantity(delivered);
     
     // Create note for delivery completion
     const deliveryNote = {
       id: Date.now(),
       contactName: customer.contacts[0]?.name || 'General',
-      text: `Delivered: ${purchase.product} - Qty: ${purchase.quantity} - $${purchase.total}`,
+      text: `Delivered: ${shipment.lines.map(line => `${line.quantity} × ${line.product}`).join(', ')}` +
+        (backordered > 0 ? ` (${backordered} still on backorder)` : ` - order complete, $${purchase.orderTotal.toFixed(2)}`),
       date: new Date().toISOString(),
-      addedBy: 'Andy',
+      addedBy: currentUser,
       type: 'delivery' // Tag to identify as delivery note
     };
 
     const updatedCustomer = {
       ...customer,
       notes: [deliveryNote, ...(customer.notes || [])],
-      orderPendingDelivery: false,
-      expectedDeliveryDate: null,
-      purchases: customer.purchases.map(p => 
-        p.id === selectedPurchaseForDelivery ? { ...p, delivered: true } : p
-      )
+      purchases: customer.purchases.map(p => (p === purchase ? delivered : p))
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, backordered === 0 ? 'Complete delivery' : 'Record partial delivery');
     setShowCompleteDelivery(false);
     setSelectedPurchaseForDelivery(null);
   };
 
+  // Confirm a quote, cancel, or mark invoiced/paid
+  const changeOrderStatus = (purchase, status) => {
+    if (status === 'cancelled' && !window.confirm(
+      purchase.status === 'partial'
+        ? `Cancel the ${backorderQuantity(purchase)} backordered item(s)? What was already delivered stays on the order, which is then complete.`
+        : 'Cancel this order?'
+    )) return;
+
+    let updated;
+    if (purchase.status === 'quoted' && status === 'ordered') {
+      updated = convertQuote(purchase, { user: currentUser });
+    } else if (purchase.status === 'partial' && status === 'cancelled') {
+      updated = cancelBackorder(purchase, { user: currentUser });
+    } else {
+      updated = setOrderStatus(purchase, status, { user: currentUser });
+    }
+    // Invoicing an order numbers its invoice
+    if (status === 'invoiced' && !updated.invoiceNumber) {
+      updated = withDocumentNumber(updated, 'invoice');
+    }
+    // A CWO quote is paid when the customer accepts it
+    if (purchase.status === 'quoted' && status === 'ordered' && updated.cwo && amountPaid(updated) === 0) {
+      updated = recordPayment(updated, cwoPayment(updated), { user: currentUser });
+    }
+    // A quote that didn't need delivery is handed over on acceptance, like a
+    // quick order entered without one
+    if (purchase.status === 'quoted' && status === 'ordered' && !updated.expectedDeliveryDate) {
+      updated = recordDelivery(updated, remainingQuantities(updated), { user: currentUser });
+    }
+    updated = settleIfPaid(updated, { user: currentUser });
+
+    const labels = {
+      ordered: 'Convert quote to order',
+      cancelled: purchase.status === 'partial' ? 'Cancel backorder' : 'Cancel order'
+    };
+    onUpdate({
+      ...customer,
+      purchases: customer.purchases.map(p => (p === purchase ? updated : p))
+    }, labels[status] || `Mark order ${ORDER_STATUSES[status].toLowerCase()}`, { undoable: status === 'cancelled' });
+  };
+
+  // Record a payment against an order, defaulting to its balance
+  const handleRecordPayment = (purchase) => {
+    setPaymentOrderId(purchase.id);
+    setPaymentAmount(orderBalance(purchase).toFixed(2));
+    setPaymentDate(new Date().toISOString().split('T')[0]);
+    setPaymentMethod('Check');
+    setPaymentCheckNumber('');
+    setPaymentNote('');
+  };
+
+  const savePayment = () => {
+    const purchase = findOrder(paymentOrderId);
+    const amount = parseFloat(paymentAmount);
+    if (!purchase || !(amount > 0)) {
+      alert('Please enter the amount paid');
+      return;
+    }
+    if (amount > orderBalance(purchase) + 0.005 &&
+      !window.confirm(`$${amount.toFixed(2)} is more than the $${orderBalance(purchase).toFixed(2)} owed. Record it anyway?`)) {
+      return;
+    }
+
+    const paid = recordPayment(purchase, {
+      amount,
+      date: paymentDate,
+      method: paymentMethod,
+      checkNumber: paymentCheckNumber,
+      note: paymentNote
+    }, { user: currentUser });
+
+    onUpdate({
+      ...customer,
+      purchases: customer.purchases.map(p => (p === purchase ? paid : p))
+    }, `Record $${amount.toFixed(2)} payment`);
+    setPaymentOrderId(null);
+  };
+
+  // The check that comes with a CWO order
+  const cwoPayment = (purchase) => ({ amount: orderTotalWithTax(purchase), method: 'Check', note: 'Check with order' });
+
+  // Give the order the next quote or invoice number
+  const withDocumentNumber = (purchase, kind) => ({
+    ...purchase,
+    [DOCUMENT_KINDS[kind].field]: nextDocumentNumber(kind),
+    ...(kind === 'invoice' ? { invoiceDate: new Date().toISOString().split('T')[0] } : {})
+  });
+
+  // Show the order's quote or invoice, numbering it the first time
+  const openDocument = (purchase) => {
+    const kind = documentKindFor(purchase);
+    if (!purchase[DOCUMENT_KINDS[kind].field] && !readOnly) {
+      const numbered = withDocumentNumber(purchase, kind);
+      onUpdate({
+        ...customer,
+        purchases: customer.purchases.map(p => (p === purchase ? numbered : p))
+      }, `Create ${DOCUMENT_KINDS[kind].title.toLowerCase()} ${numbered[DOCUMENT_KINDS[kind].field]}`);
+    }
+    setDocumentOrderId(purchase.id);
+  };
+
+  const convertDocumentQuote = () => {
+    changeOrderStatus(findOrder(documentOrderId), 'ordered');
+    setDocumentOrderId(null);
+  };
+
+  // Price for the product and quantity being added, from the catalog and customer prices
+  const catalogProduct = findProduct(catalog, currentProductId);
+  const quote = catalogProduct && resolvePrice(catalogProduct, parseFloat(currentQuantity) || 0, customer.customPrices);
+
   // Quick Order handlers
   const addProductToOrder = () => {
-    if (!currentProduct || !currentQuantity || !currentUnitPrice) {
+    if (!catalogProduct || !currentQuantity || !currentUnitPrice) {
       alert('Please enter product, quantity, and unit price');
       return;
     }
@@ -1782,20 +2789,45 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
     const unitPrice = parseFloat(currentUnitPrice);
     const total = (quantity * unitPrice).toFixed(2);
 
+    // Record the price as resolved now, so the line stays accurate when prices change
     const newProduct = {
       id: Date.now().toString(),
-      product: currentProduct,
+      product: catalogProduct.name,
+      sku: catalogProduct.sku,
+      unit: catalogProduct.unit,
       quantity: quantity,
       unitPrice: unitPrice,
+      listPrice: quote.listPrice,
+      priceSource: isResolvedPrice(unitPrice, quote) ? quote.source : 'manual',
       total: parseFloat(total)
     };
 
     setOrderProducts([...orderProducts, newProduct]);
     
     // Clear form
-    setCurrentProduct('');
+    setCurrentProductId('');
     setCurrentQuantity('');
     setCurrentUnitPrice('');
+    setPriceEdited(false);
+  };
+
+  const fillUnitPrice = (productId, quantity) => {
+    const product = findProduct(catalog, productId);
+    const resolved = product && resolvePrice(product, parseFloat(quantity) || 0, customer.customPrices);
+    setCurrentUnitPrice(resolved && resolved.unitPrice > 0 ? resolved.unitPrice.toFixed(2) : '');
+  };
+
+  // Picking a product fills in its price
+  const selectOrderProduct = (productId) => {
+    setCurrentProductId(productId);
+    setPriceEdited(false);
+    fillUnitPrice(productId, currentQuantity);
+  };
+
+  // Quantity breaks change the price, unless the rep set it by hand
+  const changeOrderQuantity = (quantity) => {
+    setCurrentQuantity(quantity);
+    if (!priceEdited) fillUnitPrice(currentProductId, quantity);
   };
 
   const removeProductFromOrder = (productId) => {
@@ -1806,7 +2838,34 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
     return orderProducts.reduce((sum, product) => sum + product.total, 0).toFixed(2);
   };
 
-  const saveQuickOrder = () => {
+  // Open the quick order with the last order's products at today's prices
+  const startReorder = () => {
+    const stamp = Date.now();
+    setOrderProducts(previousSale.products.map((line, index) => {
+      const product = catalog.find(p => productKey(p) === lineKey(line));
+      const resolved = product && resolvePrice(product, Number(line.quantity) || 0, customer.customPrices);
+      const unitPrice = resolved && resolved.unitPrice > 0 ? resolved.unitPrice : Number(line.unitPrice) || 0;
+      return {
+        id: `${stamp}-${index}`,
+        product: line.product,
+        sku: line.sku,
+        unit: line.unit,
+        quantity: Number(line.quantity) || 0,
+        unitPrice,
+        listPrice: resolved ? resolved.listPrice : line.listPrice,
+        priceSource: resolved && resolved.unitPrice > 0 ? resolved.source : 'manual',
+        total: parseFloat(((Number(line.quantity) || 0) * unitPrice).toFixed(2))
+      };
+    }));
+    setOrderCWO(!!previousSale.cwo);
+    setShowQuickOrder(true);
+  };
+
+  // Tax on the order being entered, stored with it when saved
+  const orderTax = calculateTax(customer, parseFloat(calculateOrderTotal()), taxSettings);
+
+  // asQuote saves a quote, which doesn't count as a sale until confirmed
+  const saveQuickOrder = (asQuote = false) => {
     if (orderProducts.length === 0) {
       alert('Please add at least one product to the order');
       return;
@@ -1817,107 +2876,107 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       return;
     }
 
-    const newOrder = {
+    let newOrder = setOrderStatus({
       id: Date.now().toString(),
       date: new Date().toISOString().split('T')[0],
-      products: orderProducts,
+      products: orderProducts.map(line => ({ ...line, delivered: 0 })),
       orderTotal: parseFloat(calculateOrderTotal()),
+      tax: orderTax,
       cwo: orderCWO,
-      pendingDelivery: orderPendingDelivery,
-      expectedDeliveryDate: orderDeliveryDate || null,
+      expectedDeliveryDate: orderPendingDelivery ? orderDeliveryDate : null,
+      deliveryMethod: orderPendingDelivery ? orderDeliveryMethod.trim() : '',
       notes: orderNotes,
-      delivered: false
-    };
+      addedBy: currentUser,
+      deliveries: [],
+      payments: []
+    }, asQuote ? 'quoted' : 'ordered', { user: currentUser });
+
+    if (asQuote) {
+      newOrder = withDocumentNumber(newOrder, 'quote');
+    }
+
+    if (!asQuote && orderCWO) {
+      newOrder = recordPayment(newOrder, cwoPayment(newOrder), { user: currentUser });
+    }
+
+    // Orders that don't need delivery are handed over on the spot
+    if (!asQuote && !orderPendingDelivery) {
+      newOrder = settleIfPaid(recordDelivery(newOrder, remainingQuantities(newOrder), { user: currentUser }), { user: currentUser });
+    }
 
     const updatedCustomer = {
       ...customer,
-      purchases: [newOrder, ...(customer.purchases || [])],
-      orderPendingDelivery: orderPendingDelivery ? true : customer.orderPendingDelivery,
-      expectedDeliveryDate: orderPendingDelivery ? orderDeliveryDate : customer.expectedDeliveryDate
+      purchases: [newOrder, ...(customer.purchases || [])]
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, asQuote ? `Add quote ${newOrder.quoteNumber}` : 'Add order');
     
     // Reset form
     setShowQuickOrder(false);
     setOrderProducts([]);
-    setCurrentProduct('');
+    setCurrentProductId('');
     setCurrentQuantity('');
     setCurrentUnitPrice('');
+    setPriceEdited(false);
     setOrderCWO(false);
     setOrderPendingDelivery(false);
     setOrderDeliveryDate('');
+    setOrderDeliveryMethod('');
     setOrderNotes('');
   };
 
   const cancelQuickOrder = () => {
     setShowQuickOrder(false);
     setOrderProducts([]);
-    setCurrentProduct('');
+    setCurrentProductId('');
     setCurrentQuantity('');
     setCurrentUnitPrice('');
+    setPriceEdited(false);
     setOrderCWO(false);
     setOrderPendingDelivery(false);
     setOrderDeliveryDate('');
+    setOrderDeliveryMethod('');
     setOrderNotes('');
   };
 
+  // How long the customer has been in their current stage
+  const stageStint = currentStint(customer);
+
   // Quick action handlers
   const handleLeadStageChange = (newStage) => {
     const updatedCustomer = {
       ...customer,
       leadStage: newStage
     };
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, `Change stage to ${newStage}`, { undoable: true });
   };
 
   const handleChangeFollowupDate = () => {
     setNewFollowupDate(customer.followUpDate || '');
-    setShowChangeFollowupDate(true);
-  };
-
-  const saveNewFollowupDate = () => {
-    if (!newFollowupDate) {
-      alert('Please select a date');
-      return;
-    }
-
-    const updatedCustomer = {
-      ...customer,
-      followUpDate: newFollowupDate
-    };
-
-    onUpdate(updatedCustomer);
-    setShowChangeFollowupDate(false);
-    setNewFollowupDate('');
-  };
-
-  const handleMarkDeliveryPending = () => {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    setNewDeliveryDate(tomorrow.toISOString().split('T')[0]);
-    setShowMarkDeliveryPending(true);
+    setShowChangeFollowupDate(true);
   };
 
-  const saveDeliveryPending = () => {
-    if (!newDeliveryDate) {
-      alert('Please select an expected delivery date');
+  const saveNewFollowupDate = () => {
+    if (!newFollowupDate) {
+      alert('Please select a date');
       return;
     }
 
     const updatedCustomer = {
       ...customer,
-      orderPendingDelivery: true,
-      expectedDeliveryDate: newDeliveryDate
+      followUpDate: newFollowupDate
     };
 
-    onUpdate(updatedCustomer);
-    setShowMarkDeliveryPending(false);
-    setNewDeliveryDate('');
+    onUpdate(updatedCustomer, 'Change follow-up date');
+    setShowChangeFollowupDate(false);
+    setNewFollowupDate('');
   };
 
-  const handleChangeDeliveryDate = () => {
-    setNewDeliveryDate(customer.expectedDeliveryDate || '');
+  const handleChangeDeliveryDate = (orderId) => {
+    const order = findOrder(orderId);
+    setDateOrderId(order.id);
+    setNewDeliveryDate(order.expectedDeliveryDate || '');
+    setNewDeliveryMethod(order.deliveryMethod || '');
     setShowChangeDeliveryDate(true);
   };
 
@@ -1927,28 +2986,18 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       return;
     }
 
+    const order = findOrder(dateOrderId);
     const updatedCustomer = {
       ...customer,
-      expectedDeliveryDate: newDeliveryDate
-    };
-
-    onUpdate(updatedCustomer);
-    setShowChangeDeliveryDate(false);
-    setNewDeliveryDate('');
-  };
-
-  const handleCancelDelivery = () => {
-    if (!window.confirm('Cancel pending delivery? This will remove the delivery status.')) return;
-
-    const updatedCustomer = {
-      ...customer,
-      orderPendingDelivery: false,
-      expectedDeliveryDate: null
+      purchases: customer.purchases.map(p => (
+        p === order ? { ...p, expectedDeliveryDate: newDeliveryDate, deliveryMethod: newDeliveryMethod.trim() } : p
+      ))
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, 'Change delivery date');
     setShowChangeDeliveryDate(false);
     setNewDeliveryDate('');
+    setNewDeliveryMethod('');
   };
 
   // Demo handlers
@@ -1980,7 +3029,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       demos: updatedDemos
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, `${demo?.completed ? 'Unmark' : 'Complete'} ${selectedDemo} demo`);
     setShowDemoDialog(false);
     setSelectedDemo(null);
     setDemoDate('');
@@ -2005,22 +3054,22 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       demos: updatedDemos
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, `Set ${selectedDemo} demo date`);
     setShowDemoDialog(false);
     setSelectedDemo(null);
     setDemoDate('');
   };
 
-  // Delete purchase (for Cancel Order button)
+  // Delete purchase (for Delete Order button)
   const deletePurchase = (purchaseId) => {
-    if (!window.confirm('Cancel this order? This will permanently delete it from the purchase history.')) return;
+    if (!window.confirm('Delete this order? It will be moved to the Recycle Bin.')) return;
 
     const updatedCustomer = {
       ...customer,
-      purchases: (customer.purchases || []).filter(p => p.id !== purchaseId)
+      purchases: (customer.purchases || []).map(p => p.id === purchaseId ? moveToBin(p, currentUser) : p)
     };
 
-    onUpdate(updatedCustomer);
+    onUpdate(updatedCustomer, 'Delete order', { undoable: true });
   };
 
   // Count completed demos
@@ -2033,26 +3082,70 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       <div className="detail-header">
         <button className="btn-back" onClick={onClose}>← Back to List</button>
         <div className="detail-actions">
-          <button className="btn btn-secondary" onClick={() => onEdit(customer)}>
-            ✏️ Edit
+          {!readOnly && (
+            <>
+              <button className="btn btn-secondary" onClick={() => onEdit(customer)}>
+                ✏️ Edit
+              </button>
+              <button 
+                className={`btn ${customer.active ? 'btn-warning' : 'btn-success'}`}
+                onClick={() => onToggleActive(customer)}
+              >
+                {customer.active ? 'Mark Inactive' : 'Reactivate'}
+              </button>
+            </>
+          )}
+          {canDelete && (
+            <button className="btn btn-danger" onClick={() => onDelete(customer.id)}>
+              🗑️ Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="detail-content">
+        <div className="detail-tabs">
+          <button
+            className={`detail-tab ${detailTab === 'overview' ? 'active' : ''}`}
+            onClick={() => setDetailTab('overview')}
+          >
+            Overview
           </button>
-          <button 
-            className={`btn ${customer.active ? 'btn-warning' : 'btn-success'}`}
-            onClick={() => onToggleActive(customer)}
+          <button
+            className={`detail-tab ${detailTab === 'pricing' ? 'active' : ''}`}
+            onClick={() => setDetailTab('pricing')}
           >
-            {customer.active ? 'Mark Inactive' : 'Reactivate'}
+            💲 Prices ({Object.keys(customer.customPrices || {}).length})
           </button>
-          <button className="btn btn-danger" onClick={() => onDelete(customer.id)}>
-            🗑️ Delete
+          <button
+            className={`detail-tab ${detailTab === 'history' ? 'active' : ''}`}
+            onClick={() => setDetailTab('history')}
+          >
+            📜 History ({(customer.auditLog || []).length})
           </button>
         </div>
-      </div>
 
-      <div className="detail-content">
+        {detailTab === 'history' ? (
+          <div className="detail-section">
+            <h2>{customer.name}</h2>
+            <CustomerAuditTrail customer={customer} />
+          </div>
+        ) : detailTab === 'pricing' ? (
+          <CustomerPricing
+            customer={customer}
+            catalog={catalog}
+            readOnly={readOnly}
+            onUpdate={onUpdate}
+          />
+        ) : (
+        <>
         <div className="detail-section">
           <h2>{customer.name}</h2>
           {customer.company && <p className="company-name">{customer.company}</p>}
-          <span className={`badge badge-${customer.active ? customer.leadStage.toLowerCase() : 'inactive'}`}>
+          <span
+            className={`badge ${customer.active ? '' : 'badge-inactive'}`}
+            style={customer.active ? stageBadgeStyle(pipeline, customer.leadStage) : undefined}
+          >
             {customer.active ? customer.leadStage : 'Inactive'}
           </span>
           
@@ -2062,9 +3155,38 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
               <span className="info-value">
                 {customer.address && `${customer.address}, `}
                 {customer.city}, {customer.state} {customer.zip}
+                {customer.county && ` • ${customer.county} County`}
+              </span>
+            </div>
+
+            <div className="info-item">
+              <span className="info-label">🧾 Sales Tax</span>
+              <span className="info-value">
+                {customer.taxExempt ? (
+                  <>
+                    {isTaxExempt(customer) ? 'Exempt' : <strong className="tax-expired">Exemption expired</strong>}
+                    {customer.taxCertificate && ` • Cert #${customer.taxCertificate}`}
+                    {customer.taxCertificateExpires &&
+                      ` • ${isTaxExempt(customer) ? 'expires' : 'expired'} ${new Date(`${customer.taxCertificateExpires}T00:00:00`).toLocaleDateString()}`}
+                  </>
+                ) : (
+                  `${formatRate(customerTaxRate.rate)}${customerTaxRate.jurisdiction ? ` (${customerTaxRate.jurisdiction})` : ''}`
+                )}
               </span>
             </div>
             
+            <div className="info-item">
+              <span className="info-label">👤 Owner</span>
+              <span className="info-value">{customer.owner || 'Unassigned'}</span>
+            </div>
+
+            {customer.territory && (
+              <div className="info-item">
+                <span className="info-label">🧭 Territory</span>
+                <span className="info-value">{customer.territory}</span>
+              </div>
+            )}
+
             {customer.referralSource && (
               <div className="info-item">
                 <span className="info-label">🤝 Referral Source</span>
@@ -2087,20 +3209,26 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                   <span className="task-compact-icon">🏷️</span>
                   <div>
                     <div className="task-compact-label">Lead Stage</div>
-                    <div className="task-compact-date">{customer.leadStage}</div>
+                    <div className="task-compact-date">
+                      {customer.leadStage}
+                      {stageStint && ` • ${Math.floor(stageStint.days)} days`}
+                    </div>
                   </div>
                 </div>
-                <select 
-                  className="stage-selector"
-                  value={customer.leadStage}
-                  onChange={(e) => handleLeadStageChange(e.target.value)}
-                >
-                  <option value="Lead">Lead</option>
-                  <option value="Warm">Warm</option>
-                  <option value="Hot">Hot</option>
-                  <option value="Customer">Customer</option>
-                  <option value="Inactive">Inactive</option>
-                </select>
+                {!readOnly && (
+                  <select 
+                    className="stage-selector"
+                    value={customer.leadStage}
+                    onChange={(e) => handleLeadStageChange(e.target.value)}
+                  >
+                    {stageNames(pipeline).map(stage => (
+                      <option key={stage} value={stage}>{stage}</option>
+                    ))}
+                    {!stageNames(pipeline).includes(customer.leadStage) && (
+                      <option value={customer.leadStage}>{customer.leadStage}</option>
+                    )}
+                  </select>
+                )}
               </div>
             </div>
 
@@ -2117,20 +3245,22 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                       </div>
                     </div>
                   </div>
-                  <div className="task-compact-actions-stacked">
-                    <button 
-                      className="btn btn-success btn-stacked"
-                      onClick={handleCompleteFollowup}
-                    >
-                      ✓ Complete
-                    </button>
-                    <button 
-                      className="btn btn-secondary btn-stacked"
-                      onClick={handleChangeFollowupDate}
-                    >
-                      Change Date
-                    </button>
-                  </div>
+                  {!readOnly && (
+                    <div className="task-compact-actions-stacked">
+                      <button 
+                        className="btn btn-success btn-stacked"
+                        onClick={handleCompleteFollowup}
+                      >
+                        ✓ Complete
+                      </button>
+                      <button 
+                        className="btn btn-secondary btn-stacked"
+                        onClick={handleChangeFollowupDate}
+                      >
+                        Change Date
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
             ) : (
@@ -2143,47 +3273,58 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                       <div className="task-compact-empty">No follow-up scheduled</div>
                     </div>
                   </div>
-                  <button 
-                    className="btn btn-primary btn-stacked"
-                    onClick={handleChangeFollowupDate}
-                  >
-                    Set Date
-                  </button>
+                  {!readOnly && (
+                    <button 
+                      className="btn btn-primary btn-stacked"
+                      onClick={handleChangeFollowupDate}
+                    >
+                      Set Date
+                    </button>
+                  )}
                 </div>
               </div>
             )}
 
-            {/* DELIVERY SECTION - ENHANCED */}
-            {customer.orderPendingDelivery ? (
-              <div className="task-section-compact delivery">
-                <div className="task-compact-content-stacked">
-                  <div className="task-compact-header">
-                    <span className="task-compact-icon">📦</span>
-                    <div>
-                      <div className="task-compact-label">Order Pending Delivery</div>
-                      {customer.expectedDeliveryDate && (
-                        <div className="task-compact-date">
-                          Due: {new Date(customer.expectedDeliveryDate).toLocaleDateString()}
+            {/* DELIVERY SECTION - one card per open order */}
+            {pendingOrders.length > 0 ? (
+              pendingOrders.map(order => (
+                <div key={order.id} className="task-section-compact delivery">
+                  <div className="task-compact-content-stacked">
+                    <div className="task-compact-header">
+                      <span className="task-compact-icon">📦</span>
+                      <div>
+                        <div className="task-compact-label">
+                          {backorderQuantity(order)} to deliver • Ordered {new Date(order.date).toLocaleDateString()}
                         </div>
-                      )}
+                        <div className="task-compact-products">{describeOrder(order)}</div>
+                        <div className={order.expectedDeliveryDate ? 'task-compact-date' : 'task-compact-empty'}>
+                          {order.expectedDeliveryDate
+                            ? `Due: ${new Date(order.expectedDeliveryDate).toLocaleDateString()}`
+                            : 'No delivery date set'}
+                          {order.deliveryMethod && ` • ${order.deliveryMethod}`}
+                          {order.status === 'partial' && ` • ${ORDER_STATUSES.partial}`}
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                  <div className="task-compact-actions-stacked">
-                    <button 
-                      className="btn btn-success btn-stacked"
-                      onClick={handleCompleteDelivery}
-                    >
-                      ✓ Delivered
-                    </button>
-                    <button 
-                      className="btn btn-secondary btn-stacked"
-                      onClick={handleChangeDeliveryDate}
-                    >
-                      Change Date
-                    </button>
+                    {!readOnly && (
+                      <div className="task-compact-actions-stacked">
+                        <button 
+                          className="btn btn-success btn-stacked"
+                          onClick={() => handleCompleteDelivery(order.id)}
+                        >
+                          ✓ Delivered
+                        </button>
+                        <button 
+                          className="btn btn-secondary btn-stacked"
+                          onClick={() => handleChangeDeliveryDate(order.id)}
+                        >
+                          Change Date
+                        </button>
+                      </div>
+                    )}
                   </div>
                 </div>
-              </div>
+              ))
             ) : (
               <div className="task-section-compact">
                 <div className="task-compact-content-stacked">
@@ -2191,36 +3332,43 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                     <span className="task-compact-icon">📦</span>
                     <div>
                       <div className="task-compact-label">Delivery Status</div>
-                      <div className="task-compact-empty">No pending delivery</div>
+                      <div className="task-compact-empty">No open orders to deliver</div>
                     </div>
                   </div>
-                  <button 
-                    className="btn btn-primary btn-stacked"
-                    onClick={handleMarkDeliveryPending}
-                  >
-                    + Add Delivery
-                  </button>
                 </div>
               </div>
             )}
 
             {/* QUICK ORDER SECTION */}
-            <div className="task-section-compact order-section">
-              <div className="task-compact-content">
-                <div className="task-compact-info">
-                  <span className="task-compact-icon">💰</span>
-                  <div>
-                    <div className="task-compact-label">Add New Order</div>
+            {!readOnly && (
+              <div className="task-section-compact order-section">
+                <div className="task-compact-content">
+                  <div className="task-compact-info">
+                    <span className="task-compact-icon">💰</span>
+                    <div>
+                      <div className="task-compact-label">Add New Order</div>
+                    </div>
+                  </div>
+                  <div className="order-section-actions">
+                    {previousSale && (
+                      <button 
+                        className="btn btn-secondary btn-compact"
+                        onClick={startReorder}
+                        title={`Start from the ${new Date(previousSale.date).toLocaleDateString()} order`}
+                      >
+                        🔁 Reorder
+                      </button>
+                    )}
+                    <button 
+                      className="btn btn-primary btn-compact"
+                      onClick={() => setShowQuickOrder(true)}
+                    >
+                      + Add Order
+                    </button>
                   </div>
                 </div>
-                <button 
-                  className="btn btn-primary btn-compact"
-                  onClick={() => setShowQuickOrder(true)}
-                >
-                  + Add Order
-                </button>
               </div>
-            </div>
+            )}
           </div>
         </div>
 
@@ -2241,8 +3389,8 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
               {demoTypes.map(demoType => (
                 <div 
                   key={demoType} 
-                  className={`demo-status ${customer.demos[demoType]?.completed ? 'completed' : 'pending'} clickable`}
-                  onClick={() => handleDemoClick(demoType)}
+                  className={`demo-status ${customer.demos[demoType]?.completed ? 'completed' : 'pending'}${readOnly ? '' : ' clickable'}`}
+                  onClick={readOnly ? undefined : () => handleDemoClick(demoType)}
                 >
                   <div className="demo-status-icon">
                     {customer.demos[demoType]?.completed ? '✅' : '⭕'}
@@ -2271,86 +3419,204 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
         <div className="detail-section">
           <h3>💰 Purchase History</h3>
 
-            {customer.purchases && customer.purchases.length > 0 ? (
+            {purchases.length > 0 ? (
               <>
                 <div className="purchase-stats">
                   <div className="purchase-stat">
                     <span className="purchase-stat-label">Total Spent:</span>
                     <span className="purchase-stat-value">
-                      ${customer.purchases.reduce((sum, p) => sum + (p.orderTotal || p.total), 0).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                      ${sales.reduce((sum, p) => sum + p.orderTotal, 0).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                     </span>
                   </div>
                   <div className="purchase-stat">
                     <span className="purchase-stat-label">Total Orders:</span>
-                    <span className="purchase-stat-value">{customer.purchases.length}</span>
+                    <span className="purchase-stat-value">{sales.length}</span>
                   </div>
                   <div className="purchase-stat">
                     <span className="purchase-stat-label">Last Purchase:</span>
                     <span className="purchase-stat-value">
-                      {new Date(Math.max(...customer.purchases.map(p => new Date(p.date)))).toLocaleDateString()}
+                      {sales.length > 0 ? new Date(Math.max(...sales.map(p => new Date(p.date)))).toLocaleDateString() : '—'}
                     </span>
                   </div>
                   <div className="purchase-stat">
                     <span className="purchase-stat-label">CWO Orders:</span>
                     <span className="purchase-stat-value">
-                      {customer.purchases.filter(p => p.cwo).length}
+                      {sales.filter(p => p.cwo).length}
+                    </span>
+                  </div>
+                  <div className="purchase-stat">
+                    <span className="purchase-stat-label">Open Orders:</span>
+                    <span className="purchase-stat-value">{pendingOrders.length}</span>
+                  </div>
+                  <div className="purchase-stat">
+                    <span className="purchase-stat-label">Balance Due:</span>
+                    <span className={`purchase-stat-value ${balanceDue > 0 ? 'balance-due' : ''}`}>
+                      ${balanceDue.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                     </span>
                   </div>
                 </div>
 
+                {reorderRhythm.length > 0 && (
+                  <div className="reorder-rhythm">
+                    <h4>🔁 Reorder Rhythm</h4>
+                    {reorderRhythm.map(prediction => (
+                      <div
+                        key={prediction.key}
+                        className={`reorder-rhythm-item ${prediction.daysUntil < 0 ? 'overdue' : ''}`}
+                      >
+                        <span>
+                          <strong>{prediction.product}</strong> every ~{prediction.intervalDays} days
+                          {' '}({prediction.orderCount} orders)
+                        </span>
+                        <span>
+                          {prediction.daysUntil < 0
+                            ? `${Math.abs(prediction.daysUntil)} days overdue`
+                            : prediction.daysUntil === 0 ? 'Due today' : `Due in ${prediction.daysUntil} days`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 <div className="purchases-list">
-                  {[...customer.purchases]
+                  {[...purchases]
                     .sort((a, b) => new Date(b.date) - new Date(a.date))
                     .map(purchase => (
                       <div key={purchase.id} className="purchase-item">
                         <div className="purchase-item-main">
                           <div className="purchase-item-header">
                             <h4>
-                              {purchase.products ? (
-                                `Order - ${purchase.products.length} product${purchase.products.length > 1 ? 's' : ''}`
-                              ) : (
-                                purchase.product
+                              {`${purchase.status === 'quoted' ? 'Quote' : 'Order'} - ${purchase.products.length} product${purchase.products.length > 1 ? 's' : ''}`}
+                              {(purchase.invoiceNumber || purchase.quoteNumber) && (
+                                <span className="order-number"> #{purchase.invoiceNumber || purchase.quoteNumber}</span>
                               )}
                             </h4>
                             <div className="purchase-item-badges">
+                              <span className={`order-status order-status-${purchase.status}`}>
+                                {ORDER_STATUSES[purchase.status] || purchase.status}
+                              </span>
                               {purchase.cwo && (
                                 <span className="cwo-badge" title="Check With Order - 10% bonus">CWO</span>
                               )}
                               <span className="purchase-total">
-                                ${(purchase.orderTotal || purchase.total).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                                ${purchase.orderTotal.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}
                               </span>
                             </div>
                           </div>
                           
-                          {/* Multi-product order display */}
-                          {purchase.products ? (
-                            <div className="purchase-products-list">
-                              {purchase.products.map((prod, idx) => (
-                                <div key={idx} className="purchase-product-line">
-                                  <span className="product-qty">{prod.quantity}</span> × 
-                                  <span className="product-name">{prod.product}</span> @ 
-                                  <span className="product-price">${prod.unitPrice.toFixed(2)}</span> = 
-                                  <span className="product-total">${prod.total.toFixed(2)}</span>
-                                </div>
+                          <div className="purchase-products-list">
+                            {purchase.products.map((prod, idx) => (
+                              <div key={idx} className="purchase-product-line">
+                                <span className="product-qty">{prod.quantity}</span> × 
+                                <span className="product-name">{prod.product}</span> @ 
+                                <span className="product-price">${prod.unitPrice.toFixed(2)}</span> = 
+                                <span className="product-total">${prod.total.toFixed(2)}</span>
+                                {openLines(purchase).includes(prod) && (
+                                  <span className="line-backorder">
+                                    {' '}• {prod.delivered || 0} delivered, {lineBalance(prod)} backordered
+                                  </span>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+
+                          {purchase.tax && (
+                            <p className="order-tax">
+                              {purchase.tax.exempt
+                                ? `🧾 Tax exempt${purchase.tax.certificateNumber ? ` (cert #${purchase.tax.certificateNumber})` : ''}`
+                                : `🧾 Tax ${formatRate(purchase.tax.rate)}${purchase.tax.jurisdiction ? ` (${purchase.tax.jurisdiction})` : ''}: $${purchase.tax.amount.toFixed(2)}`}
+                              {' '}• Total with tax ${orderTotalWithTax(purchase).toFixed(2)}
+                            </p>
+                          )}
+                          {(purchase.payments || []).length > 0 && (
+                            <ul className="order-payments">
+                              {purchase.payments.map(payment => (
+                                <li key={payment.id}>
+                                  💵 {new Date(`${payment.date}T00:00:00`).toLocaleDateString()}: ${Number(payment.amount).toFixed(2)}
+                                  {payment.method && ` by ${payment.method}`}
+                                  {payment.checkNumber && ` #${payment.checkNumber}`}
+                                  {payment.note && ` • ${payment.note}`}
+                                </li>
                               ))}
-                            </div>
-                          ) : (
-                            /* Single product display (legacy) */
-                            <div className="purchase-item-details">
-                              <span>📦 Qty: {purchase.quantity}</span>
-                              <span>💵 ${purchase.unitPrice.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})} each</span>
-                            </div>
+                            </ul>
+                          )}
+                          {orderBalance(purchase) > 0 && (
+                            <p className="order-balance">
+                              Balance due: ${orderBalance(purchase).toFixed(2)}
+                              {amountPaid(purchase) > 0 && ` (paid $${amountPaid(purchase).toFixed(2)})`}
+                            </p>
+                          )}
+                          {pendingOrders.includes(purchase) && (purchase.expectedDeliveryDate || purchase.deliveryMethod) && (
+                            <p className="order-due">
+                              📦 {purchase.expectedDeliveryDate
+                                ? `Expected: ${new Date(purchase.expectedDeliveryDate).toLocaleDateString()}`
+                                : 'No delivery date'}
+                              {purchase.deliveryMethod && ` • ${purchase.deliveryMethod}`}
+                            </p>
+                          )}
+                          {(purchase.deliveries || []).length > 0 && (purchase.expectedDeliveryDate || purchase.deliveries.length > 1) && (
+                            <ul className="order-deliveries">
+                              {purchase.deliveries.map(delivery => (
+                                <li key={delivery.id}>
+                                  🚚 {new Date(`${delivery.date}T00:00:00`).toLocaleDateString()}:{' '}
+                                  {delivery.lines.map(line => `${line.quantity} × ${line.product}`).join(', ')}
+                                  {delivery.deliveredBy && ` • 👤 ${delivery.deliveredBy}`}
+                                </li>
+                              ))}
+                            </ul>
                           )}
                           
                           <div className="purchase-item-footer">
-                            <span>📅 {new Date(purchase.date).toLocaleDateString()}</span>
-                            <button 
-                              className="btn btn-sm btn-danger-outline"
-                              onClick={() => deletePurchase(purchase.id)}
-                              title="Cancel this order"
-                            >
-                              🗑️ Cancel Order
-                            </button>
+                            <span>
+                              📅 {new Date(purchase.date).toLocaleDateString()}
+                              {purchase.addedBy && ` • 👤 ${purchase.addedBy}`}
+                            </span>
+                            <div className="order-actions">
+                              {purchase.status !== 'cancelled' && (
+                                <button
+                                  className="btn btn-sm btn-secondary"
+                                  onClick={() => openDocument(purchase)}
+                                >
+                                  {purchase.status === 'quoted' ? '📄 Quote' : '🧾 Invoice'}
+                                </button>
+                              )}
+                              {!readOnly && (
+                                <>
+                                  {pendingOrders.includes(purchase) && (
+                                    <button
+                                      className="btn btn-sm btn-success"
+                                      onClick={() => handleCompleteDelivery(purchase.id)}
+                                    >
+                                      🚚 Deliver
+                                    </button>
+                                  )}
+                                  {orderBalance(purchase) > 0 && (
+                                    <button
+                                      className="btn btn-sm btn-success"
+                                      onClick={() => handleRecordPayment(purchase)}
+                                    >
+                                      💵 Payment
+                                    </button>
+                                  )}
+                                  {(STATUS_ACTIONS[purchase.status] || []).map(action => (
+                                    <button
+                                      key={action.status}
+                                      className={`btn btn-sm ${action.status === 'cancelled' ? 'btn-secondary' : 'btn-primary'}`}
+                                      onClick={() => changeOrderStatus(purchase, action.status)}
+                                    >
+                                      {action.label}
+                                    </button>
+                                  ))}
+                                  <button 
+                                    className="btn btn-sm btn-danger-outline"
+                                    onClick={() => deletePurchase(purchase.id)}
+                                    title="Move this order to the Recycle Bin"
+                                  >
+                                    🗑️ Delete
+                                  </button>
+                                </>
+                              )}
+                            </div>
                           </div>
                           
                           {purchase.notes && (
@@ -2394,10 +3660,12 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
 
         <div className="detail-section">
           <div className="notes-header">
-            <h3>Notes & Activity ({(customer.notes || []).length})</h3>
-            <button className="btn btn-primary btn-small" onClick={() => setShowNoteForm(!showNoteForm)}>
-              + Add Note
-            </button>
+            <h3>Notes & Activity ({notes.length})</h3>
+            {!readOnly && (
+              <button className="btn btn-primary btn-small" onClick={() => setShowNoteForm(!showNoteForm)}>
+                + Add Note
+              </button>
+            )}
           </div>
 
           {showNoteForm && (
@@ -2456,7 +3724,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
             </div>
           )}
 
-          {(customer.notes || []).length > 0 && (
+          {notes.length > 0 && (
             <div className="notes-filter">
               <label>Filter by contact:</label>
               <select value={filterContact} onChange={(e) => setFilterContact(e.target.value)}>
@@ -2484,26 +3752,30 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                   <p className="note-text">{note.text}</p>
                   <div className="note-footer">Added by: {note.addedBy}</div>
                 </div>
-                <div className="note-item-actions">
-                  <button 
-                    className="btn-icon"
-                    onClick={() => editNote(note)}
-                    title="Edit note"
-                  >
-                    ✏️
-                  </button>
-                  <button 
-                    className="btn-icon"
-                    onClick={() => deleteNote(note.id)}
-                    title="Delete note"
-                  >
-                    🗑️
-                  </button>
-                </div>
+                {!readOnly && (
+                  <div className="note-item-actions">
+                    <button 
+                      className="btn-icon"
+                      onClick={() => editNote(note)}
+                      title="Edit note"
+                    >
+                      ✏️
+                    </button>
+                    <button 
+                      className="btn-icon"
+                      onClick={() => deleteNote(note.id)}
+                      title="Delete note"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
         </div>
+        </>
+        )}
       </div>
 
       {/* Complete Follow-up Dialog */}
@@ -2556,32 +3828,58 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
       {showCompleteDelivery && (
         <div className="modal-overlay" onClick={() => setShowCompleteDelivery(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <h3>✓ Confirm Delivery</h3>
+            <h3>✓ Record Delivery</h3>
             
             <div className="form-group">
-              <label>Select Purchase Delivered:</label>
+              <label>Order:</label>
               <select
                 value={selectedPurchaseForDelivery || ''}
-                onChange={(e) => setSelectedPurchaseForDelivery(e.target.value)}
+                onChange={(e) => selectOrderForDelivery(e.target.value)}
               >
-                <option value="">-- Select Purchase --</option>
-                {(customer.purchases || [])
-                  .filter(p => !p.delivered)
-                  .map(purchase => (
-                    <option key={purchase.id} value={purchase.id}>
-                      {purchase.product} - Qty: {purchase.quantity} - ${purchase.total} ({new Date(purchase.date).toLocaleDateString()})
-                    </option>
-                  ))}
+                {pendingOrders.map(purchase => (
+                  <option key={purchase.id} value={purchase.id}>
+                    {describeOrder(purchase)} - ${purchase.orderTotal.toFixed(2)} ({new Date(purchase.date).toLocaleDateString()})
+                  </option>
+                ))}
               </select>
             </div>
 
+            <div className="form-group">
+              <label>Delivered On:</label>
+              <input
+                type="date"
+                value={deliveryDate}
+                onChange={(e) => setDeliveryDate(e.target.value)}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Quantities Delivered:</label>
+              {openLines(findOrder(selectedPurchaseForDelivery) || {}).map(line => (
+                <div key={line.id} className="delivery-line">
+                  <span className="delivery-line-product">
+                    {line.product} <small>({lineBalance(line)} outstanding)</small>
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max={lineBalance(line)}
+                    step="any"
+                    value={deliveryQuantities[line.id] ?? ''}
+                    onChange={(e) => setDeliveryQuantities({ ...deliveryQuantities, [line.id]: e.target.value })}
+                  />
+                </div>
+              ))}
+              <p className="help-text">Anything not delivered now stays on backorder.</p>
+            </div>
+
             <div className="modal-actions">
               <button 
                 className="btn btn-primary"
                 onClick={saveDeliveryCompletion}
                 disabled={!selectedPurchaseForDelivery}
               >
-                Confirm Delivery
+                Save Delivery
               </button>
               <button 
                 className="btn btn-secondary"
@@ -2607,7 +3905,10 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                 {orderProducts.map(product => (
                   <div key={product.id} className="order-product-item">
                     <div className="order-product-info">
-                      <strong>{product.quantity}</strong> × {product.product} @ ${product.unitPrice.toFixed(2)} = <strong>${product.total.toFixed(2)}</strong>
+                      <strong>{product.quantity}</strong>{product.unit && product.unit !== 'each' ? ` ${product.unit}` : ''} × {product.product} @ ${product.unitPrice.toFixed(2)} = <strong>${product.total.toFixed(2)}</strong>
+                      {describeDiscount(product.unitPrice, product.listPrice) && (
+                        <span className="order-line-discount"> ({PRICE_SOURCES[product.priceSource]}, {describeDiscount(product.unitPrice, product.listPrice)})</span>
+                      )}
                     </div>
                     <button 
                       className="btn-icon btn-delete"
@@ -2628,13 +3929,18 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                 <div className="form-group">
                   <label>Product *</label>
                   <select
-                    value={currentProduct}
-                    onChange={(e) => setCurrentProduct(e.target.value)}
+                    value={currentProductId}
+                    onChange={(e) => selectOrderProduct(e.target.value)}
                   >
                     <option value="">-- Select Product --</option>
-                    {productList.map(product => (
-                      <option key={product} value={product}>{product}</option>
-                    ))}
+                    {productsByCategory(catalog).map(([category, products]) => {
+                      const options = products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {productLabel(product)}{product.listPrice > 0 ? ` - $${product.listPrice.toFixed(2)}/${product.unit}` : ''}
+                        </option>
+                      ));
+                      return category ? <optgroup key={category} label={category}>{options}</optgroup> : options;
+                    })}
                   </select>
                 </div>
               </div>
@@ -2646,7 +3952,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                     type="number"
                     step="0.01"
                     value={currentQuantity}
-                    onChange={(e) => setCurrentQuantity(e.target.value)}
+                    onChange={(e) => changeOrderQuantity(e.target.value)}
                     placeholder="0"
                   />
                 </div>
@@ -2657,11 +3963,23 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                     type="number"
                     step="0.01"
                     value={currentUnitPrice}
-                    onChange={(e) => setCurrentUnitPrice(e.target.value)}
+                    onChange={(e) => {
+                      setCurrentUnitPrice(e.target.value);
+                      setPriceEdited(true);
+                    }}
                     placeholder="0.00"
                   />
                 </div>
               </div>
+
+              {quote && currentUnitPrice !== '' && (
+                <p className="order-price-hint">
+                  {isResolvedPrice(parseFloat(currentUnitPrice), quote)
+                    ? `🏷️ ${PRICE_SOURCES[quote.source]}${quote.tier ? ` (${quote.tier.minQuantity}+)` : ''}`
+                    : `✏️ ${PRICE_SOURCES.manual}`}
+                  {describeDiscount(parseFloat(currentUnitPrice), quote.listPrice) && ` • ${describeDiscount(parseFloat(currentUnitPrice), quote.listPrice)}`}
+                </p>
+              )}
               
               <button 
                 className="btn btn-success btn-full-width"
@@ -2693,7 +4011,7 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                     checked={orderPendingDelivery}
                     onChange={(e) => setOrderPendingDelivery(e.target.checked)}
                   />
-                  <span>Order Needs Delivery (marks delivery as pending)</span>
+                  <span>Order Needs Delivery (otherwise it's recorded as delivered today)</span>
                 </label>
               </div>
 
@@ -2708,6 +4026,19 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
                 </div>
               )}
 
+              {orderPendingDelivery && (
+                <div className="form-group">
+                  <label>Delivery Method:</label>
+                  <input
+                    type="text"
+                    list="delivery-methods"
+                    placeholder="e.g. UPS, Our Truck"
+                    value={orderDeliveryMethod}
+                    onChange={(e) => setOrderDeliveryMethod(e.target.value)}
+                  />
+                </div>
+              )}
+
               <div className="form-group">
                 <label>Order Notes:</label>
                 <textarea
@@ -2722,18 +4053,31 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
             {/* Order Total */}
             {orderProducts.length > 0 && (
               <div className="order-total">
-                <strong>Order Total: ${calculateOrderTotal()}</strong>
+                <div className="order-tax-line">
+                  Subtotal: ${calculateOrderTotal()} • {orderTax.exempt
+                    ? `Tax exempt${orderTax.certificateNumber ? ` (cert #${orderTax.certificateNumber})` : ''}`
+                    : `Tax ${formatRate(orderTax.rate)}: $${orderTax.amount.toFixed(2)}`}
+                </div>
+                <strong>Order Total: ${(parseFloat(calculateOrderTotal()) + orderTax.amount).toFixed(2)}</strong>
               </div>
             )}
 
             <div className="modal-actions">
               <button 
                 className="btn btn-primary"
-                onClick={saveQuickOrder}
+                onClick={() => saveQuickOrder()}
                 disabled={orderProducts.length === 0}
               >
                 Save Order
               </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => saveQuickOrder(true)}
+                disabled={orderProducts.length === 0}
+                title="Record a quote; it counts as a sale once confirmed"
+              >
+                Save as Quote
+              </button>
               <button 
                 className="btn btn-secondary"
                 onClick={cancelQuickOrder}
@@ -2778,32 +4122,82 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
         </div>
       )}
 
-      {/* Mark Delivery Pending Dialog */}
-      {showMarkDeliveryPending && (
-        <div className="modal-overlay" onClick={() => setShowMarkDeliveryPending(false)}>
+      {documentOrderId && findOrder(documentOrderId) && (
+        <OrderDocument
+          order={findOrder(documentOrderId)}
+          customer={customer}
+          settings={documentSettings}
+          canManage={canManage}
+          readOnly={readOnly}
+          onConvert={convertDocumentQuote}
+          onSaveSettings={onSaveDocumentSettings}
+          onClose={() => setDocumentOrderId(null)}
+        />
+      )}
+
+      {/* Record Payment Dialog */}
+      {paymentOrderId && findOrder(paymentOrderId) && (
+        <div className="modal-overlay" onClick={() => setPaymentOrderId(null)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <h3>📦 Mark Delivery Pending</h3>
-            
+            <h3>💵 Record Payment</h3>
+            <p className="help-text">
+              {describeOrder(findOrder(paymentOrderId))} • ${orderBalance(findOrder(paymentOrderId)).toFixed(2)} owed
+            </p>
+
             <div className="form-group">
-              <label>Expected Delivery Date:</label>
+              <label>Amount:</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={paymentAmount}
+                onChange={(e) => setPaymentAmount(e.target.value)}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Date:</label>
               <input
                 type="date"
-                value={newDeliveryDate}
-                onChange={(e) => setNewDeliveryDate(e.target.value)}
+                value={paymentDate}
+                onChange={(e) => setPaymentDate(e.target.value)}
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Method:</label>
+              <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+            </div>
+
+            {paymentMethod === 'Check' && (
+              <div className="form-group">
+                <label>Check #:</label>
+                <input
+                  type="text"
+                  value={paymentCheckNumber}
+                  onChange={(e) => setPaymentCheckNumber(e.target.value)}
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label>Note:</label>
+              <input
+                type="text"
+                value={paymentNote}
+                onChange={(e) => setPaymentNote(e.target.value)}
               />
             </div>
 
             <div className="modal-actions">
-              <button 
-                className="btn btn-primary"
-                onClick={saveDeliveryPending}
-              >
-                Save
+              <button className="btn btn-primary" onClick={savePayment}>
+                Save Payment
               </button>
-              <button 
-                className="btn btn-secondary"
-                onClick={() => setShowMarkDeliveryPending(false)}
-              >
+              <button className="btn btn-secondary" onClick={() => setPaymentOrderId(null)}>
                 Cancel
               </button>
             </div>
@@ -2811,12 +4205,21 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
         </div>
       )}
 
+      {/* Suggestions for the order delivery method inputs */}
+      <datalist id="delivery-methods">
+        {DELIVERY_METHODS.map(method => <option key={method} value={method} />)}
+      </datalist>
+
       {/* Change Delivery Date Dialog */}
       {showChangeDeliveryDate && (
         <div className="modal-overlay" onClick={() => setShowChangeDeliveryDate(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <h3>📦 Delivery Date</h3>
-            
+            <h3>📦 Delivery Date &amp; Method</h3>
+
+            {findOrder(dateOrderId) && (
+              <p className="help-text">{describeOrder(findOrder(dateOrderId))}</p>
+            )}
+
             <div className="form-group">
               <label>Expected Delivery Date:</label>
               <input
@@ -2826,18 +4229,23 @@ const CustomerDetail = ({ customer, demoTypes, onClose, onEdit, onDelete, onTogg
               />
             </div>
 
+            <div className="form-group">
+              <label>Delivery Method:</label>
+              <input
+                type="text"
+                list="delivery-methods"
+                placeholder="e.g. UPS, Our Truck"
+                value={newDeliveryMethod}
+                onChange={(e) => setNewDeliveryMethod(e.target.value)}
+              />
+            </div>
+
             <div className="modal-actions-stacked">
               <button 
                 className="btn btn-primary"
                 onClick={saveNewDeliveryDate}
               >
-                Save Date
-              </button>
-              <button 
-                className="btn btn-danger"
-                onClick={handleCancelDelivery}
-              >
-                Cancel Delivery
+                Save
               </button>
               <button 
                 className="btn btn-secondary"
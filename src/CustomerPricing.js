@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import './CustomerPricing.css';
+import { activeProducts, productLabel } from './products';
+import { productKey, formatTiers, describeDiscount } from './pricing';
+
+// The customer's own unit prices, which replace list price on their orders.
+// onUpdate(customer, label) commits the change.
+const CustomerPricing = ({ customer, catalog, readOnly, onUpdate }) => {
+  const [productId, setProductId] = useState('');
+  const [price, setPrice] = useState('');
+
+  const customPrices = customer.customPrices || {};
+  const productFor = (key) => catalog.find(product => productKey(product) === key);
+  const available = activeProducts(catalog).filter(product => customPrices[productKey(product)] === undefined);
+
+  const savePrices = (updated, label) => {
+    onUpdate({ ...customer, customPrices: updated }, label);
+  };
+
+  const addPrice = () => {
+    const product = catalog.find(p => p.id === productId);
+    const unitPrice = parseFloat(price);
+    if (!product || !(unitPrice >= 0)) {
+      alert('Please pick a product and enter a price');
+      return;
+    }
+    savePrices({ ...customPrices, [productKey(product)]: unitPrice }, `Set ${product.name} price for ${customer.name}`);
+    setProductId('');
+    setPrice('');
+  };
+
+  const removePrice = (key) => {
+    const { [key]: removed, ...rest } = customPrices;
+    savePrices(rest, `Remove ${productFor(key)?.name || key} price for ${customer.name}`);
+  };
+
+  const entries = Object.entries(customPrices);
+
+  return (
+    <div className="detail-section customer-pricing">
+      <h2>💲 Customer Prices</h2>
+      <p className="help-text">
+        These prices replace list price on {customer.name}'s orders. Volume tiers still apply when they are lower.
+      </p>
+
+      {entries.length === 0 ? (
+        <p className="empty-state">No customer prices. Orders use list price and volume tiers.</p>
+      ) : (
+        <table className="pricing-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>List Price</th>
+              <th>Volume Tiers</th>
+              <th>Customer Price</th>
+              {!readOnly && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(([key, unitPrice]) => {
+              const product = productFor(key);
+              return (
+                <tr key={key}>
+                  <td>{product ? productLabel(product) : `${key} (not in catalog)`}</td>
+                  <td>{product ? `$${Number(product.listPrice).toFixed(2)}/${product.unit}` : '—'}</td>
+                  <td>{product ? formatTiers(product.tiers) || '—' : '—'}</td>
+                  <td>
+                    <strong>${Number(unitPrice).toFixed(2)}</strong>
+                    {product && (
+                      <span className="pricing-discount"> {describeDiscount(Number(unitPrice), Number(product.listPrice))}</span>
+                    )}
+                  </td>
+                  {!readOnly && (
+                    <td>
+                      <button className="btn btn-danger btn-small" onClick={() => removePrice(key)}>
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {!readOnly && (
+        <div className="pricing-add">
+          <select value={productId} onChange={(e) => setProductId(e.target.value)}>
+            <option value="">-- Select Product --</option>
+            {available.map(product => (
+              <option key={product.id} value={product.id}>
+                {productLabel(product)}{product.listPrice > 0 ? ` (list $${product.listPrice.toFixed(2)})` : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            placeholder="Unit price"
+            value={price}
+            onChange={(e) => setPrice(e.target.value)}
+          />
+          <button className="btn btn-primary btn-small" onClick={addPrice} disabled={!productId || price === ''}>
+            Add Price
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerPricing;
@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import './DuplicateFinder.css';
+import { FIELD_LABELS, formatValue } from './ImportReview';
+import { defaultWinner } from './importMerge';
+import { findDuplicatePairs, mergeableFields, mergeDuplicates, pairKey } from './duplicates';
+import { liveItems } from './softDelete';
+
+// Pairs the user has marked as "not duplicates", kept per device
+const DISMISSED_KEY = 'primrose-not-duplicates';
+
+const loadDismissed = () => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(DISMISSED_KEY)) || []);
+  } catch (error) {
+    return new Set();
+  }
+};
+
+const CustomerSummary = ({ customer }) => (
+  <div className="duplicate-summary">
+    <strong>{customer.name}</strong>
+    {!customer.active && <span className="duplicate-inactive"> (inactive)</span>}
+    {customer.company && <div>{customer.company}</div>}
+    <div className="duplicate-detail">📍 {[customer.address, customer.city, customer.state].filter(Boolean).join(', ')}</div>
+    {customer.primaryPhone && <div className="duplicate-detail">📞 {customer.primaryPhone}</div>}
+    {customer.email && <div className="duplicate-detail">✉️ {customer.email}</div>}
+    <div className="duplicate-detail">
+      {(customer.contacts || []).length} contacts • {liveItems(customer.notes).length} notes • {liveItems(customer.purchases).length} orders
+    </div>
+  </div>
+);
+
+const DuplicateFinder = ({ customers, onMerge, onBack }) => {
+  const [dismissed, setDismissed] = useState(loadDismissed);
+  const [merging, setMerging] = useState(null); // { keep, other, choices }
+
+  const pairs = useMemo(() => findDuplicatePairs(customers, dismissed), [customers, dismissed]);
+
+  const dismissPair = (pair) => {
+    const updated = new Set(dismissed);
+    updated.add(pairKey(pair.a, pair.b));
+    setDismissed(updated);
+    localStorage.setItem(DISMISSED_KEY, JSON.stringify([...updated]));
+  };
+
+  const startMerge = (keep, other) => {
+    const choices = {};
+    mergeableFields(keep, other).forEach(field => {
+      choices[field] = defaultWinner(keep, other, field);
+    });
+    setMerging({ keep, other, choices });
+  };
+
+  const chooseField = (field, winner) => {
+    setMerging({ ...merging, choices: { ...merging.choices, [field]: winner } });
+  };
+
+  const confirmMerge = () => {
+    const { keep, other, choices } = merging;
+    if (!window.confirm(`Merge "${other.name}" into "${keep.name}"?\n\n"${other.name}" will be moved to the Recycle Bin.`)) {
+      return;
+    }
+    onMerge(mergeDuplicates(keep, other, choices), other.id);
+    setMerging(null);
+  };
+
+  if (merging) {
+    const { keep, other, choices } = merging;
+    const fields = mergeableFields(keep, other);
+    const preview = mergeDuplicates(keep, other, choices);
+    const addedContacts = preview.contacts.length - (keep.contacts || []).length;
+    const addedNotes = preview.notes.length - (keep.notes || []).length;
+    const addedPurchases = preview.purchases.length - (keep.purchases || []).length;
+
+    return (
+      <div className="form-container duplicate-finder">
+        <div className="form-header">
+          <h2>🔀 Merge Customers</h2>
+          <button className="btn-close" onClick={() => setMerging(null)}>×</button>
+        </div>
+
+        <div className="duplicate-pair">
+          <div className="duplicate-side duplicate-keep">
+            <div className="duplicate-side-label">Keep</div>
+            <CustomerSummary customer={keep} />
+          </div>
+          <button
+            className="btn btn-secondary btn-small duplicate-swap"
+            onClick={() => startMerge(other, keep)}
+            title="Keep the other record instead"
+          >
+            ⇄ Swap
+          </button>
+          <div className="duplicate-side duplicate-remove">
+            <div className="duplicate-side-label">Merge in &amp; delete</div>
+            <CustomerSummary customer={other} />
+          </div>
+        </div>
+
+        {fields.length > 0 && (
+          <div className="form-section">
+            <h3>Choose Values</h3>
+            <table className="import-field-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>{keep.name}</th>
+                  <th>{other.name}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map(field => (
+                  <tr key={field}>
+                    <td className="import-field-name">{FIELD_LABELS[field] || field}</td>
+                    {['existing', 'imported'].map(side => (
+                      <td
+                        key={side}
+                        className={`import-choice ${choices[field] === side ? 'chosen' : ''}`}
+                        onClick={() => chooseField(field, side)}
+                      >
+                        <input
+                          type="radio"
+                          checked={choices[field] === side}
+                          onChange={() => chooseField(field, side)}
+                        />
+                        {formatValue(field, (side === 'existing' ? keep : other)[field])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <p className="import-union-note">
+          ➕ Will add {addedContacts} contact{addedContacts !== 1 ? 's' : ''}, {addedNotes} note{addedNotes !== 1 ? 's' : ''} and{' '}
+          {addedPurchases} order{addedPurchases !== 1 ? 's' : ''}, and combine completed demos
+        </p>
+
+        <div className="form-actions">
+          <button className="btn btn-primary" onClick={confirmMerge}>
+            Merge Customers
+          </button>
+          <button className="btn btn-secondary" onClick={() => setMerging(null)}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-container duplicate-finder">
+      <div className="form-header">
+        <h2>🔍 Possible Duplicates ({pairs.length})</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      {pairs.length === 0 && (
+        <p className="empty-state">No likely duplicates found. 🎉</p>
+      )}
+
+      {pairs.map(pair => (
+        <div key={pairKey(pair.a, pair.b)} className="duplicate-candidate">
+          <div className="duplicate-candidate-header">
+            <span className="duplicate-score">{Math.round(pair.score * 100)}% match</span>
+            {pair.reasons.map(reason => (
+              <span key={reason} className="duplicate-reason">{reason}</span>
+            ))}
+          </div>
+          <div className="duplicate-pair">
+            <div className="duplicate-side">
+              <CustomerSummary customer={pair.a} />
+            </div>
+            <div className="duplicate-side">
+              <CustomerSummary customer={pair.b} />
+            </div>
+          </div>
+          <div className="duplicate-actions">
+            <button className="btn btn-primary btn-small" onClick={() => startMerge(pair.a, pair.b)}>
+              🔀 Merge…
+            </button>
+            <button className="btn btn-secondary btn-small" onClick={() => dismissPair(pair)}>
+              Not Duplicates
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DuplicateFinder;
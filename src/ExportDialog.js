@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import './ExportDialog.css';
+import { EXPORT_TABLES, downloadFile } from './customerExport';
+
+// Browsers can drop downloads started in the same tick, so space them out
+const DOWNLOAD_SPACING_MS = 300;
+
+const ExportDialog = ({ customers, totalCount, filterDescription, demoTypes, onClose }) => {
+  const [selectedTables, setSelectedTables] = useState(() => new Set(EXPORT_TABLES.map(t => t.key)));
+  const [includeInactive, setIncludeInactive] = useState(true);
+
+  const exportCustomers = includeInactive ? customers : customers.filter(c => c.active);
+  const tables = EXPORT_TABLES.filter(t => selectedTables.has(t.key));
+
+  const toggleTable = (key) => {
+    const next = new Set(selectedTables);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setSelectedTables(next);
+  };
+
+  const handleExport = () => {
+    const date = new Date().toISOString().split('T')[0];
+    tables.forEach((table, i) => {
+      setTimeout(() => {
+        // Excel needs the byte order mark to read UTF-8 correctly
+        const csv = '\uFEFF' + table.toCsv(exportCustomers, demoTypes);
+        downloadFile(csv, `primrose-${table.key}-${date}.csv`, 'text/csv;charset=utf-8');
+      }, i * DOWNLOAD_SPACING_MS);
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content export-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3>📄 Export CSV</h3>
+
+        <div className="export-scope">
+          <strong>{exportCustomers.length}</strong> of {totalCount} customer{totalCount !== 1 ? 's' : ''}
+          {filterDescription.length > 0 ? (
+            <div className="help-text">Matching current filter: {filterDescription.join(' • ')}</div>
+          ) : (
+            <div className="help-text">No list filter applied - exporting everyone.</div>
+          )}
+        </div>
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={includeInactive}
+            onChange={(e) => setIncludeInactive(e.target.checked)}
+          />
+          <span>Include inactive customers</span>
+        </label>
+
+        <div className="export-tables">
+          {EXPORT_TABLES.map(table => (
+            <label key={table.key} className="export-table-option">
+              <input
+                type="checkbox"
+                checked={selectedTables.has(table.key)}
+                onChange={() => toggleTable(table.key)}
+              />
+              <div>
+                <strong>{table.label}</strong> ({table.count(exportCustomers)} rows)
+                <div className="help-text">{table.description}</div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <div className="help-text">
+          💡 Each table is a separate file. Join them on the Customer ID column.
+        </div>
+
+        <div className="modal-actions">
+          <button
+            className="btn btn-primary"
+            onClick={handleExport}
+            disabled={tables.length === 0 || exportCustomers.length === 0}
+          >
+            Download {tables.length} File{tables.length !== 1 ? 's' : ''}
+          </button>
+          <button className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import './ImportReview.css';
+import { defaultWinner } from './importMerge';
+
+export const FIELD_LABELS = {
+  name: 'Name',
+  company: 'Company',
+  address: 'Address',
+  city: 'City',
+  state: 'State',
+  zip: 'ZIP',
+  county: 'County',
+  primaryPhone: 'Phone',
+  email: 'Email',
+  leadStage: 'Lead Stage',
+  referralSource: 'Referral Source',
+  owner: 'Owner',
+  territory: 'Territory',
+  followUpDate: 'Follow-up Date',
+  orderPendingDelivery: 'Delivery Pending',
+  expectedDeliveryDate: 'Expected Delivery',
+  active: 'Active',
+  inactiveReason: 'Inactive Reason',
+  dateAdded: 'Date Added',
+  contacts: 'Contacts',
+  demos: 'Demos',
+  customPrices: 'Customer Prices',
+  taxExempt: 'Tax Exempt',
+  taxCertificate: 'Tax Certificate',
+  taxCertificateExpires: 'Certificate Expires',
+  deletedAt: 'In Recycle Bin Since',
+  deletedBy: 'Deleted By'
+};
+
+// Human-readable value for the comparison table
+export const formatValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'contacts' && Array.isArray(value)) {
+    return value.map(contact => [contact.name, contact.phone].filter(Boolean).join(' ')).join('; ') || '—';
+  }
+  if (field === 'demos' && typeof value === 'object') {
+    const completed = Object.entries(value).filter(([, demo]) => demo.completed).map(([demoType]) => demoType);
+    return completed.length > 0 ? `Completed: ${completed.join(', ')}` : 'None completed';
+  }
+  if (field === 'customPrices' && typeof value === 'object') {
+    return Object.entries(value).map(([product, price]) => `${product}: $${Number(price).toFixed(2)}`).join('; ') || 'None';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ImportReview = ({ comparison, fileName, onConfirm, onCancel }) => {
+  const { newRecords, changed, identical } = comparison;
+
+  // Field winners per existing customer id
+  const [choices, setChoices] = useState(() => {
+    const initial = {};
+    changed.forEach(({ existing, imported, fields }) => {
+      initial[existing.id] = {};
+      fields.forEach(field => {
+        initial[existing.id][field] = defaultWinner(existing, imported, field);
+      });
+    });
+    return initial;
+  });
+  const [includeNew, setIncludeNew] = useState(() => new Set(newRecords));
+  const [showIdentical, setShowIdentical] = useState(false);
+
+  const chooseField = (customerId, field, winner) => {
+    setChoices({
+      ...choices,
+      [customerId]: { ...choices[customerId], [field]: winner }
+    });
+  };
+
+  const chooseAll = (winner) => {
+    const updated = {};
+    changed.forEach(({ existing, fields }) => {
+      updated[existing.id] = {};
+      fields.forEach(field => {
+        updated[existing.id][field] = winner;
+      });
+    });
+    setChoices(updated);
+  };
+
+  const toggleNew = (record) => {
+    const updated = new Set(includeNew);
+    if (updated.has(record)) {
+      updated.delete(record);
+    } else {
+      updated.add(record);
+    }
+    setIncludeNew(updated);
+  };
+
+  const nothingToDo = includeNew.size === 0 && changed.length === 0;
+
+  return (
+    <div className="form-container import-review">
+      <div className="form-header">
+        <h2>📥 Review Import</h2>
+        <button className="btn-close" onClick={onCancel}>×</button>
+      </div>
+
+      {fileName && <p className="import-review-file">From <strong>{fileName}</strong></p>}
+
+      <div className="import-summary">
+        <div className="import-summary-item import-new">
+          <span className="import-summary-count">{newRecords.length}</span>
+          <span className="import-summary-label">New</span>
+        </div>
+        <div className="import-summary-item import-changed">
+          <span className="import-summary-count">{changed.length}</span>
+          <span className="import-summary-label">Changed</span>
+        </div>
+        <div className="import-summary-item import-identical">
+          <span className="import-summary-count">{identical.length}</span>
+          <span className="import-summary-label">Identical</span>
+        </div>
+      </div>
+
+      {newRecords.length > 0 && (
+        <div className="form-section">
+          <h3>New Customers ({includeNew.size} of {newRecords.length} selected)</h3>
+          <div className="import-new-list">
+            {newRecords.map((record, index) => (
+              <label key={`${record.id}-${index}`} className="import-new-item">
+                <input
+                  type="checkbox"
+                  checked={includeNew.has(record)}
+                  onChange={() => toggleNew(record)}
+                />
+                <span>
+                  <strong>{record.name}</strong>
+                  {record.company && ` - ${record.company}`}
+                  <span className="import-item-location"> 📍 {record.city}, {record.state}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {changed.length > 0 && (
+        <div className="form-section">
+          <div className="import-section-header">
+            <h3>Changed Customers ({changed.length})</h3>
+            <div className="import-bulk-actions">
+              <button className="btn btn-secondary btn-small" onClick={() => chooseAll('existing')}>
+                Keep All Current
+              </button>
+              <button className="btn btn-secondary btn-small" onClick={() => chooseAll('imported')}>
+                Use All Backup
+              </button>
+            </div>
+          </div>
+
+          {changed.map(({ existing, imported, matchedBy, fields, newNotes, newPurchases }) => (
+            <div key={existing.id} className="import-conflict">
+              <div className="import-conflict-header">
+                <strong>{existing.name}</strong>
+                {matchedBy === 'details' && (
+                  <span className="import-match-badge" title="Matched by name, phone and address">
+                    matched by details
+                  </span>
+                )}
+              </div>
+
+              {fields.length > 0 && (
+                <table className="import-field-table">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Current</th>
+                      <th>Backup</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {fields.map(field => {
+                      const winner = choices[existing.id]?.[field];
+                      return (
+                        <tr key={field}>
+                          <td className="import-field-name">{FIELD_LABELS[field] || field}</td>
+                          <td
+                            className={`import-choice ${winner === 'existing' ? 'chosen' : ''}`}
+                            onClick={() => chooseField(existing.id, field, 'existing')}
+                          >
+                            <input
+                              type="radio"
+                              checked={winner === 'existing'}
+                              onChange={() => chooseField(existing.id, field, 'existing')}
+                            />
+                            {formatValue(field, existing[field])}
+                          </td>
+                          <td
+                            className={`import-choice ${winner === 'imported' ? 'chosen' : ''}`}
+                            onClick={() => chooseField(existing.id, field, 'imported')}
+                          >
+                            <input
+                              type="radio"
+                              checked={winner === 'imported'}
+                              onChange={() => chooseField(existing.id, field, 'imported')}
+                            />
+                            {formatValue(field, imported[field])}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+
+              {(newNotes.length > 0 || newPurchases.length > 0) && (
+                <p className="import-union-note">
+                  ➕ Will add {newNotes.length} note{newNotes.length !== 1 ? 's' : ''} and{' '}
+                  {newPurchases.length} order{newPurchases.length !== 1 ? 's' : ''} from the backup
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {identical.length > 0 && (
+        <div className="form-section">
+          <h3 className="import-identical-toggle" onClick={() => setShowIdentical(!showIdentical)}>
+            {showIdentical ? '▾' : '▸'} Identical Customers ({identical.length}) - nothing to import
+          </h3>
+          {showIdentical && (
+            <ul className="import-identical-list">
+              {identical.map(({ existing }) => (
+                <li key={existing.id}>{existing.name}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button
+          className="btn btn-primary"
+          onClick={() => onConfirm(choices, includeNew)}
+          disabled={nothingToDo}
+        >
+          Import {includeNew.size} New, Merge {changed.length} Changed
+        </button>
+        <button className="btn btn-secondary" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReview;
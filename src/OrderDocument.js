@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import './OrderDocument.css';
+import { ORDER_STATUSES } from './orders';
+import { formatRate } from './salesTax';
+import {
+  DOCUMENT_KINDS,
+  documentKindFor,
+  documentTotals,
+  addressLines,
+  invoiceDueDate,
+  quoteValidUntil
+} from './documents';
+
+const money = (value) =>
+  `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(`${date.split('T')[0]}T00:00:00`).toLocaleDateString() : '—');
+
+const LETTERHEAD_FIELDS = [
+  { field: 'companyName', label: 'Company Name' },
+  { field: 'address', label: 'Address', multiline: true },
+  { field: 'phone', label: 'Phone' },
+  { field: 'email', label: 'Email' },
+  { field: 'website', label: 'Website' },
+  { field: 'quotePrefix', label: 'Quote Prefix' },
+  { field: 'invoicePrefix', label: 'Invoice Prefix' },
+  { field: 'startNumber', label: 'First Number', type: 'number' },
+  { field: 'paymentTermsDays', label: 'Payment Terms (days)', type: 'number' },
+  { field: 'quoteValidDays', label: 'Quotes Valid (days)', type: 'number' },
+  { field: 'footer', label: 'Footer', multiline: true }
+];
+
+// Printable quote or invoice for one order. The browser's print dialog
+// prints only the document and can save it as a PDF.
+const OrderDocument = ({ order, customer, settings, canManage, readOnly, onConvert, onSaveSettings, onClose }) => {
+  const [editingLetterhead, setEditingLetterhead] = useState(false);
+  const [draft, setDraft] = useState(settings);
+
+  const kind = documentKindFor(order);
+  const { title, field } = DOCUMENT_KINDS[kind];
+  const number = order[field];
+  const { subtotal, tax, total } = documentTotals(order);
+  const dueDate = invoiceDueDate(order, settings);
+
+  const saveLetterhead = () => {
+    onSaveSettings({
+      ...draft,
+      startNumber: parseInt(draft.startNumber, 10) || settings.startNumber,
+      paymentTermsDays: parseInt(draft.paymentTermsDays, 10) || 0,
+      quoteValidDays: parseInt(draft.quoteValidDays, 10) || 0
+    });
+    setEditingLetterhead(false);
+  };
+
+  return (
+    <div className="modal-overlay document-overlay" onClick={onClose}>
+      <div className="modal-content document-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="document-toolbar">
+          <button className="btn btn-primary" onClick={() => window.print()}>
+            🖨️ Print / Save PDF
+          </button>
+          {kind === 'quote' && !readOnly && (
+            <button className="btn btn-success" onClick={onConvert}>
+              ✓ Convert to Order
+            </button>
+          )}
+          {canManage && (
+            <button className="btn btn-secondary" onClick={() => { setDraft(settings); setEditingLetterhead(!editingLetterhead); }}>
+              ⚙️ Letterhead
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        {editingLetterhead && (
+          <div className="document-settings">
+            {LETTERHEAD_FIELDS.map(({ field: key, label, multiline, type }) => (
+              <div key={key} className="form-group">
+                <label>{label}:</label>
+                {multiline ? (
+                  <textarea
+                    rows="2"
+                    value={draft[key]}
+                    onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+                  />
+                ) : (
+                  <input
+                    type={type || 'text'}
+                    value={draft[key]}
+                    onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+                  />
+                )}
+              </div>
+            ))}
+            <div className="document-settings-actions">
+              <button className="btn btn-primary btn-small" onClick={saveLetterhead}>Save Letterhead</button>
+              <button className="btn btn-secondary btn-small" onClick={() => setEditingLetterhead(false)}>Cancel</button>
+            </div>
+          </div>
+        )}
+
+        <div className="printable-document">
+          <div className="document-letterhead">
+            <div>
+              <h1>{settings.companyName}</h1>
+              {settings.address && <p className="document-address">{settings.address}</p>}
+              <p>{[settings.phone, settings.email, settings.website].filter(Boolean).join(' • ')}</p>
+            </div>
+            <div className="document-title">
+              <h2>{title.toUpperCase()}</h2>
+              <p><strong>{number || 'DRAFT'}</strong></p>
+            </div>
+          </div>
+
+          <div className="document-parties">
+            <div>
+              <h4>{kind === 'quote' ? 'Prepared For' : 'Bill To'}</h4>
+              {addressLines(customer).map((line, index) => <p key={index}>{line}</p>)}
+            </div>
+            <table className="document-meta">
+              <tbody>
+                {kind === 'quote' ? (
+                  <>
+                    <tr><th>Quote Date</th><td>{formatDate(order.date)}</td></tr>
+                    <tr><th>Valid Until</th><td>{formatDate(quoteValidUntil(order, settings))}</td></tr>
+                  </>
+                ) : (
+                  <>
+                    <tr><th>Invoice Date</th><td>{formatDate(order.invoiceDate || order.date)}</td></tr>
+                    <tr><th>Order Date</th><td>{formatDate(order.date)}</td></tr>
+                    {order.quoteNumber && <tr><th>Quote</th><td>{order.quoteNumber}</td></tr>}
+                    <tr><th>Due Date</th><td>{order.cwo ? 'Paid with order' : formatDate(dueDate)}</td></tr>
+                    <tr><th>Status</th><td>{ORDER_STATUSES[order.status] || order.status}</td></tr>
+                  </>
+                )}
+                {order.addedBy && <tr><th>Sales Rep</th><td>{order.addedBy}</td></tr>}
+              </tbody>
+            </table>
+          </div>
+
+          <table className="document-lines">
+            <thead>
+              <tr>
+                <th>SKU</th>
+                <th>Product</th>
+                <th className="num">Qty</th>
+                <th>Unit</th>
+                <th className="num">Unit Price</th>
+                <th className="num">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {order.products.map((line, index) => (
+                <tr key={line.id || index}>
+                  <td>{line.sku || ''}</td>
+                  <td>{line.product}</td>
+                  <td className="num">{line.quantity}</td>
+                  <td>{line.unit || ''}</td>
+                  <td className="num">{money(line.unitPrice)}</td>
+                  <td className="num">{money(line.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="document-totals">
+            <tbody>
+              <tr><th>Subtotal</th><td>{money(subtotal)}</td></tr>
+              <tr>
+                <th>
+                  {order.tax?.exempt
+                    ? 'Tax (exempt)'
+                    : `Tax${order.tax?.rate ? ` (${formatRate(order.tax.rate)})` : ''}`}
+                </th>
+                <td>{money(tax)}</td>
+              </tr>
+              <tr className="document-total"><th>Total</th><td>{money(total)}</td></tr>
+            </tbody>
+          </table>
+
+          {order.tax?.exempt && (
+            <p className="document-notes">
+              Sales tax exempt{order.tax.certificateNumber ? `, certificate #${order.tax.certificateNumber}` : ''}
+            </p>
+          )}
+          {order.cwo && (
+            <p className="document-cwo">✓ Check With Order (CWO): payment received with the order</p>
+          )}
+          {order.notes && <p className="document-notes">{order.notes}</p>}
+          {kind === 'invoice' && !order.cwo && settings.paymentTermsDays > 0 && (
+            <p className="document-terms">Payment terms: net {settings.paymentTermsDays} days</p>
+          )}
+          {settings.footer && <p className="document-footer">{settings.footer}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDocument;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import './PipelineAnalytics.css';
+import { stageBadgeStyle, stuckThreshold } from './pipeline';
+import { pipelineVelocity, stuckCustomers } from './stageHistory';
+
+const formatDays = (days) => (days === null ? '—' : `${days.toFixed(1)} days`);
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+// How long customers spend in each stage, how often each stage leads to a
+// first purchase, and who has been sitting in one stage too long.
+// onChangeStuckDays saves the stuck threshold with the pipeline.
+const PipelineAnalytics = ({ customers, pipeline, users, onChangeStuckDays, onSelectCustomer, onBack }) => {
+  const [owner, setOwner] = useState(''); // '' = all reps
+
+  const scoped = owner ? customers.filter(c => c.owner === owner) : customers;
+  const stuckDays = stuckThreshold(pipeline);
+  const velocity = pipelineVelocity(scoped, pipeline);
+  const stuck = stuckCustomers(scoped, stuckDays);
+
+  return (
+    <div className="form-container pipeline-analytics">
+      <div className="form-header">
+        <h2>📈 Pipeline Velocity</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <div className="velocity-filters">
+        <label>
+          Rep
+          <select value={owner} onChange={(e) => setOwner(e.target.value)}>
+            <option value="">All reps</option>
+            {users.map(user => (
+              <option key={user} value={user}>{user}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Stuck after
+          <input
+            type="number"
+            min="1"
+            value={stuckDays}
+            onChange={(e) => {
+              const days = parseInt(e.target.value, 10);
+              if (days > 0) onChangeStuckDays(days);
+            }}
+          />
+          days
+        </label>
+      </div>
+
+      <div className="form-section">
+        <h3>Stages</h3>
+        <table className="velocity-table">
+          <thead>
+            <tr>
+              <th>Stage</th>
+              <th>Avg. time in stage</th>
+              <th>In stage now</th>
+              <th>Avg. so far</th>
+              <th>Reached</th>
+              <th>Bought</th>
+              <th>Conversion</th>
+            </tr>
+          </thead>
+          <tbody>
+            {velocity.map(row => (
+              <tr key={row.stage}>
+                <td>
+                  <span className="badge" style={stageBadgeStyle(pipeline, row.stage)}>{row.stage}</span>
+                </td>
+                <td title={`${row.finishedCount} finished stint(s)`}>{formatDays(row.avgDays)}</td>
+                <td>{row.current}</td>
+                <td>{formatDays(row.avgCurrentDays)}</td>
+                <td>{row.entered}</td>
+                <td>{row.converted}</td>
+                <td>{formatRate(row.conversionRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="help-text">
+          Conversion counts customers who reached a stage before their first order and have ordered since.
+          Time in stage only counts stage changes made since stage tracking began, or found in the change log.
+        </p>
+      </div>
+
+      <div className="form-section">
+        <h3>Stuck Customers ({stuck.length})</h3>
+        {stuck.length === 0 ? (
+          <p className="empty-state">No active customer has been in one stage for {stuckDays} days or more.</p>
+        ) : (
+          <ul className="stuck-list">
+            {stuck.map(({ customer, stint }) => (
+              <li key={customer.id} onClick={() => onSelectCustomer(customer)}>
+                <span className="stuck-name">
+                  <strong>{customer.name}</strong>
+                  {customer.company && <span className="stuck-company"> • {customer.company}</span>}
+                </span>
+                <span className="badge" style={stageBadgeStyle(pipeline, stint.stage)}>{stint.stage}</span>
+                <span className="stuck-days">{Math.floor(stint.days)} days</span>
+                {customer.owner && <span className="stuck-owner">👤 {customer.owner}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PipelineAnalytics;
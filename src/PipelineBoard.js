@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import './PipelineBoard.css';
+import { stageColor, stageNames } from './pipeline';
+import { salesOrders } from './orders';
+
+// Kanban view of the active customers, one column per lead stage.
+// Dropping a card on another column calls onChangeStage(customer, stage).
+const PipelineBoard = ({ customers, pipeline, readOnly, onSelectCustomer, onChangeStage }) => {
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropStage, setDropStage] = useState(null);
+
+  // Customers whose stage isn't in the pipeline get their own column at the end
+  const names = stageNames(pipeline);
+  const unknownStages = [...new Set(customers.map(c => c.leadStage))].filter(stage => !names.includes(stage));
+  const columns = [...names, ...unknownStages];
+
+  const lastPurchase = (customer) => {
+    const purchases = salesOrders(customer.purchases);
+    if (purchases.length === 0) return null;
+    return purchases.reduce((latest, p) => (new Date(p.date) > new Date(latest.date) ? p : latest));
+  };
+
+  const handleDragStart = (e, customer) => {
+    e.dataTransfer.setData('text/plain', customer.id);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggingId(customer.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropStage(null);
+  };
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault();
+    // Drag data is always text, while customer ids are usually numbers
+    const id = e.dataTransfer.getData('text/plain');
+    const customer = customers.find(c => String(c.id) === id);
+    handleDragEnd();
+    if (customer && customer.leadStage !== stage) onChangeStage(customer, stage);
+  };
+
+  return (
+    <div className="pipeline-board">
+      {columns.map(stage => {
+        const inStage = customers.filter(c => c.leadStage === stage);
+        const canDrop = !readOnly && names.includes(stage);
+        return (
+          <div
+            key={stage}
+            className={`board-column ${dropStage === stage ? 'drop-target' : ''}`}
+            style={{ borderTopColor: stageColor(pipeline, stage) }}
+            onDragOver={canDrop ? (e) => { e.preventDefault(); setDropStage(stage); } : undefined}
+            onDragLeave={canDrop ? () => setDropStage(null) : undefined}
+            onDrop={canDrop ? (e) => handleDrop(e, stage) : undefined}
+          >
+            <div className="board-column-header">
+              <span className="board-column-title">{stage}</span>
+              <span className="board-column-count">{inStage.length}</span>
+            </div>
+
+            <div className="board-column-cards">
+              {inStage.length === 0 && <p className="board-empty">No customers</p>}
+              {inStage.map(customer => {
+                const purchase = lastPurchase(customer);
+                return (
+                  <div
+                    key={customer.id}
+                    className={`board-card ${draggingId === customer.id ? 'dragging' : ''}`}
+                    draggable={!readOnly}
+                    onDragStart={(e) => handleDragStart(e, customer)}
+                    onDragEnd={handleDragEnd}
+                    onClick={() => onSelectCustomer(customer)}
+                  >
+                    <strong className="board-card-company">{customer.company || customer.name}</strong>
+                    {customer.company && <span className="board-card-name">{customer.name}</span>}
+                    {customer.city && <span className="board-card-detail">📍 {customer.city}</span>}
+                    {customer.followUpDate && (
+                      <span className="board-card-detail">
+                        📅 {new Date(customer.followUpDate).toLocaleDateString()}
+                      </span>
+                    )}
+                    {purchase && (
+                      <span className="board-card-detail">
+                        💰 ${purchase.orderTotal.toFixed(2)} on {new Date(purchase.date).toLocaleDateString()}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PipelineBoard;
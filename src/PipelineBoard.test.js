@@ -0,0 +1,51 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import PipelineBoard from './PipelineBoard';
+import { DEFAULT_PIPELINE } from './pipeline';
+import { makeCustomer } from './testFixtures';
+
+// jsdom has no DataTransfer, so drag events share a minimal stand-in
+const dataTransfer = () => {
+  const data = {};
+  return {
+    setData: (type, value) => { data[type] = String(value); },
+    getData: (type) => data[type] || '',
+    effectAllowed: ''
+  };
+};
+
+const customers = [
+  makeCustomer({ id: 1712345678901, leadStage: 'Lead' }),
+  makeCustomer({ id: 'imported-2', name: 'Beta Dairy' })
+];
+
+const dragToStage = (name, stage) => {
+  const transfer = dataTransfer();
+  fireEvent.dragStart(screen.getByText(name), { dataTransfer: transfer });
+  // Drag events bubble from the column title to the column
+  const column = screen.getByText(stage);
+  fireEvent.dragOver(column, { dataTransfer: transfer });
+  fireEvent.drop(column, { dataTransfer: transfer });
+};
+
+describe('PipelineBoard', () => {
+  test('moves a customer with a numeric id to the stage it is dropped on', () => {
+    const onChangeStage = jest.fn();
+    render(<PipelineBoard customers={customers} pipeline={DEFAULT_PIPELINE} onSelectCustomer={() => {}} onChangeStage={onChangeStage} />);
+    dragToStage('Acme Farm', 'Hot');
+    expect(onChangeStage).toHaveBeenCalledWith(customers[0], 'Hot');
+  });
+
+  test('moves a customer with a text id', () => {
+    const onChangeStage = jest.fn();
+    render(<PipelineBoard customers={customers} pipeline={DEFAULT_PIPELINE} onSelectCustomer={() => {}} onChangeStage={onChangeStage} />);
+    dragToStage('Beta Dairy', 'Cold');
+    expect(onChangeStage).toHaveBeenCalledWith(customers[1], 'Cold');
+  });
+
+  test('ignores drops on the stage the customer is already in', () => {
+    const onChangeStage = jest.fn();
+    render(<PipelineBoard customers={customers} pipeline={DEFAULT_PIPELINE} onSelectCustomer={() => {}} onChangeStage={onChangeStage} />);
+    dragToStage('Acme Farm', 'Lead');
+    expect(onChangeStage).not.toHaveBeenCalled();
+  });
+});
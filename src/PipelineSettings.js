@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import './PipelineSettings.css';
+import { stageMigrations, colorBadgeStyle } from './pipeline';
+import { liveItems } from './softDelete';
+
+// Add, rename, recolor, reorder and remove lead stages.
+// onSave(pipeline, migrations) gets the old -> new stage names to apply to customers.
+const PipelineSettings = ({ pipeline, customers, onSave, onBack }) => {
+  const [stages, setStages] = useState(pipeline.stages);
+  const [defaultStageId, setDefaultStageId] = useState(
+    () => (pipeline.stages.find(s => s.name === pipeline.defaultStage) || pipeline.stages[0]).id
+  );
+  // Where customers of each removed stage go, by removed stage id
+  const [removedTo, setRemovedTo] = useState({});
+
+  const liveCustomers = liveItems(customers);
+  const countIn = (name) => liveCustomers.filter(c => c.leadStage === name).length;
+  const savedName = (id) => pipeline.stages.find(s => s.id === id)?.name;
+  const removedStages = pipeline.stages.filter(s => !stages.some(kept => kept.id === s.id));
+
+  const updateStage = (id, field, value) => {
+    setStages(stages.map(s => (s.id === id ? { ...s, [field]: value } : s)));
+  };
+
+  const moveStage = (index, offset) => {
+    const reordered = [...stages];
+    const [stage] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, stage);
+    setStages(reordered);
+  };
+
+  const removeStage = (stage) => {
+    const remaining = stages.filter(s => s.id !== stage.id);
+    setStages(remaining);
+    if (stage.id === defaultStageId) setDefaultStageId(remaining[0].id);
+
+    // Customers headed for this stage go to the first remaining one instead
+    const retargeted = Object.fromEntries(
+      Object.entries(removedTo).map(([id, targetId]) => [id, targetId === stage.id ? remaining[0].id : targetId])
+    );
+    if (savedName(stage.id) !== undefined) retargeted[stage.id] = remaining[0].id;
+    setRemovedTo(retargeted);
+  };
+
+  const addStage = () => {
+    setStages([...stages, { id: Date.now().toString(), name: '', color: '#10b981' }]);
+  };
+
+  const save = () => {
+    const trimmed = stages.map(s => ({ ...s, name: s.name.trim() }));
+    const names = trimmed.map(s => s.name);
+    if (names.some(name => !name)) {
+      alert('Every stage needs a name.');
+      return;
+    }
+    if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+      alert('Stage names must be unique.');
+      return;
+    }
+
+    const updated = {
+      ...pipeline,
+      stages: trimmed,
+      defaultStage: trimmed.find(s => s.id === defaultStageId).name
+    };
+    // Removed stages move to the chosen stage under its new name
+    const targets = Object.fromEntries(
+      Object.entries(removedTo).map(([id, targetId]) => [id, trimmed.find(s => s.id === targetId).name])
+    );
+    const migrations = stageMigrations(pipeline, updated, targets);
+    const moving = liveCustomers.filter(c => migrations[c.leadStage]).length;
+
+    if (moving > 0 && !window.confirm(`Save the pipeline and update the stage of ${moving} customer(s)?`)) return;
+    onSave(updated, migrations);
+  };
+
+  return (
+    <div className="form-container pipeline-settings">
+      <div className="form-header">
+        <h2>🎯 Pipeline Stages</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <p className="help-text">
+        Stages run from the earliest at the top to the hottest at the bottom. Renaming a stage
+        renames it on every customer.
+      </p>
+
+      <div className="pipeline-stages">
+        {stages.map((stage, index) => (
+          <div key={stage.id} className="pipeline-stage-row">
+            <div className="pipeline-stage-order">
+              <button
+                className="btn-icon"
+                onClick={() => moveStage(index, -1)}
+                disabled={index === 0}
+                title="Move up"
+              >
+                ▲
+              </button>
+              <button
+                className="btn-icon"
+                onClick={() => moveStage(index, 1)}
+                disabled={index === stages.length - 1}
+                title="Move down"
+              >
+                ▼
+              </button>
+            </div>
+            <input
+              type="color"
+              value={stage.color}
+              onChange={(e) => updateStage(stage.id, 'color', e.target.value)}
+              title="Stage color"
+            />
+            <input
+              type="text"
+              className="pipeline-stage-name"
+              placeholder="Stage name"
+              value={stage.name}
+              onChange={(e) => updateStage(stage.id, 'name', e.target.value)}
+            />
+            <span className="badge" style={colorBadgeStyle(stage.color)}>
+              {stage.name || 'Preview'}
+            </span>
+            <label className="pipeline-default" title="New customers start in this stage">
+              <input
+                type="radio"
+                checked={defaultStageId === stage.id}
+                onChange={() => setDefaultStageId(stage.id)}
+              />
+              Default
+            </label>
+            <span className="pipeline-stage-count">
+              {savedName(stage.id) !== undefined ? countIn(savedName(stage.id)) : 0} customers
+            </span>
+            <button
+              className="btn btn-danger btn-small"
+              onClick={() => removeStage(stage)}
+              disabled={stages.length === 1}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button className="btn btn-secondary btn-small" onClick={addStage}>
+        + Add Stage
+      </button>
+
+      {removedStages.length > 0 && (
+        <div className="form-section pipeline-removed">
+          <h3>Removed Stages</h3>
+          {removedStages.map(stage => (
+            <div key={stage.id} className="pipeline-removed-row">
+              Move the {countIn(stage.name)} customer(s) in <strong>{stage.name}</strong> to
+              <select
+                value={removedTo[stage.id]}
+                onChange={(e) => setRemovedTo({ ...removedTo, [stage.id]: e.target.value })}
+              >
+                {stages.map(s => (
+                  <option key={s.id} value={s.id}>{s.name || '(unnamed)'}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button className="btn btn-primary" onClick={save}>
+          Save Pipeline
+        </button>
+        <button className="btn btn-secondary" onClick={onBack}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PipelineSettings;
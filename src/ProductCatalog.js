@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import './ProductCatalog.css';
+import { UNITS, createProduct } from './products';
+import { parseTiers, formatTiers } from './pricing';
+
+// Editable copy of a product, with the price and tiers as text while typing
+const toDraft = (product) => ({
+  ...product,
+  listPrice: String(product.listPrice ?? ''),
+  tiersText: formatTiers(product.tiers)
+});
+
+const fromDraft = ({ tiersText, ...draft }) => ({
+  ...draft,
+  tiers: parseTiers(tiersText),
+  sku: draft.sku.trim(),
+  name: draft.name.trim(),
+  description: draft.description.trim(),
+  category: draft.category.trim(),
+  listPrice: parseFloat(draft.listPrice) || 0
+});
+
+// Add and edit catalog products. Inactive products stay in the catalog but
+// are no longer offered when taking orders.
+const ProductCatalog = ({ catalog, onSave, onBack }) => {
+  const [drafts, setDrafts] = useState(() => catalog.map(toDraft));
+  const [search, setSearch] = useState('');
+  const [showInactive, setShowInactive] = useState(true);
+
+  const categories = [...new Set(drafts.map(d => d.category.trim()).filter(Boolean))].sort();
+  const term = search.trim().toLowerCase();
+  const visible = drafts.filter(d =>
+    (showInactive || d.active) &&
+    (!term || [d.sku, d.name, d.description, d.category].some(value => value.toLowerCase().includes(term)))
+  );
+
+  const updateDraft = (id, field, value) => {
+    setDrafts(drafts.map(d => (d.id === id ? { ...d, [field]: value } : d)));
+  };
+
+  const addProduct = () => {
+    setDrafts([toDraft(createProduct()), ...drafts]);
+    setSearch('');
+  };
+
+  const removeProduct = (draft) => {
+    if (!window.confirm(`Remove "${draft.name || 'this product'}" from the catalog?\n\nPast orders keep it. To stop offering it but keep it on file, untick Active instead.`)) return;
+    setDrafts(drafts.filter(d => d.id !== draft.id));
+  };
+
+  const save = () => {
+    const products = drafts.map(fromDraft);
+    if (products.some(p => !p.name)) {
+      alert('Every product needs a name.');
+      return;
+    }
+    const skus = products.map(p => p.sku.toLowerCase()).filter(Boolean);
+    if (new Set(skus).size !== skus.length) {
+      alert('SKUs must be unique.');
+      return;
+    }
+    if (products.some(p => p.listPrice < 0)) {
+      alert('List prices can\'t be negative.');
+      return;
+    }
+    const unreadable = drafts.find(d => d.tiersText.trim() && parseTiers(d.tiersText).length === 0);
+    if (unreadable) {
+      alert(`Couldn't read the volume tiers for "${unreadable.name}". Use quantity @ price, e.g. 10 @ 9.50, 50 @ 8.75`);
+      return;
+    }
+    onSave(products);
+  };
+
+  return (
+    <div className="form-container product-catalog">
+      <div className="form-header">
+        <h2>📦 Product Catalog</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <div className="catalog-toolbar">
+        <input
+          type="text"
+          placeholder="🔍 Search SKU, name, description or category"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={showInactive}
+            onChange={(e) => setShowInactive(e.target.checked)}
+          />
+          <span>Show inactive</span>
+        </label>
+        <button className="btn btn-secondary btn-small" onClick={addProduct}>
+          + Add Product
+        </button>
+      </div>
+
+      <datalist id="catalog-categories">
+        {categories.map(category => (
+          <option key={category} value={category} />
+        ))}
+      </datalist>
+
+      <div className="catalog-header catalog-row">
+        <span>SKU</span>
+        <span>Name</span>
+        <span>Description</span>
+        <span>Unit</span>
+        <span>List Price</span>
+        <span>Volume Tiers</span>
+        <span>Category</span>
+        <span>Active</span>
+        <span />
+      </div>
+      {visible.map(draft => (
+        <div key={draft.id} className={`catalog-row ${draft.active ? '' : 'inactive'}`}>
+          <input
+            type="text"
+            placeholder="SKU"
+            value={draft.sku}
+            onChange={(e) => updateDraft(draft.id, 'sku', e.target.value)}
+          />
+          <input
+            type="text"
+            className="catalog-name"
+            placeholder="Product name"
+            value={draft.name}
+            onChange={(e) => updateDraft(draft.id, 'name', e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Description"
+            value={draft.description}
+            onChange={(e) => updateDraft(draft.id, 'description', e.target.value)}
+          />
+          <select value={draft.unit} onChange={(e) => updateDraft(draft.id, 'unit', e.target.value)}>
+            {[...new Set([...UNITS, draft.unit])].map(unit => (
+              <option key={unit} value={unit}>{unit}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            placeholder="0.00"
+            value={draft.listPrice}
+            onChange={(e) => updateDraft(draft.id, 'listPrice', e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="e.g. 10 @ 9.50, 50 @ 8.75"
+            value={draft.tiersText}
+            onChange={(e) => updateDraft(draft.id, 'tiersText', e.target.value)}
+            title="Quantity @ unit price, for each quantity break"
+          />
+          <input
+            type="text"
+            list="catalog-categories"
+            placeholder="Category"
+            value={draft.category}
+            onChange={(e) => updateDraft(draft.id, 'category', e.target.value)}
+          />
+          <input
+            type="checkbox"
+            checked={draft.active}
+            onChange={(e) => updateDraft(draft.id, 'active', e.target.checked)}
+            title="Offered when taking orders"
+          />
+          <button className="btn btn-danger btn-small" onClick={() => removeProduct(draft)}>
+            Remove
+          </button>
+        </div>
+      ))}
+      {visible.length === 0 && <p className="empty-state">No products match.</p>}
+
+      <div className="form-actions">
+        <button className="btn btn-primary" onClick={save}>
+          Save Catalog
+        </button>
+        <button className="btn btn-secondary" onClick={onBack}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProductCatalog;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import './ReceivablesReport.css';
+import { AGING_BUCKETS, agingReport, agingTotals, overdueBalances } from './receivables';
+
+const money = (amount) =>
+  `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Open balances per customer, bucketed by how long ago they were invoiced
+const ReceivablesReport = ({ customers, users, termsDays, onSelectCustomer, onBack }) => {
+  const [owner, setOwner] = useState(''); // '' = all reps
+
+  const scoped = owner ? customers.filter(c => c.owner === owner) : customers;
+  const rows = agingReport(scoped);
+  const totals = agingTotals(rows);
+  const overdueById = new Map(overdueBalances(scoped, termsDays).map(entry => [entry.customer.id, entry]));
+
+  return (
+    <div className="form-container receivables-report">
+      <div className="form-header">
+        <h2>💵 Receivables Aging</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <div className="aging-filters">
+        <label>
+          Rep
+          <select value={owner} onChange={(e) => setOwner(e.target.value)}>
+            <option value="">All reps</option>
+            {users.map(user => (
+              <option key={user} value={user}>{user}</option>
+            ))}
+          </select>
+        </label>
+        <span className="help-text">
+          Aged from the invoice date (order date if not invoiced). Payment terms: net {termsDays} days.
+        </span>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="empty-state">No open balances. Every sale is paid in full.</p>
+      ) : (
+        <table className="aging-table">
+          <thead>
+            <tr>
+              <th>Customer</th>
+              {AGING_BUCKETS.map(bucket => <th key={bucket.key} className="num">{bucket.label}</th>)}
+              <th className="num">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const overdue = overdueById.get(row.customer.id);
+              return (
+                <tr key={row.customer.id} onClick={() => onSelectCustomer(row.customer)}>
+                  <td>
+                    <strong>{row.customer.company || row.customer.name}</strong>
+                    {overdue && (
+                      <span className="aging-overdue"> • {money(overdue.amount)} overdue</span>
+                    )}
+                  </td>
+                  {AGING_BUCKETS.map(bucket => (
+                    <td key={bucket.key} className="num">{row[bucket.key] > 0 ? money(row[bucket.key]) : '—'}</td>
+                  ))}
+                  <td className="num"><strong>{money(row.total)}</strong></td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th>Total ({rows.length} customer{rows.length !== 1 ? 's' : ''})</th>
+              {AGING_BUCKETS.map(bucket => <th key={bucket.key} className="num">{money(totals[bucket.key])}</th>)}
+              <th className="num">{money(totals.total)}</th>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ReceivablesReport;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import './RecycleBin.css';
+import { binnedItems, restoreFromBin, canRestoreItem } from './softDelete';
+
+const formatDeleted = (item) =>
+  `Deleted ${new Date(item.deletedAt).toLocaleString()}${item.deletedBy ? ` by ${item.deletedBy}` : ''}`;
+
+// Replace one customer in the list
+const updateCustomer = (customers, id, update) =>
+  customers.map(c => (c.id === id ? update(c) : c));
+
+// Apply fn to the child item with itemId in customer[listField]
+const updateItem = (customers, customerId, listField, itemId, fn) =>
+  updateCustomer(customers, customerId, c => ({
+    ...c,
+    [listField]: fn(c[listField] || [], itemId)
+  }));
+
+// canRestore / canPurge come from the current user's role
+const RecycleBin = ({ customers, purgeAfterDays, canRestore, canPurge, onChangePurgeDays, onCommit, onBack }) => {
+  const [purgeDays, setPurgeDays] = useState(String(purgeAfterDays));
+  const bin = binnedItems(customers);
+  const total = bin.customers.length + bin.notes.length + bin.purchases.length;
+
+  const restoreCustomer = (customer) => {
+    if (!canRestoreItem(customer)) return;
+    onCommit(updateCustomer(customers, customer.id, restoreFromBin), `Restore ${customer.name}`);
+  };
+
+  const restoreChild = (customer, listField, item, label) => {
+    onCommit(
+      updateItem(customers, customer.id, listField, item.id, (items, id) =>
+        items.map(i => (i.id === id ? restoreFromBin(i) : i))
+      ),
+      label
+    );
+  };
+
+  const deleteCustomerForever = (customer) => {
+    if (!window.confirm(`Permanently delete "${customer.name}" with all notes and orders?`)) return;
+    onCommit(customers.filter(c => c.id !== customer.id), `Permanently delete ${customer.name}`, { undoable: true });
+  };
+
+  const deleteChildForever = (customer, listField, item, label) => {
+    if (!window.confirm('Permanently delete this item?')) return;
+    onCommit(
+      updateItem(customers, customer.id, listField, item.id, (items, id) => items.filter(i => i.id !== id)),
+      label,
+      { undoable: true }
+    );
+  };
+
+  const emptyBin = () => {
+    if (!window.confirm(`Permanently delete all ${total} items in the Recycle Bin?`)) return;
+    const emptied = customers
+      .filter(c => !c.deletedAt)
+      .map(c => {
+        const notes = (c.notes || []).filter(n => !n.deletedAt);
+        const purchases = (c.purchases || []).filter(p => !p.deletedAt);
+        return notes.length !== (c.notes || []).length || purchases.length !== (c.purchases || []).length
+          ? { ...c, notes, purchases }
+          : c;
+      });
+    onCommit(emptied, 'Empty Recycle Bin', { undoable: true });
+  };
+
+  const savePurgeDays = () => {
+    const days = parseInt(purgeDays, 10);
+    if (Number.isNaN(days) || days < 0) {
+      alert('Enter a number of days (0 keeps items until you delete them)');
+      return;
+    }
+    onChangePurgeDays(days);
+  };
+
+  return (
+    <div className="form-container recycle-bin">
+      <div className="form-header">
+        <h2>🗑️ Recycle Bin ({total})</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      {canPurge && (
+        <div className="recycle-settings">
+          <label>
+            Permanently delete items after
+            <input
+              type="number"
+              min="0"
+              value={purgeDays}
+              onChange={(e) => setPurgeDays(e.target.value)}
+            />
+            days
+          </label>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={savePurgeDays}
+            disabled={purgeDays === String(purgeAfterDays)}
+          >
+            Save
+          </button>
+          <span className="help-text">0 = keep until deleted by hand</span>
+        </div>
+      )}
+
+      {total === 0 && (
+        <p className="empty-state">The Recycle Bin is empty.</p>
+      )}
+
+      {bin.customers.length > 0 && (
+        <div className="form-section">
+          <h3>Customers ({bin.customers.length})</h3>
+          {bin.customers.map(customer => (
+            <div key={customer.id} className="recycle-item">
+              <div className="recycle-item-info">
+                <strong>{customer.name}</strong>
+                {customer.company && ` - ${customer.company}`}
+                <span className="recycle-item-detail"> 📍 {customer.city}, {customer.state}</span>
+                <div className="help-text">{formatDeleted(customer)}</div>
+                {customer.mergedInto && (
+                  <div className="help-text">
+                    Merged into {customers.find(c => c.id === customer.mergedInto)?.name || 'another customer'}, so it can't be restored
+                  </div>
+                )}
+              </div>
+              <div className="recycle-item-actions">
+                {canRestore && canRestoreItem(customer) && (
+                  <button className="btn btn-primary btn-small" onClick={() => restoreCustomer(customer)}>
+                    ↩ Restore
+                  </button>
+                )}
+                {canPurge && (
+                  <button className="btn btn-danger btn-small" onClick={() => deleteCustomerForever(customer)}>
+                    Delete Forever
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {bin.purchases.length > 0 && (
+        <div className="form-section">
+          <h3>Orders ({bin.purchases.length})</h3>
+          {bin.purchases.map(({ customer, purchase }) => (
+            <div key={`${customer.id}-${purchase.id}`} className="recycle-item">
+              <div className="recycle-item-info">
+                <strong>{customer.name}</strong>
+                <span className="recycle-item-detail">
+                  {' '}• {purchase.date ? new Date(purchase.date).toLocaleDateString() : 'No date'} •{' '}
+                  {(purchase.products || []).map(p => p.product).join(', ')} •{' '}
+                  ${(Number(purchase.orderTotal) || 0).toFixed(2)}
+                </span>
+                <div className="help-text">{formatDeleted(purchase)}</div>
+              </div>
+              <div className="recycle-item-actions">
+                {canRestore && (
+                  <button
+                    className="btn btn-primary btn-small"
+                    onClick={() => restoreChild(customer, 'purchases', purchase, `Restore order for ${customer.name}`)}
+                  >
+                    ↩ Restore
+                  </button>
+                )}
+                {canPurge && (
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => deleteChildForever(customer, 'purchases', purchase, `Permanently delete order for ${customer.name}`)}
+                  >
+                    Delete Forever
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {bin.notes.length > 0 && (
+        <div className="form-section">
+          <h3>Notes ({bin.notes.length})</h3>
+          {bin.notes.map(({ customer, note }) => (
+            <div key={`${customer.id}-${note.id}`} className="recycle-item">
+              <div className="recycle-item-info">
+                <strong>{customer.name}</strong>
+                {note.contactName && <span className="recycle-item-detail"> • {note.contactName}</span>}
+                <p className="recycle-note-text">{note.text}</p>
+                <div className="help-text">{formatDeleted(note)}</div>
+              </div>
+              <div className="recycle-item-actions">
+                {canRestore && (
+                  <button
+                    className="btn btn-primary btn-small"
+                    onClick={() => restoreChild(customer, 'notes', note, `Restore note for ${customer.name}`)}
+                  >
+                    ↩ Restore
+                  </button>
+                )}
+                {canPurge && (
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => deleteChildForever(customer, 'notes', note, `Permanently delete note for ${customer.name}`)}
+                  >
+                    Delete Forever
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="form-actions">
+        {total > 0 && canPurge && (
+          <button className="btn btn-danger" onClick={emptyBin}>
+            Empty Recycle Bin
+          </button>
+        )}
+        <button className="btn btn-secondary" onClick={onBack}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecycleBin;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import './RoutePlanner.css';
+import { DEFAULT_PIPELINE, stagesByPriority, stageColor, stageBadgeStyle } from './pipeline';
 
-const RoutePlanner = ({ customers, onBack }) => {
+const RoutePlanner = ({ customers, territories = [], pipeline = DEFAULT_PIPELINE, onBack }) => {
   const [selectedCustomers, setSelectedCustomers] = useState([]);
   const [routeMode, setRouteMode] = useState('out-and-back'); // or 'round-trip'
   const [homeAddress, setHomeAddress] = useState('Canton, SD'); // User's home base
@@ -13,6 +14,8 @@ const RoutePlanner = ({ customers, onBack }) => {
   const [stateFilter, setStateFilter] = useState('All');
   const [cityFilter, setCityFilter] = useState('All');
   const [stageFilter, setStageFilter] = useState('All');
+  const [repFilter, setRepFilter] = useState('All');
+  const [territoryFilter, setTerritoryFilter] = useState('All');
   
   // Saved routes
   const [savedRoutes, setSavedRoutes] = useState(() => {
@@ -64,7 +67,13 @@ const RoutePlanner = ({ customers, onBack }) => {
       .map(c => c.city?.trim()) // Trim whitespace
       .filter(Boolean)
   )].sort();
-  const stages = ['All', 'Hot', 'Warm', 'Cold', 'Lead', 'Scouting'];
+  const stages = ['All', ...stagesByPriority(pipeline)];
+  // '' stands for unassigned / no territory
+  const reps = ['All', ...[...new Set(customers.filter(c => c.active).map(c => c.owner || ''))].sort()];
+  const territoryNames = ['All', ...[...new Set([
+    ...territories.map(t => t.name),
+    ...customers.filter(c => c.active).map(c => c.territory || '')
+  ])].sort()];
 
   // Filter customers based on selections
   const filteredCustomers = customers.filter(c => {
@@ -72,6 +81,8 @@ const RoutePlanner = ({ customers, onBack }) => {
     if (stateFilter !== 'All' && c.state !== stateFilter) return false;
     if (cityFilter !== 'All' && c.city?.trim() !== cityFilter) return false;
     if (stageFilter !== 'All' && c.leadStage !== stageFilter) return false;
+    if (repFilter !== 'All' && (c.owner || '') !== repFilter) return false;
+    if (territoryFilter !== 'All' && (c.territory || '') !== territoryFilter) return false;
     return true;
   });
 
@@ -370,7 +381,7 @@ const RoutePlanner = ({ customers, onBack }) => {
                     <div>📍 ${customer.city}, ${customer.state}</div>
                     <div style="margin-top: 4px;">📞 ${customer.primaryPhone || 'No phone'}</div>
                     <div style="margin-top: 4px;">
-                      <span style="background: #${customer.leadStage === 'Hot' ? 'ef4444' : customer.leadStage === 'Warm' ? 'f59e0b' : customer.leadStage === 'Cold' ? '3b82f6' : '6b7280'}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 12px;">
+                      <span style="background: ${stageColor(pipeline, customer.leadStage)}; color: white; padding: 2px 8px; border-radius: 4px; font-size: 12px;">
                         ${customer.leadStage}
                       </span>
                     </div>
@@ -396,7 +407,7 @@ const RoutePlanner = ({ customers, onBack }) => {
         });
       });
     }
-  }, [showAllOnMap, mapLoaded, filteredCustomers]);
+  }, [showAllOnMap, mapLoaded, filteredCustomers, pipeline]);
 
   // Group filtered customers by state
   const customersByState = {};
@@ -537,13 +548,37 @@ const RoutePlanner = ({ customers, onBack }) => {
                   </select>
                 </div>
 
-                {(stateFilter !== 'All' || cityFilter !== 'All' || stageFilter !== 'All') && (
+                <div className="filter-group">
+                  <label>Rep:</label>
+                  <select value={repFilter} onChange={(e) => setRepFilter(e.target.value)}>
+                    {reps.map(rep => (
+                      <option key={rep} value={rep}>
+                        {rep === 'All' ? 'All' : `${rep || 'Unassigned'} (${customers.filter(c => c.active && (c.owner || '') === rep).length})`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="filter-group">
+                  <label>Territory:</label>
+                  <select value={territoryFilter} onChange={(e) => setTerritoryFilter(e.target.value)}>
+                    {territoryNames.map(name => (
+                      <option key={name} value={name}>
+                        {name === 'All' ? 'All' : `${name || 'No territory'} (${customers.filter(c => c.active && (c.territory || '') === name).length})`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {(stateFilter !== 'All' || cityFilter !== 'All' || stageFilter !== 'All' || repFilter !== 'All' || territoryFilter !== 'All') && (
                   <button 
                     className="btn btn-secondary btn-small"
                     onClick={() => {
                       setStateFilter('All');
                       setCityFilter('All');
                       setStageFilter('All');
+                      setRepFilter('All');
+                      setTerritoryFilter('All');
                     }}
                   >
                     Clear Filters
@@ -714,7 +749,7 @@ const RoutePlanner = ({ customers, onBack }) => {
                     📍 {customer.city}, {customer.state}
                   </div>
                   <div className="customer-list-stage">
-                    <span className={`badge-small badge-${customer.leadStage?.toLowerCase()}`}>
+                    <span className="badge-small" style={stageBadgeStyle(pipeline, customer.leadStage)}>
                       {customer.leadStage}
                     </span>
                   </div>
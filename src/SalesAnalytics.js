@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import './SalesAnalytics.css';
+import {
+  SALES_PERIODS,
+  periodStart,
+  salesSince,
+  salesSummary,
+  revenueByMonth,
+  productSales,
+  revenueByField
+} from './salesStats';
+
+const money = (amount) =>
+  `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatChange = (change) =>
+  (change === null ? 'new' : `${change >= 0 ? '▲' : '▼'} ${Math.abs(Math.round(change * 100))}%`);
+
+// Horizontal bars, largest first; clicking one drills into the customer list
+const BarList = ({ rows, empty, onSelect }) => {
+  if (rows.length === 0) return <p className="empty-state">{empty}</p>;
+  const max = Math.max(...rows.map(row => row.value)) || 1;
+  return (
+    <div className="sales-bars">
+      {rows.map(row => (
+        <div
+          key={row.key}
+          className="sales-bar-item"
+          onClick={() => onSelect(row)}
+          title={`${row.detail}. Click to show these customers`}
+        >
+          <div className="sales-bar-header">
+            <span className="sales-bar-name">{row.label}</span>
+            <span className="sales-bar-value">{row.display}</span>
+          </div>
+          <div className="sales-bar-track">
+            <div className="sales-bar-fill" style={{ width: `${Math.round((row.value / max) * 100)}%` }}></div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Revenue trends by month, product, state, lead source and rep. Every bar
+// calls onDrill(type, key, label) to filter the customer list to it.
+const SalesAnalytics = ({ customers, onDrill, onBack }) => {
+  const [period, setPeriod] = useState('12m');
+  const [productsBy, setProductsBy] = useState('revenue'); // 'revenue' | 'quantity'
+
+  const sales = salesSince(customers, periodStart(period));
+  const summary = salesSummary(sales);
+  const months = revenueByMonth(customers);
+  const monthMax = Math.max(...months.map(m => Math.max(m.revenue, m.lastYear))) || 1;
+  const products = productSales(sales)
+    .sort((a, b) => b[productsBy] - a[productsBy])
+    .slice(0, 10);
+
+  const groupRows = (field, empty) => revenueByField(sales, field).slice(0, 10).map(group => ({
+    key: group.key,
+    label: group.key || empty,
+    value: group.revenue,
+    display: money(group.revenue),
+    detail: `${group.orders} order${group.orders !== 1 ? 's' : ''} from ${group.customers} customer${group.customers !== 1 ? 's' : ''}, ${money(group.averageOrder)} average`
+  }));
+
+  return (
+    <div className="form-container sales-analytics">
+      <div className="form-header">
+        <h2>📊 Sales Analytics</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <div className="sales-filters">
+        <label>
+          Period
+          <select value={period} onChange={(e) => setPeriod(e.target.value)}>
+            {Object.entries(SALES_PERIODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <span className="help-text">
+          Revenue is before sales tax and leaves out quotes and cancelled orders. Click a bar to list those customers.
+        </span>
+      </div>
+
+      <div className="sales-summary">
+        <div className="sales-summary-item">
+          <div className="sales-summary-value">{money(summary.revenue)}</div>
+          <div className="sales-summary-label">Revenue</div>
+        </div>
+        <div className="sales-summary-item">
+          <div className="sales-summary-value">{summary.orders}</div>
+          <div className="sales-summary-label">Orders</div>
+        </div>
+        <div className="sales-summary-item">
+          <div className="sales-summary-value">{money(summary.averageOrder)}</div>
+          <div className="sales-summary-label">Avg. Order</div>
+        </div>
+        <div className="sales-summary-item">
+          <div className="sales-summary-value">{summary.customers}</div>
+          <div className="sales-summary-label">Buying Customers</div>
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Revenue by Month</h3>
+        <div className="month-chart">
+          {months.map(month => (
+            <div
+              key={month.key}
+              className="month-column"
+              onClick={() => onDrill('month', month.key, month.label)}
+              title={`${month.label}: ${money(month.revenue)} from ${month.orders} order${month.orders !== 1 ? 's' : ''}` +
+                `\nSame month last year: ${money(month.lastYear)}\nClick to show these customers`}
+            >
+              <div className="month-bars">
+                <div className="month-bar month-bar-prior" style={{ height: `${(month.lastYear / monthMax) * 100}%` }}></div>
+                <div className="month-bar" style={{ height: `${(month.revenue / monthMax) * 100}%` }}></div>
+              </div>
+              <div className="month-label">{month.label}</div>
+              {(month.revenue > 0 || month.lastYear > 0) && (
+                <div className={`month-change ${month.change !== null && month.change < 0 ? 'down' : 'up'}`}>
+                  {formatChange(month.change)}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="month-legend">
+          <span><span className="legend-swatch"></span>This year</span>
+          <span><span className="legend-swatch legend-swatch-prior"></span>Same month last year</span>
+        </div>
+      </div>
+
+      <div className="sales-grid">
+        <div className="form-section">
+          <div className="sales-section-header">
+            <h3>Top Products</h3>
+            <select value={productsBy} onChange={(e) => setProductsBy(e.target.value)}>
+              <option value="revenue">By revenue</option>
+              <option value="quantity">By volume</option>
+            </select>
+          </div>
+          <BarList
+            rows={products.map(product => ({
+              key: product.key,
+              label: product.product,
+              value: product[productsBy],
+              display: productsBy === 'revenue'
+                ? money(product.revenue)
+                : `${product.quantity.toLocaleString()}${product.unit && product.unit !== 'each' ? ` ${product.unit}` : ''}`,
+              detail: `${money(product.revenue)}, ${product.quantity.toLocaleString()} sold on ${product.orders} order${product.orders !== 1 ? 's' : ''}`
+            }))}
+            empty="No products sold in this period."
+            onSelect={(row) => onDrill('product', row.key, row.label)}
+          />
+        </div>
+
+        {[
+          { title: 'By State', type: 'state', field: 'state', empty: 'Unknown' },
+          { title: 'By Lead Source', type: 'source', field: 'referralSource', empty: 'Not recorded' },
+          { title: 'By Rep', type: 'owner', field: 'owner', empty: 'Unassigned' }
+        ].map(({ title, type, field, empty }) => (
+          <div key={type} className="form-section">
+            <h3>{title}</h3>
+            <BarList
+              rows={groupRows(field, empty)}
+              empty="No sales in this period."
+              onSelect={(row) => onDrill(type, row.key, row.label)}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SalesAnalytics;
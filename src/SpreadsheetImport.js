@@ -0,0 +1,403 @@
+import React, { useState } from 'react';
+import './SpreadsheetImport.css';
+import { parseCsv } from './csv';
+import { formatPhoneNumber, findDuplicateCustomer, createEmptyCustomer } from './customerUtils';
+import { CURRENT_SCHEMA_VERSION } from './customerSchema';
+
+// Customer fields a spreadsheet column can be mapped to.
+// aliases are matched against header names to guess the mapping.
+const IMPORT_FIELDS = [
+  { key: 'name', label: 'Customer Name', aliases: ['name', 'customer', 'customername', 'fullname'] },
+  { key: 'company', label: 'Company', aliases: ['company', 'companyname', 'business', 'farm', 'organization'] },
+  { key: 'address', label: 'Address', aliases: ['address', 'street', 'address1', 'streetaddress'] },
+  { key: 'city', label: 'City', aliases: ['city', 'town'] },
+  { key: 'state', label: 'State', aliases: ['state', 'st', 'province'] },
+  { key: 'zip', label: 'ZIP', aliases: ['zip', 'zipcode', 'postalcode', 'postcode'] },
+  { key: 'county', label: 'County', aliases: ['county', 'parish'] },
+  { key: 'primaryPhone', label: 'Phone', aliases: ['phone', 'phonenumber', 'telephone', 'primaryphone', 'mobile', 'cell'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'emailaddress', 'e-mail'] },
+  { key: 'leadStage', label: 'Lead Stage', aliases: ['stage', 'leadstage', 'status'] },
+  { key: 'referralSource', label: 'Referral Source', aliases: ['source', 'referral', 'referralsource', 'leadsource'] },
+  { key: 'owner', label: 'Owner', aliases: ['owner', 'rep', 'salesrep', 'assignedto', 'accountowner'] },
+  { key: 'contactName', label: 'Contact Name', aliases: ['contact', 'contactname'] },
+  { key: 'contactTitle', label: 'Contact Title', aliases: ['title', 'jobtitle', 'position', 'role', 'contacttitle'] },
+  { key: 'contactPhone', label: 'Contact Phone', aliases: ['contactphone'] },
+  { key: 'contactEmail', label: 'Contact Email', aliases: ['contactemail'] },
+  { key: 'contactBestTime', label: 'Best Time to Contact', aliases: ['besttime', 'besttimetocontact'] }
+];
+
+const STATE_NAMES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+  CONNECTICUT: 'CT', DELAWARE: 'DE', FLORIDA: 'FL', GEORGIA: 'GA', HAWAII: 'HI', IDAHO: 'ID',
+  ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY', LOUISIANA: 'LA',
+  MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN',
+  MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV',
+  'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY',
+  'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR',
+  PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD',
+  TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT', VIRGINIA: 'VA', WASHINGTON: 'WA',
+  'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY'
+};
+
+const PREVIEW_ROWS = 5;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9-]/g, '');
+
+// Spreadsheet cells can be numbers, dates or empty
+const cellText = (cell) => {
+  if (cell === null || cell === undefined) return '';
+  if (cell instanceof Date) return cell.toISOString().split('T')[0];
+  return String(cell).trim();
+};
+
+// Guess which field each column holds from its header
+const guessMapping = (headers) => {
+  const used = new Set();
+  return headers.map(header => {
+    const normalized = normalizeHeader(cellText(header));
+    const field = IMPORT_FIELDS.find(f => !used.has(f.key) && f.aliases.includes(normalized));
+    if (!field) return '';
+    used.add(field.key);
+    return field.key;
+  });
+};
+
+const SpreadsheetImport = ({ customers, leadStages, defaultLeadStage, states, onImport, onCancel }) => {
+  const [step, setStep] = useState('upload'); // upload → map → review
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeaderRow, setHasHeaderRow] = useState(true);
+  const [mapping, setMapping] = useState([]);
+  const [reviewRows, setReviewRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const headers = hasHeaderRow && rows.length > 0
+    ? rows[0].map(cellText)
+    : (rows[0] || []).map((_, i) => `Column ${i + 1}`);
+  const dataRows = hasHeaderRow ? rows.slice(1) : rows;
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      let parsedRows;
+      if (/\.xlsx$/i.test(file.name)) {
+        const { readSheet } = await import('read-excel-file/browser');
+        parsedRows = await readSheet(file);
+      } else {
+        parsedRows = parseCsv(await file.text());
+      }
+
+      if (parsedRows.length === 0) {
+        alert('❌ That file has no rows.');
+        return;
+      }
+
+      // Pad short rows so every row has a cell for every column
+      const width = Math.max(...parsedRows.map(r => r.length));
+      const padded = parsedRows.map(r => [...r, ...Array(width - r.length).fill('')]);
+
+      setFileName(file.name);
+      setRows(padded);
+      setHasHeaderRow(true);
+      setMapping(guessMapping(padded[0]));
+      setStep('map');
+    } catch (error) {
+      console.error('Spreadsheet import error:', error);
+      alert('❌ Error reading file. Use a .csv or .xlsx spreadsheet.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleHeaderToggle = (checked) => {
+    setHasHeaderRow(checked);
+    setMapping(checked ? guessMapping(rows[0]) : rows[0].map(() => ''));
+  };
+
+  const handleMappingChange = (columnIndex, fieldKey) => {
+    // A field can only come from one column
+    setMapping(mapping.map((key, i) => {
+      if (i === columnIndex) return fieldKey;
+      return fieldKey && key === fieldKey ? '' : key;
+    }));
+  };
+
+  const normalizeState = (value) => {
+    const upper = value.toUpperCase().trim();
+    return STATE_NAMES[upper] || upper;
+  };
+
+  // Turn one spreadsheet row into a customer and check it
+  const buildRow = (row, rowNumber, seenNames) => {
+    const values = {};
+    mapping.forEach((fieldKey, i) => {
+      if (fieldKey) values[fieldKey] = cellText(row[i]);
+    });
+
+    const errors = [];
+    const warnings = [];
+
+    if (!values.name) errors.push('Missing customer name');
+    if (!values.city) errors.push('Missing city');
+
+    const state = values.state ? normalizeState(values.state) : '';
+    if (!state) {
+      errors.push('Missing state');
+    } else if (!states.includes(state)) {
+      errors.push(`Unknown state "${values.state}"`);
+    }
+
+    let leadStage = defaultLeadStage;
+    if (values.leadStage) {
+      const match = leadStages.find(s => s.toLowerCase() === values.leadStage.toLowerCase());
+      if (match) {
+        leadStage = match;
+      } else {
+        warnings.push(`Unknown stage "${values.leadStage}" - will be ${defaultLeadStage}`);
+      }
+    }
+
+    const primaryPhone = values.primaryPhone ? formatPhoneNumber(values.primaryPhone) : '';
+    const blank = createEmptyCustomer();
+    const customer = {
+      ...blank,
+      name: values.name || '',
+      company: values.company || '',
+      address: values.address || '',
+      city: values.city || '',
+      state,
+      zip: values.zip || '',
+      county: values.county || '',
+      primaryPhone,
+      email: values.email || '',
+      leadStage,
+      referralSource: values.referralSource || '',
+      owner: values.owner || '',
+      contacts: [{
+        ...blank.contacts[0],
+        name: values.contactName || values.name || '',
+        title: values.contactTitle || '',
+        phone: values.contactPhone ? formatPhoneNumber(values.contactPhone) : primaryPhone,
+        email: values.contactEmail || values.email || '',
+        bestTime: values.contactBestTime || ''
+      }]
+    };
+
+    let duplicate = null;
+    if (customer.name) {
+      const existing = findDuplicateCustomer(customers, customer);
+      const nameKey = customer.name.toLowerCase().trim();
+      if (existing) {
+        duplicate = `Duplicate of existing customer "${existing.name}"`;
+      } else if (seenNames.has(nameKey)) {
+        duplicate = `Duplicate of row ${seenNames.get(nameKey)} in this file`;
+      } else {
+        seenNames.set(nameKey, rowNumber);
+      }
+    }
+
+    return {
+      rowNumber,
+      customer,
+      errors,
+      warnings,
+      duplicate,
+      include: errors.length === 0 && !duplicate
+    };
+  };
+
+  const goToReview = () => {
+    if (!mapping.includes('name')) {
+      alert('Please map a column to Customer Name');
+      return;
+    }
+    const seenNames = new Map();
+    const firstRowNumber = hasHeaderRow ? 2 : 1;
+    setReviewRows(dataRows.map((row, i) => buildRow(row, i + firstRowNumber, seenNames)));
+    setStep('review');
+  };
+
+  const toggleInclude = (rowNumber) => {
+    setReviewRows(reviewRows.map(r =>
+      r.rowNumber === rowNumber && r.errors.length === 0 ? { ...r, include: !r.include } : r
+    ));
+  };
+
+  const includedRows = reviewRows.filter(r => r.include);
+  const errorCount = reviewRows.filter(r => r.errors.length > 0).length;
+  const duplicateCount = reviewRows.filter(r => r.duplicate).length;
+
+  const handleImport = () => {
+    const now = Date.now();
+    const newCustomers = includedRows.map((r, i) => ({
+      ...r.customer,
+      id: now + i,
+      dateAdded: new Date().toISOString(),
+      active: true,
+      schemaVersion: CURRENT_SCHEMA_VERSION
+    }));
+    onImport(newCustomers);
+  };
+
+  return (
+    <div className="form-container spreadsheet-import">
+      <div className="form-header">
+        <h2>📊 Import Spreadsheet</h2>
+        <button className="btn-close" onClick={onCancel}>×</button>
+      </div>
+
+      <div className="wizard-steps">
+        <span className={`wizard-step ${step === 'upload' ? 'active' : ''}`}>1. Choose File</span>
+        <span className={`wizard-step ${step === 'map' ? 'active' : ''}`}>2. Map Columns</span>
+        <span className={`wizard-step ${step === 'review' ? 'active' : ''}`}>3. Review</span>
+      </div>
+
+      {step === 'upload' && (
+        <div className="form-section">
+          <p className="wizard-help">
+            Choose a <strong>.csv</strong> or <strong>.xlsx</strong> file with one customer per row,
+            e.g. a trade show or distributor prospect list.
+          </p>
+          <label className="btn btn-primary">
+            {loading ? '⏳ Reading...' : '📂 Choose File'}
+            <input
+              type="file"
+              accept=".csv,.txt,.xlsx"
+              onChange={handleFile}
+              style={{ display: 'none' }}
+              disabled={loading}
+            />
+          </label>
+        </div>
+      )}
+
+      {step === 'map' && (
+        <div className="form-section">
+          <p className="wizard-help">
+            <strong>{fileName}</strong> - {dataRows.length} row{dataRows.length !== 1 ? 's' : ''}.
+            Choose which customer field each column holds. Unmapped columns are skipped.
+          </p>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={hasHeaderRow}
+              onChange={(e) => handleHeaderToggle(e.target.checked)}
+            />
+            <span>First row is column headings</span>
+          </label>
+
+          <div className="mapping-table-wrapper">
+            <table className="mapping-table">
+              <thead>
+                <tr>
+                  {headers.map((header, i) => (
+                    <th key={i}>
+                      <div className="mapping-header">{header || `Column ${i + 1}`}</div>
+                      <select
+                        value={mapping[i] || ''}
+                        onChange={(e) => handleMappingChange(i, e.target.value)}
+                      >
+                        <option value="">— Skip —</option>
+                        {IMPORT_FIELDS.map(field => (
+                          <option key={field.key} value={field.key}>{field.label}</option>
+                        ))}
+                      </select>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {dataRows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {row.map((cell, i) => (
+                      <td key={i} className={mapping[i] ? '' : 'unmapped'}>{cellText(cell)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {dataRows.length > PREVIEW_ROWS && (
+            <p className="wizard-help">Showing first {PREVIEW_ROWS} of {dataRows.length} rows.</p>
+          )}
+
+          <div className="form-actions">
+            <button className="btn btn-primary" onClick={goToReview}>
+              Next: Review →
+            </button>
+            <button className="btn btn-secondary" onClick={() => setStep('upload')}>
+              ← Choose Another File
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'review' && (
+        <div className="form-section">
+          <div className="review-summary">
+            <span className="review-count review-ok">✅ {includedRows.length} to import</span>
+            {duplicateCount > 0 && (
+              <span className="review-count review-duplicate">⚠️ {duplicateCount} possible duplicate{duplicateCount !== 1 ? 's' : ''}</span>
+            )}
+            {errorCount > 0 && (
+              <span className="review-count review-error">❌ {errorCount} with errors</span>
+            )}
+          </div>
+
+          <div className="review-list">
+            {reviewRows.map(r => (
+              <label
+                key={r.rowNumber}
+                className={`review-row ${r.errors.length > 0 ? 'has-error' : r.duplicate ? 'has-duplicate' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={r.include}
+                  disabled={r.errors.length > 0}
+                  onChange={() => toggleInclude(r.rowNumber)}
+                />
+                <div className="review-row-info">
+                  <div>
+                    <span className="review-row-number">Row {r.rowNumber}</span>
+                    <strong>{r.customer.name || '(no name)'}</strong>
+                    {r.customer.company && ` - ${r.customer.company}`}
+                    {r.customer.city && ` • ${r.customer.city}, ${r.customer.state}`}
+                    {r.customer.primaryPhone && ` • ${r.customer.primaryPhone}`}
+                  </div>
+                  {r.errors.map(error => (
+                    <div key={error} className="review-message review-message-error">{error}</div>
+                  ))}
+                  {r.duplicate && (
+                    <div className="review-message review-message-duplicate">{r.duplicate} - tick to add anyway</div>
+                  )}
+                  {r.warnings.map(warning => (
+                    <div key={warning} className="review-message">{warning}</div>
+                  ))}
+                </div>
+              </label>
+            ))}
+          </div>
+
+          <div className="form-actions">
+            <button
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={includedRows.length === 0}
+            >
+              Import {includedRows.length} Customer{includedRows.length !== 1 ? 's' : ''}
+            </button>
+            <button className="btn btn-secondary" onClick={() => setStep('map')}>
+              ← Back to Mapping
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpreadsheetImport;
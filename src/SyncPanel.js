@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import './SyncPanel.css';
+
+const SyncPanel = ({ sync, customers, onBack }) => {
+  const { syncState, syncing, syncError, pendingCount, conflicts } = sync;
+  const [serverUrl, setServerUrl] = useState(syncState.serverUrl);
+  const [token, setToken] = useState(syncState.token);
+
+  const saveSettings = () => {
+    const trimmedUrl = serverUrl.trim();
+    if (trimmedUrl && !/^https?:\/\//.test(trimmedUrl)) {
+      alert('Server address must start with http:// or https://');
+      return;
+    }
+    if (trimmedUrl !== syncState.serverUrl && syncState.serverUrl && !window.confirm(
+      'Switch sync server?\n\nThis device will re-sync all customers with the new server.'
+    )) {
+      return;
+    }
+    sync.updateSettings({ serverUrl: trimmedUrl, token: token.trim() });
+  };
+
+  const localCustomer = (id) => customers.find(c => String(c.id) === String(id));
+
+  const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleString() : 'Never');
+
+  return (
+    <div className="sync-panel">
+      <div className="sync-header">
+        <button className="btn-back" onClick={onBack}>← Back to Customers</button>
+        <h1>🔄 Device Sync</h1>
+      </div>
+
+      <div className="sync-content">
+        <div className="sync-section">
+          <h2>Sync Server</h2>
+          <p className="sync-help">
+            Run <code>npm run sync-server</code> on your office computer, then enter its address on
+            every device (e.g. <code>http://192.168.1.20:4100</code>). Changes made offline sync
+            automatically when the device is back online.
+          </p>
+          <div className="form-row">
+            <div className="form-field">
+              <label>Server Address</label>
+              <input
+                type="url"
+                value={serverUrl}
+                onChange={(e) => setServerUrl(e.target.value)}
+                placeholder="http://localhost:4100"
+              />
+            </div>
+            <div className="form-field">
+              <label>Sync Token (if the server uses one)</label>
+              <input
+                type="password"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+              />
+            </div>
+          </div>
+          <button className="btn btn-primary" onClick={saveSettings}>
+            Save Settings
+          </button>
+        </div>
+
+        <div className="sync-section">
+          <h2>Status</h2>
+          <div className="sync-status-grid">
+            <div className="sync-status-item">
+              <div className="sync-status-label">Last Sync</div>
+              <div className="sync-status-value">{formatDate(syncState.lastSyncedAt)}</div>
+            </div>
+            <div className="sync-status-item">
+              <div className="sync-status-label">Waiting to Sync</div>
+              <div className="sync-status-value">{pendingCount} customer{pendingCount !== 1 ? 's' : ''}</div>
+            </div>
+            <div className="sync-status-item">
+              <div className="sync-status-label">Connection</div>
+              <div className="sync-status-value">{navigator.onLine ? 'Online' : 'Offline'}</div>
+            </div>
+            <div className="sync-status-item">
+              <div className="sync-status-label">This Device</div>
+              <div className="sync-status-value sync-device-id">{syncState.deviceId}</div>
+            </div>
+          </div>
+
+          {syncError && (
+            <div className="sync-error">❌ Last sync failed: {syncError}</div>
+          )}
+
+          <button
+            className="btn btn-success"
+            onClick={sync.syncNow}
+            disabled={!syncState.serverUrl || syncing}
+          >
+            {syncing ? '⏳ Syncing...' : '🔄 Sync Now'}
+          </button>
+        </div>
+
+        <div className="sync-section">
+          <h2>Conflicts ({conflicts.length})</h2>
+          {conflicts.length === 0 ? (
+            <p className="empty-state">No conflicts. 🎉</p>
+          ) : (
+            <>
+              <p className="sync-help">
+                These customers were changed on this device and on another device since the last sync.
+                Choose which copy to keep.
+              </p>
+              <div className="conflict-list">
+                {conflicts.map(conflict => {
+                  const mine = localCustomer(conflict.id);
+                  const theirs = conflict.server.data;
+                  return (
+                    <div key={conflict.id} className="conflict-item">
+                      <div className="conflict-copies">
+                        <div className="conflict-copy">
+                          <div className="conflict-copy-label">📱 This device</div>
+                          <strong>{mine ? mine.name : 'Deleted'}</strong>
+                          {mine && <span>{mine.city}, {mine.state} • {mine.leadStage}</span>}
+                          <span className="conflict-date">Changed {formatDate(conflict.localUpdatedAt)}</span>
+                        </div>
+                        <div className="conflict-copy">
+                          <div className="conflict-copy-label">☁️ Other device</div>
+                          <strong>{theirs ? theirs.name : 'Deleted'}</strong>
+                          {theirs && <span>{theirs.city}, {theirs.state} • {theirs.leadStage}</span>}
+                          <span className="conflict-date">Changed {formatDate(conflict.server.updatedAt)}</span>
+                        </div>
+                      </div>
+                      <div className="conflict-actions">
+                        <button
+                          className="btn btn-primary btn-small"
+                          onClick={() => sync.keepMine(conflict.id)}
+                          disabled={syncing}
+                        >
+                          Keep This Device's
+                        </button>
+                        <button
+                          className="btn btn-secondary btn-small"
+                          onClick={() => sync.acceptTheirs(conflict.id)}
+                          disabled={syncing}
+                        >
+                          Use Other Device's
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncPanel;
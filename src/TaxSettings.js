@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import './TaxSettings.css';
+
+// Rates are edited as percentages and stored as fractions
+const toPercent = (rate) => (rate ? String(Math.round(rate * 100000) / 1000) : '');
+const toRate = (text) => (parseFloat(text) || 0) / 100;
+
+const newOverrideId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Editable copy of the rates: { [state]: { rate, overrides } } with rates as percent text
+const toDrafts = (settings, states) => Object.fromEntries(states.map(state => {
+  const stateRates = settings.states[state] || {};
+  return [state, {
+    rate: toPercent(stateRates.rate),
+    overrides: (stateRates.overrides || []).map(o => ({ ...o, rate: toPercent(o.rate) }))
+  }];
+}));
+
+// States without a rate or overrides are left out of the saved settings
+const fromDrafts = (drafts) => Object.fromEntries(Object.entries(drafts)
+  .map(([state, draft]) => [state, {
+    rate: toRate(draft.rate),
+    overrides: draft.overrides
+      .map(o => ({ ...o, county: o.county.trim(), city: o.city.trim(), rate: toRate(o.rate) }))
+      .filter(o => o.county || o.city)
+  }])
+  .filter(([, rates]) => rates.rate > 0 || rates.overrides.length > 0));
+
+// Sales tax rates per state with county and city overrides
+const TaxSettings = ({ settings, states, onSave, onBack }) => {
+  const [drafts, setDrafts] = useState(() => toDrafts(settings, states));
+  const [warningDays, setWarningDays] = useState(String(settings.expiryWarningDays));
+  const [onlyTaxed, setOnlyTaxed] = useState(false);
+
+  const updateState = (state, changes) => {
+    setDrafts({ ...drafts, [state]: { ...drafts[state], ...changes } });
+  };
+
+  const updateOverride = (state, id, field, value) => {
+    updateState(state, {
+      overrides: drafts[state].overrides.map(o => (o.id === id ? { ...o, [field]: value } : o))
+    });
+  };
+
+  const addOverride = (state) => {
+    updateState(state, { overrides: [...drafts[state].overrides, { id: newOverrideId(), county: '', city: '', rate: '' }] });
+  };
+
+  const removeOverride = (state, id) => {
+    updateState(state, { overrides: drafts[state].overrides.filter(o => o.id !== id) });
+  };
+
+  const save = () => {
+    const rates = Object.values(drafts).flatMap(d => [d.rate, ...d.overrides.map(o => o.rate)]);
+    if (rates.some(rate => rate !== '' && !(parseFloat(rate) >= 0 && parseFloat(rate) < 100))) {
+      alert('Tax rates must be percentages between 0 and 100.');
+      return;
+    }
+    onSave({
+      ...settings,
+      states: fromDrafts(drafts),
+      expiryWarningDays: parseInt(warningDays, 10) >= 0 ? parseInt(warningDays, 10) : settings.expiryWarningDays
+    });
+  };
+
+  const visibleStates = states.filter(state =>
+    !onlyTaxed || drafts[state].rate !== '' || drafts[state].overrides.length > 0
+  );
+
+  return (
+    <div className="form-container tax-settings">
+      <div className="form-header">
+        <h2>🧾 Sales Tax</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <p className="help-text">
+        Each order is taxed at the rate for the customer's city, county or state, whichever is most specific.
+        A city override with a county only applies to customers in that county. Exempt customers aren't taxed
+        while their certificate is valid.
+      </p>
+
+      <div className="tax-toolbar">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={onlyTaxed}
+            onChange={(e) => setOnlyTaxed(e.target.checked)}
+          />
+          <span>Only states with tax set</span>
+        </label>
+        <label>
+          Warn about exemption certificates expiring within{' '}
+          <input
+            type="number"
+            min="0"
+            value={warningDays}
+            onChange={(e) => setWarningDays(e.target.value)}
+          />{' '}
+          days
+        </label>
+      </div>
+
+      <div className="tax-states">
+        {visibleStates.map(state => (
+          <div key={state} className="tax-state">
+            <div className="tax-state-row">
+              <strong>{state}</strong>
+              <input
+                type="number"
+                step="0.001"
+                min="0"
+                placeholder="0"
+                value={drafts[state].rate}
+                onChange={(e) => updateState(state, { rate: e.target.value })}
+              />
+              <span>%</span>
+              <button className="btn btn-secondary btn-small" onClick={() => addOverride(state)}>
+                + County/City
+              </button>
+            </div>
+            {drafts[state].overrides.map(override => (
+              <div key={override.id} className="tax-override-row">
+                <input
+                  type="text"
+                  placeholder="County"
+                  value={override.county}
+                  onChange={(e) => updateOverride(state, override.id, 'county', e.target.value)}
+                />
+                <input
+                  type="text"
+                  placeholder="City (optional)"
+                  value={override.city}
+                  onChange={(e) => updateOverride(state, override.id, 'city', e.target.value)}
+                />
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  placeholder="0"
+                  value={override.rate}
+                  onChange={(e) => updateOverride(state, override.id, 'rate', e.target.value)}
+                />
+                <span>%</span>
+                <button className="btn btn-danger btn-small" onClick={() => removeOverride(state, override.id)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+        {visibleStates.length === 0 && <p className="empty-state">No states have tax set.</p>}
+      </div>
+
+      <div className="form-actions">
+        <button className="btn btn-primary" onClick={save}>
+          Save Tax Rates
+        </button>
+        <button className="btn btn-secondary" onClick={onBack}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettings;
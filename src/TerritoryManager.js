@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import './TerritoryManager.css';
+import {
+  createTerritory,
+  parseStates,
+  parseZipPrefixes,
+  applyTerritory,
+  matchesAssignment
+} from './territories';
+import { liveItems } from './softDelete';
+
+const ANY = '__any__';
+
+// Editable copy of a territory, with states and ZIP prefixes as text
+const toDraft = (territory) => ({
+  ...territory,
+  statesText: (territory.states || []).join(', '),
+  zipText: (territory.zipPrefixes || []).join(', ')
+});
+
+const fromDraft = ({ statesText, zipText, ...territory }) => ({
+  ...territory,
+  name: territory.name.trim(),
+  states: parseStates(statesText),
+  zipPrefixes: parseZipPrefixes(zipText)
+});
+
+const RepSelect = ({ value, users, onChange, anyLabel }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)}>
+    {anyLabel && <option value={ANY}>{anyLabel}</option>}
+    <option value="">Unassigned</option>
+    {users.map(user => (
+      <option key={user} value={user}>{user}</option>
+    ))}
+  </select>
+);
+
+// Territory definitions, re-applying them to customers, and bulk reassignment
+const TerritoryManager = ({ customers, territories, users, onSaveTerritories, onCommit, onBack }) => {
+  const [drafts, setDrafts] = useState(() => territories.map(toDraft));
+  const [fromOwner, setFromOwner] = useState(ANY);
+  const [fromTerritory, setFromTerritory] = useState(ANY);
+  const [toOwner, setToOwner] = useState(users[0] || '');
+
+  const liveCustomers = liveItems(customers);
+  const saved = drafts.map(fromDraft);
+  const isDirty = JSON.stringify(saved) !== JSON.stringify(territories);
+
+  // Owners on record who are no longer users still need to be reassignable
+  const owners = [...new Set([...users, ...liveCustomers.map(c => c.owner).filter(Boolean)])];
+
+  const updateDraft = (id, field, value) => {
+    setDrafts(drafts.map(d => (d.id === id ? { ...d, [field]: value } : d)));
+  };
+
+  const removeDraft = (draft) => {
+    const inUse = liveCustomers.filter(c => c.territory === draft.name).length;
+    if (inUse > 0 && !window.confirm(`Remove "${draft.name}"? ${inUse} customer(s) are in it until territories are re-applied.`)) return;
+    setDrafts(drafts.filter(d => d.id !== draft.id));
+  };
+
+  const saveTerritories = () => {
+    const names = saved.map(t => t.name);
+    if (names.some(name => !name)) {
+      alert('Every territory needs a name.');
+      return;
+    }
+    if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+      alert('Territory names must be unique.');
+      return;
+    }
+    onSaveTerritories(saved);
+  };
+
+  // Customers whose territory or owner would change under the saved definitions
+  const territoryChanges = liveCustomers.filter(c => applyTerritory(c, territories) !== c);
+
+  const reapplyTerritories = () => {
+    if (!window.confirm(
+      `Update the territory of ${territoryChanges.length} customer(s)?\n\n` +
+      `Customers moving to a territory with a default rep are reassigned to that rep.`
+    )) return;
+    onCommit(
+      customers.map(c => (c.deletedAt ? c : applyTerritory(c, territories))),
+      'Re-apply territories',
+      { undoable: true }
+    );
+  };
+
+  const selection = {
+    owner: fromOwner === ANY ? null : fromOwner,
+    territory: fromTerritory === ANY ? null : fromTerritory
+  };
+  const toReassign = liveCustomers.filter(c => matchesAssignment(c, selection) && (c.owner || '') !== toOwner);
+
+  const reassign = () => {
+    const target = toOwner || 'Unassigned';
+    if (!window.confirm(`Reassign ${toReassign.length} customer(s) to ${target}?`)) return;
+    const ids = new Set(toReassign.map(c => c.id));
+    onCommit(
+      customers.map(c => (ids.has(c.id) ? { ...c, owner: toOwner } : c)),
+      `Reassign ${toReassign.length} customers to ${target}`,
+      { undoable: true }
+    );
+  };
+
+  return (
+    <div className="form-container territory-manager">
+      <div className="form-header">
+        <h2>🧭 Territories &amp; Reassignment</h2>
+        <button className="btn-close" onClick={onBack}>×</button>
+      </div>
+
+      <div className="form-section">
+        <h3>Territories ({drafts.length})</h3>
+        <p className="help-text">
+          Customers are placed in a territory by ZIP prefix first, then by state, whenever they are saved.
+        </p>
+
+        {drafts.map(draft => (
+          <div key={draft.id} className="territory-row">
+            <input
+              type="text"
+              className="territory-name"
+              placeholder="Territory name"
+              value={draft.name}
+              onChange={(e) => updateDraft(draft.id, 'name', e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="States, e.g. SD, NE"
+              value={draft.statesText}
+              onChange={(e) => updateDraft(draft.id, 'statesText', e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="ZIP prefixes, e.g. 570, 571"
+              value={draft.zipText}
+              onChange={(e) => updateDraft(draft.id, 'zipText', e.target.value)}
+            />
+            <RepSelect value={draft.rep} users={users} onChange={(rep) => updateDraft(draft.id, 'rep', rep)} />
+            <span className="territory-count" title="Customers currently in this territory">
+              {liveCustomers.filter(c => c.territory && c.territory === draft.name).length}
+            </span>
+            <button className="btn btn-danger btn-small" onClick={() => removeDraft(draft)}>
+              Remove
+            </button>
+          </div>
+        ))}
+
+        <div className="territory-actions">
+          <button className="btn btn-secondary btn-small" onClick={() => setDrafts([...drafts, toDraft(createTerritory())])}>
+            + Add Territory
+          </button>
+          <button className="btn btn-primary btn-small" onClick={saveTerritories} disabled={!isDirty}>
+            Save Territories
+          </button>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={reapplyTerritories}
+            disabled={isDirty || territoryChanges.length === 0}
+            title={isDirty ? 'Save territories first' : ''}
+          >
+            Re-apply to Customers ({territoryChanges.length})
+          </button>
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Bulk Reassignment</h3>
+        <p className="help-text">Move customers to another rep, e.g. when a rep leaves or territories are redrawn.</p>
+        <div className="reassign-row">
+          <label>
+            Owned by
+            <RepSelect value={fromOwner} users={owners} onChange={setFromOwner} anyLabel="Anyone" />
+          </label>
+          <label>
+            In territory
+            <select value={fromTerritory} onChange={(e) => setFromTerritory(e.target.value)}>
+              <option value={ANY}>Any territory</option>
+              <option value="">No territory</option>
+              {territories.map(t => (
+                <option key={t.id} value={t.name}>{t.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Reassign to
+            <RepSelect value={toOwner} users={users} onChange={setToOwner} />
+          </label>
+          <button className="btn btn-primary" onClick={reassign} disabled={toReassign.length === 0}>
+            Reassign {toReassign.length} Customer{toReassign.length !== 1 ? 's' : ''}
+          </button>
+        </div>
+      </div>
+
+      <div className="form-actions">
+        <button className="btn btn-secondary" onClick={onBack}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TerritoryManager;
@@ -0,0 +1,29 @@
+import React, { useEffect } from 'react';
+import './UndoToast.css';
+
+const TOAST_DURATION_MS = 6000;
+
+const UndoToast = ({ toast, onUndo, onDismiss }) => {
+  // Restart the timer whenever a new toast appears
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{toast.message}</span>
+      {toast.entry && (
+        <button className="undo-toast-button" onClick={onUndo}>
+          Undo
+        </button>
+      )}
+      <button className="undo-toast-close" onClick={onDismiss} title="Dismiss">×</button>
+    </div>
+  );
+};
+
+export default UndoToast;
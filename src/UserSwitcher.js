@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import './UserSwitcher.css';
+import { ROLES } from './permissions';
+import { hashPin } from './users';
+
+const MANAGE = '__manage__';
+
+// Header profile switcher. Admins also get a dialog for adding and removing
+// users, setting their roles and PINs.
+const UserSwitcher = ({ settings, canManage, onChange }) => {
+  const { users, roles, pins, currentUser } = settings;
+  const [managing, setManaging] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  const admins = users.filter(user => roles[user] === 'admin');
+
+  const switchTo = async (user) => {
+    if (pins[user]) {
+      const pin = window.prompt(`Enter the PIN for ${user}:`);
+      if (pin === null) return;
+      if ((await hashPin(pin)) !== pins[user]) {
+        alert('❌ Wrong PIN.');
+        return;
+      }
+    }
+    onChange({ ...settings, currentUser: user });
+  };
+
+  const handleSelect = (value) => {
+    if (value === MANAGE) {
+      setManaging(true);
+    } else {
+      switchTo(value);
+    }
+  };
+
+  const addUser = () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (users.some(user => user.toLowerCase() === name.toLowerCase())) {
+      alert(`"${name}" is already a user.`);
+      return;
+    }
+    onChange({ ...settings, users: [...users, name], roles: { ...roles, [name]: 'rep' } });
+    setNewName('');
+  };
+
+  const removeUser = (name) => {
+    if (name === currentUser) {
+      alert('Switch to another user before removing this one.');
+      return;
+    }
+    if (!window.confirm(`Remove "${name}"?\n\nCustomers they own keep their name as owner until reassigned.`)) return;
+    const { [name]: removedRole, ...otherRoles } = roles;
+    const { [name]: removedPin, ...otherPins } = pins;
+    onChange({ ...settings, users: users.filter(user => user !== name), roles: otherRoles, pins: otherPins });
+  };
+
+  const changeRole = (name, role) => {
+    if (role !== 'admin' && admins.length === 1 && admins[0] === name) {
+      alert('There must always be at least one admin.');
+      return;
+    }
+    onChange({ ...settings, roles: { ...roles, [name]: role } });
+  };
+
+  const setPin = async (name) => {
+    const pin = window.prompt(`New PIN for ${name} (leave empty to remove the PIN):`);
+    if (pin === null) return;
+    const { [name]: oldPin, ...otherPins } = pins;
+    onChange({ ...settings, pins: pin ? { ...otherPins, [name]: await hashPin(pin) } : otherPins });
+  };
+
+  return (
+    <>
+      <label className="user-switcher" title={`Signed in as ${ROLES[roles[currentUser]] || 'Read-only'}. Notes, orders and changes are recorded under this user.`}>
+        <span className="user-switcher-icon">👤</span>
+        <select value={currentUser} onChange={(e) => handleSelect(e.target.value)}>
+          {users.map(user => (
+            <option key={user} value={user}>{user}{pins[user] ? ' 🔒' : ''}</option>
+          ))}
+          {canManage && <option value={MANAGE}>Manage users…</option>}
+        </select>
+      </label>
+
+      {managing && canManage && (
+        <div className="modal-overlay" onClick={() => setManaging(false)}>
+          <div className="modal-content user-manager" onClick={(e) => e.stopPropagation()}>
+            <h3>👥 Users</h3>
+
+            <ul className="user-list">
+              {users.map(user => (
+                <li key={user}>
+                  <span className="user-name">
+                    {user}
+                    {user === currentUser && <span className="user-current"> (you)</span>}
+                  </span>
+                  <select value={roles[user] || 'readonly'} onChange={(e) => changeRole(user, e.target.value)}>
+                    {Object.entries(ROLES).map(([role, label]) => (
+                      <option key={role} value={role}>{label}</option>
+                    ))}
+                  </select>
+                  <button className="btn btn-secondary btn-small" onClick={() => setPin(user)}>
+                    {pins[user] ? '🔒 Change PIN' : 'Set PIN'}
+                  </button>
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => removeUser(user)}
+                    disabled={users.length === 1}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="user-add">
+              <input
+                type="text"
+                placeholder="New user name"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addUser()}
+              />
+              <button className="btn btn-primary btn-small" onClick={addUser} disabled={!newName.trim()}>
+                Add
+              </button>
+            </div>
+            <p className="help-text">
+              Admins can do everything. Reps can't permanently delete, replace-import or export other reps' customers.
+              Read-only users can only look. Give admins a PIN so others can't switch to them.
+            </p>
+
+            <div className="modal-actions">
+              <button className="btn btn-secondary" onClick={() => setManaging(false)}>
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default UserSwitcher;
@@ -0,0 +1,158 @@
+// Per-customer audit trail.
+// Every user change to a customer appends an entry to customer.auditLog with
+// the field-level differences (old and new value), when and by whom. The log
+// lives on the record so it travels with sync, backups and merges.
+
+// Oldest entries are dropped beyond this many per customer
+const MAX_ENTRIES = 500;
+
+// Never audited: bookkeeping fields
+const IGNORED_FIELDS = ['id', 'schemaVersion', 'auditLog', 'stageHistory'];
+
+// List fields diffed item by item (by id) instead of as a whole
+const ITEM_FIELDS = ['notes', 'purchases'];
+
+const MAX_TEXT = 200;
+const truncate = (text) => (text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT - 1)}…` : text);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Audit values are kept small and primitive
+const auditValue = (value) => {
+  if (isEmpty(value)) return null;
+  if (typeof value === 'object') return truncate(JSON.stringify(value));
+  return typeof value === 'string' ? truncate(value) : value;
+};
+
+const sameValue = (a, b) =>
+  (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+const describeContacts = (contacts) =>
+  (contacts || []).map(c => [c.name, c.title && `(${c.title})`, c.phone].filter(Boolean).join(' ')).join('; ') || null;
+
+const describeDemo = (demo) => (demo?.completed ? `Completed${demo.date ? ` ${demo.date}` : ''}` : 'Not completed');
+
+// Short text for a whole note or order
+const describeItem = (field, item) => {
+  if (field === 'notes') return truncate(item.text || '');
+  const products = (item.products || []).map(line => `${line.quantity} × ${line.product}`).join(', ');
+  return truncate(`${products}${item.orderTotal !== undefined ? ` - $${Number(item.orderTotal).toFixed(2)}` : ''}`);
+};
+
+const diffItems = (field, before = [], after = []) => {
+  const changes = [];
+  const beforeById = new Map(before.map(item => [String(item.id), item]));
+  const afterIds = new Set();
+
+  after.forEach(item => {
+    const key = String(item.id);
+    afterIds.add(key);
+    const previous = beforeById.get(key);
+    if (!previous) {
+      changes.push({ field, itemId: item.id, from: null, to: describeItem(field, item) });
+      return;
+    }
+    if (previous === item) return;
+    const keys = new Set([...Object.keys(previous), ...Object.keys(item)]);
+    keys.forEach(key => {
+      if (!sameValue(previous[key], item[key])) {
+        changes.push({ field: `${field}.${key}`, itemId: item.id, from: auditValue(previous[key]), to: auditValue(item[key]) });
+      }
+    });
+  });
+
+  before.forEach(item => {
+    if (!afterIds.has(String(item.id))) {
+      changes.push({ field, itemId: item.id, from: describeItem(field, item), to: null });
+    }
+  });
+  return changes;
+};
+
+// Field-level differences between two versions of a customer
+export const diffCustomerFields = (before, after) => {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || before[field] === after[field]) return;
+
+    if (ITEM_FIELDS.includes(field)) {
+      changes.push(...diffItems(field, before[field], after[field]));
+    } else if (field === 'demos') {
+      const demoTypes = new Set([...Object.keys(before.demos || {}), ...Object.keys(after.demos || {})]);
+      demoTypes.forEach(demoType => {
+        const from = describeDemo(before.demos?.[demoType]);
+        const to = describeDemo(after.demos?.[demoType]);
+        if (from !== to) changes.push({ field: `demos.${demoType}`, from, to });
+      });
+    } else if (field === 'customPrices') {
+      const products = new Set([...Object.keys(before.customPrices || {}), ...Object.keys(after.customPrices || {})]);
+      products.forEach(product => {
+        const from = auditValue(before.customPrices?.[product]);
+        const to = auditValue(after.customPrices?.[product]);
+        if (from !== to) changes.push({ field: `customPrices.${product}`, from, to });
+      });
+    } else if (field === 'contacts') {
+      const from = describeContacts(before.contacts);
+      const to = describeContacts(after.contacts);
+      if (from !== to) changes.push({ field, from, to });
+    } else if (!sameValue(before[field], after[field])) {
+      changes.push({ field, from: auditValue(before[field]), to: auditValue(after[field]) });
+    }
+  });
+
+  return changes;
+};
+
+// Unique across devices, since logs from several devices get merged
+const newEntryId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Combine two copies of a customer's trail (merge import, duplicate merge)
+export const mergeAuditLogs = (a = [], b = []) => {
+  const ids = new Set(a.map(entry => entry.id));
+  return [...a, ...b.filter(entry => !ids.has(entry.id))]
+    .sort((x, y) => new Date(x.at) - new Date(y.at))
+    .slice(-MAX_ENTRIES);
+};
+
+// Append audit entries to every customer that differs between previous and next.
+// The new log is the union of both versions' logs, so restoring an old version
+// (undo) adds to the trail instead of rewinding it, and merges keep both trails.
+export const recordAudit = (previous, next, { user, label }) => {
+  const previousById = new Map(previous.map(c => [c.id, c]));
+  const at = new Date().toISOString();
+
+  return next.map(customer => {
+    const before = previousById.get(customer.id);
+    if (before === customer) return customer;
+
+    const entry = before
+      ? { id: newEntryId(), at, user, label, changes: diffCustomerFields(before, customer) }
+      : { id: newEntryId(), at, user, label, created: true, changes: [] };
+    if (!entry.created && entry.changes.length === 0) return customer;
+
+    const log = before && before.auditLog !== customer.auditLog
+      ? mergeAuditLogs(before.auditLog, customer.auditLog)
+      : (customer.auditLog || []);
+    return { ...customer, auditLog: [...log, entry].slice(-MAX_ENTRIES) };
+  });
+};
+
+// Whether a change is to field, or to a part of it ('notes' covers 'notes.text')
+export const changeTouches = (change, field) =>
+  change.field === field || change.field.startsWith(`${field}.`);
+
+// Audit entries across customers, newest first, optionally limited to
+// changes of one field (e.g. 'leadStage')
+export const auditTimeline = (customers, { field } = {}) => {
+  const rows = [];
+  customers.forEach(customer => {
+    (customer.auditLog || []).forEach(entry => {
+      const changes = field ? entry.changes.filter(change => changeTouches(change, field)) : entry.changes;
+      if (field && changes.length === 0) return;
+      rows.push({ customer, entry, changes });
+    });
+  });
+  return rows.sort((a, b) => new Date(b.entry.at) - new Date(a.entry.at));
+};
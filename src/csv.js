@@ -0,0 +1,69 @@
+// Minimal CSV support (RFC 4180): quoted fields, escaped quotes, embedded newlines
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Tab-separated text is detected from the first line.
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Quote a value when it contains a delimiter, quote or line break.
+// Text starting with = + - @, a tab or a carriage return is prefixed with ' so
+// spreadsheets don't run it as a formula. Numbers are left alone.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from column definitions ({ header, value(row) }) and rows
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
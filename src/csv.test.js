@@ -0,0 +1,60 @@
+import { parseCsv, toCsv } from './csv';
+
+describe('parseCsv', () => {
+  test('splits rows and fields', () => {
+    expect(parseCsv('name,city\nAcme,Erie\n')).toEqual([['name', 'city'], ['Acme', 'Erie']]);
+  });
+
+  test('handles quoted fields with delimiters, escaped quotes and line breaks', () => {
+    expect(parseCsv('a,b\r\n"Smith, John","say ""hi""\nthere"\r\n')).toEqual([
+      ['a', 'b'],
+      ['Smith, John', 'say "hi"\nthere']
+    ]);
+  });
+
+  test('detects tab-separated text and strips a byte order mark', () => {
+    expect(parseCsv('\uFEFFname\tcity\nAcme\tErie')).toEqual([['name', 'city'], ['Acme', 'Erie']]);
+  });
+
+  test('keeps commas inside tab-separated cells', () => {
+    expect(parseCsv('name\tnote\nAcme\tone, two')).toEqual([['name', 'note'], ['Acme', 'one, two']]);
+  });
+
+  test('drops blank lines but keeps empty cells', () => {
+    expect(parseCsv('a,b\n\n,x\n  \n')).toEqual([['a', 'b'], ['', 'x']]);
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [
+    { header: 'Name', value: row => row.name },
+    { header: 'Amount', value: row => row.amount }
+  ];
+
+  test('writes a header and CRLF-terminated rows', () => {
+    expect(toCsv(columns, [{ name: 'Acme', amount: 12.5 }])).toBe('Name,Amount\r\nAcme,12.5\r\n');
+  });
+
+  test('quotes cells with commas, quotes or line breaks', () => {
+    expect(toCsv(columns, [{ name: 'Smith, "J"\nJr', amount: null }]))
+      .toBe('Name,Amount\r\n"Smith, ""J""\nJr",\r\n');
+  });
+
+  test.each(['=SUM(A1)', '+1', '-2+3', '@cmd', '\tcalc', '\rcalc'])('prefixes formula-like text %j', (text) => {
+    const [, line] = toCsv(columns, [{ name: text, amount: undefined }]).split('\r\n');
+    expect(line.replace(/^"|"$/g, '').startsWith(`'${text[0]}`)).toBe(true);
+  });
+
+  test('leaves negative numbers alone', () => {
+    expect(toCsv(columns, [{ name: 'Refund', amount: -5 }])).toBe('Name,Amount\r\nRefund,-5\r\n');
+  });
+
+  test('round-trips through parseCsv', () => {
+    const rows = [{ name: 'Line "1", with comma', amount: 3 }, { name: 'Two\nlines', amount: 0 }];
+    expect(parseCsv(toCsv(columns, rows))).toEqual([
+      ['Name', 'Amount'],
+      ['Line "1", with comma', '3'],
+      ['Two\nlines', '0']
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+// Flat CSV tables for spreadsheet users.
+// Every table carries a Customer ID column so the files can be joined back together.
+import { toCsv } from './csv';
+import { liveItems } from './softDelete';
+import { ORDER_STATUSES, salesOrders, isOpenOrder, lineBalance } from './orders';
+import { orderTotalWithTax } from './salesTax';
+import { amountPaid, orderBalance, customerBalance } from './receivables';
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+const dateOnly = (value) => (value ? String(value).split('T')[0] : '');
+const money = (value) => (Number(value) || 0).toFixed(2);
+
+const customerColumns = (demoTypes) => [
+  { header: 'Customer ID', value: c => c.id },
+  { header: 'Name', value: c => c.name },
+  { header: 'Company', value: c => c.company },
+  { header: 'Address', value: c => c.address },
+  { header: 'City', value: c => c.city },
+  { header: 'State', value: c => c.state },
+  { header: 'ZIP', value: c => c.zip },
+  { header: 'County', value: c => c.county },
+  { header: 'Phone', value: c => c.primaryPhone },
+  { header: 'Email', value: c => c.email },
+  { header: 'Lead Stage', value: c => c.leadStage },
+  { header: 'Referral Source', value: c => c.referralSource },
+  { header: 'Owner', value: c => c.owner },
+  { header: 'Territory', value: c => c.territory },
+  { header: 'Active', value: c => yesNo(c.active) },
+  { header: 'Date Added', value: c => dateOnly(c.dateAdded) },
+  { header: 'Follow-Up Date', value: c => dateOnly(c.followUpDate) },
+  { header: 'Tax Exempt', value: c => yesNo(c.taxExempt) },
+  { header: 'Tax Certificate', value: c => c.taxCertificate },
+  { header: 'Certificate Expires', value: c => dateOnly(c.taxCertificateExpires) },
+  ...demoTypes.map(demoType => ({
+    header: `${demoType} Demo`,
+    value: c => (c.demos?.[demoType]?.completed ? dateOnly(c.demos[demoType].date) || 'Yes' : '')
+  })),
+  { header: 'Orders', value: c => liveItems(c.purchases).length },
+  { header: 'Total Sales', value: c => money(salesOrders(c.purchases).reduce((sum, p) => sum + (Number(p.orderTotal) || 0), 0)) },
+  { header: 'Balance Due', value: c => money(customerBalance(c)) }
+];
+
+const contactColumns = [
+  { header: 'Customer ID', value: r => r.customer.id },
+  { header: 'Customer Name', value: r => r.customer.name },
+  { header: 'Contact Name', value: r => r.contact.name },
+  { header: 'Title', value: r => r.contact.title },
+  { header: 'Phone', value: r => r.contact.phone },
+  { header: 'Email', value: r => r.contact.email },
+  { header: 'Best Time', value: r => r.contact.bestTime },
+  { header: 'Primary', value: r => yesNo(r.contact.isPrimary) }
+];
+
+const noteColumns = [
+  { header: 'Customer ID', value: r => r.customer.id },
+  { header: 'Customer Name', value: r => r.customer.name },
+  { header: 'Note ID', value: r => r.note.id },
+  { header: 'Date', value: r => dateOnly(r.note.date) },
+  { header: 'Contact', value: r => r.note.contactName },
+  { header: 'Added By', value: r => r.note.addedBy },
+  { header: 'Note', value: r => r.note.text }
+];
+
+const purchaseLineColumns = [
+  { header: 'Customer ID', value: r => r.customer.id },
+  { header: 'Customer Name', value: r => r.customer.name },
+  { header: 'Order ID', value: r => r.purchase.id },
+  { header: 'Order Date', value: r => dateOnly(r.purchase.date) },
+  { header: 'Quote #', value: r => r.purchase.quoteNumber },
+  { header: 'Invoice #', value: r => r.purchase.invoiceNumber },
+  { header: 'Invoice Date', value: r => dateOnly(r.purchase.invoiceDate) },
+  { header: 'Added By', value: r => r.purchase.addedBy },
+  { header: 'SKU', value: r => r.line.sku },
+  { header: 'Product', value: r => r.line.product },
+  { header: 'Quantity', value: r => r.line.quantity },
+  { header: 'Delivered Qty', value: r => r.line.delivered },
+  { header: 'Backordered', value: r => (isOpenOrder(r.purchase) ? lineBalance(r.line) : 0) },
+  { header: 'Unit', value: r => r.line.unit },
+  { header: 'Unit Price', value: r => money(r.line.unitPrice) },
+  { header: 'List Price', value: r => (r.line.listPrice !== undefined ? money(r.line.listPrice) : '') },
+  { header: 'Price Source', value: r => r.line.priceSource },
+  { header: 'Line Total', value: r => money(r.line.total) },
+  { header: 'Order Total', value: r => money(r.purchase.orderTotal) },
+  { header: 'Tax Rate', value: r => (r.purchase.tax ? r.purchase.tax.rate : '') },
+  { header: 'Tax', value: r => (r.purchase.tax ? money(r.purchase.tax.amount) : '') },
+  { header: 'Total with Tax', value: r => money(orderTotalWithTax(r.purchase)) },
+  { header: 'Paid', value: r => money(amountPaid(r.purchase)) },
+  { header: 'Balance', value: r => money(orderBalance(r.purchase)) },
+  { header: 'CWO', value: r => yesNo(r.purchase.cwo) },
+  { header: 'Status', value: r => ORDER_STATUSES[r.purchase.status] || r.purchase.status },
+  { header: 'Expected Delivery', value: r => dateOnly(r.purchase.expectedDeliveryDate) },
+  { header: 'Delivery Method', value: r => r.purchase.deliveryMethod },
+  { header: 'Order Notes', value: r => r.purchase.notes }
+];
+
+const paymentColumns = [
+  { header: 'Customer ID', value: r => r.customer.id },
+  { header: 'Customer Name', value: r => r.customer.name },
+  { header: 'Order ID', value: r => r.purchase.id },
+  { header: 'Invoice #', value: r => r.purchase.invoiceNumber },
+  { header: 'Payment ID', value: r => r.payment.id },
+  { header: 'Date', value: r => dateOnly(r.payment.date) },
+  { header: 'Amount', value: r => money(r.payment.amount) },
+  { header: 'Method', value: r => r.payment.method },
+  { header: 'Check #', value: r => r.payment.checkNumber },
+  { header: 'Note', value: r => r.payment.note },
+  { header: 'Recorded By', value: r => r.payment.recordedBy }
+];
+
+// The tables offered by the export dialog, in download order
+export const EXPORT_TABLES = [
+  {
+    key: 'customers',
+    label: 'Customers',
+    description: 'One row per customer',
+    toCsv: (customers, demoTypes) => toCsv(customerColumns(demoTypes), customers),
+    count: (customers) => customers.length
+  },
+  {
+    key: 'contacts',
+    label: 'Contacts',
+    description: 'One row per contact person',
+    toCsv: (customers) => toCsv(contactColumns, customers.flatMap(customer =>
+      (customer.contacts || []).map(contact => ({ customer, contact }))
+    )),
+    count: (customers) => customers.reduce((sum, c) => sum + (c.contacts || []).length, 0)
+  },
+  {
+    key: 'notes',
+    label: 'Notes',
+    description: 'One row per note',
+    toCsv: (customers) => toCsv(noteColumns, customers.flatMap(customer =>
+      liveItems(customer.notes).map(note => ({ customer, note }))
+    )),
+    count: (customers) => customers.reduce((sum, c) => sum + liveItems(c.notes).length, 0)
+  },
+  {
+    key: 'purchases',
+    label: 'Purchase Line Items',
+    description: 'One row per product on each order',
+    toCsv: (customers) => toCsv(purchaseLineColumns, customers.flatMap(customer =>
+      liveItems(customer.purchases).flatMap(purchase =>
+        (purchase.products || []).map(line => ({ customer, purchase, line }))
+      )
+    )),
+    count: (customers) => customers.reduce((sum, c) =>
+      sum + liveItems(c.purchases).reduce((lines, p) => lines + (p.products || []).length, 0), 0)
+  },
+  {
+    key: 'payments',
+    label: 'Payments',
+    description: 'One row per payment received',
+    toCsv: (customers) => toCsv(paymentColumns, customers.flatMap(customer =>
+      liveItems(customer.purchases).flatMap(purchase =>
+        (purchase.payments || []).map(payment => ({ customer, purchase, payment }))
+      )
+    )),
+    count: (customers) => customers.reduce((sum, c) =>
+      sum + liveItems(c.purchases).reduce((payments, p) => payments + (p.payments || []).length, 0), 0)
+  }
+];
+
+// Save text as a file in the browser's Downloads folder
+export const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
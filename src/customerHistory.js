@@ -0,0 +1,175 @@
+// Application-level undo/redo for customer changes.
+// Each history entry stores only the customers an action touched (before and
+// after), so undoing one action never rolls back unrelated edits or changes
+// that arrived from sync in the meantime. Commits, undos and redos are all
+// written to the customers' audit logs; commits also record stage transitions.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { recordAudit } from './auditLog';
+import { recordStageTransitions } from './stageHistory';
+
+const MAX_HISTORY = 50;
+
+// Customers that differ between two lists, by object identity
+export const diffCustomers = (previous, next) => {
+  const previousById = new Map(previous.map((c, index) => [c.id, { customer: c, index }]));
+  const nextIds = new Set();
+  const changes = [];
+
+  next.forEach((customer, index) => {
+    nextIds.add(customer.id);
+    const before = previousById.get(customer.id);
+    if (before && before.customer === customer) return;
+    changes.push({
+      id: customer.id,
+      before: before?.customer,
+      beforeIndex: before?.index,
+      after: customer,
+      afterIndex: index
+    });
+  });
+
+  previous.forEach((customer, index) => {
+    if (!nextIds.has(customer.id)) {
+      changes.push({ id: customer.id, before: customer, beforeIndex: index, after: undefined });
+    }
+  });
+
+  return changes;
+};
+
+// Put one side ('before' or 'after') of each change back into the list.
+// Restored records are copied so sync sees them as local edits.
+const applyChanges = (customers, changes, side) => {
+  const result = [...customers];
+  changes.forEach(change => {
+    const value = change[side];
+    const position = result.findIndex(c => c.id === change.id);
+    if (value === undefined) {
+      if (position !== -1) result.splice(position, 1);
+    } else if (position !== -1) {
+      result[position] = { ...value };
+    } else {
+      const index = side === 'before' ? change.beforeIndex : change.afterIndex;
+      result.splice(Math.min(index ?? result.length, result.length), 0, { ...value });
+    }
+  });
+  return result;
+};
+
+// Focus is in a text field, where Ctrl+Z should undo typing instead
+const isEditingText = (element) =>
+  element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' || element.isContentEditable);
+
+// Wraps the customer list setter with an undo/redo stack.
+// commit(next, label, { undoable }) records a change; remote sync and the
+// initial load keep using setCustomers directly so they never enter history.
+// undoable marks destructive actions that should offer an Undo toast.
+// user is recorded as the author of audit entries. authorize(previous, next,
+// { undoing }) may throw a PermissionError to refuse a change (undos and redos
+// included; undos pass the entry being undone), which is shown as a toast;
+// commit then returns false.
+// Each user gets their own history: switching user clears it.
+export const useCustomerHistory = (customers, setCustomers, { user, authorize } = {}) => {
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [toast, setToast] = useState(null); // { message, entry }
+
+  useEffect(() => {
+    setUndoStack([]);
+    setRedoStack([]);
+  }, [user]);
+
+  // Whether the current user may make this change; toasts the refusal if not
+  const authorized = (next, options) => {
+    if (!authorize) return true;
+    try {
+      authorize(customers, next, options);
+      return true;
+    } catch (error) {
+      if (error.name !== 'PermissionError') throw error;
+      setToast({ message: `🔒 ${error.message}`, entry: null });
+      return false;
+    }
+  };
+
+  const commit = (next, label, { undoable = false } = {}) => {
+    if (!authorized(next)) return false;
+
+    const tracked = recordStageTransitions(customers, next, { user });
+    const audited = recordAudit(customers, tracked, { user, label });
+    const changes = diffCustomers(customers, audited);
+    if (changes.length === 0) return true;
+
+    const entry = { label, changes, at: Date.now() };
+    setCustomers(audited);
+    setUndoStack(stack => [...stack, entry].slice(-MAX_HISTORY));
+    setRedoStack([]);
+    setToast(undoable ? { message: label, entry } : null);
+    return true;
+  };
+
+  const undo = () => {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+    const next = applyChanges(customers, entry.changes, 'before');
+    if (!authorized(next, { undoing: entry })) return;
+    setCustomers(recordAudit(customers, next, { user, label: `Undo: ${entry.label}` }));
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack([...redoStack, entry]);
+    setToast({ message: `Undid: ${entry.label}`, entry: null });
+  };
+
+  const redo = () => {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return;
+    const next = applyChanges(customers, entry.changes, 'after');
+    if (!authorized(next)) return;
+    setCustomers(recordAudit(customers, next, { user, label: `Redo: ${entry.label}` }));
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack([...undoStack, entry]);
+    setToast({ message: `Redid: ${entry.label}`, entry: null });
+  };
+
+  // Undo from the toast only if its action is still the latest one
+  const undoToast = () => {
+    if (toast?.entry && undoStack[undoStack.length - 1] === toast.entry) {
+      undo();
+    } else {
+      setToast(null);
+    }
+  };
+
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+  const latest = useRef({ undo, redo });
+  latest.current = { undo, redo };
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditingText(document.activeElement)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        latest.current.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        latest.current.redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  return {
+    commit,
+    undo,
+    redo,
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label,
+    redoLabel: redoStack[redoStack.length - 1]?.label,
+    toast,
+    undoToast,
+    dismissToast
+  };
+};
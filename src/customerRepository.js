@@ -0,0 +1,259 @@
+// Customer repository backed by IndexedDB.
+// Customers, notes and purchases are stored as separate records so a change
+// to one note only rewrites that note instead of the whole customer book.
+// Falls back to the old single localStorage blob when IndexedDB is unavailable.
+
+const DB_NAME = 'primrose-crm';
+const DB_VERSION = 1;
+const LEGACY_STORAGE_KEY = 'primrose-customers';
+const STORES = ['customers', 'notes', 'purchases', 'meta'];
+
+let databasePromise = null;
+
+const hasIndexedDB = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+// Wrap an IDBRequest in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve when a transaction commits
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('customers')) {
+          db.createObjectStore('customers', { keyPath: 'id' });
+        }
+        // Notes and purchases are keyed by [customerId, id] since their ids
+        // are only unique within one customer
+        if (!db.objectStoreNames.contains('notes')) {
+          const notes = db.createObjectStore('notes', { keyPath: ['customerId', 'id'] });
+          notes.createIndex('customerId', 'customerId');
+        }
+        if (!db.objectStoreNames.contains('purchases')) {
+          const purchases = db.createObjectStore('purchases', { keyPath: ['customerId', 'id'] });
+          purchases.createIndex('customerId', 'customerId');
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+// Child records without an id (very old data) get a stable positional key
+const childKey = (item, index) => (item.id !== undefined && item.id !== null ? item.id : `legacy-${index}`);
+
+// Split a customer into its customer record plus note and purchase records
+const splitCustomer = (customer) => {
+  const { notes = [], purchases = [], ...fields } = customer;
+  const noteKeys = notes.map(childKey);
+  const purchaseKeys = purchases.map(childKey);
+  return {
+    record: { id: customer.id, value: fields, noteIds: noteKeys, purchaseIds: purchaseKeys },
+    notes: notes.map((note, i) => ({ customerId: customer.id, id: noteKeys[i], value: note })),
+    purchases: purchases.map((purchase, i) => ({ customerId: customer.id, id: purchaseKeys[i], value: purchase }))
+  };
+};
+
+// Put changed children and delete removed ones for one store
+const writeChildren = (store, customerId, before = [], after = []) => {
+  const beforeByKey = new Map(before.map((item, i) => [childKey(item, i), item]));
+  const afterKeys = new Set();
+
+  after.forEach((item, i) => {
+    const key = childKey(item, i);
+    afterKeys.add(key);
+    if (beforeByKey.get(key) !== item) {
+      store.put({ customerId, id: key, value: item });
+    }
+  });
+
+  beforeByKey.forEach((_, key) => {
+    if (!afterKeys.has(key)) {
+      store.delete([customerId, key]);
+    }
+  });
+};
+
+// Delete every child record belonging to a customer
+const deleteChildren = (store, customerId) => {
+  const request = store.index('customerId').openKeyCursor(IDBKeyRange.only(customerId));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    }
+  };
+};
+
+const writeAllCustomers = (tx, customers) => {
+  const customerStore = tx.objectStore('customers');
+  const noteStore = tx.objectStore('notes');
+  const purchaseStore = tx.objectStore('purchases');
+
+  customers.forEach(customer => {
+    const { record, notes, purchases } = splitCustomer(customer);
+    customerStore.put(record);
+    notes.forEach(note => noteStore.put(note));
+    purchases.forEach(purchase => purchaseStore.put(purchase));
+  });
+};
+
+// Move the legacy localStorage blob into IndexedDB the first time we load
+const migrateFromLocalStorage = async (db) => {
+  const meta = await requestToPromise(
+    db.transaction('meta').objectStore('meta').get('migratedFromLocalStorage')
+  );
+  if (meta) return;
+
+  let legacyCustomers = [];
+  try {
+    const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (stored) legacyCustomers = JSON.parse(stored);
+  } catch (error) {
+    console.error('Error reading legacy customers from localStorage:', error);
+    return; // Leave the blob alone and try again next load
+  }
+
+  const tx = db.transaction(STORES, 'readwrite');
+  writeAllCustomers(tx, Array.isArray(legacyCustomers) ? legacyCustomers : []);
+  tx.objectStore('meta').put({ key: 'migratedFromLocalStorage', date: new Date().toISOString() });
+  await transactionDone(tx);
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  console.log(`📦 Migrated ${legacyCustomers.length} customers from localStorage to IndexedDB`);
+};
+
+// Reassemble full customer objects from their separate records
+const readAllCustomers = async (db) => {
+  const tx = db.transaction(['customers', 'notes', 'purchases']);
+  const [records, noteRecords, purchaseRecords] = await Promise.all([
+    requestToPromise(tx.objectStore('customers').getAll()),
+    requestToPromise(tx.objectStore('notes').getAll()),
+    requestToPromise(tx.objectStore('purchases').getAll())
+  ]);
+
+  const groupByCustomer = (items) => {
+    const grouped = new Map();
+    items.forEach(item => {
+      if (!grouped.has(item.customerId)) grouped.set(item.customerId, new Map());
+      grouped.get(item.customerId).set(item.id, item.value);
+    });
+    return grouped;
+  };
+  const notesByCustomer = groupByCustomer(noteRecords);
+  const purchasesByCustomer = groupByCustomer(purchaseRecords);
+
+  const pick = (grouped, customerId, keys) => {
+    const items = grouped.get(customerId) || new Map();
+    return keys.filter(key => items.has(key)).map(key => items.get(key));
+  };
+
+  return records.map(record => ({
+    ...record.value,
+    notes: pick(notesByCustomer, record.id, record.noteIds || []),
+    purchases: pick(purchasesByCustomer, record.id, record.purchaseIds || [])
+  }));
+};
+
+const loadFromLocalStorage = () => {
+  try {
+    const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+  } catch (error) {
+    console.error('Error loading customers from localStorage:', error);
+  }
+  return [];
+};
+
+// Load every customer, migrating legacy localStorage data on first run
+export const loadCustomers = async () => {
+  if (!hasIndexedDB()) {
+    const customers = loadFromLocalStorage();
+    console.log(`✅ Loaded ${customers.length} customers from localStorage`);
+    return customers;
+  }
+
+  try {
+    const db = await openDatabase();
+    await migrateFromLocalStorage(db);
+    const customers = await readAllCustomers(db);
+    console.log(`✅ Loaded ${customers.length} customers from IndexedDB`);
+    return customers;
+  } catch (error) {
+    console.error('Error loading customers from IndexedDB:', error);
+    return loadFromLocalStorage();
+  }
+};
+
+// Persist only what changed between two customer lists.
+// Relies on immutable updates: unchanged customers, notes and purchases keep
+// the same object identity, so they are skipped without a deep compare.
+export const saveCustomerChanges = async (previous, next) => {
+  if (previous === next) return;
+
+  if (!hasIndexedDB()) {
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(next));
+    console.log(`💾 Saved ${next.length} customers to localStorage`);
+    return;
+  }
+
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction(['customers', 'notes', 'purchases'], 'readwrite');
+    const customerStore = tx.objectStore('customers');
+    const noteStore = tx.objectStore('notes');
+    const purchaseStore = tx.objectStore('purchases');
+
+    const previousById = new Map(previous.map(c => [c.id, c]));
+    const nextIds = new Set();
+    let changed = 0;
+
+    next.forEach(customer => {
+      nextIds.add(customer.id);
+      const before = previousById.get(customer.id);
+      if (before === customer) return;
+
+      changed++;
+      customerStore.put(splitCustomer(customer).record);
+      writeChildren(noteStore, customer.id, before?.notes, customer.notes);
+      writeChildren(purchaseStore, customer.id, before?.purchases, customer.purchases);
+    });
+
+    previous.forEach(customer => {
+      if (nextIds.has(customer.id)) return;
+      changed++;
+      customerStore.delete(customer.id);
+      deleteChildren(noteStore, customer.id);
+      deleteChildren(purchaseStore, customer.id);
+    });
+
+    await transactionDone(tx);
+    if (changed > 0) {
+      console.log(`💾 Saved ${changed} changed customer${changed !== 1 ? 's' : ''} to IndexedDB`);
+    }
+  } catch (error) {
+    console.error('Error saving customers to IndexedDB:', error);
+    alert('❌ Error saving changes. Export a backup to be safe.');
+  }
+};
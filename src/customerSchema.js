@@ -0,0 +1,190 @@
+// Versioned customer schema.
+// Every stored customer carries a schemaVersion. Records from older versions
+// (localStorage, IndexedDB or backup files) are upgraded one step at a time
+// by the migrations below when they are loaded or imported.
+import { seedStageHistory } from './stageHistory';
+import { upgradeOrder, isOpenOrder } from './orders';
+import { upgradePayments } from './receivables';
+
+// Demo types tracked for every customer, in display order
+export const DEMO_TYPES = ['Phaser', 'Grease', 'Engine Oil', 'Hydraulic Fluid', 'Gear Oil'];
+
+// Sum of an order's product lines
+const sumLines = (products) =>
+  parseFloat(products.reduce((sum, line) => sum + (Number(line.total) || 0), 0).toFixed(2));
+
+// Upgrade a single purchase to the multi-product order shape used by saveQuickOrder
+const normalizePurchase = (purchase, index) => {
+  const id = purchase.id !== undefined && purchase.id !== null ? purchase.id : `legacy-${index}`;
+
+  let products = purchase.products;
+  if (!Array.isArray(products)) {
+    // Old single-product shape: { product, quantity, unitPrice, total }
+    const quantity = Number(purchase.quantity) || 0;
+    const unitPrice = Number(purchase.unitPrice) || 0;
+    products = [{
+      id: `${id}-1`,
+      product: purchase.product || 'Unknown product',
+      quantity,
+      unitPrice,
+      total: purchase.total !== undefined ? Number(purchase.total) || 0 : parseFloat((quantity * unitPrice).toFixed(2))
+    }];
+  }
+
+  const { product, quantity, unitPrice, total, ...rest } = purchase;
+  return {
+    ...rest,
+    id,
+    products,
+    orderTotal: typeof purchase.orderTotal === 'number' ? purchase.orderTotal : sumLines(products),
+    cwo: !!purchase.cwo,
+    pendingDelivery: !!purchase.pendingDelivery,
+    expectedDeliveryDate: purchase.expectedDeliveryDate || null,
+    notes: purchase.notes || '',
+    delivered: !!purchase.delivered
+  };
+};
+
+// Each migration upgrades a customer from (version - 1) to version
+const migrations = {
+  // v1: purchases use the products[] / orderTotal shape, list fields always exist
+  1: (customer) => ({
+    ...customer,
+    contacts: Array.isArray(customer.contacts) ? customer.contacts : [],
+    notes: Array.isArray(customer.notes) ? customer.notes : [],
+    purchases: (Array.isArray(customer.purchases) ? customer.purchases : []).map(normalizePurchase)
+  }),
+
+  // v2: demos hold an entry for every demo type, each shaped { completed, date }
+  2: (customer) => {
+    const demos = {};
+    DEMO_TYPES.forEach(demoType => {
+      const demo = customer.demos?.[demoType];
+      demos[demoType] = {
+        completed: !!demo?.completed,
+        date: demo?.date || ''
+      };
+    });
+    // Keep any extra demo types an older build may have recorded
+    Object.entries(customer.demos || {}).forEach(([demoType, demo]) => {
+      if (!demos[demoType]) {
+        demos[demoType] = { completed: !!demo?.completed, date: demo?.date || '' };
+      }
+    });
+    return { ...customer, demos };
+  },
+
+  // v3: customers have an owner (the sales rep's user name, '' when unassigned)
+  3: (customer) => ({
+    ...customer,
+    owner: customer.owner || ''
+  }),
+
+  // v4: customers have a territory (name, '' when none matches)
+  4: (customer) => ({
+    ...customer,
+    territory: customer.territory || ''
+  }),
+
+  // v5: customers keep a stageHistory of lead stage transitions, rebuilt from
+  // the audit log for older records
+  5: (customer) => ({
+    ...customer,
+    stageHistory: Array.isArray(customer.stageHistory) ? customer.stageHistory : seedStageHistory(customer)
+  }),
+
+  // v6: customers have their own unit prices, by product SKU (or name)
+  6: (customer) => ({
+    ...customer,
+    customPrices: customer.customPrices && typeof customer.customPrices === 'object' ? customer.customPrices : {}
+  }),
+
+  // v7: orders have a lifecycle status and per-line delivered quantities
+  // instead of pendingDelivery/delivered flags. A customer-level expected
+  // delivery date carries over to their open orders that have none.
+  7: (customer) => ({
+    ...customer,
+    purchases: customer.purchases.map(purchase =>
+      upgradeOrder(purchase, customer.orderPendingDelivery ? customer.expectedDeliveryDate : null)
+    )
+  }),
+
+  // v8: delivery date and method live on each order only. A customer-level
+  // pending delivery with no open order to carry it is kept as a note.
+  8: (customer) => {
+    const { orderPendingDelivery, expectedDeliveryDate, ...fields } = customer;
+    const rest = {
+      ...fields,
+      purchases: fields.purchases.map(purchase => ({ ...purchase, deliveryMethod: purchase.deliveryMethod || '' }))
+    };
+    const orphaned = orderPendingDelivery && !rest.purchases.some(isOpenOrder);
+    if (!orphaned) return rest;
+    return {
+      ...rest,
+      notes: [{
+        id: 'legacy-pending-delivery',
+        contactName: 'General',
+        text: `Delivery was marked pending${expectedDeliveryDate ? ` for ${expectedDeliveryDate}` : ''} without an order. Add an order that needs delivery to track it.`,
+        date: new Date().toISOString(),
+        type: 'delivery'
+      }, ...rest.notes]
+    };
+  },
+
+  // v9: county (for local tax rates) and tax exemption
+  9: (customer) => ({
+    ...customer,
+    county: customer.county || '',
+    taxExempt: !!customer.taxExempt,
+    taxCertificate: customer.taxCertificate || '',
+    taxCertificateExpires: customer.taxCertificateExpires || ''
+  }),
+
+  // v10: payments recorded against orders, earlier completed sales settled (see receivables.js)
+  10: (customer) => ({
+    ...customer,
+    purchases: customer.purchases.map(upgradePayments)
+  }),
+
+  // v11: the seeded first stage (v5) is undated rather than dated from
+  // dateAdded, which made older customers look stuck since they were added
+  11: (customer) => ({
+    ...customer,
+    stageHistory: customer.stageHistory.map(transition =>
+      (transition.id === 'initial' ? { ...transition, at: null } : transition)
+    )
+  }),
+
+  // v12: open credit orders drop the legacy payment an earlier v10 gave them,
+  // since they were most likely unpaid when payment tracking started
+  12: (customer) => ({
+    ...customer,
+    purchases: customer.purchases.map(order => (isOpenOrder(order) && !order.cwo
+      ? { ...order, payments: (order.payments || []).filter(payment => payment.id !== `${order.id}-legacy`) }
+      : order))
+  })
+};
+
+export const CURRENT_SCHEMA_VERSION = Math.max(...Object.keys(migrations).map(Number));
+
+// Records written before versioning existed count as version 0
+const versionOf = (customer) => Number(customer.schemaVersion) || 0;
+
+// True when a record was written by a newer build than this one
+export const isNewerSchema = (customer) => versionOf(customer) > CURRENT_SCHEMA_VERSION;
+
+// Bring one customer up to the current schema.
+// Returns the same object when nothing needs to change.
+export const migrateCustomer = (customer) => {
+  let version = versionOf(customer);
+  if (version >= CURRENT_SCHEMA_VERSION) return customer;
+
+  let migrated = customer;
+  while (version < CURRENT_SCHEMA_VERSION) {
+    version++;
+    migrated = migrations[version](migrated);
+  }
+  return { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION };
+};
+
+export const migrateCustomers = (customers) => customers.map(migrateCustomer);
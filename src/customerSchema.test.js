@@ -0,0 +1,204 @@
+import { CURRENT_SCHEMA_VERSION, DEMO_TYPES, isNewerSchema, migrateCustomer, migrateCustomers } from './customerSchema';
+
+// A record as written before versioning existed
+const legacyCustomer = (overrides = {}) => ({
+  id: 1,
+  name: 'Acme Farm',
+  leadStage: 'Warm',
+  dateAdded: '2024-01-10T12:00:00.000Z',
+  demos: { Phaser: { completed: true, date: '2024-02-01' }, 'Old Demo': { completed: true } },
+  purchases: [
+    { id: 10, date: '2024-03-01', product: 'Grease', quantity: 2, unitPrice: 5, total: 10 },
+    {
+      id: 11,
+      date: '2024-04-01',
+      products: [{ id: 'a', product: 'Phaser', quantity: 3, unitPrice: 4, total: 12 }],
+      orderTotal: 12,
+      pendingDelivery: true,
+      cwo: true
+    }
+  ],
+  ...overrides
+});
+
+describe('migrateCustomer', () => {
+  test('brings a legacy record up to the current version', () => {
+    const migrated = migrateCustomer(legacyCustomer());
+    expect(migrated.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(isNewerSchema(migrated)).toBe(false);
+  });
+
+  test('returns the same object when nothing needs to change', () => {
+    const migrated = migrateCustomer(legacyCustomer());
+    expect(migrateCustomer(migrated)).toBe(migrated);
+    expect(migrateCustomers([migrated])[0]).toBe(migrated);
+  });
+
+  test('leaves records from a newer build alone', () => {
+    const newer = { id: 2, name: 'Future', schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+    expect(isNewerSchema(newer)).toBe(true);
+    expect(migrateCustomer(newer)).toBe(newer);
+  });
+
+  test('v1: converts single-product purchases and fills list fields', () => {
+    const { purchases, contacts, notes } = migrateCustomer(legacyCustomer());
+    expect(contacts).toEqual([]);
+    expect(notes).toEqual([]);
+    expect(purchases[0].products).toEqual([
+      expect.objectContaining({ id: '10-1', product: 'Grease', quantity: 2, unitPrice: 5, total: 10 })
+    ]);
+    expect(purchases[0].orderTotal).toBe(10);
+    expect(purchases[0]).not.toHaveProperty('product');
+  });
+
+  test('v1: sums product lines when orderTotal is missing and ids legacy purchases', () => {
+    const { purchases } = migrateCustomer(legacyCustomer({
+      purchases: [{ date: '2024-01-01', products: [{ product: 'A', total: 1.1 }, { product: 'B', total: 2.2 }] }]
+    }));
+    expect(purchases[0].id).toBe('legacy-0');
+    expect(purchases[0].orderTotal).toBe(3.3);
+  });
+
+  test('v2: every demo type has an entry and extra demo types are kept', () => {
+    const { demos } = migrateCustomer(legacyCustomer());
+    DEMO_TYPES.forEach(demoType => expect(demos[demoType]).toHaveProperty('completed'));
+    expect(demos.Phaser).toEqual({ completed: true, date: '2024-02-01' });
+    expect(demos.Grease).toEqual({ completed: false, date: '' });
+    expect(demos['Old Demo']).toEqual({ completed: true, date: '' });
+  });
+
+  test('v3/v4: owner and territory default to empty', () => {
+    const migrated = migrateCustomer(legacyCustomer());
+    expect(migrated.owner).toBe('');
+    expect(migrated.territory).toBe('');
+    expect(migrateCustomer(legacyCustomer({ owner: 'Dana', territory: 'North' })))
+      .toMatchObject({ owner: 'Dana', territory: 'North' });
+  });
+
+  test('v5/v11: seeds an undated first stage and stage changes from the audit log', () => {
+    const migrated = migrateCustomer(legacyCustomer({
+      leadStage: 'Hot',
+      auditLog: [
+        { id: 'e2', at: '2024-05-01T00:00:00.000Z', user: 'Dana', changes: [{ field: 'leadStage', from: 'Warm', to: 'Hot' }] },
+        { id: 'e1', at: '2024-04-01T00:00:00.000Z', user: null, changes: [{ field: 'leadStage', from: 'Cold', to: 'Warm' }] }
+      ]
+    }));
+    expect(migrated.stageHistory).toEqual([
+      { id: 'initial', from: null, to: 'Cold', at: null, by: null },
+      { id: 'audit-e1', from: 'Cold', to: 'Warm', at: '2024-04-01T00:00:00.000Z', by: null },
+      { id: 'audit-e2', from: 'Warm', to: 'Hot', at: '2024-05-01T00:00:00.000Z', by: 'Dana' }
+    ]);
+  });
+
+  test('v11: undates the first stage seeded by an earlier build, keeping recorded transitions', () => {
+    const migrated = migrateCustomer({
+      ...migrateCustomer(legacyCustomer()),
+      schemaVersion: 10,
+      stageHistory: [
+        { id: 'initial', from: null, to: 'Warm', at: '2024-01-10T12:00:00.000Z', by: null },
+        { id: 'x1', from: 'Warm', to: 'Hot', at: '2024-06-01T00:00:00.000Z', by: 'Dana' }
+      ]
+    });
+    expect(migrated.stageHistory[0].at).toBeNull();
+    expect(migrated.stageHistory[1].at).toBe('2024-06-01T00:00:00.000Z');
+  });
+
+  test('v6: customers get an empty price list', () => {
+    expect(migrateCustomer(legacyCustomer()).customPrices).toEqual({});
+    expect(migrateCustomer(legacyCustomer({ customPrices: { G1: 4 } })).customPrices).toEqual({ G1: 4 });
+  });
+
+  test('v7: delivery flags become statuses and per-line delivered quantities', () => {
+    const [handedOver, pending] = migrateCustomer(legacyCustomer({
+      orderPendingDelivery: true,
+      expectedDeliveryDate: '2024-04-15'
+    })).purchases;
+    expect(handedOver.status).toBe('delivered');
+    expect(handedOver.products[0].delivered).toBe(2);
+    expect(pending.status).toBe('ordered');
+    expect(pending.products[0].delivered).toBe(0);
+    expect(pending.expectedDeliveryDate).toBe('2024-04-15');
+    expect(pending).not.toHaveProperty('pendingDelivery');
+  });
+
+  test('v8: drops customer-level delivery fields and adds a delivery method to orders', () => {
+    const migrated = migrateCustomer(legacyCustomer({ orderPendingDelivery: true, expectedDeliveryDate: '2024-04-15' }));
+    expect(migrated).not.toHaveProperty('orderPendingDelivery');
+    expect(migrated).not.toHaveProperty('expectedDeliveryDate');
+    expect(migrated.purchases.every(p => p.deliveryMethod === '')).toBe(true);
+    // The pending order carries the delivery, so no note is needed
+    expect(migrated.notes).toEqual([]);
+  });
+
+  test('v8: keeps a pending delivery without an open order as a note', () => {
+    const migrated = migrateCustomer(legacyCustomer({
+      purchases: [],
+      orderPendingDelivery: true,
+      expectedDeliveryDate: '2024-04-15'
+    }));
+    expect(migrated.notes).toHaveLength(1);
+    expect(migrated.notes[0]).toMatchObject({ id: 'legacy-pending-delivery', type: 'delivery' });
+    expect(migrated.notes[0].text).toContain('2024-04-15');
+  });
+
+  test('v9: adds county and tax exemption fields', () => {
+    expect(migrateCustomer(legacyCustomer())).toMatchObject({
+      county: '',
+      taxExempt: false,
+      taxCertificate: '',
+      taxCertificateExpires: ''
+    });
+  });
+
+  test('v10: every earlier sale is settled with a legacy payment', () => {
+    const [credit, cwo] = migrateCustomer(legacyCustomer()).purchases;
+    expect(credit.payments).toEqual([expect.objectContaining({
+      id: '10-legacy',
+      amount: 10,
+      date: '2024-03-01',
+      note: 'Settled before payment tracking'
+    })]);
+    expect(cwo.payments).toEqual([expect.objectContaining({ amount: 12, method: 'Check', note: 'Check with order' })]);
+  });
+
+  test('v10: open credit orders start unpaid', () => {
+    const [, open] = migrateCustomer(legacyCustomer({
+      purchases: [...legacyCustomer().purchases.slice(0, 1), { ...legacyCustomer().purchases[1], cwo: false }]
+    })).purchases;
+    expect(open.status).toBe('ordered');
+    expect(open.payments).toEqual([]);
+  });
+
+  test('v10: quotes and cancelled orders owe nothing and get no payments', () => {
+    const { purchases } = migrateCustomer({
+      ...migrateCustomer(legacyCustomer()),
+      schemaVersion: 9,
+      purchases: [
+        { id: 20, date: '2024-01-01', status: 'quoted', products: [], orderTotal: 50 },
+        { id: 21, date: '2024-01-01', status: 'cancelled', products: [], orderTotal: 50 }
+      ]
+    });
+    expect(purchases.map(p => p.payments)).toEqual([[], []]);
+  });
+
+  test('v12: removes the legacy payment an earlier build gave open credit orders', () => {
+    const current = migrateCustomer(legacyCustomer());
+    const legacyPayment = (order) => ({ id: `${order.id}-legacy`, amount: order.orderTotal, note: 'Settled before payment tracking' });
+    const { purchases } = migrateCustomer({
+      ...current,
+      schemaVersion: 11,
+      purchases: [
+        { id: 30, date: '2024-01-01', status: 'ordered', products: [], orderTotal: 50 },
+        { id: 31, date: '2024-01-01', status: 'partial', products: [], orderTotal: 50 },
+        { id: 32, date: '2024-01-01', status: 'ordered', cwo: true, products: [], orderTotal: 50 },
+        { id: 33, date: '2024-01-01', status: 'delivered', products: [], orderTotal: 50 }
+      ].map(order => ({ ...order, payments: [legacyPayment(order), { id: 'real', amount: 5 }] }))
+    });
+    expect(purchases.map(order => order.payments.map(payment => payment.id))).toEqual([
+      ['real'],
+      ['real'],
+      ['32-legacy', 'real'],
+      ['33-legacy', 'real']
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+// Helpers shared by the customer form, imports and other customer tools
+import { DEMO_TYPES } from './customerSchema';
+import { findPossibleDuplicates } from './duplicates';
+
+// Phone number formatting: (XXX) XXX-XXXX
+export const formatPhoneNumber = (value) => {
+  // Remove all non-digits
+  const numbers = (value || '').toString().replace(/\D/g, '');
+
+  // Format as (XXX) XXX-XXXX
+  if (numbers.length <= 3) {
+    return numbers;
+  } else if (numbers.length <= 6) {
+    return `(${numbers.slice(0, 3)}) ${numbers.slice(3)}`;
+  } else {
+    return `(${numbers.slice(0, 3)}) ${numbers.slice(3, 6)}-${numbers.slice(6, 10)}`;
+  }
+};
+
+// Best-matching active customer that looks like the same business, if any
+export const findDuplicateCustomer = (customers, customerData) => {
+  const [match] = findPossibleDuplicates(customers, customerData);
+  return match ? match.customer : undefined;
+};
+
+// A blank customer, as used by the Add Customer form
+export const createEmptyCustomer = () => ({
+  name: '',
+  company: '',
+  address: '',
+  city: '',
+  state: '',
+  zip: '',
+  county: '',
+  primaryPhone: '',
+  email: '',
+  leadStage: 'Lead',
+  referralSource: '',
+  owner: '',
+  territory: '',
+  stageHistory: [],
+  customPrices: {},
+  taxExempt: false,
+  taxCertificate: '',
+  taxCertificateExpires: '',
+  followUpDate: '',
+  contacts: [{
+    name: '',
+    title: '',
+    phone: '',
+    email: '',
+    bestTime: '',
+    isPrimary: true
+  }],
+  demos: Object.fromEntries(DEMO_TYPES.map(demoType => [demoType, { completed: false, date: '' }])),
+  notes: []
+});
@@ -0,0 +1,138 @@
+// Quotes and invoices.
+// Documents are rendered from an order's products when needed rather than
+// stored; the order only keeps its quoteNumber and invoiceNumber (plus the
+// invoiceDate) once assigned. Numbers are sequential across all customers:
+// the next one follows the highest on any order or in the document counters,
+// a high-water mark per kind that only ever rises. The counters sync between
+// devices (see syncEngine.js), so numbers of purged orders are never handed out
+// again. The letterhead is kept per device like the other settings.
+import { orderTotalWithTax } from './salesTax';
+
+const SETTINGS_KEY = 'primrose-documents';
+const COUNTERS_KEY = 'primrose-document-numbers';
+
+export const DEFAULT_DOCUMENT_SETTINGS = {
+  companyName: 'Primrose',
+  address: '',
+  phone: '',
+  email: '',
+  website: '',
+  quotePrefix: 'Q-',
+  invoicePrefix: 'INV-',
+  // First number used when no document of that kind exists yet
+  startNumber: 1001,
+  // Invoices are due this many days after the invoice date
+  paymentTermsDays: 30,
+  // Quotes are valid for this many days
+  quoteValidDays: 30,
+  footer: 'Thank you for your business!'
+};
+
+export const loadDocumentSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && typeof saved === 'object') return { ...DEFAULT_DOCUMENT_SETTINGS, ...saved };
+  } catch (error) {
+    // Fall through to the defaults
+  }
+  return DEFAULT_DOCUMENT_SETTINGS;
+};
+
+export const saveDocumentSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Highest sequence used per kind: { quote, invoice, updatedAt }
+export const loadDocumentCounters = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COUNTERS_KEY));
+    if (saved && typeof saved === 'object') return { quote: 0, invoice: 0, ...saved };
+  } catch (error) {
+    // Fall through to empty counters
+  }
+  return { quote: 0, invoice: 0 };
+};
+
+export const saveDocumentCounters = (counters) => {
+  localStorage.setItem(COUNTERS_KEY, JSON.stringify(counters));
+};
+
+export const DOCUMENT_KINDS = {
+  quote: { title: 'Quote', field: 'quoteNumber', prefix: 'quotePrefix' },
+  invoice: { title: 'Invoice', field: 'invoiceNumber', prefix: 'invoicePrefix' }
+};
+
+// Quotes are only drafted for quoted orders; everything else gets an invoice
+export const documentKindFor = (order) => (order.status === 'quoted' ? 'quote' : 'invoice');
+
+const sequenceOf = (number) => {
+  const match = /(\d+)$/.exec(number || '');
+  return match ? Number(match[1]) : 0;
+};
+
+const highestOnOrders = (customers, kind) => customers
+  .flatMap(customer => customer.purchases || [])
+  .reduce((max, order) => Math.max(max, sequenceOf(order[DOCUMENT_KINDS[kind].field])), 0);
+
+// Next number of a kind, one past the highest on any order (binned ones
+// included) or recorded in the counters, so numbers are never reused
+export const nextDocumentNumber = (customers, kind, settings, counters = {}) => {
+  const { prefix } = DOCUMENT_KINDS[kind];
+  const highest = Math.max(highestOnOrders(customers, kind), Number(counters[kind]) || 0);
+  const start = Number(settings.startNumber) || DEFAULT_DOCUMENT_SETTINGS.startNumber;
+  return `${settings[prefix] || ''}${Math.max(highest + 1, start)}`;
+};
+
+// Raise a kind's counter to a number just handed out
+export const recordDocumentNumber = (counters, kind, number) =>
+  (sequenceOf(number) > (Number(counters[kind]) || 0)
+    ? { ...counters, [kind]: sequenceOf(number), updatedAt: new Date().toISOString() }
+    : counters);
+
+// Raise the counters to the numbers already on orders (from before the
+// counters existed, or synced from other devices) before any can be purged
+export const countersFromOrders = (counters, customers) =>
+  Object.keys(DOCUMENT_KINDS).reduce(
+    (current, kind) => recordDocumentNumber(current, kind, String(highestOnOrders(customers, kind))),
+    counters
+  );
+
+// Combine this device's counters with another device's, keeping the higher of
+// each. The result keeps the other copy's stamp when it has nothing newer, so
+// it isn't sent straight back.
+export const mergeDocumentCounters = (local, remote) => {
+  const merged = { ...remote };
+  let raised = false;
+  Object.keys(DOCUMENT_KINDS).forEach(kind => {
+    merged[kind] = Math.max(Number(local[kind]) || 0, Number(remote[kind]) || 0);
+    if (merged[kind] > (Number(remote[kind]) || 0)) raised = true;
+  });
+  return raised ? { ...merged, updatedAt: new Date().toISOString() } : merged;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+};
+
+export const invoiceDueDate = (order, settings) =>
+  (order.invoiceDate ? addDays(order.invoiceDate, Number(settings.paymentTermsDays) || 0) : null);
+
+export const quoteValidUntil = (order, settings) =>
+  addDays(order.date.split('T')[0], Number(settings.quoteValidDays) || 0);
+
+// Subtotal, tax and total of an order. Tax is whatever the order recorded.
+export const documentTotals = (order) => ({
+  subtotal: Number(order.orderTotal) || 0,
+  tax: Number(order.tax?.amount) || 0,
+  total: orderTotalWithTax(order)
+});
+
+// Customer address block, skipping empty lines
+export const addressLines = (customer) => [
+  customer.company,
+  customer.name,
+  customer.address,
+  [[customer.city, customer.state].filter(Boolean).join(', '), customer.zip].filter(Boolean).join(' ')
+].filter(Boolean);
@@ -0,0 +1,97 @@
+import {
+  DEFAULT_DOCUMENT_SETTINGS,
+  loadDocumentCounters,
+  saveDocumentCounters,
+  documentKindFor,
+  nextDocumentNumber,
+  recordDocumentNumber,
+  countersFromOrders,
+  mergeDocumentCounters,
+  invoiceDueDate,
+  quoteValidUntil,
+  documentTotals,
+  addressLines
+} from './documents';
+
+const settings = DEFAULT_DOCUMENT_SETTINGS;
+
+const customers = [
+  { id: 1, purchases: [{ id: 'a', quoteNumber: 'Q-1004', invoiceNumber: 'INV-1010' }, { id: 'b' }] },
+  { id: 2, purchases: [{ id: 'c', invoiceNumber: 'OLD-1012', deletedAt: '2024-01-01' }] }
+];
+
+describe('document numbers', () => {
+  test('start at the configured number', () => {
+    expect(nextDocumentNumber([], 'quote', settings)).toBe('Q-1001');
+    expect(nextDocumentNumber([], 'invoice', { ...settings, invoicePrefix: '', startNumber: '' })).toBe('1001');
+  });
+
+  test('follow the highest number on any order, binned ones included', () => {
+    expect(nextDocumentNumber(customers, 'quote', settings)).toBe('Q-1005');
+    expect(nextDocumentNumber(customers, 'invoice', settings)).toBe('INV-1013');
+  });
+
+  test('never reuse a number recorded in the counters after its order is gone', () => {
+    expect(nextDocumentNumber([], 'invoice', settings, { invoice: 1012 })).toBe('INV-1013');
+    expect(nextDocumentNumber(customers, 'quote', settings, { quote: 1001 })).toBe('Q-1005');
+  });
+
+  test('quotes are drafted only for quoted orders', () => {
+    expect(documentKindFor({ status: 'quoted' })).toBe('quote');
+    expect(documentKindFor({ status: 'delivered' })).toBe('invoice');
+  });
+});
+
+describe('document counters', () => {
+  test('only rise when a higher number is recorded', () => {
+    const counters = { quote: 1004, invoice: 0 };
+    expect(recordDocumentNumber(counters, 'quote', 'Q-1003')).toBe(counters);
+    const raised = recordDocumentNumber(counters, 'invoice', 'INV-1011');
+    expect(raised).toMatchObject({ quote: 1004, invoice: 1011 });
+    expect(raised.updatedAt).toBeTruthy();
+  });
+
+  test('catch up with numbers already on orders', () => {
+    expect(countersFromOrders({ quote: 0, invoice: 1020 }, customers)).toMatchObject({ quote: 1004, invoice: 1020 });
+    const current = { quote: 1004, invoice: 1012 };
+    expect(countersFromOrders(current, customers)).toBe(current);
+  });
+
+  test('merge by keeping the higher of each kind', () => {
+    const remote = { quote: 1009, invoice: 1000, updatedAt: '2024-01-01T00:00:00.000Z' };
+    const merged = mergeDocumentCounters({ quote: 1002, invoice: 1003 }, remote);
+    expect(merged).toMatchObject({ quote: 1009, invoice: 1003 });
+    expect(merged.updatedAt).not.toBe(remote.updatedAt);
+  });
+
+  test('keep the remote stamp when nothing local is newer', () => {
+    const remote = { quote: 1009, invoice: 1003, updatedAt: '2024-01-01T00:00:00.000Z' };
+    expect(mergeDocumentCounters({ quote: 1002, invoice: 1003 }, remote)).toEqual(remote);
+  });
+
+  test('are stored per device', () => {
+    localStorage.clear();
+    expect(loadDocumentCounters()).toEqual({ quote: 0, invoice: 0 });
+    saveDocumentCounters({ invoice: 1050, updatedAt: 'x' });
+    expect(loadDocumentCounters()).toEqual({ quote: 0, invoice: 1050, updatedAt: 'x' });
+  });
+});
+
+describe('document dates and totals', () => {
+  test('invoices are due after the payment terms and quotes expire after the valid days', () => {
+    expect(invoiceDueDate({ invoiceDate: '2024-01-15' }, settings)).toBe('2024-02-14');
+    expect(invoiceDueDate({}, settings)).toBeNull();
+    expect(quoteValidUntil({ date: '2024-12-15T10:00:00.000Z' }, { quoteValidDays: 30 })).toBe('2025-01-14');
+  });
+
+  test('totals add the tax stored on the order', () => {
+    expect(documentTotals({ orderTotal: 100, tax: { amount: 6 } })).toEqual({ subtotal: 100, tax: 6, total: 106 });
+    expect(documentTotals({ orderTotal: 100 })).toEqual({ subtotal: 100, tax: 0, total: 100 });
+  });
+
+  test('address lines skip what is missing', () => {
+    expect(addressLines({ name: 'Acme Farm', address: '1 Main St', city: 'Erie', state: 'PA', zip: '16501' }))
+      .toEqual(['Acme Farm', '1 Main St', 'Erie, PA 16501']);
+    expect(addressLines({ name: 'Acme Farm', zip: '16501' })).toEqual(['Acme Farm', '16501']);
+  });
+});
@@ -0,0 +1,237 @@
+// Fuzzy duplicate detection and merging of two customer records.
+// Pairs are scored on name similarity, shared phone numbers, shared emails
+// and matching addresses; merging keeps one record and folds the other's
+// contacts, notes, purchases and demos into it.
+import { diffFields, defaultWinner } from './importMerge';
+import { mergeAuditLogs } from './auditLog';
+import { mergeStageHistories } from './stageHistory';
+
+// Pairs scoring at least this much are listed as possible duplicates
+export const DUPLICATE_THRESHOLD = 0.65;
+
+// Business suffixes and filler words ignored when comparing names
+const NAME_NOISE = new Set(['inc', 'llc', 'co', 'corp', 'corporation', 'company', 'ltd', 'the']);
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', road: 'rd', avenue: 'ave', drive: 'dr', lane: 'ln', highway: 'hwy',
+  boulevard: 'blvd', court: 'ct', north: 'n', south: 's', east: 'e', west: 'w', route: 'rt'
+};
+
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word && !NAME_NOISE.has(word))
+  .join(' ');
+
+const normalizeAddress = (address) => (address || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(Boolean)
+  .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+  .join(' ');
+
+// Last ten digits, so "+1 555..." and "555..." compare equal
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const grams = new Set();
+  for (let i = 0; i < compact.length - 1; i++) {
+    grams.add(compact.slice(i, i + 2));
+  }
+  return grams;
+};
+
+// Dice coefficient of two bigram sets (0..1)
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(gram => {
+    if (b.has(gram)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+// Everything the scorer needs from one customer, computed once
+const fingerprint = (customer) => {
+  const name = normalizeName(customer.name);
+  const phones = new Set(
+    [customer.primaryPhone, ...(customer.contacts || []).map(c => c.phone)]
+      .map(normalizePhone)
+      .filter(phone => phone.length >= 7)
+  );
+  const emails = new Set(
+    [customer.email, ...(customer.contacts || []).map(c => c.email)]
+      .map(email => (email || '').toLowerCase().trim())
+      .filter(Boolean)
+  );
+  return {
+    customer,
+    name,
+    nameGrams: bigrams(name),
+    phones,
+    emails,
+    address: normalizeAddress(customer.address),
+    city: (customer.city || '').toLowerCase().trim(),
+    state: (customer.state || '').toUpperCase().trim(),
+    zip: (customer.zip || '').replace(/\D/g, '').slice(0, 5)
+  };
+};
+
+const firstShared = (a, b) => [...a].find(value => b.has(value));
+
+const formatPhone = (digits) => digits.length === 10
+  ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`
+  : digits;
+
+// Score two fingerprints. Each matching signal is an independent piece of
+// evidence, so they combine as 1 - Π(1 - p).
+const scoreFingerprints = (a, b) => {
+  const evidence = [];
+  const reasons = [];
+
+  const nameSimilarity = a.name === b.name && a.name ? 1 : similarity(a.nameGrams, b.nameGrams);
+  if (nameSimilarity >= 0.75) {
+    // The same name in two different states is usually two businesses
+    const differentState = a.state && b.state && a.state !== b.state;
+    evidence.push(nameSimilarity * 0.9 * (differentState ? 0.7 : 1));
+    reasons.push(nameSimilarity === 1 ? 'Same name' : `Similar name (${Math.round(nameSimilarity * 100)}%)`);
+  }
+
+  const sharedPhone = firstShared(a.phones, b.phones);
+  if (sharedPhone) {
+    evidence.push(0.85);
+    reasons.push(`Same phone ${formatPhone(sharedPhone)}`);
+  }
+
+  const sharedEmail = firstShared(a.emails, b.emails);
+  if (sharedEmail) {
+    evidence.push(0.85);
+    reasons.push(`Same email ${sharedEmail}`);
+  }
+
+  if (a.address && b.address && (a.zip === b.zip || a.city === b.city)) {
+    const addressSimilarity = a.address === b.address ? 1 : similarity(bigrams(a.address), bigrams(b.address));
+    if (addressSimilarity >= 0.85) {
+      evidence.push(0.6 * addressSimilarity);
+      reasons.push('Same address');
+    }
+  }
+
+  const score = 1 - evidence.reduce((remaining, p) => remaining * (1 - p), 1);
+  return { score, reasons };
+};
+
+// Score a single pair of customers
+export const scoreDuplicatePair = (a, b) => scoreFingerprints(fingerprint(a), fingerprint(b));
+
+// Existing customers that look like the same business as `candidate`, best match first
+export const findPossibleDuplicates = (customers, candidate, { activeOnly = true } = {}) => {
+  const target = fingerprint(candidate);
+  return customers
+    .filter(c => c.id !== candidate.id && (!activeOnly || c.active))
+    .map(c => ({ customer: c, ...scoreFingerprints(target, fingerprint(c)) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Stable key for a pair regardless of order
+export const pairKey = (a, b) => [a.id, b.id].map(String).sort().join('|');
+
+// Every pair of customers scoring above the threshold, best first.
+// dismissed: set of pairKeys marked "not duplicates".
+export const findDuplicatePairs = (customers, dismissed = new Set()) => {
+  const prints = customers.map(fingerprint);
+  const pairs = [];
+  for (let i = 0; i < prints.length; i++) {
+    for (let j = i + 1; j < prints.length; j++) {
+      const a = prints[i].customer;
+      const b = prints[j].customer;
+      if (dismissed.has(pairKey(a, b))) continue;
+      const { score, reasons } = scoreFingerprints(prints[i], prints[j]);
+      if (score >= DUPLICATE_THRESHOLD) {
+        pairs.push({ a, b, score, reasons });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+// Fields combined by mergeDuplicates rather than picked from one record
+const COMBINED_FIELDS = [
+  'contacts', 'demos', 'notes', 'purchases', 'dateAdded', 'active', 'inactiveReason',
+  'followUpDate', 'auditLog', 'stageHistory'
+];
+
+// Scalar fields that differ between the two records and need a choice
+export const mergeableFields = (keep, other) =>
+  diffFields(keep, other).filter(field => !COMBINED_FIELDS.includes(field));
+
+const contactKey = (contact) =>
+  `${normalizeName(contact.name)}|${normalizePhone(contact.phone)}`;
+
+// Add the other record's list items, renumbering ids that collide with different items
+const combineItems = (keepItems = [], otherItems = []) => {
+  const byId = new Map(keepItems.map(item => [String(item.id), item]));
+  const combined = [...keepItems];
+  otherItems.forEach((item, index) => {
+    const existing = byId.get(String(item.id));
+    if (existing && JSON.stringify(existing) === JSON.stringify(item)) return;
+    const merged = existing ? { ...item, id: `${item.id}-m${index}` } : item;
+    byId.set(String(merged.id), merged);
+    combined.push(merged);
+  });
+  return combined;
+};
+
+const earliest = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(a) <= new Date(b) ? a : b;
+};
+
+// Merge `other` into `keep`. choices maps each mergeable field to 'existing'
+// (keep's value) or 'imported' (other's value), as in the import review.
+export const mergeDuplicates = (keep, other, choices = {}) => {
+  const merged = { ...keep };
+
+  mergeableFields(keep, other).forEach(field => {
+    const winner = choices[field] || defaultWinner(keep, other, field);
+    if (winner === 'imported') merged[field] = other[field];
+  });
+
+  const contactKeys = new Set((keep.contacts || []).map(contactKey));
+  merged.contacts = [
+    ...(keep.contacts || []),
+    ...(other.contacts || [])
+      .filter(contact => (contact.name || contact.phone) && !contactKeys.has(contactKey(contact)))
+      .map(contact => ({ ...contact, isPrimary: false }))
+  ];
+
+  merged.demos = { ...(other.demos || {}), ...(keep.demos || {}) };
+  Object.entries(other.demos || {}).forEach(([demoType, demo]) => {
+    const mine = keep.demos?.[demoType];
+    if (demo?.completed && mine?.completed) {
+      merged.demos[demoType] = { completed: true, date: earliest(mine.date, demo.date) };
+    } else if (demo?.completed) {
+      merged.demos[demoType] = { ...demo };
+    }
+  });
+
+  merged.notes = combineItems(keep.notes, other.notes)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  merged.purchases = combineItems(keep.purchases, other.purchases);
+
+  merged.dateAdded = earliest(keep.dateAdded, other.dateAdded);
+  merged.active = !!(keep.active || other.active);
+  merged.inactiveReason = keep.inactiveReason || other.inactiveReason || '';
+  merged.followUpDate = earliest(keep.followUpDate, other.followUpDate) || '';
+  merged.auditLog = mergeAuditLogs(keep.auditLog, other.auditLog);
+  merged.stageHistory = mergeStageHistories(keep.stageHistory, other.stageHistory);
+
+  return merged;
+};
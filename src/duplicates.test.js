@@ -0,0 +1,134 @@
+import {
+  DUPLICATE_THRESHOLD,
+  scoreDuplicatePair,
+  findPossibleDuplicates,
+  findDuplicatePairs,
+  pairKey,
+  mergeableFields,
+  mergeDuplicates
+} from './duplicates';
+import { makeCustomer } from './testFixtures';
+
+const customer = makeCustomer;
+
+describe('scoreDuplicatePair', () => {
+  test('ignores case, punctuation and business suffixes in names', () => {
+    const { score, reasons } = scoreDuplicatePair(customer(), customer({ id: 2, name: 'ACME Farm, Inc.' }));
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+    expect(reasons).toEqual(['Same name']);
+  });
+
+  test('the same name in another state is not enough on its own', () => {
+    const { score } = scoreDuplicatePair(customer(), customer({ id: 2, state: 'OH' }));
+    expect(score).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+
+  test('a shared phone matches across formats and contacts', () => {
+    const { score, reasons } = scoreDuplicatePair(
+      customer({ primaryPhone: '+1 (814) 555-0100' }),
+      customer({ id: 2, name: 'Totally Different', contacts: [{ name: 'Bo', phone: '814.555.0100' }] })
+    );
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+    expect(reasons).toEqual(['Same phone (814) 555-0100']);
+  });
+
+  test('a matching address alone is not enough, but adds to other evidence', () => {
+    const a = customer({ name: 'North Shop', address: '12 Main Street' });
+    const b = customer({ id: 2, name: 'Lakeside Supply', address: '12 main st.' });
+    const addressOnly = scoreDuplicatePair(a, b);
+    expect(addressOnly.reasons).toEqual(['Same address']);
+    expect(addressOnly.score).toBeLessThan(DUPLICATE_THRESHOLD);
+
+    const withEmail = scoreDuplicatePair({ ...a, email: 'x@y.com' }, { ...b, email: 'X@y.com ' });
+    expect(withEmail.score).toBeGreaterThan(addressOnly.score);
+  });
+
+  test('unrelated customers score zero', () => {
+    expect(scoreDuplicatePair(customer(), customer({ id: 2, name: 'Zebra Co-op' })).score).toBe(0);
+  });
+});
+
+describe('findPossibleDuplicates / findDuplicatePairs', () => {
+  const customers = [
+    customer(),
+    customer({ id: 2, name: 'Acme Farms' }),
+    customer({ id: 3, name: 'Acme Farm', active: false }),
+    customer({ id: 4, name: 'Zebra' })
+  ];
+
+  test('finds active look-alikes of a candidate, excluding itself', () => {
+    expect(findPossibleDuplicates(customers, customers[0]).map(m => m.customer.id)).toEqual([2]);
+    expect(findPossibleDuplicates(customers, customers[0], { activeOnly: false }).map(m => m.customer.id)).toEqual([3, 2]);
+  });
+
+  test('lists each pair once, best first, skipping dismissed pairs', () => {
+    const pairs = findDuplicatePairs(customers);
+    expect(pairs.map(p => pairKey(p.a, p.b))).toEqual(['1|3', '1|2', '2|3']);
+    expect(findDuplicatePairs(customers, new Set([pairKey(customers[2], customers[0])])).map(p => pairKey(p.a, p.b)))
+      .toEqual(['1|2', '2|3']);
+  });
+});
+
+describe('mergeDuplicates', () => {
+  const keep = customer({
+    city: 'Erie',
+    email: '',
+    dateAdded: '2024-03-01',
+    followUpDate: '2024-09-10',
+    contacts: [{ name: 'Ann', phone: '814-555-0100', isPrimary: true }],
+    demos: { Phaser: { completed: true, date: '2024-05-01' } },
+    notes: [{ id: 'n1', text: 'kept', date: '2024-04-01' }],
+    purchases: [{ id: 'p1', orderTotal: 10 }],
+    stageHistory: [{ id: 'initial', from: null, to: 'Lead', at: null }, { id: 't1', from: 'Lead', to: 'Warm', at: '2024-04-01' }],
+    active: true
+  });
+  const other = customer({
+    id: 2,
+    city: 'Corry',
+    email: 'a@b.c',
+    dateAdded: '2024-01-01',
+    followUpDate: '2024-08-01',
+    contacts: [{ name: 'ann', phone: '(814) 555-0100', isPrimary: true }, { name: 'Bo', phone: '', isPrimary: true }],
+    demos: { Phaser: { completed: true, date: '2024-02-01' }, Grease: { completed: true, date: '2024-03-01' } },
+    notes: [{ id: 'n1', text: 'different', date: '2024-06-01' }],
+    purchases: [{ id: 'p1', orderTotal: 10 }, { id: 'p2', orderTotal: 20 }],
+    stageHistory: [{ id: 'initial', from: null, to: 'Lead', at: null }, { id: 't2', from: 'Lead', to: 'Cold', at: '2024-02-01' }],
+    active: false,
+    inactiveReason: 'Moved away'
+  });
+
+  test('only scalar fields that differ need a choice', () => {
+    expect(mergeableFields(keep, other).sort()).toEqual(['city', 'email']);
+  });
+
+  test('keeps values by default, fills empty ones and honours choices', () => {
+    expect(mergeDuplicates(keep, other)).toMatchObject({ id: 1, city: 'Erie', email: 'a@b.c' });
+    expect(mergeDuplicates(keep, other, { city: 'imported', email: 'existing' })).toMatchObject({ city: 'Corry', email: '' });
+  });
+
+  test('adds new contacts as non-primary and skips the same person', () => {
+    expect(mergeDuplicates(keep, other).contacts).toEqual([
+      { name: 'Ann', phone: '814-555-0100', isPrimary: true },
+      { name: 'Bo', phone: '', isPrimary: false }
+    ]);
+  });
+
+  test('keeps every completed demo with its earliest date', () => {
+    expect(mergeDuplicates(keep, other).demos).toEqual({
+      Phaser: { completed: true, date: '2024-02-01' },
+      Grease: { completed: true, date: '2024-03-01' }
+    });
+  });
+
+  test('unions notes and purchases, renumbering clashing ids', () => {
+    const merged = mergeDuplicates(keep, other);
+    expect(merged.notes.map(n => n.id)).toEqual(['n1-m0', 'n1']);
+    expect(merged.purchases.map(p => p.id)).toEqual(['p1', 'p2']);
+  });
+
+  test('combines dates, activity and stage histories', () => {
+    const merged = mergeDuplicates(keep, other);
+    expect(merged).toMatchObject({ dateAdded: '2024-01-01', followUpDate: '2024-08-01', active: true, inactiveReason: 'Moved away' });
+    expect(merged.stageHistory.map(t => t.id)).toEqual(['initial', 't2', 't1']);
+  });
+});
@@ -0,0 +1,160 @@
+// Merge-import of backup files.
+// Imported customers are matched to existing ones by id, falling back to
+// name + phone + address (only when there is a phone or address besides the
+// name, so two customers sharing a common name are never merged). Matches are
+// compared field by field so the user can pick a winner for each difference;
+// notes and purchases are always merged as a union so no history is lost.
+// Audit logs and stage histories are combined the same way.
+import { mergeAuditLogs } from './auditLog';
+import { mergeStageHistories } from './stageHistory';
+
+// Fields that are merged as lists rather than compared
+const LIST_FIELDS = ['notes', 'purchases'];
+// Fields that never count as a difference
+const IGNORED_FIELDS = ['id', 'schemaVersion', 'auditLog', 'stageHistory', ...LIST_FIELDS];
+
+const normalizeText = (value) => (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+const phoneDigits = (customer) =>
+  (customer.primaryPhone || customer.contacts?.[0]?.phone || '').replace(/\D/g, '');
+
+// Secondary match key for records whose ids don't line up
+const identityKey = (customer) => {
+  const name = normalizeText(customer.name);
+  const phone = phoneDigits(customer);
+  const address = normalizeText(customer.address);
+  if (!name || (!phone && !address)) return null;
+  return `${name}|${phone}|${address}`;
+};
+
+const sameValue = (a, b) => {
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+  if (isEmpty(a) && isEmpty(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const itemKey = (item) => JSON.stringify(item.id !== undefined ? item.id : item);
+
+// Items from `incoming` that `current` does not already have, by id
+const missingItems = (current = [], incoming = []) => {
+  const currentKeys = new Set(current.map(itemKey));
+  return incoming.filter(item => !currentKeys.has(itemKey(item)));
+};
+
+// Fields whose values differ between two versions of a customer
+export const diffFields = (existing, imported) => {
+  const fields = new Set([...Object.keys(existing), ...Object.keys(imported)]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => imported[field] !== undefined && !sameValue(existing[field], imported[field]));
+};
+
+// Sort imported customers into new, changed and identical against the current list
+export const compareImport = (existing, imported) => {
+  const byId = new Map(existing.map(c => [c.id, c]));
+  const byIdentity = new Map();
+  existing.forEach(c => {
+    const key = identityKey(c);
+    if (key && !byIdentity.has(key)) byIdentity.set(key, c);
+  });
+
+  const result = { newRecords: [], changed: [], identical: [] };
+  const matchedIds = new Set();
+
+  imported.forEach(record => {
+    let match = byId.get(record.id);
+    let matchedBy = 'id';
+    const key = identityKey(record);
+    if (!match && key) {
+      match = byIdentity.get(key);
+      matchedBy = 'details';
+    }
+
+    // Two imported records can't both claim the same existing customer
+    if (!match || matchedIds.has(match.id)) {
+      result.newRecords.push(record);
+      return;
+    }
+    matchedIds.add(match.id);
+
+    const fields = diffFields(match, record);
+    const newNotes = missingItems(match.notes, record.notes);
+    const newPurchases = missingItems(match.purchases, record.purchases);
+
+    if (fields.length === 0 && newNotes.length === 0 && newPurchases.length === 0) {
+      result.identical.push({ existing: match, imported: record });
+    } else {
+      result.changed.push({ existing: match, imported: record, matchedBy, fields, newNotes, newPurchases });
+    }
+  });
+
+  return result;
+};
+
+// Default winner for a field: keep what we have, unless we have nothing
+export const defaultWinner = (existing, imported, field) =>
+  sameValue(existing[field], '') ? 'imported' : 'existing';
+
+const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
+
+// Combine an existing customer with an imported one.
+// choices maps each differing field to 'existing' or 'imported'.
+export const mergeCustomer = (existing, imported, fields, choices) => {
+  const merged = { ...existing };
+  fields.forEach(field => {
+    const winner = choices[field] || defaultWinner(existing, imported, field);
+    if (winner === 'imported') merged[field] = imported[field];
+  });
+
+  const newNotes = missingItems(existing.notes, imported.notes);
+  const newPurchases = missingItems(existing.purchases, imported.purchases);
+  if (newNotes.length > 0) {
+    merged.notes = [...(existing.notes || []), ...newNotes].sort(byDateDesc);
+  }
+  if (newPurchases.length > 0) {
+    merged.purchases = [...(existing.purchases || []), ...newPurchases];
+  }
+  if (imported.auditLog) {
+    merged.auditLog = mergeAuditLogs(existing.auditLog, imported.auditLog);
+  }
+  if (imported.stageHistory) {
+    merged.stageHistory = mergeStageHistories(existing.stageHistory, imported.stageHistory);
+  }
+  return merged;
+};
+
+// Apply a reviewed import to the customer list.
+// choices: { [existingId]: { [field]: 'existing' | 'imported' } }
+// includeNew: set of imported records to add as new customers
+// The records are matched again against the current list, so changes synced
+// in while the review was open are merged with rather than overwritten.
+// Fields that only differ now keep the current value unless it is empty.
+export const applyImport = (customers, comparison, choices, includeNew) => {
+  const reviewed = [
+    ...comparison.changed.map(({ imported }) => imported),
+    ...comparison.newRecords.filter(record => includeNew.has(record))
+  ];
+  const current = compareImport(customers, reviewed);
+
+  const replacements = new Map();
+  current.changed.forEach(({ existing, imported, fields }) => {
+    replacements.set(existing.id, mergeCustomer(existing, imported, fields, choices[existing.id] || {}));
+  });
+
+  const usedIds = new Set(customers.map(c => c.id));
+  const added = current.newRecords
+    .map((record, index) => {
+      // Keep backup ids where we can so later re-imports still match by id
+      if (record.id !== undefined && !usedIds.has(record.id)) {
+        usedIds.add(record.id);
+        return record;
+      }
+      const id = Date.now() + index;
+      usedIds.add(id);
+      return { ...record, id };
+    });
+
+  return [
+    ...customers.map(c => replacements.get(c.id) || c),
+    ...added
+  ];
+};
@@ -0,0 +1,131 @@
+import { compareImport, applyImport, diffFields, mergeCustomer, defaultWinner } from './importMerge';
+import { makeCustomer } from './testFixtures';
+
+const customer = (overrides = {}) => makeCustomer({ primaryPhone: '(814) 555-0100', address: '1 Main St', ...overrides });
+
+describe('diffFields', () => {
+  test('lists fields that differ, treating empty values as equal', () => {
+    expect(diffFields(customer({ email: '' }), customer({ email: null, city: 'Corry' }))).toEqual(['city']);
+  });
+
+  test('ignores ids, list fields and fields the import leaves out', () => {
+    const imported = { id: 99, name: 'Acme Farm', notes: [{ id: 'n1' }], schemaVersion: 3 };
+    expect(diffFields(customer(), imported)).toEqual([]);
+  });
+});
+
+describe('compareImport', () => {
+  test('matches by id and sorts records into new, changed and identical', () => {
+    const existing = [customer(), customer({ id: 2, name: 'Beta', primaryPhone: '', address: '2 Oak' })];
+    const result = compareImport(existing, [
+      customer(),
+      customer({ id: 2, name: 'Beta', primaryPhone: '', address: '2 Oak', city: 'Meadville' }),
+      customer({ id: 3, name: 'Gamma', primaryPhone: '', address: '3 Elm' })
+    ]);
+    expect(result.identical).toHaveLength(1);
+    expect(result.changed).toEqual([expect.objectContaining({ matchedBy: 'id', fields: ['city'] })]);
+    expect(result.newRecords.map(r => r.id)).toEqual([3]);
+  });
+
+  test('falls back to name and contact details, ignoring punctuation and case', () => {
+    const result = compareImport([customer()], [customer({ id: 50, name: 'ACME farm.', primaryPhone: '814-555-0100', city: 'Corry' })]);
+    expect(result.changed).toEqual([expect.objectContaining({ matchedBy: 'details', fields: expect.arrayContaining(['name', 'city']) })]);
+  });
+
+  test('never matches on the name alone', () => {
+    const existing = [customer({ primaryPhone: '', address: '' })];
+    const result = compareImport(existing, [customer({ id: 50, primaryPhone: '', address: '', city: 'Corry' })]);
+    expect(result.changed).toEqual([]);
+    expect(result.newRecords).toHaveLength(1);
+  });
+
+  test('lets only one imported record claim an existing customer', () => {
+    const result = compareImport([customer()], [customer({ city: 'A' }), customer({ id: 60, city: 'B' })]);
+    expect(result.changed).toHaveLength(1);
+    expect(result.newRecords.map(r => r.city)).toEqual(['B']);
+  });
+
+  test('counts new notes and purchases as a change', () => {
+    const result = compareImport([customer()], [customer({ notes: [{ id: 'n1', text: 'Hi', date: '2024-01-01' }] })]);
+    expect(result.changed[0].newNotes).toHaveLength(1);
+  });
+});
+
+describe('mergeCustomer', () => {
+  test('keeps existing values by default, fills empty ones and unions notes and purchases', () => {
+    const existing = customer({
+      email: '',
+      notes: [{ id: 'n1', text: 'old', date: '2024-01-01' }],
+      purchases: [{ id: 'p1' }]
+    });
+    const imported = customer({
+      city: 'Corry',
+      email: 'a@b.c',
+      notes: [{ id: 'n1', text: 'old', date: '2024-01-01' }, { id: 'n2', text: 'new', date: '2024-02-01' }],
+      purchases: [{ id: 'p1' }, { id: 'p2' }]
+    });
+    const merged = mergeCustomer(existing, imported, diffFields(existing, imported), {});
+    expect(merged.city).toBe('Erie');
+    expect(merged.email).toBe('a@b.c');
+    expect(merged.notes.map(n => n.id)).toEqual(['n2', 'n1']);
+    expect(merged.purchases.map(p => p.id)).toEqual(['p1', 'p2']);
+  });
+
+  test('applies the chosen winners', () => {
+    const merged = mergeCustomer(customer(), customer({ city: 'Corry' }), ['city'], { city: 'imported' });
+    expect(merged.city).toBe('Corry');
+  });
+
+  test('combines stage histories', () => {
+    const merged = mergeCustomer(
+      customer({ stageHistory: [{ id: 'a', to: 'Lead', at: '2024-01-01' }] }),
+      customer({ stageHistory: [{ id: 'a', to: 'Lead', at: '2024-01-01' }, { id: 'b', to: 'Warm', at: '2024-02-01' }] }),
+      [],
+      {}
+    );
+    expect(merged.stageHistory.map(t => t.id)).toEqual(['a', 'b']);
+  });
+
+  test('defaultWinner only prefers the import when nothing is stored', () => {
+    expect(defaultWinner({ city: '' }, { city: 'Erie' }, 'city')).toBe('imported');
+    expect(defaultWinner({ city: 'Corry' }, { city: 'Erie' }, 'city')).toBe('existing');
+  });
+});
+
+describe('applyImport', () => {
+  test('merges changed records and adds the selected new ones, keeping free ids', () => {
+    const existing = [customer()];
+    const incoming = [customer({ city: 'Corry' }), customer({ id: 7, name: 'New One', address: '7 Elm' }), customer({ id: 8, name: 'Skipped', address: '8 Elm' })];
+    const comparison = compareImport(existing, incoming);
+    const result = applyImport(existing, comparison, { 1: { city: 'imported' } }, new Set([comparison.newRecords[0]]));
+    expect(result.map(c => c.id)).toEqual([1, 7]);
+    expect(result[0].city).toBe('Corry');
+  });
+
+  test('gives a new record a fresh id when another one already took it', () => {
+    const comparison = compareImport([], [customer({ id: 5 }), customer({ id: 5, name: 'Other', address: '9 Pine' })]);
+    const result = applyImport([], comparison, {}, new Set(comparison.newRecords));
+    expect(result).toHaveLength(2);
+    expect(result[0].id).toBe(5);
+    expect(result[1].id).not.toBe(5);
+  });
+
+  test('re-matches against the current list so changes made during review are kept', () => {
+    const reviewedAgainst = [customer()];
+    const comparison = compareImport(reviewedAgainst, [customer({ city: 'Corry', email: 'a@b.c' })]);
+
+    // Synced in while the review dialog was open
+    const current = [customer({ email: 'synced@b.c', followUpDate: '2024-09-01' })];
+    const result = applyImport(current, comparison, { 1: { city: 'imported' } }, new Set());
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ city: 'Corry', email: 'synced@b.c', followUpDate: '2024-09-01' });
+  });
+
+  test('merges a reviewed new record into a matching customer that arrived meanwhile', () => {
+    const comparison = compareImport([], [customer({ id: 9, city: 'Corry' })]);
+    const current = [customer({ id: 9 })];
+    const result = applyImport(current, comparison, {}, new Set(comparison.newRecords));
+    expect(result).toHaveLength(1);
+    expect(result[0].city).toBe('Erie');
+  });
+});
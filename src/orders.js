@@ -0,0 +1,133 @@
+// Order lifecycle.
+// An order (an entry in customer.purchases) moves quoted → ordered →
+// partially delivered → delivered → invoiced → paid, or to cancelled.
+// Deliveries are recorded per product line: each line keeps the quantity
+// delivered so far and each shipment is logged in order.deliveries, so a
+// partial delivery leaves a backorder balance. Status changes are logged in
+// order.statusHistory as { status, at, by }. Open orders carry their own
+// expectedDeliveryDate and deliveryMethod (carrier or how it goes out).
+
+export const ORDER_STATUSES = {
+  quoted: 'Quoted',
+  ordered: 'Ordered',
+  partial: 'Partially Delivered',
+  delivered: 'Delivered',
+  invoiced: 'Invoiced',
+  paid: 'Paid',
+  cancelled: 'Cancelled'
+};
+
+// Status changes made by hand; partial and delivered come from recording
+// deliveries, paid from recording payments (see receivables.js). Cancelling
+// a partial order only cancels its backorder (see cancelBackorder).
+export const STATUS_ACTIONS = {
+  quoted: [{ status: 'ordered', label: '✓ Convert to Order' }, { status: 'cancelled', label: '✕ Cancel Quote' }],
+  ordered: [{ status: 'cancelled', label: '✕ Cancel Order' }],
+  partial: [{ status: 'cancelled', label: '✕ Cancel Backorder' }],
+  delivered: [{ status: 'invoiced', label: '🧾 Mark Invoiced' }],
+  invoiced: [],
+  paid: [],
+  cancelled: []
+};
+
+// Suggestions for order.deliveryMethod; any text is allowed
+export const DELIVERY_METHODS = ['Our Truck', 'Customer Pickup', 'UPS', 'FedEx', 'Freight'];
+
+// Live orders that count as sales: not quotes, not cancelled
+export const isSale = (order) => !order.deletedAt && order.status !== 'quoted' && order.status !== 'cancelled';
+
+export const salesOrders = (purchases) => (purchases || []).filter(isSale);
+
+// Orders still waiting on some or all of their products
+export const isOpenOrder = (order) => !order.deletedAt && (order.status === 'ordered' || order.status === 'partial');
+
+export const openOrders = (purchases) => (purchases || []).filter(isOpenOrder);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Quantity of a line not delivered yet
+export const lineBalance = (line) => Math.max(0, (Number(line.quantity) || 0) - (Number(line.delivered) || 0));
+
+// Lines of an open order with something left to deliver
+export const openLines = (order) => (isOpenOrder(order) ? order.products.filter(line => lineBalance(line) > 0) : []);
+
+export const backorderQuantity = (order) => openLines(order).reduce((sum, line) => sum + lineBalance(line), 0);
+
+export const setOrderStatus = (order, status, { user } = {}) => ({
+  ...order,
+  status,
+  statusHistory: [...(order.statusHistory || []), { status, at: new Date().toISOString(), by: user || null }]
+});
+
+// A quote accepted by the customer becomes an order dated today; the quote's
+// own date is kept as quoteDate
+export const convertQuote = (order, { user } = {}) => setOrderStatus({
+  ...order,
+  quoteDate: order.date,
+  date: new Date().toISOString().split('T')[0]
+}, 'ordered', { user });
+
+// Record a shipment of quantities { [lineId]: quantity }, each capped at the
+// line's balance. The order becomes partial or delivered accordingly.
+export const recordDelivery = (order, quantities, { date, user } = {}) => {
+  const lines = [];
+  const products = order.products.map(line => {
+    const quantity = Math.min(lineBalance(line), Math.max(0, Number(quantities[line.id]) || 0));
+    if (quantity === 0) return line;
+    lines.push({ lineId: line.id, product: line.product, quantity });
+    return { ...line, delivered: (Number(line.delivered) || 0) + quantity };
+  });
+  if (lines.length === 0) return order;
+
+  const delivery = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    date: date || new Date().toISOString().split('T')[0],
+    lines,
+    deliveredBy: user || null
+  };
+  const updated = { ...order, products, deliveries: [...(order.deliveries || []), delivery] };
+  const status = products.every(line => lineBalance(line) === 0) ? 'delivered' : 'partial';
+  return status === order.status ? updated : setOrderStatus(updated, status, { user });
+};
+
+// Cancel what is still outstanding on a partially delivered order. Each line
+// is cut back to what was delivered, the total and tax shrink to match (tax
+// at the rate the order was taken with), and the order is complete.
+export const cancelBackorder = (order, { user } = {}) => {
+  let removed = 0;
+  const products = order.products.map(line => {
+    if (lineBalance(line) === 0) return line;
+    const delivered = Number(line.delivered) || 0;
+    const total = Number(line.total) || 0;
+    const kept = round((Number(line.quantity) > 0 ? total / Number(line.quantity) : 0) * delivered);
+    removed += total - kept;
+    return { ...line, quantity: delivered, total: kept };
+  });
+  const orderTotal = round(Math.max(0, (Number(order.orderTotal) || 0) - removed));
+  const tax = order.tax ? { ...order.tax, amount: round(orderTotal * (Number(order.tax.rate) || 0)) } : order.tax;
+  return setOrderStatus({ ...order, products, orderTotal, tax }, 'delivered', { user });
+};
+
+// Everything still outstanding on the order
+export const remainingQuantities = (order) =>
+  Object.fromEntries(order.products.map(line => [line.id, lineBalance(line)]));
+
+// Upgrade an order from the { pendingDelivery, delivered } flags. Orders that
+// didn't need delivery were handed over when sold, so count as delivered.
+export const upgradeOrder = (order, fallbackDeliveryDate = null) => {
+  if (order.status) return order;
+  const { pendingDelivery, delivered, ...rest } = order;
+  const open = pendingDelivery && !delivered;
+  return {
+    ...rest,
+    status: open ? 'ordered' : 'delivered',
+    products: (order.products || []).map((line, index) => ({
+      ...line,
+      id: line.id ?? `${order.id}-${index + 1}`,
+      delivered: open ? 0 : Number(line.quantity) || 0
+    })),
+    expectedDeliveryDate: order.expectedDeliveryDate || (open ? fallbackDeliveryDate : null) || null,
+    deliveries: [],
+    statusHistory: []
+  };
+};
@@ -0,0 +1,136 @@
+import {
+  isSale,
+  isOpenOrder,
+  lineBalance,
+  openLines,
+  backorderQuantity,
+  setOrderStatus,
+  convertQuote,
+  recordDelivery,
+  cancelBackorder,
+  remainingQuantities,
+  upgradeOrder
+} from './orders';
+import { makeOrder, makeLine } from './testFixtures';
+
+const order = (overrides = {}) => makeOrder({
+  status: 'ordered',
+  products: [makeLine({ id: 'a', quantity: 5 }), makeLine({ id: 'b', product: 'Phaser', quantity: 2 })],
+  ...overrides
+});
+
+describe('order states', () => {
+  test('quotes, cancelled and deleted orders are not sales', () => {
+    expect(isSale(order())).toBe(true);
+    expect(isSale(order({ status: 'quoted' }))).toBe(false);
+    expect(isSale(order({ status: 'cancelled' }))).toBe(false);
+    expect(isSale(order({ deletedAt: '2024-03-02' }))).toBe(false);
+  });
+
+  test('only ordered and partially delivered orders are open', () => {
+    expect(isOpenOrder(order({ status: 'partial' }))).toBe(true);
+    expect(isOpenOrder(order({ status: 'delivered' }))).toBe(false);
+    expect(openLines(order({ status: 'delivered' }))).toEqual([]);
+  });
+
+  test('line balances never go negative', () => {
+    expect(lineBalance({ quantity: 5, delivered: 2 })).toBe(3);
+    expect(lineBalance({ quantity: 5, delivered: 7 })).toBe(0);
+    expect(lineBalance({ quantity: '' })).toBe(0);
+  });
+
+  test('logs status changes with who made them', () => {
+    const updated = setOrderStatus(order(), 'cancelled', { user: 'Dana' });
+    expect(updated.status).toBe('cancelled');
+    expect(updated.statusHistory).toEqual([expect.objectContaining({ status: 'cancelled', by: 'Dana' })]);
+  });
+
+  test('converting a quote dates the order today and keeps the quote date', () => {
+    const today = new Date().toISOString().split('T')[0];
+    const converted = convertQuote(order({ status: 'quoted', date: '2024-01-15' }));
+    expect(converted).toMatchObject({ status: 'ordered', date: today, quoteDate: '2024-01-15' });
+    expect(converted.statusHistory).toHaveLength(1);
+  });
+});
+
+describe('recordDelivery', () => {
+  test('a partial shipment leaves a backorder', () => {
+    const updated = recordDelivery(order(), { a: 3 }, { date: '2024-03-05', user: 'Dana' });
+    expect(updated.status).toBe('partial');
+    expect(updated.products.map(line => line.delivered)).toEqual([3, 0]);
+    expect(updated.deliveries).toEqual([
+      expect.objectContaining({ date: '2024-03-05', deliveredBy: 'Dana', lines: [{ lineId: 'a', product: 'Grease', quantity: 3 }] })
+    ]);
+    expect(backorderQuantity(updated)).toBe(4);
+    expect(remainingQuantities(updated)).toEqual({ a: 2, b: 2 });
+  });
+
+  test('caps quantities at the balance and completes the order', () => {
+    const partial = recordDelivery(order(), { a: 3 });
+    const done = recordDelivery(partial, { a: 10, b: 2 });
+    expect(done.status).toBe('delivered');
+    expect(done.products.map(line => line.delivered)).toEqual([5, 2]);
+    expect(done.deliveries[1].lines.map(line => line.quantity)).toEqual([2, 2]);
+    expect(done.statusHistory.map(entry => entry.status)).toEqual(['partial', 'delivered']);
+  });
+
+  test('does not log a status change when the status stays the same', () => {
+    const partial = recordDelivery(order(), { a: 1 });
+    expect(recordDelivery(partial, { a: 1 }).statusHistory).toHaveLength(1);
+  });
+
+  test('returns the order unchanged when nothing is delivered', () => {
+    const original = order();
+    expect(recordDelivery(original, { a: 0, b: -2, zzz: 4 })).toBe(original);
+  });
+});
+
+describe('cancelBackorder', () => {
+  test('keeps what was delivered as a completed sale at the reduced total', () => {
+    const partial = recordDelivery(
+      order({ orderTotal: 70, tax: { rate: 0.06, amount: 4.2, jurisdiction: 'PA', exempt: false } }),
+      { a: 3 }
+    );
+    const done = cancelBackorder(partial, { user: 'Dana' });
+    expect(done.status).toBe('delivered');
+    expect(done.products.map(line => [line.quantity, line.delivered, line.total])).toEqual([[3, 3, 30], [0, 0, 0]]);
+    expect(done).toMatchObject({ orderTotal: 30, tax: { rate: 0.06, amount: 1.8 } });
+    expect(done.deliveries).toEqual(partial.deliveries);
+    expect(done.statusHistory[done.statusHistory.length - 1]).toMatchObject({ status: 'delivered', by: 'Dana' });
+    expect(isSale(done)).toBe(true);
+    expect(backorderQuantity(done)).toBe(0);
+  });
+
+  test('leaves fully delivered lines and orders without tax alone', () => {
+    const partial = recordDelivery(order({ orderTotal: 70 }), { a: 5, b: 1 });
+    const done = cancelBackorder(partial);
+    expect(done.products[0]).toBe(partial.products[0]);
+    expect(done).toMatchObject({ orderTotal: 60, tax: null });
+  });
+});
+
+describe('upgradeOrder', () => {
+  test('an order waiting on delivery becomes ordered with nothing delivered', () => {
+    const upgraded = upgradeOrder({
+      id: 7,
+      date: '2024-01-01',
+      pendingDelivery: true,
+      products: [{ product: 'Grease', quantity: 4 }]
+    }, '2024-02-01');
+    expect(upgraded).toMatchObject({ status: 'ordered', expectedDeliveryDate: '2024-02-01', deliveries: [], statusHistory: [] });
+    expect(upgraded.products).toEqual([{ id: '7-1', product: 'Grease', quantity: 4, delivered: 0 }]);
+    expect(upgraded).not.toHaveProperty('pendingDelivery');
+  });
+
+  test('other orders were handed over and count as delivered', () => {
+    const upgraded = upgradeOrder({ id: 8, products: [{ id: 'x', quantity: '3' }], pendingDelivery: true, delivered: true }, '2024-02-01');
+    expect(upgraded).toMatchObject({ status: 'delivered', expectedDeliveryDate: null });
+    expect(upgraded.products[0]).toMatchObject({ id: 'x', delivered: 3 });
+    expect(upgraded).not.toHaveProperty('delivered');
+  });
+
+  test('leaves orders that already have a status alone', () => {
+    const current = order();
+    expect(upgradeOrder(current)).toBe(current);
+  });
+});
@@ -0,0 +1,81 @@
+// Roles and what each may do.
+// The UI hides actions a role can't take, and history.commit - the one path
+// every user change takes to storage - checks changes with authorizeChanges,
+// so a missed button can't bypass the rules.
+import { diffCustomers } from './customerHistory';
+
+export const ROLES = {
+  admin: 'Admin',
+  rep: 'Rep',
+  readonly: 'Read-only'
+};
+
+const PERMISSIONS = {
+  // Everything, including wiping data and exporting the whole book
+  admin: ['edit', 'delete', 'import', 'importReplace', 'hardDelete', 'exportAll', 'manage'],
+  // Day-to-day work; deletions go to the Recycle Bin, exports are limited to own customers
+  rep: ['edit', 'delete', 'import'],
+  readonly: []
+};
+
+export const can = (role, action) => (PERMISSIONS[role] || []).includes(action);
+
+export class PermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermissionError';
+  }
+}
+
+// Items dropped from a list outright (binning keeps them with deletedAt set),
+// other than those in `allowed`
+const removesItems = (before = [], after = [], allowed = new Set()) => {
+  const afterIds = new Set(after.map(item => String(item.id)));
+  return before.some(item => !afterIds.has(String(item.id)) && !allowed.has(String(item.id)));
+};
+
+const newIds = (before = [], after = []) => {
+  const beforeIds = new Set(before.map(item => String(item.id)));
+  return new Set(after.map(item => String(item.id)).filter(id => !beforeIds.has(id)));
+};
+
+// What a history entry added: whole customers, and notes and orders on
+// existing ones. Undoing the entry takes these out again, which removes
+// nothing that existed before it, so it isn't a permanent delete.
+const addedBy = (entry) => {
+  const customers = new Set();
+  const notes = new Map();
+  const purchases = new Map();
+  (entry?.changes || []).forEach(({ id, before, after }) => {
+    if (!after) return;
+    if (!before) {
+      customers.add(String(id));
+      return;
+    }
+    notes.set(String(id), newIds(before.notes, after.notes));
+    purchases.set(String(id), newIds(before.purchases, after.purchases));
+  });
+  return { customers, notes, purchases };
+};
+
+// Throws PermissionError unless role may turn the previous list into next.
+// undoing is the history entry being undone, if any.
+export const authorizeChanges = (role, previous, next, { undoing } = {}) => {
+  const changes = diffCustomers(previous, next);
+  if (changes.length === 0) return;
+
+  if (!can(role, 'edit')) {
+    throw new PermissionError('Read-only users can\'t change customers.');
+  }
+
+  const added = addedBy(undoing);
+  const hardDeletes = changes.some(({ id, before, after }) => {
+    if (!before) return false;
+    if (!after) return !added.customers.has(String(id));
+    return removesItems(before.notes, after.notes, added.notes.get(String(id))) ||
+      removesItems(before.purchases, after.purchases, added.purchases.get(String(id)));
+  });
+  if (hardDeletes && !can(role, 'hardDelete')) {
+    throw new PermissionError('Only admins can permanently delete customers, notes or orders.');
+  }
+};
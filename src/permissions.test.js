@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { can, authorizeChanges, PermissionError } from './permissions';
+import { useCustomerHistory } from './customerHistory';
+import { makeCustomer, makeOrder } from './testFixtures';
+
+const note = (id, text = 'Called') => ({ id, text, date: '2024-03-01' });
+
+const acme = makeCustomer({ notes: [note('n1')], purchases: [makeOrder({ id: 'p1' })] });
+
+describe('can', () => {
+  test.each([
+    ['edit', true, true, false],
+    ['delete', true, true, false],
+    ['import', true, true, false],
+    ['importReplace', true, false, false],
+    ['hardDelete', true, false, false],
+    ['exportAll', true, false, false],
+    ['manage', true, false, false]
+  ])('%s: admin %s, rep %s, read-only %s', (action, admin, rep, readonly) => {
+    expect(can('admin', action)).toBe(admin);
+    expect(can('rep', action)).toBe(rep);
+    expect(can('readonly', action)).toBe(readonly);
+  });
+
+  test('unknown roles may do nothing', () => {
+    expect(can('guest', 'edit')).toBe(false);
+  });
+});
+
+describe('authorizeChanges', () => {
+  test('read-only users can change nothing, but unchanged lists pass', () => {
+    const customers = [acme];
+    expect(() => authorizeChanges('readonly', customers, customers)).not.toThrow();
+    expect(() => authorizeChanges('readonly', customers, [{ ...acme, city: 'Corry' }])).toThrow(PermissionError);
+  });
+
+  test('reps may edit, add and bin', () => {
+    const edited = { ...acme, city: 'Corry', notes: [...acme.notes, note('n2')] };
+    const binnedNote = { ...acme, notes: [{ ...note('n1'), deletedAt: '2024-03-02' }] };
+    expect(() => authorizeChanges('rep', [acme], [edited])).not.toThrow();
+    expect(() => authorizeChanges('rep', [acme], [binnedNote])).not.toThrow();
+    expect(() => authorizeChanges('rep', [acme], [acme, makeCustomer({ id: 2 })])).not.toThrow();
+  });
+
+  test.each([
+    ['a customer', []],
+    ['a note', [{ ...acme, notes: [] }]],
+    ['an order', [{ ...acme, purchases: [] }]]
+  ])('only admins may permanently delete %s', (_, next) => {
+    expect(() => authorizeChanges('rep', [acme], next)).toThrow('Only admins can permanently delete');
+    expect(() => authorizeChanges('admin', [acme], next)).not.toThrow();
+  });
+
+  test('undoing an entry may take out what it added, and nothing else', () => {
+    const withNote = { ...acme, notes: [...acme.notes, note('n2')] };
+    const added = makeCustomer({ id: 2 });
+    const undoing = {
+      changes: [
+        { id: 1, before: acme, after: withNote },
+        { id: 2, before: undefined, after: added }
+      ]
+    };
+    expect(() => authorizeChanges('rep', [withNote, added], [acme], { undoing })).not.toThrow();
+    expect(() => authorizeChanges('rep', [withNote, added], [acme], {})).toThrow(PermissionError);
+    expect(() => authorizeChanges('rep', [withNote, added], [{ ...acme, notes: [] }], { undoing }))
+      .toThrow('Only admins can permanently delete');
+  });
+});
+
+// The customer list with its history, as CustomerManager wires them up
+const useBook = (initial, role) => {
+  const [customers, setCustomers] = useState(initial);
+  const history = useCustomerHistory(customers, setCustomers, {
+    user: 'Dana',
+    authorize: (previous, next, options) => authorizeChanges(role, previous, next, options)
+  });
+  return { customers, setCustomers, history };
+};
+
+describe('undo and redo for reps', () => {
+  test('can undo and redo adding a note, an order and a customer', () => {
+    const { result } = renderHook(() => useBook([acme], 'rep'));
+    act(() => {
+      result.current.history.commit([{ ...acme, notes: [...acme.notes, note('n2')] }], 'Add note');
+    });
+    act(() => {
+      const [current] = result.current.customers;
+      result.current.history.commit([{ ...current, purchases: [...current.purchases, makeOrder({ id: 'p2' })] }], 'Add order');
+    });
+    act(() => {
+      result.current.history.commit([...result.current.customers, makeCustomer({ id: 2, name: 'Beta Dairy' })], 'Add customer');
+    });
+
+    act(() => result.current.history.undo());
+    act(() => result.current.history.undo());
+    act(() => result.current.history.undo());
+    expect(result.current.customers).toHaveLength(1);
+    expect(result.current.customers[0].notes.map(n => n.id)).toEqual(['n1']);
+    expect(result.current.customers[0].purchases.map(p => p.id)).toEqual(['p1']);
+    expect(result.current.history.toast.message).toBe('Undid: Add note');
+
+    act(() => result.current.history.redo());
+    act(() => result.current.history.redo());
+    act(() => result.current.history.redo());
+    expect(result.current.customers.map(c => c.id)).toEqual([1, 2]);
+    expect(result.current.customers[0].notes.map(n => n.id)).toEqual(['n1', 'n2']);
+    expect(result.current.customers[0].purchases.map(p => p.id)).toEqual(['p1', 'p2']);
+  });
+
+  test('cannot undo past a note that arrived from sync in the meantime', () => {
+    const { result } = renderHook(() => useBook([acme], 'rep'));
+    act(() => {
+      result.current.history.commit([{ ...acme, notes: [...acme.notes, note('n2')] }], 'Add note');
+    });
+    act(() => {
+      const [current] = result.current.customers;
+      result.current.setCustomers([{ ...current, notes: [...current.notes, note('n3', 'From the office')] }]);
+    });
+
+    act(() => result.current.history.undo());
+    expect(result.current.customers[0].notes.map(n => n.id)).toEqual(['n1', 'n2', 'n3']);
+    expect(result.current.history.canUndo).toBe(true);
+    expect(result.current.history.toast.message).toContain('Only admins can permanently delete');
+  });
+
+  test('read-only users cannot commit at all', () => {
+    const { result } = renderHook(() => useBook([acme], 'readonly'));
+    act(() => {
+      expect(result.current.history.commit([{ ...acme, city: 'Corry' }], 'Edit')).toBe(false);
+    });
+    expect(result.current.customers[0].city).toBe('Erie');
+    expect(result.current.history.toast.message).toContain('Read-only users');
+  });
+});
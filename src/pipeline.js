@@ -0,0 +1,118 @@
+// Lead pipeline definition.
+// Stages run from the earliest (first) to the hottest (last). Every screen
+// that lists, sorts or colors stages reads them from here. Customers store
+// their stage by name, so renaming or removing a stage migrates the records
+// (see stageMigrations). The pipeline is therefore synced between devices with
+// the customers (see syncEngine.js): every change stamps updatedAt and the
+// latest one wins, so no device is left with records in stages it doesn't know.
+
+const SETTINGS_KEY = 'primrose-pipeline';
+
+// Shown for records whose stage isn't in the pipeline (e.g. from an old backup)
+const UNKNOWN_STAGE_COLOR = '#9ca3af';
+
+export const DEFAULT_PIPELINE = {
+  stages: [
+    { id: 'scouting', name: 'Scouting', color: '#6b7280' },
+    { id: 'lead', name: 'Lead', color: '#8b5cf6' },
+    { id: 'cold', name: 'Cold', color: '#3b82f6' },
+    { id: 'warm', name: 'Warm', color: '#f59e0b' },
+    { id: 'hot', name: 'Hot', color: '#dc2626' }
+  ],
+  // Stage given to new customers
+  defaultStage: 'Lead',
+  // Customers in one stage this many days are flagged as stuck
+  stuckDays: 30
+};
+
+export const loadPipeline = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && Array.isArray(saved.stages) && saved.stages.length > 0) {
+      // Saved before the pipeline was synced: shared unless the server has one
+      return { updatedAt: new Date(0).toISOString(), ...saved };
+    }
+  } catch (error) {
+    // Fall through to the default pipeline
+  }
+  return DEFAULT_PIPELINE;
+};
+
+// A local change to the pipeline, stamped so it wins the next sync
+export const touchPipeline = (pipeline) => ({ ...pipeline, updatedAt: new Date().toISOString() });
+
+export const savePipeline = (pipeline) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(pipeline));
+};
+
+export const stageNames = (pipeline) => pipeline.stages.map(stage => stage.name);
+
+// Hottest first, for priority sorting and the stats panel
+export const stagesByPriority = (pipeline) => [...stageNames(pipeline)].reverse();
+
+// The stage new customers start in, falling back to the first stage
+export const defaultStage = (pipeline) =>
+  stageNames(pipeline).includes(pipeline.defaultStage) ? pipeline.defaultStage : pipeline.stages[0].name;
+
+export const stuckThreshold = (pipeline) => pipeline.stuckDays || DEFAULT_PIPELINE.stuckDays;
+
+export const stageColor = (pipeline, name) =>
+  pipeline.stages.find(stage => stage.name === name)?.color || UNKNOWN_STAGE_COLOR;
+
+// 0 for the hottest stage, increasing towards the first; unknown stages last
+export const stagePriority = (pipeline, name) => {
+  const index = stageNames(pipeline).indexOf(name);
+  return index === -1 ? Number.MAX_SAFE_INTEGER : pipeline.stages.length - 1 - index;
+};
+
+// Mix a #rrggbb color with white (amount > 0) or black (amount < 0)
+const mixColor = (hex, amount) => {
+  const target = amount > 0 ? 255 : 0;
+  const weight = Math.abs(amount);
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+    .map(value => Math.round(value + (target - value) * weight));
+  return `#${channels.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Tinted badge colors for a stage color
+export const colorBadgeStyle = (color) => ({ background: mixColor(color, 0.8), color: mixColor(color, -0.45) });
+
+export const stageBadgeStyle = (pipeline, name) => colorBadgeStyle(stageColor(pipeline, name));
+
+// Old stage name -> new name for stages renamed (matched by id) or removed
+// between two pipelines. Customers in a removed stage move to removedTo[id].
+export const stageMigrations = (before, after, removedTo = {}) => {
+  const afterById = new Map(after.stages.map(stage => [stage.id, stage]));
+  const migrations = {};
+  before.stages.forEach(stage => {
+    const renamed = afterById.get(stage.id);
+    if (renamed && renamed.name !== stage.name) {
+      migrations[stage.name] = renamed.name;
+    } else if (!renamed && removedTo[stage.id]) {
+      migrations[stage.name] = removedTo[stage.id];
+    }
+  });
+  return migrations;
+};
+
+// Apply stageMigrations to every customer, binned ones included. Stage
+// histories are renamed too, so time spent in a removed stage counts towards
+// the stage its customers moved to.
+const migrateName = (migrations, name) => migrations[name] || name;
+
+export const migrateStages = (customers, migrations) =>
+  customers.map(customer => {
+    const history = customer.stageHistory || [];
+    const touched = migrations[customer.leadStage] ||
+      history.some(transition => migrations[transition.from] || migrations[transition.to]);
+    if (!touched) return customer;
+    return {
+      ...customer,
+      leadStage: migrateName(migrations, customer.leadStage),
+      stageHistory: history.map(transition => ({
+        ...transition,
+        from: transition.from && migrateName(migrations, transition.from),
+        to: migrateName(migrations, transition.to)
+      })).filter(transition => transition.from !== transition.to)
+    };
+  });
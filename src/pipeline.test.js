@@ -0,0 +1,64 @@
+import { DEFAULT_PIPELINE, stageMigrations, migrateStages } from './pipeline';
+import { makeCustomer } from './testFixtures';
+
+const transition = (id, from, to) => ({ id, from, to, at: null, by: null });
+
+// DEFAULT_PIPELINE with stages renamed by id and the others left out
+const withStages = (names) => ({
+  ...DEFAULT_PIPELINE,
+  stages: DEFAULT_PIPELINE.stages
+    .filter(stage => names[stage.id])
+    .map(stage => ({ ...stage, name: names[stage.id] }))
+});
+
+const allStages = { scouting: 'Scouting', lead: 'Lead', cold: 'Cold', warm: 'Warm', hot: 'Hot' };
+
+describe('stageMigrations', () => {
+  test('maps renamed stages by id and removed ones to their chosen stage', () => {
+    const after = withStages({ ...allStages, scouting: undefined, lead: 'New' });
+    expect(stageMigrations(DEFAULT_PIPELINE, after, { scouting: 'Cold' })).toEqual({ Scouting: 'Cold', Lead: 'New' });
+  });
+
+  test('leaves removed stages without a chosen stage alone', () => {
+    expect(stageMigrations(DEFAULT_PIPELINE, withStages({ ...allStages, scouting: undefined }))).toEqual({});
+  });
+});
+
+describe('migrateStages', () => {
+  test('swapping two stage names swaps their customers instead of merging them', () => {
+    const swapped = withStages({ ...allStages, warm: 'Hot', hot: 'Warm' });
+    const migrations = stageMigrations(DEFAULT_PIPELINE, swapped);
+    expect(migrations).toEqual({ Warm: 'Hot', Hot: 'Warm' });
+
+    const [warm, hot] = migrateStages([
+      makeCustomer({ id: 1, leadStage: 'Warm', stageHistory: [transition('initial', null, 'Lead'), transition('t1', 'Lead', 'Warm')] }),
+      makeCustomer({ id: 2, leadStage: 'Hot', stageHistory: [transition('initial', null, 'Warm'), transition('t1', 'Warm', 'Hot')] })
+    ], migrations);
+    expect(warm.leadStage).toBe('Hot');
+    expect(warm.stageHistory.map(t => [t.from, t.to])).toEqual([[null, 'Lead'], ['Lead', 'Hot']]);
+    expect(hot.leadStage).toBe('Warm');
+    expect(hot.stageHistory.map(t => [t.from, t.to])).toEqual([[null, 'Hot'], ['Hot', 'Warm']]);
+  });
+
+  test('a removed stage moves into a stage renamed at the same time', () => {
+    const after = withStages({ ...allStages, cold: undefined, warm: 'Interested' });
+    const migrations = stageMigrations(DEFAULT_PIPELINE, after, { cold: 'Interested' });
+    expect(migrations).toEqual({ Cold: 'Interested', Warm: 'Interested' });
+
+    const [cold, warm] = migrateStages([
+      makeCustomer({ id: 1, leadStage: 'Cold', stageHistory: [transition('initial', null, 'Lead'), transition('t1', 'Lead', 'Cold')] }),
+      makeCustomer({ id: 2, leadStage: 'Warm', stageHistory: [transition('initial', null, 'Cold'), transition('t1', 'Cold', 'Warm')] })
+    ], migrations);
+    expect(cold.leadStage).toBe('Interested');
+    expect(cold.stageHistory.map(t => [t.from, t.to])).toEqual([[null, 'Lead'], ['Lead', 'Interested']]);
+    // Cold -> Warm is no longer a stage change, so it drops out
+    expect(warm.leadStage).toBe('Interested');
+    expect(warm.stageHistory.map(t => t.id)).toEqual(['initial']);
+    expect(warm.stageHistory[0].to).toBe('Interested');
+  });
+
+  test('returns untouched customers as they were', () => {
+    const customer = makeCustomer({ leadStage: 'Lead', stageHistory: [transition('initial', null, 'Lead')] });
+    expect(migrateStages([customer], { Warm: 'Hot' })[0]).toBe(customer);
+  });
+});
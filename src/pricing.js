@@ -0,0 +1,58 @@
+// Order pricing.
+// A line's unit price starts from the product's list price. A customer price
+// (customer.customPrices) replaces the list price for that customer, and a
+// quantity break tier on the product applies when it is lower still.
+
+export const PRICE_SOURCES = {
+  list: 'List price',
+  customer: 'Customer price',
+  tier: 'Volume price',
+  manual: 'Manual price'
+};
+
+// Customers sync between devices but the catalog doesn't, so customer prices
+// are keyed by SKU (or name for products without one) rather than catalog id
+export const productKey = (product) => product.sku || product.name;
+
+// "10 @ 9.50, 50 @ 8.75" -> [{ minQuantity: 10, price: 9.5 }, { minQuantity: 50, price: 8.75 }]
+export const parseTiers = (text) =>
+  text.split(',')
+    .map(part => part.split('@').map(value => parseFloat(value.replace(/[^\d.]/g, ''))))
+    .filter(([minQuantity, price]) => minQuantity > 0 && price >= 0)
+    .map(([minQuantity, price]) => ({ minQuantity, price }))
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+export const formatTiers = (tiers) =>
+  (tiers || []).map(tier => `${tier.minQuantity} @ ${tier.price.toFixed(2)}`).join(', ');
+
+// The largest tier the quantity reaches, if any
+export const tierFor = (product, quantity) =>
+  (product.tiers || []).filter(tier => quantity >= tier.minQuantity)
+    .reduce((best, tier) => (!best || tier.minQuantity > best.minQuantity ? tier : best), null);
+
+// Unit price for a quantity of a product, with where it came from
+export const resolvePrice = (product, quantity, customPrices = {}) => {
+  const listPrice = Number(product.listPrice) || 0;
+  const customPrice = customPrices[productKey(product)];
+
+  let quote = customPrice !== undefined
+    ? { source: 'customer', unitPrice: Number(customPrice) }
+    : { source: 'list', unitPrice: listPrice };
+  const tier = tierFor(product, quantity);
+  if (tier && tier.price < quote.unitPrice) {
+    quote = { source: 'tier', unitPrice: tier.price, tier };
+  }
+
+  return { ...quote, listPrice };
+};
+
+// Whether a price entered to the cent is the resolved price, which may carry
+// fractions of a cent (e.g. after a percentage discount)
+export const isResolvedPrice = (unitPrice, quote) =>
+  !!quote && Math.abs(Number(unitPrice) - quote.unitPrice) < 0.005;
+
+// "12.5% off list $9.50" for lines priced below list
+export const describeDiscount = (unitPrice, listPrice) => {
+  if (!(listPrice > unitPrice)) return '';
+  return `${(((listPrice - unitPrice) / listPrice) * 100).toFixed(1).replace(/\.0$/, '')}% off list $${listPrice.toFixed(2)}`;
+};
@@ -0,0 +1,71 @@
+import { productKey, parseTiers, formatTiers, tierFor, resolvePrice, isResolvedPrice, describeDiscount } from './pricing';
+
+const product = (overrides = {}) => ({
+  id: 1,
+  name: 'Grease',
+  sku: 'G-1',
+  listPrice: 10,
+  tiers: [{ minQuantity: 10, price: 9 }, { minQuantity: 50, price: 8 }],
+  ...overrides
+});
+
+describe('tiers', () => {
+  test('parses "qty @ price" lists, sorted and ignoring junk', () => {
+    expect(parseTiers('50 @ $8.75, 10@9.5, nonsense, 0 @ 1')).toEqual([
+      { minQuantity: 10, price: 9.5 },
+      { minQuantity: 50, price: 8.75 }
+    ]);
+    expect(parseTiers('')).toEqual([]);
+  });
+
+  test('formats tiers back to text', () => {
+    expect(formatTiers(product().tiers)).toBe('10 @ 9.00, 50 @ 8.00');
+    expect(formatTiers(undefined)).toBe('');
+  });
+
+  test('picks the largest tier the quantity reaches', () => {
+    expect(tierFor(product(), 9)).toBeNull();
+    expect(tierFor(product(), 10)).toEqual({ minQuantity: 10, price: 9 });
+    expect(tierFor(product(), 120)).toEqual({ minQuantity: 50, price: 8 });
+  });
+});
+
+describe('resolvePrice', () => {
+  test('keys customer prices by SKU, falling back to the name', () => {
+    expect(productKey(product())).toBe('G-1');
+    expect(productKey(product({ sku: '' }))).toBe('Grease');
+  });
+
+  test('uses the list price by default and a tier when the quantity reaches one', () => {
+    expect(resolvePrice(product(), 1)).toEqual({ source: 'list', unitPrice: 10, listPrice: 10 });
+    expect(resolvePrice(product(), 60)).toMatchObject({ source: 'tier', unitPrice: 8, tier: { minQuantity: 50 } });
+  });
+
+  test('a customer price replaces the list price unless a tier is lower', () => {
+    expect(resolvePrice(product(), 20, { 'G-1': 7.5 })).toMatchObject({ source: 'customer', unitPrice: 7.5, listPrice: 10 });
+    expect(resolvePrice(product(), 60, { 'G-1': 8.5 })).toMatchObject({ source: 'tier', unitPrice: 8 });
+    expect(resolvePrice(product(), 1, { 'G-1': 0 })).toMatchObject({ source: 'customer', unitPrice: 0 });
+  });
+
+  test('treats a missing list price as zero', () => {
+    expect(resolvePrice(product({ listPrice: '', tiers: undefined }), 5)).toEqual({ source: 'list', unitPrice: 0, listPrice: 0 });
+  });
+});
+
+describe('isResolvedPrice', () => {
+  test('matches prices to the cent', () => {
+    const quote = { source: 'customer', unitPrice: 8.5425 };
+    expect(isResolvedPrice('8.54', quote)).toBe(true);
+    expect(isResolvedPrice(8.55, quote)).toBe(false);
+    expect(isResolvedPrice(8.54, null)).toBe(false);
+  });
+});
+
+describe('describeDiscount', () => {
+  test('describes prices below list only', () => {
+    expect(describeDiscount(8.75, 10)).toBe('12.5% off list $10.00');
+    expect(describeDiscount(5, 10)).toBe('50% off list $10.00');
+    expect(describeDiscount(10, 10)).toBe('');
+    expect(describeDiscount(12, 10)).toBe('');
+  });
+});
@@ -0,0 +1,76 @@
+// Product catalog.
+// Products offered in the quick order form, with SKU, unit of measure and list
+// price. The catalog is kept per device like the other settings; order lines
+// store the product name, SKU and price at the time of the order, so editing
+// the catalog never changes past orders.
+
+const SETTINGS_KEY = 'primrose-products';
+
+export const UNITS = ['each', 'case', 'gallon', 'quart', 'pail', 'drum', 'tube', 'lb'];
+
+// The product names the quick order form offered before the catalog existed
+const LEGACY_PRODUCTS = [
+  '5007 Power Klenz ID', '5055 Rescue Rx', '5437 Winter Klenz ID', '5757 Winter Klenz ID',
+  'Phaser', '480M', 'Seal Saver', '2035 Thermal Advantage', '532T', 'B66R',
+  '203M', '205R', '208M', '210M', '210V', '211M', '212A', '212M', '213R', '217M',
+  '252R', '327C', '400P', '510M', '512M', '513M', '514M', '514S', '548A',
+  'B620', 'B660', 'B680', '714M', '747S', 'MP8',
+  'Grease', 'Engine Oil', 'Hydraulic Fluid', 'Gear Oil', 'Custom'
+];
+
+export const createProduct = (fields = {}) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  sku: '',
+  name: '',
+  description: '',
+  unit: 'each',
+  listPrice: 0,
+  // Quantity breaks: [{ minQuantity, price }], see pricing.js
+  tiers: [],
+  category: '',
+  active: true,
+  ...fields
+});
+
+// "5007 Power Klenz ID" -> SKU "5007", "480M" -> "480M", "Phaser" -> no SKU
+const legacySku = (name) => {
+  const [code] = name.split(' ');
+  return /\d/.test(code) ? code : '';
+};
+
+export const DEFAULT_CATALOG = LEGACY_PRODUCTS.map((name, index) =>
+  createProduct({ id: `legacy-${index}`, sku: legacySku(name), name })
+);
+
+export const loadCatalog = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (error) {
+    // Fall through to the default catalog
+  }
+  return DEFAULT_CATALOG;
+};
+
+export const saveCatalog = (catalog) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(catalog));
+};
+
+export const activeProducts = (catalog) => catalog.filter(product => product.active);
+
+// Active products grouped by category, in catalog order ('' = uncategorized)
+export const productsByCategory = (catalog) => {
+  const groups = new Map();
+  activeProducts(catalog).forEach(product => {
+    const category = product.category || '';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(product);
+  });
+  return [...groups.entries()];
+};
+
+export const findProduct = (catalog, id) => catalog.find(product => product.id === id);
+
+// "5007 · Power Klenz ID"
+export const productLabel = (product) =>
+  (product.sku && !product.name.startsWith(product.sku) ? `${product.sku} · ${product.name}` : product.name);
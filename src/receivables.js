@@ -0,0 +1,137 @@
+// Accounts receivable.
+// Payments are recorded against orders in order.payments as
+// { id, amount, date, method, checkNumber, note, recordedBy }. What a sale
+// still owes is its total with tax less its payments; quotes and cancelled
+// orders owe nothing. Ages count from the invoice date (the order date until
+// an invoice is made), and an order is overdue once the payment terms from
+// the document settings have passed. CWO orders are due when placed.
+import { isSale, isOpenOrder, setOrderStatus } from './orders';
+import { orderTotalWithTax } from './salesTax';
+import { liveItems } from './softDelete';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PAYMENT_METHODS = ['Check', 'Cash', 'Card', 'ACH', 'Other'];
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: 0 },
+  { key: 'days30', label: '30 Days', minDays: 30 },
+  { key: 'days60', label: '60 Days', minDays: 60 },
+  { key: 'days90', label: '90+ Days', minDays: 90 }
+];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const amountPaid = (order) =>
+  round((order.payments || []).reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+
+export const orderBalance = (order) => (isSale(order) ? Math.max(0, round(orderTotalWithTax(order) - amountPaid(order))) : 0);
+
+export const customerBalance = (customer) =>
+  round(liveItems(customer.purchases).reduce((sum, order) => sum + orderBalance(order), 0));
+
+// Delivered or invoiced orders with nothing left to pay become paid
+export const settleIfPaid = (order, { user } = {}) =>
+  ((order.status === 'delivered' || order.status === 'invoiced') && isSale(order) && orderBalance(order) === 0
+    ? setOrderStatus(order, 'paid', { user })
+    : order);
+
+export const recordPayment = (order, { amount, date, method, checkNumber, note }, { user } = {}) => settleIfPaid({
+  ...order,
+  payments: [...(order.payments || []), {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    amount: round(Number(amount) || 0),
+    date: date || new Date().toISOString().split('T')[0],
+    method: method || '',
+    checkNumber: method === 'Check' ? (checkNumber || '').trim() : '',
+    note: (note || '').trim(),
+    recordedBy: user || null
+  }]
+}, { user });
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const localDate = (date) => new Date(`${String(date).split('T')[0]}T00:00:00`);
+
+export const agingDate = (order) => order.invoiceDate || order.date;
+
+// Days since the invoice (or order) date
+export const ageInDays = (order, now = new Date()) =>
+  Math.max(0, Math.floor((startOfDay(now) - localDate(agingDate(order))) / DAY_MS));
+
+// Days past the payment terms; 0 or less is not overdue yet
+export const daysPastDue = (order, termsDays, now = new Date()) =>
+  ageInDays(order, now) - (order.cwo ? 0 : Number(termsDays) || 0);
+
+const bucketFor = (days) => [...AGING_BUCKETS].reverse().find(bucket => days >= bucket.minDays).key;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+// One row per customer with an open balance, largest first:
+// { customer, current, days30, days60, days90, total }
+export const agingReport = (customers, now = new Date()) =>
+  liveItems(customers)
+    .map(customer => {
+      const row = { customer, ...emptyBuckets(), total: 0 };
+      liveItems(customer.purchases).forEach(order => {
+        const balance = orderBalance(order);
+        if (balance === 0) return;
+        const key = bucketFor(ageInDays(order, now));
+        row[key] = round(row[key] + balance);
+        row.total = round(row.total + balance);
+      });
+      return row;
+    })
+    .filter(row => row.total > 0)
+    .sort((a, b) => b.total - a.total);
+
+export const agingTotals = (rows) => rows.reduce((totals, row) => {
+  [...AGING_BUCKETS.map(bucket => bucket.key), 'total'].forEach(key => {
+    totals[key] = round(totals[key] + row[key]);
+  });
+  return totals;
+}, { ...emptyBuckets(), total: 0 });
+
+// Customers with balances past their payment terms, most overdue first:
+// { customer, amount, daysPastDue }
+export const overdueBalances = (customers, termsDays, now = new Date()) =>
+  liveItems(customers)
+    .map(customer => {
+      const overdue = liveItems(customer.purchases)
+        .filter(order => orderBalance(order) > 0 && daysPastDue(order, termsDays, now) > 0);
+      return {
+        customer,
+        amount: round(overdue.reduce((sum, order) => sum + orderBalance(order), 0)),
+        daysPastDue: Math.max(0, ...overdue.map(order => daysPastDue(order, termsDays, now)))
+      };
+    })
+    .filter(entry => entry.amount > 0)
+    .sort((a, b) => b.daysPastDue - a.daysPastDue);
+
+// Upgrade an order from before payments were tracked. There is no record of
+// what was paid then, so sales already handed over, and CWO orders (paid with
+// the order), count as settled with one legacy payment; otherwise old credit
+// orders would all age into overdue balances. Open credit orders are most
+// likely unpaid, so they start with no payments.
+export const upgradePayments = (order) => {
+  if (order.payments) return order;
+  const settled = isSale(order) && (order.cwo || !isOpenOrder(order));
+  return {
+    ...order,
+    payments: settled
+      ? [{
+          id: `${order.id}-legacy`,
+          amount: round(orderTotalWithTax(order)),
+          date: String(order.date).split('T')[0],
+          method: order.cwo ? 'Check' : '',
+          checkNumber: '',
+          note: order.cwo ? 'Check with order' : 'Settled before payment tracking',
+          recordedBy: null
+        }]
+      : []
+  };
+};
@@ -0,0 +1,135 @@
+import {
+  amountPaid,
+  orderBalance,
+  customerBalance,
+  settleIfPaid,
+  recordPayment,
+  ageInDays,
+  daysPastDue,
+  agingReport,
+  agingTotals,
+  overdueBalances,
+  upgradePayments
+} from './receivables';
+import { makeCustomer, makeOrder } from './testFixtures';
+
+const NOW = new Date(2024, 5, 1, 15, 0);
+
+const order = (overrides = {}) => makeOrder({ date: '2024-05-01', orderTotal: 100, tax: { amount: 6 }, ...overrides });
+
+const customer = (overrides = {}) => makeCustomer({ purchases: [order()], ...overrides });
+
+describe('balances', () => {
+  test('an order owes its total with tax less its payments', () => {
+    const paid = order({ payments: [{ amount: 50.1 }, { amount: '20.2' }] });
+    expect(amountPaid(paid)).toBe(70.3);
+    expect(orderBalance(paid)).toBe(35.7);
+    expect(orderBalance(order({ payments: [{ amount: 200 }] }))).toBe(0);
+  });
+
+  test('quotes, cancelled and binned orders owe nothing', () => {
+    expect(orderBalance(order({ status: 'quoted' }))).toBe(0);
+    expect(orderBalance(order({ status: 'cancelled' }))).toBe(0);
+    expect(customerBalance(customer({ purchases: [order(), order({ id: 11, deletedAt: '2024-05-02' })] }))).toBe(106);
+  });
+});
+
+describe('recordPayment', () => {
+  test('logs the payment and keeps the check number only for checks', () => {
+    const updated = recordPayment(order(), { amount: '40', date: '2024-05-10', method: 'Cash', checkNumber: '123', note: ' deposit ' }, { user: 'Dana' });
+    expect(updated.payments).toEqual([expect.objectContaining({
+      amount: 40, date: '2024-05-10', method: 'Cash', checkNumber: '', note: 'deposit', recordedBy: 'Dana'
+    })]);
+    expect(updated.status).toBe('delivered');
+    expect(recordPayment(order(), { amount: 1, method: 'Check', checkNumber: ' 881 ' }).payments[0].checkNumber).toBe('881');
+  });
+
+  test('marks delivered and invoiced orders paid once settled', () => {
+    const paid = recordPayment(order({ status: 'invoiced' }), { amount: 106, method: 'ACH' }, { user: 'Dana' });
+    expect(paid.status).toBe('paid');
+    expect(paid.statusHistory).toEqual([expect.objectContaining({ status: 'paid', by: 'Dana' })]);
+  });
+
+  test('open orders stay open when paid up front', () => {
+    const prepaid = order({ status: 'ordered', payments: [{ amount: 106 }] });
+    expect(settleIfPaid(prepaid)).toBe(prepaid);
+  });
+});
+
+describe('aging', () => {
+  test('counts days from the invoice date, or the order date before invoicing', () => {
+    expect(ageInDays(order(), NOW)).toBe(31);
+    expect(ageInDays(order({ invoiceDate: '2024-05-25' }), NOW)).toBe(7);
+    expect(ageInDays(order({ date: '2024-06-05' }), NOW)).toBe(0);
+  });
+
+  test('CWO orders are due when placed', () => {
+    expect(daysPastDue(order(), 30, NOW)).toBe(1);
+    expect(daysPastDue(order({ cwo: true }), 30, NOW)).toBe(31);
+  });
+
+  test('buckets open balances per customer, largest total first', () => {
+    const customers = [
+      customer(),
+      customer({
+        id: 2,
+        purchases: [
+          order({ id: 20, invoiceDate: '2024-03-01', orderTotal: 200, tax: null }),
+          order({ id: 21, date: '2024-05-20', orderTotal: 50.5, tax: null }),
+          order({ id: 22, payments: [{ amount: 106 }] })
+        ]
+      }),
+      customer({ id: 3, purchases: [order({ payments: [{ amount: 106 }] })] })
+    ];
+    const rows = agingReport(customers, NOW);
+    expect(rows.map(row => row.customer.id)).toEqual([2, 1]);
+    expect(rows[0]).toMatchObject({ current: 50.5, days30: 0, days60: 0, days90: 200, total: 250.5 });
+    expect(rows[1]).toMatchObject({ current: 0, days30: 106, total: 106 });
+    expect(agingTotals(rows)).toEqual({ current: 50.5, days30: 106, days60: 0, days90: 200, total: 356.5 });
+  });
+
+  test('lists overdue balances, most overdue first', () => {
+    const customers = [
+      customer(),
+      customer({ id: 2, purchases: [order({ invoiceDate: '2024-03-01' }), order({ id: 11, date: '2024-05-30' })] }),
+      customer({ id: 3, purchases: [order({ date: '2024-05-20' })] })
+    ];
+    expect(overdueBalances(customers, 30, NOW)).toEqual([
+      { customer: customers[1], amount: 106, daysPastDue: 62 },
+      { customer: customers[0], amount: 106, daysPastDue: 1 }
+    ]);
+  });
+});
+
+describe('upgradePayments', () => {
+  test('settles earlier sales with one legacy payment', () => {
+    const { payments } = upgradePayments(order({ payments: undefined, date: '2024-01-05T10:00:00.000Z' }));
+    expect(payments).toEqual([{
+      id: '10-legacy',
+      amount: 106,
+      date: '2024-01-05',
+      method: '',
+      checkNumber: '',
+      note: 'Settled before payment tracking',
+      recordedBy: null
+    }]);
+    expect(orderBalance({ ...order(), payments })).toBe(0);
+  });
+
+  test('records CWO orders as paid by check with the order', () => {
+    const { payments } = upgradePayments(order({ payments: undefined, cwo: true }));
+    expect(payments[0]).toMatchObject({ method: 'Check', note: 'Check with order' });
+  });
+
+  test('leaves open credit orders unpaid', () => {
+    expect(upgradePayments(order({ payments: undefined, status: 'ordered' })).payments).toEqual([]);
+    expect(upgradePayments(order({ payments: undefined, status: 'partial' })).payments).toEqual([]);
+    expect(upgradePayments(order({ payments: undefined, status: 'ordered', cwo: true })).payments).toHaveLength(1);
+  });
+
+  test('gives quotes no payments and leaves upgraded orders alone', () => {
+    expect(upgradePayments(order({ payments: undefined, status: 'quoted' })).payments).toEqual([]);
+    const current = order();
+    expect(upgradePayments(current)).toBe(current);
+  });
+});
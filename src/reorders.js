@@ -0,0 +1,86 @@
+// Repeat-order predictions.
+// Consumables get reordered on a rhythm, so for each product a customer has
+// bought on at least two different days, the typical reorder interval is the
+// median gap between those days. The next order is expected one interval
+// after the last one.
+import { salesOrders } from './orders';
+import { liveItems } from './softDelete';
+import { productKey } from './pricing';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Products due within this many days are flagged alongside the overdue ones
+export const REORDER_WARNING_DAYS = 7;
+
+const dayOf = (date) => new Date(`${String(date).split('T')[0]}T00:00:00`);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Order lines are matched to each other (and to the catalog) by SKU, or by
+// name for products without one
+export const lineKey = (line) => productKey({ sku: line.sku, name: line.product });
+
+// One prediction per product with a rhythm, soonest due first:
+// { key, product, intervalDays, orderCount, lastOrdered, dueDate, daysUntil }
+export const reorderPredictions = (customer, now = new Date()) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const byProduct = new Map();
+
+  salesOrders(customer.purchases).forEach(order => {
+    const day = dayOf(order.date).getTime();
+    if (isNaN(day)) return;
+    order.products.forEach(line => {
+      const key = lineKey(line);
+      const entry = byProduct.get(key) || { key, product: line.product, days: new Set() };
+      entry.days.add(day);
+      byProduct.set(key, entry);
+    });
+  });
+
+  return [...byProduct.values()]
+    .map(({ key, product, days }) => {
+      const sorted = [...days].sort((a, b) => a - b);
+      if (sorted.length < 2) return null;
+      const gaps = sorted.slice(1).map((day, index) => (day - sorted[index]) / DAY_MS);
+      const intervalDays = Math.round(median(gaps));
+      const lastOrdered = new Date(sorted[sorted.length - 1]);
+      const dueDate = new Date(lastOrdered.getTime() + intervalDays * DAY_MS);
+      return {
+        key,
+        product,
+        intervalDays,
+        orderCount: sorted.length,
+        lastOrdered,
+        dueDate,
+        daysUntil: Math.round((dueDate - today) / DAY_MS)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.daysUntil - b.daysUntil);
+};
+
+// Active customers with products due (within warningDays) or overdue, most
+// overdue first: { customer, products, daysUntil } where daysUntil is the
+// soonest product's
+export const reorderAlerts = (customers, warningDays = REORDER_WARNING_DAYS, now = new Date()) =>
+  liveItems(customers)
+    .filter(customer => customer.active)
+    .map(customer => ({
+      customer,
+      products: reorderPredictions(customer, now).filter(prediction => prediction.daysUntil <= warningDays)
+    }))
+    .filter(({ products }) => products.length > 0)
+    .map(alert => ({ ...alert, daysUntil: alert.products[0].daysUntil }))
+    .sort((a, b) => a.daysUntil - b.daysUntil);
+
+// The customer's most recent sale, whose lines a reorder starts from
+export const lastSale = (customer) =>
+  salesOrders(customer.purchases).reduce(
+    (latest, order) => (!latest || new Date(order.date) > new Date(latest.date) ? order : latest),
+    null
+  );
@@ -0,0 +1,72 @@
+import { reorderPredictions, reorderAlerts, lastSale, lineKey } from './reorders';
+import { makeCustomer, makeOrder, makeLine } from './testFixtures';
+
+const NOW = new Date(2024, 1, 10, 15, 0);
+
+const order = (id, date, products, overrides = {}) => makeOrder({
+  id,
+  date,
+  products: products.map(([product, sku]) => makeLine({ product, sku })),
+  ...overrides
+});
+
+const customer = (overrides = {}) => makeCustomer({
+  purchases: [
+    order(1, '2024-01-01', [['Grease', 'G-1']]),
+    order(2, '2024-01-05T09:00:00.000Z', [['Phaser', '']]),
+    order(3, '2024-01-11', [['Grease', 'G-1'], ['Oil', '']]),
+    order(4, '2024-01-11', [['Grease', 'G-1']]),
+    order(5, '2024-01-20', [['Oil', '']], { status: 'quoted' }),
+    order(6, '2024-01-25', [['Phaser', '']]),
+    order(7, '2024-01-31', [['Grease', 'G-1']])
+  ],
+  ...overrides
+});
+
+describe('reorderPredictions', () => {
+  test('predicts the next order one median interval after the last', () => {
+    const [phaser, grease] = reorderPredictions(customer(), NOW);
+    expect(phaser).toMatchObject({ key: 'Phaser', intervalDays: 20, orderCount: 2, daysUntil: 4 });
+    expect(grease).toMatchObject({ key: 'G-1', product: 'Grease', intervalDays: 15, orderCount: 3, daysUntil: 5 });
+    expect(grease.lastOrdered).toEqual(new Date(2024, 0, 31));
+    expect(grease.dueDate).toEqual(new Date(2024, 1, 15));
+  });
+
+  test('needs purchases on two different days and ignores quotes', () => {
+    const keys = reorderPredictions(customer(), NOW).map(p => p.key);
+    expect(keys).not.toContain('Oil');
+    expect(reorderPredictions(customer({ purchases: [] }), NOW)).toEqual([]);
+  });
+
+  test('matches lines by SKU, falling back to the product name', () => {
+    expect(lineKey({ product: 'Grease', sku: 'G-1' })).toBe('G-1');
+    expect(lineKey({ product: 'Phaser' })).toBe('Phaser');
+  });
+});
+
+describe('reorderAlerts', () => {
+  test('flags active customers with products due soon or overdue', () => {
+    const due = customer();
+    const overdue = customer({ id: 2, purchases: [order(1, '2023-11-01', [['Oil', '']]), order(2, '2023-12-01', [['Oil', '']])] });
+    const inactive = customer({ id: 3, active: false });
+    const binned = customer({ id: 4, deletedAt: '2024-02-01' });
+
+    const alerts = reorderAlerts([due, overdue, inactive, binned], 7, NOW);
+    expect(alerts.map(alert => [alert.customer.id, alert.daysUntil])).toEqual([[2, -41], [1, 4]]);
+    expect(alerts[1].products.map(p => p.key)).toEqual(['Phaser', 'G-1']);
+  });
+
+  test('leaves out products due after the warning window', () => {
+    const [alert] = reorderAlerts([customer()], 4, NOW);
+    expect(alert.products.map(p => p.key)).toEqual(['Phaser']);
+    expect(reorderAlerts([customer()], 3, NOW)).toEqual([]);
+  });
+});
+
+describe('lastSale', () => {
+  test('is the most recent order that counts as a sale', () => {
+    const purchases = [...customer().purchases, order(8, '2024-02-05', [['Oil', '']], { status: 'cancelled' })];
+    expect(lastSale(customer({ purchases })).id).toBe(7);
+    expect(lastSale(customer({ purchases: [] }))).toBeNull();
+  });
+});
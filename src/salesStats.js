@@ -0,0 +1,127 @@
+// Sales analytics.
+// Revenue is the pre-tax total of each sale (quotes and cancelled orders are
+// left out); sales tax is collected for the state, not earned. Months are
+// keyed 'YYYY-MM' from the order date.
+import { salesOrders } from './orders';
+import { liveItems } from './softDelete';
+import { lineKey } from './reorders';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const SALES_PERIODS = {
+  month: 'This month',
+  '12m': 'Last 12 months',
+  ytd: 'This year',
+  all: 'All time'
+};
+
+const dayKey = (date) => String(date).split('T')[0];
+
+const toDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const monthKey = (date) => dayKey(date).slice(0, 7);
+
+export const monthLabel = (key) =>
+  new Date(`${key}-01T00:00:00`).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+export const orderRevenue = (order) => Number(order.orderTotal) || 0;
+
+// First day (YYYY-MM-DD) of a period, or '' for all time
+export const periodStart = (period, now = new Date()) => {
+  if (period === 'month') return toDayKey(new Date(now.getFullYear(), now.getMonth(), 1));
+  if (period === 'ytd') return `${now.getFullYear()}-01-01`;
+  if (period === '12m') return toDayKey(new Date(now.getFullYear(), now.getMonth() - 11, 1));
+  return '';
+};
+
+// Every sale since a day (YYYY-MM-DD, '' = all), with its customer:
+// { customer, order, revenue }
+export const salesSince = (customers, since = '') =>
+  liveItems(customers).flatMap(customer =>
+    salesOrders(customer.purchases)
+      .filter(order => !since || dayKey(order.date) >= since)
+      .map(order => ({ customer, order, revenue: orderRevenue(order) }))
+  );
+
+export const salesSummary = (sales) => {
+  const revenue = round(sales.reduce((sum, sale) => sum + sale.revenue, 0));
+  return {
+    revenue,
+    orders: sales.length,
+    customers: new Set(sales.map(sale => sale.customer.id)).size,
+    averageOrder: sales.length > 0 ? round(revenue / sales.length) : 0
+  };
+};
+
+// The last `months` months, oldest first, each beside the same month a year
+// earlier: { key, label, revenue, orders, lastYear, change } where change is
+// the fraction up or down on last year (null when last year had none)
+export const revenueByMonth = (customers, months = 12, now = new Date()) => {
+  const totals = new Map();
+  salesSince(customers).forEach(({ order, revenue }) => {
+    const key = monthKey(order.date);
+    const month = totals.get(key) || { revenue: 0, orders: 0 };
+    month.revenue += revenue;
+    month.orders++;
+    totals.set(key, month);
+  });
+
+  return Array.from({ length: months }, (_, index) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - (months - 1 - index), 1);
+    const key = toDayKey(date).slice(0, 7);
+    const priorKey = toDayKey(new Date(date.getFullYear() - 1, date.getMonth(), 1)).slice(0, 7);
+    const revenue = round(totals.get(key)?.revenue || 0);
+    const lastYear = round(totals.get(priorKey)?.revenue || 0);
+    return {
+      key,
+      label: monthLabel(key),
+      revenue,
+      orders: totals.get(key)?.orders || 0,
+      lastYear,
+      change: lastYear > 0 ? (revenue - lastYear) / lastYear : null
+    };
+  });
+};
+
+// Revenue and volume per product from order lines, highest revenue first:
+// { key, product, unit, revenue, quantity, orders }
+export const productSales = (sales) => {
+  const byProduct = new Map();
+  sales.forEach(({ customer, order }) => {
+    order.products.forEach(line => {
+      const key = lineKey(line);
+      const entry = byProduct.get(key) ||
+        { key, product: line.product, unit: line.unit || '', revenue: 0, quantity: 0, orders: new Set() };
+      entry.revenue += Number(line.total) || 0;
+      entry.quantity += Number(line.quantity) || 0;
+      // Order ids are only unique within one customer
+      entry.orders.add(`${customer.id}|${order.id}`);
+      byProduct.set(key, entry);
+    });
+  });
+  return [...byProduct.values()]
+    .map(entry => ({ ...entry, revenue: round(entry.revenue), orders: entry.orders.size }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+// Revenue grouped by a customer field ('' = not set), highest first:
+// { key, revenue, orders, customers, averageOrder }
+export const revenueByField = (sales, field) => {
+  const groups = new Map();
+  sales.forEach(sale => {
+    const key = String(sale.customer[field] || '').trim();
+    groups.set(key, [...(groups.get(key) || []), sale]);
+  });
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, ...salesSummary(group) }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+// Whether a customer has a sale in a month, or has bought a product, for
+// filtering the customer list from a chart
+export const boughtInMonth = (customer, key) =>
+  salesOrders(customer.purchases).some(order => monthKey(order.date) === key);
+
+export const boughtProduct = (customer, key) =>
+  salesOrders(customer.purchases).some(order => order.products.some(line => lineKey(line) === key));
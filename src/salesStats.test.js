@@ -0,0 +1,116 @@
+import {
+  periodStart,
+  salesSince,
+  salesSummary,
+  revenueByMonth,
+  productSales,
+  revenueByField,
+  boughtInMonth,
+  boughtProduct,
+  monthKey
+} from './salesStats';
+import { makeCustomer, makeOrder, makeLine } from './testFixtures';
+
+const NOW = new Date(2024, 5, 15, 12, 0);
+
+const order = (id, date, orderTotal, lines = [], overrides = {}) => makeOrder({
+  id,
+  date,
+  orderTotal,
+  tax: { amount: 5 },
+  products: lines.map(([product, sku, quantity, total, unit]) => makeLine({ product, sku, quantity, total, unit })),
+  ...overrides
+});
+
+const customers = [
+  makeCustomer({
+    id: 1,
+    owner: 'Dana',
+    referralSource: 'Trade show',
+    purchases: [
+      order(1, '2023-05-10', 50, [['Grease', 'G-1', 5, 50, 'tube']]),
+      order(2, '2024-05-02T10:00:00.000Z', 100, [['Grease', 'G-1', 8, 80, 'tube'], ['Oil', '', 2, 20]]),
+      order(3, '2024-06-01', 40, [['Oil', '', 4, 40]]),
+      order(4, '2024-06-03', 999, [['Phaser', 'P-1', 1, 999]], { status: 'quoted' })
+    ]
+  }),
+  makeCustomer({
+    id: 2,
+    state: 'OH',
+    purchases: [
+      order(5, '2024-04-20', 30, [['Oil', '', 3, 30]]),
+      order(6, '2024-06-10', 70, [['Phaser', 'P-1', 1, 70]], { status: 'cancelled' })
+    ]
+  }),
+  makeCustomer({ id: 3, owner: 'Dana', deletedAt: '2024-06-01', purchases: [order(7, '2024-06-02', 500)] })
+];
+
+describe('periods', () => {
+  test('start on the first day of the month, year or twelve-month window', () => {
+    expect(periodStart('month', NOW)).toBe('2024-06-01');
+    expect(periodStart('ytd', NOW)).toBe('2024-01-01');
+    expect(periodStart('12m', NOW)).toBe('2023-07-01');
+    expect(periodStart('all', NOW)).toBe('');
+  });
+
+  test('keys months from the order date', () => {
+    expect(monthKey('2024-05-02T10:00:00.000Z')).toBe('2024-05');
+  });
+});
+
+describe('salesSince / salesSummary', () => {
+  test('counts pre-tax revenue of live sales only', () => {
+    const sales = salesSince(customers, '2024-01-01');
+    expect(sales.map(sale => sale.order.id)).toEqual([2, 3, 5]);
+    expect(salesSummary(sales)).toEqual({ revenue: 170, orders: 3, customers: 2, averageOrder: 56.67 });
+  });
+
+  test('an empty period has no average', () => {
+    expect(salesSummary([])).toEqual({ revenue: 0, orders: 0, customers: 0, averageOrder: 0 });
+  });
+});
+
+describe('revenueByMonth', () => {
+  test('lists recent months oldest first beside the same month last year', () => {
+    const months = revenueByMonth(customers, 3, NOW);
+    expect(months.map(({ key, revenue, orders, lastYear, change }) => ({ key, revenue, orders, lastYear, change }))).toEqual([
+      { key: '2024-04', revenue: 30, orders: 1, lastYear: 0, change: null },
+      { key: '2024-05', revenue: 100, orders: 1, lastYear: 50, change: 1 },
+      { key: '2024-06', revenue: 40, orders: 1, lastYear: 0, change: null }
+    ]);
+  });
+});
+
+describe('breakdowns', () => {
+  const sales = salesSince(customers);
+
+  test('totals revenue and volume per product, highest revenue first', () => {
+    expect(productSales(sales)).toEqual([
+      { key: 'G-1', product: 'Grease', unit: 'tube', revenue: 130, quantity: 13, orders: 2 },
+      { key: 'Oil', product: 'Oil', unit: '', revenue: 90, quantity: 9, orders: 3 }
+    ]);
+  });
+
+  test('counts orders with the same id from different customers separately', () => {
+    const sameIds = [
+      makeCustomer({ id: 1, purchases: [order('legacy-0', '2024-01-05', 10, [['Oil', '', 1, 10]])] }),
+      makeCustomer({ id: 2, purchases: [order('legacy-0', '2024-01-09', 10, [['Oil', '', 1, 10]])] })
+    ];
+    expect(productSales(salesSince(sameIds))[0].orders).toBe(2);
+  });
+
+  test('groups revenue by a customer field, with unset values together', () => {
+    expect(revenueByField(sales, 'owner')).toEqual([
+      { key: 'Dana', revenue: 190, orders: 3, customers: 1, averageOrder: 63.33 },
+      { key: '', revenue: 30, orders: 1, customers: 1, averageOrder: 30 }
+    ]);
+    expect(revenueByField(sales, 'referralSource').map(group => group.key)).toEqual(['Trade show', '']);
+  });
+
+  test('drill-down filters match months and products of sales only', () => {
+    expect(boughtInMonth(customers[0], '2024-05')).toBe(true);
+    expect(boughtInMonth(customers[1], '2024-06')).toBe(false);
+    expect(boughtProduct(customers[0], 'Oil')).toBe(true);
+    expect(boughtProduct(customers[0], 'P-1')).toBe(false);
+  });
+});
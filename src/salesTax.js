@@ -0,0 +1,94 @@
+// Sales tax.
+// Rates are set per state, with optional overrides for a county or a city
+// (a city override can be limited to one county when the name is shared).
+// The most specific match wins: city, then county, then the state rate.
+// Customers can be exempt (e.g. ag-exempt farms) with a certificate that
+// expires. Each order stores the tax worked out when it was taken in
+// order.tax, so later rate changes never alter past orders. The rates are
+// kept per device like the other settings.
+
+const SETTINGS_KEY = 'primrose-tax';
+
+export const DEFAULT_TAX_SETTINGS = {
+  // { [state]: { rate, overrides: [{ id, county, city, rate }] } }, rates as fractions (0.0725)
+  states: {},
+  // Certificates expiring within this many days are flagged on the dashboard
+  expiryWarningDays: 30
+};
+
+export const loadTaxSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && typeof saved.states === 'object') return { ...DEFAULT_TAX_SETTINGS, ...saved };
+  } catch (error) {
+    // Fall through to the defaults
+  }
+  return DEFAULT_TAX_SETTINGS;
+};
+
+export const saveTaxSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const same = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// Rate for the customer's location: { rate, jurisdiction }
+export const taxRateFor = (customer, settings) => {
+  const stateRates = settings.states[customer.state];
+  if (!stateRates) return { rate: 0, jurisdiction: customer.state || '' };
+
+  const overrides = stateRates.overrides || [];
+  const city = overrides.find(o => o.city && same(o.city, customer.city) && (!o.county || same(o.county, customer.county)));
+  if (city) return { rate: Number(city.rate) || 0, jurisdiction: `${city.city}, ${customer.state}` };
+
+  const county = overrides.find(o => !o.city && o.county && same(o.county, customer.county));
+  if (county) return { rate: Number(county.rate) || 0, jurisdiction: `${county.county} County, ${customer.state}` };
+
+  return { rate: Number(stateRates.rate) || 0, jurisdiction: customer.state };
+};
+
+// Today's local date (not UTC, which is already tomorrow on US evenings)
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Exempt on a date (YYYY-MM-DD): flagged exempt with a certificate that
+// hasn't expired. A certificate without an expiry never expires.
+export const isTaxExempt = (customer, date = today()) =>
+  !!customer.taxExempt && (!customer.taxCertificateExpires || customer.taxCertificateExpires >= date);
+
+// Tax for an order subtotal, as stored in order.tax
+export const calculateTax = (customer, subtotal, settings, date = today()) => {
+  if (isTaxExempt(customer, date)) {
+    return { rate: 0, amount: 0, jurisdiction: '', exempt: true, certificateNumber: customer.taxCertificate || '' };
+  }
+  const { rate, jurisdiction } = taxRateFor(customer, settings);
+  return { rate, amount: Math.round(subtotal * rate * 100) / 100, jurisdiction, exempt: false };
+};
+
+// Subtotal plus the tax stored on the order
+export const orderTotalWithTax = (order) => (Number(order.orderTotal) || 0) + (Number(order.tax?.amount) || 0);
+
+// Exempt customers whose certificate has expired or expires within the
+// warning window, soonest first
+export const expiringCertificates = (customers, settings, now = new Date()) => {
+  now = new Date(now);
+  now.setHours(0, 0, 0, 0);
+  // 0 is allowed: only expired certificates are flagged
+  const configured = Number(settings.expiryWarningDays);
+  const warningDays = settings.expiryWarningDays === '' || settings.expiryWarningDays == null || isNaN(configured)
+    ? DEFAULT_TAX_SETTINGS.expiryWarningDays
+    : configured;
+
+  return customers
+    .filter(customer => customer.taxExempt && customer.taxCertificateExpires)
+    .map(customer => ({
+      customer,
+      daysUntil: Math.round((new Date(`${customer.taxCertificateExpires}T00:00:00`) - now) / (24 * 60 * 60 * 1000))
+    }))
+    .filter(({ daysUntil }) => daysUntil <= warningDays)
+    .sort((a, b) => a.daysUntil - b.daysUntil);
+};
+
+export const formatRate = (rate) => `${(Number(rate) * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
@@ -0,0 +1,94 @@
+import { taxRateFor, isTaxExempt, calculateTax, orderTotalWithTax, expiringCertificates, formatRate } from './salesTax';
+import { makeCustomer } from './testFixtures';
+
+const settings = {
+  states: {
+    PA: {
+      rate: 0.06,
+      overrides: [
+        { id: 'a', county: 'Allegheny', city: '', rate: 0.07 },
+        { id: 'b', county: '', city: 'Philadelphia', rate: 0.08 },
+        { id: 'c', county: 'Erie', city: 'Springfield', rate: 0.065 }
+      ]
+    }
+  },
+  expiryWarningDays: 30
+};
+
+const customer = makeCustomer;
+
+describe('taxRateFor', () => {
+  test('uses the most specific rate: city, then county, then state', () => {
+    expect(taxRateFor(customer(), settings)).toEqual({ rate: 0.06, jurisdiction: 'PA' });
+    expect(taxRateFor(customer({ county: 'allegheny ' }), settings)).toEqual({ rate: 0.07, jurisdiction: 'Allegheny County, PA' });
+    expect(taxRateFor(customer({ county: 'Allegheny', city: 'Philadelphia' }), settings))
+      .toEqual({ rate: 0.08, jurisdiction: 'Philadelphia, PA' });
+  });
+
+  test('a city override limited to a county only applies there', () => {
+    expect(taxRateFor(customer({ city: 'Springfield', county: 'Erie' }), settings).rate).toBe(0.065);
+    expect(taxRateFor(customer({ city: 'Springfield', county: 'Delaware' }), settings).rate).toBe(0.06);
+  });
+
+  test('states without a rate are untaxed', () => {
+    expect(taxRateFor(customer({ state: 'OH' }), settings)).toEqual({ rate: 0, jurisdiction: 'OH' });
+  });
+});
+
+describe('exemptions', () => {
+  test('hold until the certificate expires, inclusive', () => {
+    const exempt = customer({ taxExempt: true, taxCertificateExpires: '2024-06-30' });
+    expect(isTaxExempt(exempt, '2024-06-30')).toBe(true);
+    expect(isTaxExempt(exempt, '2024-07-01')).toBe(false);
+    expect(isTaxExempt(customer({ taxExempt: true }), '2099-01-01')).toBe(true);
+    expect(isTaxExempt(customer(), '2024-01-01')).toBe(false);
+  });
+
+  test('exempt orders record the certificate instead of tax', () => {
+    expect(calculateTax(customer({ taxExempt: true, taxCertificate: 'AG-1' }), 100, settings, '2024-01-01'))
+      .toEqual({ rate: 0, amount: 0, jurisdiction: '', exempt: true, certificateNumber: 'AG-1' });
+  });
+});
+
+describe('calculateTax', () => {
+  test('rounds the tax to the cent', () => {
+    expect(calculateTax(customer({ county: 'Allegheny' }), 19.99, settings, '2024-01-01'))
+      .toEqual({ rate: 0.07, amount: 1.4, jurisdiction: 'Allegheny County, PA', exempt: false });
+  });
+
+  test('adds the stored tax to the order total', () => {
+    expect(orderTotalWithTax({ orderTotal: 100, tax: { amount: 6 } })).toBe(106);
+    expect(orderTotalWithTax({ orderTotal: '50' })).toBe(50);
+  });
+
+  test('formats rates as percentages without trailing zeros', () => {
+    expect(formatRate(0.0725)).toBe('7.25%');
+    expect(formatRate(0.06)).toBe('6%');
+    expect(formatRate(0.06125)).toBe('6.125%');
+  });
+});
+
+describe('expiringCertificates', () => {
+  const now = new Date(2024, 5, 1, 18, 30);
+  const customers = [
+    customer({ id: 1, taxExempt: true, taxCertificateExpires: '2024-07-15' }),
+    customer({ id: 2, taxExempt: true, taxCertificateExpires: '2024-06-20' }),
+    customer({ id: 3, taxExempt: true, taxCertificateExpires: '2024-05-20' }),
+    customer({ id: 4, taxExempt: true, taxCertificateExpires: '2024-06-01' }),
+    customer({ id: 5, taxExempt: false, taxCertificateExpires: '2024-05-01' }),
+    customer({ id: 6, taxExempt: true })
+  ];
+
+  test('lists expired and soon-expiring certificates, soonest first', () => {
+    expect(expiringCertificates(customers, settings, now).map(({ customer: c, daysUntil }) => [c.id, daysUntil]))
+      .toEqual([[3, -12], [4, 0], [2, 19]]);
+  });
+
+  test('a warning window of 0 days flags only certificates expiring today or earlier', () => {
+    expect(expiringCertificates(customers, { ...settings, expiryWarningDays: 0 }, now).map(e => e.customer.id)).toEqual([3, 4]);
+  });
+
+  test('falls back to the default window when none is set', () => {
+    expect(expiringCertificates(customers, { ...settings, expiryWarningDays: '' }, now).map(e => e.customer.id)).toEqual([3, 4, 2]);
+  });
+});
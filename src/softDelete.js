@@ -0,0 +1,82 @@
+// Soft delete.
+// Deleted customers, notes and orders stay in the data with deletedAt/deletedBy
+// set, so they can be restored from the Recycle Bin. Everything else in the
+// app works on live items only. Binned items are purged for good after the
+// configured number of days.
+
+const SETTINGS_KEY = 'primrose-recycle-bin';
+export const DEFAULT_PURGE_DAYS = 30;
+
+export const loadRecycleBinSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { purgeAfterDays: DEFAULT_PURGE_DAYS, ...saved };
+  } catch (error) {
+    return { purgeAfterDays: DEFAULT_PURGE_DAYS };
+  }
+};
+
+export const saveRecycleBinSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const isBinned = (item) => !!item?.deletedAt;
+
+// Items that haven't been deleted
+export const liveItems = (items) => (items || []).filter(item => !item.deletedAt);
+
+export const moveToBin = (item, deletedBy) => ({
+  ...item,
+  deletedAt: new Date().toISOString(),
+  deletedBy
+});
+
+// Customers merged into another record stay in the bin for reference only
+export const canRestoreItem = (item) => !item.mergedInto;
+
+export const restoreFromBin = (item) => {
+  const { deletedAt, deletedBy, ...rest } = item;
+  return rest;
+};
+
+// Everything in the bin, newest first. Notes and orders of a binned customer
+// come back with the customer, so they aren't listed separately.
+export const binnedItems = (customers) => {
+  const byNewest = (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt);
+  const liveOwners = liveItems(customers);
+  return {
+    customers: customers.filter(isBinned).sort(byNewest),
+    notes: liveOwners
+      .flatMap(customer => (customer.notes || []).filter(isBinned).map(note => ({ customer, note, deletedAt: note.deletedAt })))
+      .sort(byNewest),
+    purchases: liveOwners
+      .flatMap(customer => (customer.purchases || []).filter(isBinned).map(purchase => ({ customer, purchase, deletedAt: purchase.deletedAt })))
+      .sort(byNewest)
+  };
+};
+
+// Remove binned items older than purgeAfterDays. Returns the same array when
+// nothing expired, so callers can skip the update. 0 keeps items forever.
+export const purgeExpired = (customers, purgeAfterDays, now = Date.now()) => {
+  if (!purgeAfterDays || purgeAfterDays <= 0) return customers;
+  const cutoff = now - purgeAfterDays * 24 * 60 * 60 * 1000;
+  const expired = (item) => isBinned(item) && new Date(item.deletedAt).getTime() < cutoff;
+
+  let changed = false;
+  const kept = [];
+  customers.forEach(customer => {
+    if (expired(customer)) {
+      changed = true;
+      return;
+    }
+    const notes = (customer.notes || []).filter(note => !expired(note));
+    const purchases = (customer.purchases || []).filter(purchase => !expired(purchase));
+    if (notes.length !== (customer.notes || []).length || purchases.length !== (customer.purchases || []).length) {
+      changed = true;
+      kept.push({ ...customer, notes, purchases });
+    } else {
+      kept.push(customer);
+    }
+  });
+  return changed ? kept : customers;
+};
@@ -0,0 +1,54 @@
+import { purgeExpired, binnedItems } from './softDelete';
+import { makeCustomer, makeOrder } from './testFixtures';
+
+const NOW = new Date('2024-03-31T12:00:00.000Z').getTime();
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+const note = (id, deletedAt) => ({ id, text: 'Called', date: '2024-03-01', ...(deletedAt && { deletedAt, deletedBy: 'Dana' }) });
+
+const customers = [
+  makeCustomer({
+    id: 1,
+    notes: [note('n1'), note('n2', daysAgo(31)), note('n3', daysAgo(29))],
+    purchases: [makeOrder({ id: 'p1' }), makeOrder({ id: 'p2', deletedAt: daysAgo(40) })]
+  }),
+  makeCustomer({ id: 2, deletedAt: daysAgo(31), notes: [note('n4', daysAgo(1))] }),
+  makeCustomer({ id: 3, deletedAt: daysAgo(2) }),
+  makeCustomer({ id: 4 })
+];
+
+describe('purgeExpired', () => {
+  test('drops items binned longer than the cut-off and keeps newer ones', () => {
+    const kept = purgeExpired(customers, 30, NOW);
+    expect(kept.map(c => c.id)).toEqual([1, 3, 4]);
+    expect(kept[0].notes.map(n => n.id)).toEqual(['n1', 'n3']);
+    expect(kept[0].purchases.map(p => p.id)).toEqual(['p1']);
+    expect(kept[1]).toBe(customers[2]);
+  });
+
+  test('keeps an item binned exactly at the cut-off', () => {
+    const binned = [makeCustomer({ deletedAt: daysAgo(30) })];
+    expect(purgeExpired(binned, 30, NOW)).toBe(binned);
+  });
+
+  test('returns the same array when nothing expired', () => {
+    expect(purgeExpired(customers, 60, NOW)).toBe(customers);
+  });
+
+  test('0 days keeps binned items forever', () => {
+    expect(purgeExpired(customers, 0, NOW)).toBe(customers);
+  });
+});
+
+describe('binnedItems', () => {
+  test('lists binned customers, notes and orders newest first', () => {
+    const bin = binnedItems(customers);
+    expect(bin.customers.map(c => c.id)).toEqual([3, 2]);
+    expect(bin.notes.map(({ customer, note }) => [customer.id, note.id])).toEqual([[1, 'n3'], [1, 'n2']]);
+    expect(bin.purchases.map(({ purchase }) => purchase.id)).toEqual(['p2']);
+  });
+
+  test('leaves out notes and orders of binned customers, which come back with them', () => {
+    expect(binnedItems(customers).notes.some(({ note }) => note.id === 'n4')).toBe(false);
+  });
+});
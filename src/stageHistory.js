@@ -0,0 +1,151 @@
+// Lead stage transitions and pipeline velocity.
+// Every stage change appends { id, from, to, at, by } to customer.stageHistory
+// (the first entry has from: null and marks when the customer entered the
+// pipeline). Like the audit log, the history lives on the record so it travels
+// with sync, backups and merges.
+import { stageNames } from './pipeline';
+import { liveItems } from './softDelete';
+import { salesOrders } from './orders';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unique across devices, since histories from several devices get merged
+const newTransitionId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Rebuild the stage history of a record from before stage tracking, using
+// the leadStage changes in its audit log. Ids are derived from the audit
+// entries so two devices upgrading the same record agree. When the customer
+// entered their first stage isn't known, so that transition has at: null and
+// is left out of time-in-stage and stuck-lead figures.
+export const seedStageHistory = (customer) => {
+  const changes = (customer.auditLog || [])
+    .map(entry => ({ entry, change: entry.changes.find(change => change.field === 'leadStage') }))
+    .filter(({ change }) => change)
+    .sort((a, b) => new Date(a.entry.at) - new Date(b.entry.at));
+
+  const firstStage = changes.length > 0 ? changes[0].change.from : customer.leadStage;
+  return [
+    { id: 'initial', from: null, to: firstStage, at: null, by: null },
+    ...changes.map(({ entry, change }) => ({
+      id: `audit-${entry.id}`,
+      from: change.from,
+      to: change.to,
+      at: entry.at,
+      by: entry.user || null
+    }))
+  ];
+};
+
+// Combine two copies of a customer's stage history (merge import)
+export const mergeStageHistories = (a = [], b = []) => {
+  const ids = new Set(a.map(transition => transition.id));
+  return [...a, ...b.filter(transition => !ids.has(transition.id))]
+    .sort((x, y) => new Date(x.at || 0) - new Date(y.at || 0));
+};
+
+// Append a transition to every customer whose stage differs from its last
+// recorded one. Callers that already rewrote the history (stage renames)
+// leave nothing to record.
+export const recordStageTransitions = (previous, next, { user }) => {
+  const previousById = new Map(previous.map(c => [c.id, c]));
+  const at = new Date().toISOString();
+
+  return next.map(customer => {
+    const before = previousById.get(customer.id);
+    if (before === customer) return customer;
+
+    const history = customer.stageHistory || [];
+    const last = history[history.length - 1];
+    if (last ? last.to === customer.leadStage : before && before.leadStage === customer.leadStage) {
+      return customer;
+    }
+
+    const from = last ? last.to : (before ? before.leadStage : null);
+    return {
+      ...customer,
+      stageHistory: [...history, { id: newTransitionId(), from, to: customer.leadStage, at, by: user || null }]
+    };
+  });
+};
+
+// Periods spent in each stage, oldest first. The last one is still running
+// (end: null). Transitions without a date are skipped.
+export const stageStints = (customer, now = new Date()) => {
+  const history = (customer.stageHistory || []).filter(transition => transition.at);
+  return history.map((transition, index) => {
+    const start = new Date(transition.at);
+    const end = history[index + 1] ? new Date(history[index + 1].at) : null;
+    return { stage: transition.to, start, end, days: ((end || now) - start) / DAY_MS };
+  });
+};
+
+export const currentStint = (customer, now = new Date()) => {
+  const stints = stageStints(customer, now);
+  const last = stints[stints.length - 1];
+  return last && last.stage === customer.leadStage ? last : null;
+};
+
+const firstPurchaseDate = (customer) => {
+  const dates = salesOrders(customer.purchases).map(p => new Date(p.date)).filter(date => !isNaN(date));
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+};
+
+const average = (values) =>
+  (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Per stage, in pipeline order:
+// - avgDays: average length of finished stints in the stage
+// - current / avgCurrentDays: customers in the stage now and how long so far
+// - entered / converted: customers who reached the stage before their first
+//   purchase, and how many of those have since bought
+export const pipelineVelocity = (customers, pipeline, now = new Date()) => {
+  const stats = new Map(stageNames(pipeline).map(stage => [stage, {
+    stage, finished: [], running: [], entered: 0, converted: 0
+  }]));
+
+  liveItems(customers).forEach(customer => {
+    const stints = stageStints(customer, now);
+    const firstPurchase = firstPurchaseDate(customer);
+
+    stints.forEach(stint => {
+      const stat = stats.get(stint.stage);
+      if (!stat) return;
+      if (stint.end) {
+        stat.finished.push(stint.days);
+      } else if (customer.active) {
+        stat.running.push(stint.days);
+      }
+    });
+
+    // An undated transition is the seeded first stage, reached before anything else
+    const undated = (customer.stageHistory || []).filter(transition => !transition.at).map(transition => transition.to);
+
+    stats.forEach(stat => {
+      const reached = undated.includes(stat.stage) ||
+        stints.some(stint => stint.stage === stat.stage && (!firstPurchase || stint.start <= firstPurchase));
+      if (!reached) return;
+      stat.entered++;
+      if (firstPurchase) stat.converted++;
+    });
+  });
+
+  return [...stats.values()].map(({ stage, finished, running, entered, converted }) => ({
+    stage,
+    avgDays: average(finished),
+    finishedCount: finished.length,
+    current: running.length,
+    avgCurrentDays: average(running),
+    entered,
+    converted,
+    conversionRate: entered > 0 ? converted / entered : null
+  }));
+};
+
+// Active customers who have been in their current stage for at least `days`,
+// longest first
+export const stuckCustomers = (customers, days, now = new Date()) =>
+  liveItems(customers)
+    .filter(customer => customer.active)
+    .map(customer => ({ customer, stint: currentStint(customer, now) }))
+    .filter(({ stint }) => stint && stint.days >= days)
+    .sort((a, b) => b.stint.days - a.stint.days);
@@ -0,0 +1,131 @@
+import {
+  seedStageHistory,
+  mergeStageHistories,
+  recordStageTransitions,
+  stageStints,
+  currentStint,
+  pipelineVelocity,
+  stuckCustomers
+} from './stageHistory';
+import { DEFAULT_PIPELINE } from './pipeline';
+import { makeCustomer, makeOrder } from './testFixtures';
+
+const NOW = new Date('2024-03-01T00:00:00.000Z');
+
+const transition = (id, from, to, at) => ({ id, from, to, at, by: null });
+
+const customer = (overrides = {}) => makeCustomer({
+  stageHistory: [
+    transition('initial', null, 'Lead', null),
+    transition('t1', 'Lead', 'Warm', '2024-02-20T00:00:00.000Z')
+  ],
+  ...overrides
+});
+
+describe('seedStageHistory', () => {
+  test('starts undated in the stage before the first logged change', () => {
+    const history = seedStageHistory({
+      leadStage: 'Hot',
+      auditLog: [
+        { id: 'e2', at: '2024-02-01T00:00:00.000Z', user: 'Dana', changes: [{ field: 'leadStage', from: 'Warm', to: 'Hot' }] },
+        { id: 'e1', at: '2024-01-01T00:00:00.000Z', user: null, changes: [{ field: 'name', from: 'A', to: 'B' }] },
+        { id: 'e0', at: '2023-12-01T00:00:00.000Z', user: null, changes: [{ field: 'leadStage', from: 'Lead', to: 'Warm' }] }
+      ]
+    });
+    expect(history).toEqual([
+      transition('initial', null, 'Lead', null),
+      transition('audit-e0', 'Lead', 'Warm', '2023-12-01T00:00:00.000Z'),
+      { ...transition('audit-e2', 'Warm', 'Hot', '2024-02-01T00:00:00.000Z'), by: 'Dana' }
+    ]);
+  });
+
+  test('uses the current stage when no change was logged', () => {
+    expect(seedStageHistory({ leadStage: 'Cold' })).toEqual([transition('initial', null, 'Cold', null)]);
+  });
+});
+
+describe('mergeStageHistories', () => {
+  test('unions by id and sorts by date with undated entries first', () => {
+    const a = [transition('initial', null, 'Lead', null), transition('t2', 'Lead', 'Hot', '2024-02-01')];
+    const b = [transition('initial', null, 'Lead', null), transition('t1', 'Lead', 'Warm', '2024-01-01')];
+    expect(mergeStageHistories(a, b).map(t => t.id)).toEqual(['initial', 't1', 't2']);
+    expect(mergeStageHistories(undefined, b)).toEqual(b);
+  });
+});
+
+describe('recordStageTransitions', () => {
+  test('appends a transition when the stage changed', () => {
+    const before = customer();
+    const [after] = recordStageTransitions([before], [{ ...before, leadStage: 'Hot' }], { user: 'Dana' });
+    expect(after.stageHistory).toHaveLength(3);
+    expect(after.stageHistory[2]).toMatchObject({ from: 'Warm', to: 'Hot', by: 'Dana' });
+    expect(isNaN(new Date(after.stageHistory[2].at))).toBe(false);
+  });
+
+  test('leaves untouched records and other edits alone', () => {
+    const untouched = customer();
+    const edited = customer({ id: 2 });
+    const renamed = { ...edited, name: 'Renamed' };
+    const result = recordStageTransitions([untouched, edited], [untouched, renamed], { user: null });
+    expect(result[0]).toBe(untouched);
+    expect(result[1]).toBe(renamed);
+  });
+
+  test('records the first stage of a new customer', () => {
+    const [added] = recordStageTransitions([], [customer({ stageHistory: undefined })], { user: null });
+    expect(added.stageHistory).toEqual([expect.objectContaining({ from: null, to: 'Warm' })]);
+  });
+});
+
+describe('stints', () => {
+  test('skips the undated first stage and keeps the last stint running', () => {
+    const stints = stageStints(customer(), NOW);
+    expect(stints).toEqual([{ stage: 'Warm', start: new Date('2024-02-20T00:00:00.000Z'), end: null, days: 10 }]);
+    expect(currentStint(customer(), NOW).days).toBe(10);
+  });
+
+  test('has no current stint when the recorded stage is out of date', () => {
+    expect(currentStint(customer({ leadStage: 'Hot' }), NOW)).toBeNull();
+  });
+});
+
+describe('pipelineVelocity', () => {
+  const converted = customer({
+    leadStage: 'Hot',
+    stageHistory: [
+      transition('initial', null, 'Lead', null),
+      transition('t1', 'Lead', 'Warm', '2024-01-01T00:00:00.000Z'),
+      transition('t2', 'Warm', 'Hot', '2024-01-11T00:00:00.000Z')
+    ],
+    purchases: [makeOrder({ date: '2024-02-01', orderTotal: 10 })]
+  });
+  const open = customer({ id: 2 });
+
+  test('averages time in stage and counts conversions per stage', () => {
+    const byStage = Object.fromEntries(pipelineVelocity([converted, open], DEFAULT_PIPELINE, NOW).map(s => [s.stage, s]));
+    expect(byStage.Lead).toMatchObject({ avgDays: null, current: 0, entered: 2, converted: 1, conversionRate: 0.5 });
+    expect(byStage.Warm).toMatchObject({ avgDays: 10, finishedCount: 1, current: 1, avgCurrentDays: 10, entered: 2, converted: 1 });
+    expect(byStage.Hot).toMatchObject({ current: 1, avgCurrentDays: 50, entered: 1, converted: 1, conversionRate: 1 });
+    expect(byStage.Scouting).toMatchObject({ entered: 0, conversionRate: null });
+  });
+
+  test('leaves out deleted customers and running stints of inactive ones', () => {
+    const stats = pipelineVelocity(
+      [{ ...converted, deletedAt: '2024-02-01' }, { ...open, active: false }],
+      DEFAULT_PIPELINE,
+      NOW
+    );
+    const warm = stats.find(s => s.stage === 'Warm');
+    expect(warm).toMatchObject({ current: 0, entered: 1, converted: 0 });
+  });
+});
+
+describe('stuckCustomers', () => {
+  test('lists active customers in their stage for at least the given days, longest first', () => {
+    const older = customer({ id: 3, stageHistory: [transition('t', 'Lead', 'Warm', '2024-01-01T00:00:00.000Z')] });
+    const inactive = { ...older, id: 4, active: false };
+    const result = stuckCustomers([customer(), older, inactive], 10, NOW);
+    expect(result.map(r => r.customer.id)).toEqual([3, 1]);
+    expect(stuckCustomers([customer()], 11, NOW)).toEqual([]);
+  });
+});
@@ -0,0 +1,391 @@
+// Client side of multi-device sync.
+// Local edits are tracked per customer with an updatedAt timestamp and pushed
+// to the sync server (see sync-server/server.js). Changes from other devices
+// are pulled and applied. A record edited on two devices since the last sync
+// becomes a conflict that the user resolves in the Sync panel. Shared
+// settings (the lead pipeline) travel with each sync too; they carry their own
+// updatedAt and the copy changed last wins.
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { migrateCustomer, isNewerSchema } from './customerSchema';
+
+const SYNC_STORAGE_KEY = 'primrose-sync';
+const AUTO_SYNC_INTERVAL = 60 * 1000; // 1 minute
+
+const createDeviceId = () =>
+  `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const defaultSyncState = () => ({
+  serverUrl: '',
+  token: '',
+  deviceId: createDeviceId(),
+  lastRevision: 0,
+  lastSyncedAt: null,
+  known: {},     // customer id -> server revision this device has seen
+  pending: {},   // customer id -> { id, updatedAt, deleted, force } local changes not yet pushed
+  conflicts: {}  // customer id -> { id, server, localUpdatedAt }
+});
+
+const loadSyncState = () => {
+  try {
+    const stored = localStorage.getItem(SYNC_STORAGE_KEY);
+    if (stored) {
+      return { ...defaultSyncState(), ...JSON.parse(stored) };
+    }
+  } catch (error) {
+    console.error('Error loading sync state:', error);
+  }
+  return defaultSyncState();
+};
+
+// Collect the customers that changed between two lists as pending entries.
+// Customers created from server data (remoteObjects, remoteDeletes) are not local edits.
+const collectLocalChanges = (previous, next, remoteObjects, remoteDeletes) => {
+  const previousById = new Map(previous.map(c => [c.id, c]));
+  const nextIds = new Set();
+  const changes = {};
+  const now = new Date().toISOString();
+
+  next.forEach(customer => {
+    nextIds.add(customer.id);
+    if (previousById.get(customer.id) === customer || remoteObjects.has(customer)) return;
+    changes[String(customer.id)] = { id: customer.id, updatedAt: now, deleted: false };
+  });
+
+  previous.forEach(customer => {
+    if (nextIds.has(customer.id)) return;
+    const key = String(customer.id);
+    if (remoteDeletes.has(key)) {
+      remoteDeletes.delete(key);
+      return;
+    }
+    changes[key] = { id: customer.id, updatedAt: now, deleted: true };
+  });
+
+  return changes;
+};
+
+const syncRequest = async (state, path, options = {}) => {
+  const baseUrl = state.serverUrl.replace(/\/+$/, '');
+  const response = await fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(state.token ? { Authorization: `Bearer ${state.token}` } : {})
+    }
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Server error: ${response.status}`);
+  }
+  return response.json();
+};
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Records written by a newer version of the app can't be read here, just as
+// its backups can't be imported, so syncing stops until this device updates
+const NEWER_SCHEMA_ERROR = 'Another device synced customers from a newer version of Primrose CRM. Update the app on this device to keep syncing.';
+
+const isNewerRecord = (record) => !record.deleted && !!record.data && isNewerSchema(record.data);
+
+// Pull everything newer than our last revision, then push local changes.
+// Returns the updated sync state, the pending entries that were settled,
+// the server records to apply locally and the shared settings ({ [key]: value })
+// that are newer on the server.
+export const runSync = async (state, customers, shared = {}) => {
+  const byId = new Map(customers.map(c => [String(c.id), c]));
+  const known = { ...state.known };
+  const pending = { ...state.pending };
+  const conflicts = { ...state.conflicts };
+  const settled = {};
+
+  // Customers this device has never synced (e.g. data from before sync was set up)
+  byId.forEach((customer, key) => {
+    if (known[key] === undefined && !pending[key]) {
+      pending[key] = { id: customer.id, updatedAt: new Date().toISOString(), deleted: false };
+    }
+  });
+
+  const pulled = await syncRequest(state, `/changes?since=${state.lastRevision || 0}`);
+  if (pulled.records.some(isNewerRecord)) throw new Error(NEWER_SCHEMA_ERROR);
+  const remoteChanges = [];
+  pulled.records.forEach(record => {
+    const key = String(record.id);
+    if ((known[key] || 0) >= record.revision) return; // Our own push, or already applied
+
+    const entry = pending[key];
+    if (entry) {
+      // Changed here and on another device. Identical copies (e.g. both devices
+      // restored the same backup) are not a conflict.
+      const identical = record.deleted
+        ? entry.deleted
+        : !entry.deleted && sameRecord(byId.get(key), record.data);
+      if (!identical) {
+        conflicts[key] = { id: record.id, server: record, localUpdatedAt: entry.updatedAt };
+        return;
+      }
+      settled[key] = entry.updatedAt;
+      delete pending[key];
+      delete conflicts[key];
+    } else {
+      remoteChanges.push(record);
+    }
+    known[key] = record.revision;
+  });
+
+  // Shared settings: take the server's copy when it is newer, push ours when it is
+  const remoteSettings = {};
+  const pushSettings = {};
+  Object.entries(shared).forEach(([key, local]) => {
+    const remote = pulled.settings?.[key];
+    if (remote && (!local?.updatedAt || remote.updatedAt > local.updatedAt)) {
+      remoteSettings[key] = remote.value;
+    } else if (local?.updatedAt && (!remote || local.updatedAt > remote.updatedAt)) {
+      pushSettings[key] = local;
+    }
+  });
+
+  // Deletions of records the server never had need no push
+  Object.entries(pending).forEach(([key, entry]) => {
+    if (entry.deleted && known[key] === undefined) {
+      settled[key] = entry.updatedAt;
+      delete pending[key];
+    }
+  });
+
+  const changes = Object.entries(pending)
+    .filter(([key]) => !conflicts[key])
+    .map(([key, entry]) => ({
+      id: entry.id,
+      baseRevision: known[key] || 0,
+      updatedAt: entry.updatedAt,
+      deleted: entry.deleted,
+      force: !!entry.force,
+      data: entry.deleted ? null : byId.get(key)
+    }))
+    .filter(change => change.deleted || change.data);
+
+  if (changes.length > 0 || Object.keys(pushSettings).length > 0) {
+    const result = await syncRequest(state, '/push', {
+      method: 'POST',
+      body: JSON.stringify({ deviceId: state.deviceId, changes, settings: pushSettings })
+    });
+    result.accepted.forEach(({ id, revision }) => {
+      const key = String(id);
+      known[key] = revision;
+      settled[key] = pending[key]?.updatedAt;
+      delete pending[key];
+    });
+    // Another device wrote the record between our pull and push
+    result.conflicts.forEach(({ id, server }) => {
+      const key = String(id);
+      conflicts[key] = { id, server, localUpdatedAt: pending[key]?.updatedAt };
+    });
+  }
+
+  return {
+    state: {
+      ...state,
+      known,
+      pending,
+      conflicts,
+      // Records we pushed are newer than this but already known, so they are skipped next pull
+      lastRevision: pulled.revision,
+      lastSyncedAt: new Date().toISOString()
+    },
+    settled,
+    remoteChanges,
+    remoteSettings
+  };
+};
+
+// Hook that keeps the customer list in sync with the server.
+// applyCustomers receives a state updater and must apply it without treating it as a local edit.
+// shared holds the settings synced alongside ({ [key]: value with updatedAt });
+// onSharedSettings(key, value) receives newer copies from other devices.
+export const useCustomerSync = (customers, applyCustomers, customersLoaded, { shared = {}, onSharedSettings } = {}) => {
+  const [syncState, setSyncState] = useState(loadSyncState);
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+
+  const trackedCustomers = useRef(null);
+  const syncInFlight = useRef(false);
+  const remoteObjects = useRef(new WeakSet());
+  const remoteDeletes = useRef(new Set());
+  const latestCustomers = useRef(customers);
+  const latestState = useRef(syncState);
+  const latestShared = useRef({ shared, onSharedSettings });
+  latestCustomers.current = customers;
+  latestState.current = syncState;
+  latestShared.current = { shared, onSharedSettings };
+
+  // Save sync state whenever it changes
+  useEffect(() => {
+    localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(syncState));
+  }, [syncState]);
+
+  // Track local edits as pending changes
+  useEffect(() => {
+    if (!customersLoaded) return;
+    const previous = trackedCustomers.current;
+    trackedCustomers.current = customers;
+    if (previous === null) return; // The initial load is not an edit
+
+    const changes = collectLocalChanges(previous, customers, remoteObjects.current, remoteDeletes.current);
+    if (Object.keys(changes).length > 0) {
+      setSyncState(state => ({ ...state, pending: { ...state.pending, ...changes } }));
+    }
+  }, [customers, customersLoaded]);
+
+  // Apply server records to the local customer list
+  const applyRemoteRecords = useCallback((records) => {
+    if (records.length === 0) return;
+    const byKey = new Map(records.map(record => [String(record.id), record]));
+    records.forEach(record => {
+      if (record.deleted) remoteDeletes.current.add(String(record.id));
+    });
+
+    applyCustomers(current => {
+      const seen = new Set();
+      const next = [];
+      current.forEach(customer => {
+        const key = String(customer.id);
+        const record = byKey.get(key);
+        seen.add(key);
+        if (!record) {
+          next.push(customer);
+        } else if (!record.deleted) {
+          const incoming = migrateCustomer(record.data);
+          remoteObjects.current.add(incoming);
+          next.push(incoming);
+        }
+      });
+      byKey.forEach((record, key) => {
+        if (seen.has(key) || record.deleted) return;
+        const incoming = migrateCustomer(record.data);
+        remoteObjects.current.add(incoming);
+        next.push(incoming);
+      });
+      return next;
+    });
+  }, [applyCustomers]);
+
+  const syncNow = useCallback(async () => {
+    const state = latestState.current;
+    if (!state.serverUrl || syncInFlight.current) return;
+
+    syncInFlight.current = true;
+    setSyncing(true);
+    setSyncError(null);
+    try {
+      const result = await runSync(state, latestCustomers.current, latestShared.current.shared);
+      applyRemoteRecords(result.remoteChanges);
+      Object.entries(result.remoteSettings).forEach(([key, value]) => {
+        latestShared.current.onSharedSettings?.(key, value);
+      });
+
+      // Merge with edits made while the request was in flight
+      setSyncState(current => {
+        const pending = { ...result.state.pending };
+        Object.entries(current.pending).forEach(([key, entry]) => {
+          const settledAt = result.settled[key];
+          if (!settledAt || entry.updatedAt !== settledAt) {
+            pending[key] = entry;
+          }
+        });
+        return { ...result.state, serverUrl: current.serverUrl, token: current.token, pending };
+      });
+
+      const conflictCount = Object.keys(result.state.conflicts).length;
+      console.log(`🔄 Synced: ${result.remoteChanges.length} received, ${conflictCount} conflict${conflictCount !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('Sync error:', error);
+      setSyncError(error.message);
+    } finally {
+      syncInFlight.current = false;
+      setSyncing(false);
+    }
+  }, [applyRemoteRecords]);
+
+  // Sync on an interval and whenever the device comes back online
+  useEffect(() => {
+    if (!customersLoaded || !syncState.serverUrl) return;
+
+    const syncIfOnline = () => {
+      if (navigator.onLine) syncNow();
+    };
+    syncIfOnline();
+    const interval = setInterval(syncIfOnline, AUTO_SYNC_INTERVAL);
+    window.addEventListener('online', syncIfOnline);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', syncIfOnline);
+    };
+    // syncNow is intentionally left out so a sync finishing doesn't restart the timer
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [customersLoaded, syncState.serverUrl]);
+
+  const updateSettings = (settings) => {
+    setSyncState(state => {
+      const serverChanged = settings.serverUrl !== undefined && settings.serverUrl !== state.serverUrl;
+      // A different server knows nothing about our revisions
+      return serverChanged
+        ? { ...state, ...settings, lastRevision: 0, lastSyncedAt: null, known: {}, conflicts: {} }
+        : { ...state, ...settings };
+    });
+  };
+
+  // Keep this device's copy: push it over the server's on the next sync
+  const keepMine = (id) => {
+    const key = String(id);
+    setSyncState(state => {
+      const { [key]: conflict, ...conflicts } = state.conflicts;
+      if (!conflict) return state;
+      const local = latestCustomers.current.find(c => String(c.id) === key);
+      return {
+        ...state,
+        conflicts,
+        known: { ...state.known, [key]: conflict.server.revision },
+        pending: {
+          ...state.pending,
+          [key]: { id, updatedAt: new Date().toISOString(), deleted: !local, force: true }
+        }
+      };
+    });
+  };
+
+  // Take the server's copy and drop the local change
+  const acceptTheirs = (id) => {
+    const key = String(id);
+    const conflict = latestState.current.conflicts[key];
+    if (!conflict) return;
+    if (isNewerRecord(conflict.server)) {
+      setSyncError(NEWER_SCHEMA_ERROR);
+      return;
+    }
+
+    applyRemoteRecords([conflict.server]);
+    setSyncState(state => {
+      const { [key]: _conflict, ...conflicts } = state.conflicts;
+      const { [key]: _pending, ...pending } = state.pending;
+      return {
+        ...state,
+        conflicts,
+        pending,
+        known: { ...state.known, [key]: conflict.server.revision }
+      };
+    });
+  };
+
+  return {
+    syncState,
+    syncing,
+    syncError,
+    pendingCount: Object.keys(syncState.pending).length,
+    conflicts: Object.values(syncState.conflicts),
+    syncNow,
+    updateSettings,
+    keepMine,
+    acceptTheirs
+  };
+};
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runSync } from './syncEngine';
+import { CURRENT_SCHEMA_VERSION } from './customerSchema';
+import { makeCustomer } from './testFixtures';
+
+// The real server's change handling, behind a stand-in for fetch
+process.env.SYNC_DATA_FILE = path.join(os.tmpdir(), `primrose-sync-test-${process.pid}.json`);
+const server = require('../sync-server/server');
+
+const device = (deviceId) => ({
+  serverUrl: 'http://sync.test/',
+  token: '',
+  deviceId,
+  lastRevision: 0,
+  lastSyncedAt: null,
+  known: {},
+  pending: {},
+  conflicts: {}
+});
+
+const edited = (state, customer) => ({
+  ...state,
+  pending: { ...state.pending, [String(customer.id)]: { id: customer.id, updatedAt: new Date().toISOString(), deleted: false } }
+});
+
+const acme = makeCustomer({ schemaVersion: CURRENT_SCHEMA_VERSION });
+
+beforeEach(() => {
+  server.store.revision = 0;
+  server.store.records = {};
+  server.store.settings = {};
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const body = pathname === '/changes'
+      ? server.changesSince(Number(searchParams.get('since')) || 0)
+      : server.pushChanges(JSON.parse(options.body));
+    return { ok: true, json: async () => JSON.parse(JSON.stringify(body)) };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.SYNC_DATA_FILE, { force: true });
+});
+
+describe('runSync', () => {
+  test('pushes customers never synced and hands them to other devices', async () => {
+    const first = await runSync(device('a'), [acme]);
+    expect(first.state).toMatchObject({ known: { 1: 1 }, pending: {}, lastRevision: 0 });
+
+    const second = await runSync(device('b'), []);
+    expect(second.remoteChanges.map(record => record.data)).toEqual([acme]);
+    expect(second.state).toMatchObject({ known: { 1: 1 }, lastRevision: 1 });
+  });
+
+  test('skips its own pushes on the next pull', async () => {
+    const { state } = await runSync(device('a'), [acme]);
+    const again = await runSync(state, [acme]);
+    expect(again.remoteChanges).toEqual([]);
+    expect(again.state.conflicts).toEqual({});
+  });
+
+  test('a record edited on two devices becomes a conflict and is not pushed', async () => {
+    const a = (await runSync(device('a'), [acme])).state;
+    const b = (await runSync(device('b'), [])).state;
+
+    const fromA = { ...acme, city: 'Corry' };
+    await runSync(edited(a, fromA), [fromA]);
+
+    const fromB = { ...acme, city: 'Meadville' };
+    const result = await runSync(edited(b, fromB), [fromB]);
+    expect(result.remoteChanges).toEqual([]);
+    expect(result.state.conflicts['1']).toMatchObject({ id: 1, server: { revision: 2, data: fromA } });
+    expect(result.state.pending['1']).toBeDefined();
+    expect(server.store.records['1'].data.city).toBe('Corry');
+  });
+
+  test('identical copies edited on two devices are not a conflict', async () => {
+    const a = (await runSync(device('a'), [acme])).state;
+    const b = (await runSync(device('b'), [])).state;
+    const restored = { ...acme, city: 'Corry' };
+    await runSync(edited(a, restored), [restored]);
+
+    const result = await runSync(edited(b, restored), [restored]);
+    expect(result.state.conflicts).toEqual({});
+    expect(result.state.pending).toEqual({});
+    expect(result.settled['1']).toBeDefined();
+  });
+
+  test('deleting a record the server never had needs no push', async () => {
+    const state = {
+      ...device('a'),
+      pending: { 5: { id: 5, updatedAt: '2024-01-01T00:00:00.000Z', deleted: true } }
+    };
+    const result = await runSync(state, []);
+    expect(result.state.pending).toEqual({});
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses records from a newer version of the app', async () => {
+    await runSync(device('a'), [{ ...acme, schemaVersion: CURRENT_SCHEMA_VERSION + 1 }]);
+    const mine = makeCustomer({ id: 2, schemaVersion: CURRENT_SCHEMA_VERSION });
+    await expect(runSync(device('b'), [mine])).rejects.toThrow('newer version of Primrose CRM');
+    expect(server.store.records['2']).toBeUndefined();
+  });
+
+  test('shared settings: the copy changed last wins', async () => {
+    const older = { stages: ['Old'], updatedAt: '2024-01-01T00:00:00.000Z' };
+    const newer = { stages: ['New'], updatedAt: '2024-02-01T00:00:00.000Z' };
+
+    const pushed = await runSync(device('a'), [], { pipeline: newer });
+    expect(pushed.remoteSettings).toEqual({});
+    expect(server.store.settings.pipeline.value).toEqual(newer);
+
+    const pulled = await runSync(device('b'), [], { pipeline: older });
+    expect(pulled.remoteSettings).toEqual({ pipeline: newer });
+    expect(server.store.settings.pipeline.value).toEqual(newer);
+  });
+});
+
+describe('server applyChange', () => {
+  const change = (overrides = {}) => ({ id: 1, baseRevision: 0, updatedAt: '2024-01-01T00:00:00.000Z', data: acme, ...overrides });
+
+  test('numbers every accepted write with a new revision', () => {
+    expect(server.applyChange(change(), 'a').record).toMatchObject({ revision: 1, deviceId: 'a', deleted: false });
+    expect(server.applyChange(change({ id: 2, deleted: true }), 'a').record).toMatchObject({ revision: 2, deleted: true, data: null });
+  });
+
+  test('refuses a write based on an older revision from another device', () => {
+    server.applyChange(change(), 'a');
+    const result = server.applyChange(change({ data: { ...acme, city: 'Corry' } }), 'b');
+    expect(result.conflict).toMatchObject({ revision: 1, deviceId: 'a' });
+    expect(server.store.revision).toBe(1);
+  });
+
+  test('accepts a device overwriting its own write, an up-to-date write and a forced one', () => {
+    server.applyChange(change(), 'a');
+    expect(server.applyChange(change(), 'a').record.revision).toBe(2);
+    expect(server.applyChange(change({ baseRevision: 2 }), 'b').record.revision).toBe(3);
+    expect(server.applyChange(change(), 'a').conflict).toMatchObject({ revision: 3, deviceId: 'b' });
+    expect(server.applyChange(change({ force: true }), 'a').record.revision).toBe(4);
+  });
+});
@@ -0,0 +1,80 @@
+// Sales territories.
+// A territory is a set of states and/or ZIP prefixes with a default rep.
+// Customers get their territory from their state and ZIP when saved, and the
+// territory's rep as owner when they move into it. Definitions are kept per
+// device, like user profiles; customers store the territory by name.
+
+const SETTINGS_KEY = 'primrose-territories';
+
+export const loadTerritories = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveTerritories = (territories) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(territories));
+};
+
+export const createTerritory = () => ({
+  id: Date.now().toString(),
+  name: '',
+  states: [],
+  zipPrefixes: [],
+  rep: ''
+});
+
+// "sd, NE ,ia" -> ['SD', 'NE', 'IA']
+export const parseStates = (text) =>
+  [...new Set(text.split(/[\s,]+/).map(s => s.trim().toUpperCase()).filter(Boolean))];
+
+// "570, 571-" -> ['570', '571']
+export const parseZipPrefixes = (text) =>
+  [...new Set(text.split(/[\s,]+/).map(s => s.replace(/\D/g, '')).filter(Boolean))];
+
+// The territory covering a state/ZIP. A ZIP prefix match beats a state match,
+// and a longer prefix beats a shorter one.
+export const findTerritory = (territories, { state, zip }) => {
+  const digits = (zip || '').replace(/\D/g, '');
+  const upperState = (state || '').toUpperCase();
+  let best = null;
+  let bestScore = 0;
+
+  territories.forEach(territory => {
+    (territory.zipPrefixes || []).forEach(prefix => {
+      const score = 10 + prefix.length;
+      if (digits.startsWith(prefix) && score > bestScore) {
+        best = territory;
+        bestScore = score;
+      }
+    });
+    if (bestScore === 0 && upperState && (territory.states || []).includes(upperState)) {
+      best = territory;
+      bestScore = 1;
+    }
+  });
+  return best;
+};
+
+// Set a customer's territory from its state/ZIP. The territory's rep becomes
+// owner when the customer lands in a different territory or has no owner.
+// Returns the same object when nothing changes.
+export const applyTerritory = (customer, territories) => {
+  const territory = findTerritory(territories, customer);
+  const name = territory ? territory.name : '';
+  const owner = territory?.rep && (name !== (customer.territory || '') || !customer.owner)
+    ? territory.rep
+    : customer.owner || '';
+
+  if (name === (customer.territory || '') && owner === (customer.owner || '')) return customer;
+  return { ...customer, territory: name, owner };
+};
+
+// Whether a customer is in a bulk reassignment selection.
+// owner/territory of null match anything; '' matches unassigned.
+export const matchesAssignment = (customer, { owner = null, territory = null }) =>
+  (owner === null || (customer.owner || '') === owner) &&
+  (territory === null || (customer.territory || '') === territory);
@@ -0,0 +1,49 @@
+// Records for tests.
+// makeCustomer and makeOrder build complete current-schema records so a test
+// only spells out the fields it is about; test files wrap them with their own
+// defaults where a whole file shares a setup.
+
+export const makeCustomer = (overrides = {}) => ({
+  id: 1,
+  name: 'Acme Farm',
+  company: '',
+  primaryPhone: '',
+  email: '',
+  address: '',
+  city: 'Erie',
+  county: '',
+  state: 'PA',
+  zip: '16501',
+  leadStage: 'Warm',
+  active: true,
+  owner: '',
+  territory: '',
+  contacts: [],
+  notes: [],
+  purchases: [],
+  demos: {},
+  customPrices: {},
+  taxExempt: false,
+  taxCertificate: '',
+  taxCertificateExpires: '',
+  ...overrides
+});
+
+export const makeOrder = (overrides = {}) => ({
+  id: 10,
+  date: '2024-03-01',
+  status: 'delivered',
+  products: [],
+  orderTotal: 0,
+  tax: null,
+  payments: [],
+  deliveries: [],
+  statusHistory: [],
+  ...overrides
+});
+
+// An order line; quantity and unitPrice give the total
+export const makeLine = (overrides = {}) => {
+  const line = { id: 'a', product: 'Grease', sku: '', quantity: 1, unitPrice: 10, delivered: 0, ...overrides };
+  return { total: line.quantity * line.unitPrice, ...line };
+};
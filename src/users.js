@@ -0,0 +1,61 @@
+// Sales reps using the app.
+// The profile list, each profile's role and optional PIN, and the signed-in
+// profile are kept per device. Customers store their owner, and notes, orders
+// and audit entries their author, by user name so records stay readable on
+// devices with a different list.
+
+const SETTINGS_KEY = 'primrose-users';
+
+// Before profiles existed, everything was recorded under this name
+const DEFAULT_USER = 'Andy';
+
+// Settings saved before roles existed: the first user administers the rest
+const defaultRoles = (users) =>
+  Object.fromEntries(users.map((user, index) => [user, index === 0 ? 'admin' : 'rep']));
+
+export const loadUserSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && Array.isArray(saved.users) && saved.users.length > 0) {
+      return {
+        users: saved.users,
+        roles: { ...defaultRoles(saved.users), ...saved.roles },
+        pins: saved.pins || {},
+        currentUser: saved.users.includes(saved.currentUser) ? saved.currentUser : saved.users[0]
+      };
+    }
+  } catch (error) {
+    // Fall through to the default profile
+  }
+  return { users: [DEFAULT_USER], roles: defaultRoles([DEFAULT_USER]), pins: {}, currentUser: DEFAULT_USER };
+};
+
+export const saveUserSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const roleOf = (settings, user) => settings.roles[user] || 'readonly';
+
+// PINs are stored hashed so they can't be read back out of localStorage
+export const hashPin = async (pin) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`primrose:${pin}`));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Owner views for the customer list
+export const OWNER_VIEWS = {
+  all: 'All customers',
+  mine: 'My customers',
+  unassigned: 'Unassigned'
+};
+
+export const matchesOwnerView = (customer, view, currentUser) => {
+  switch (view) {
+    case 'mine':
+      return customer.owner === currentUser;
+    case 'unassigned':
+      return !customer.owner;
+    default:
+      return true;
+  }
+};
@@ -0,0 +1,231 @@
+// Primrose CRM sync server
+// A small dependency-free Node service that replicates customer records
+// between devices. Run it on a laptop or your own box:
+//
+//   npm run sync-server
+//
+// Environment:
+//   PORT            Port to listen on (default 4100)
+//   SYNC_DATA_FILE  Where records are stored (default sync-server/data/primrose-sync.json)
+//   SYNC_TOKEN      Optional shared secret. When set, clients must send it as a Bearer token.
+//
+// Seed an empty server from an existing "Export Backup" file:
+//
+//   npm run sync-server -- --seed primrose-customers-backup-2025-01-01.json
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 4100;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'data', 'primrose-sync.json');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Store shape: { revision: number, records: { [id]: { id, revision, updatedAt, deviceId, deleted, data } },
+//                settings: { [key]: { value, updatedAt, deviceId } } }
+// Settings shared by every device (e.g. the lead pipeline) keep whichever
+// copy was changed last.
+const loadStore = () => {
+  try {
+    if (fs.existsSync(DATA_FILE)) {
+      return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error reading ${DATA_FILE}:`, error);
+    process.exit(1);
+  }
+  return { revision: 0, records: {}, settings: {} };
+};
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+const saveStore = (store) => {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  const tempFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(store));
+  fs.renameSync(tempFile, DATA_FILE);
+};
+
+const store = loadStore();
+store.settings = store.settings || {};
+
+// Keep a device's copy of a shared setting if it is newer than ours
+const applySetting = (key, value, deviceId) => {
+  if (!value || typeof value !== 'object' || !value.updatedAt) return false;
+  const existing = store.settings[key];
+  if (existing && existing.updatedAt >= value.updatedAt) return false;
+  store.settings[key] = { value, updatedAt: value.updatedAt, deviceId };
+  return true;
+};
+
+// Apply one change from a device.
+// A change conflicts when another device has written the record since the
+// revision this device last saw, unless the device is forcing its copy.
+const applyChange = (change, deviceId) => {
+  const key = String(change.id);
+  const existing = store.records[key];
+  const baseRevision = Number(change.baseRevision) || 0;
+
+  if (existing && existing.revision > baseRevision && existing.deviceId !== deviceId && !change.force) {
+    return { conflict: existing };
+  }
+
+  store.revision += 1;
+  const record = {
+    id: change.id,
+    revision: store.revision,
+    updatedAt: change.updatedAt || new Date().toISOString(),
+    deviceId,
+    deleted: !!change.deleted,
+    data: change.deleted ? null : change.data
+  };
+  store.records[key] = record;
+  return { record };
+};
+
+// Records changed after a revision, including deletions
+const changesSince = (since) => ({
+  revision: store.revision,
+  records: Object.values(store.records)
+    .filter(record => record.revision > since)
+    .sort((a, b) => a.revision - b.revision),
+  settings: store.settings
+});
+
+// Apply the changes and shared settings pushed by a device
+const pushChanges = ({ deviceId, changes, settings }) => {
+  const settingsChanged = Object.entries(settings || {})
+    .filter(([key, value]) => applySetting(key, value, deviceId)).length > 0;
+  const accepted = [];
+  const conflicts = [];
+  changes.forEach(change => {
+    const result = applyChange(change, deviceId);
+    if (result.conflict) {
+      conflicts.push({ id: change.id, server: result.conflict });
+    } else {
+      accepted.push({ id: change.id, revision: result.record.revision });
+    }
+  });
+
+  if (accepted.length > 0 || settingsChanged) {
+    saveStore(store);
+    console.log(`🔄 ${deviceId}: ${accepted.length} accepted, ${conflicts.length} conflicts (revision ${store.revision})`);
+  }
+  return { revision: store.revision, accepted, conflicts, settings: store.settings };
+};
+
+// Load customers from an exported backup into an empty store
+const seedFromExport = (file) => {
+  if (store.revision > 0) {
+    console.error('❌ Refusing to seed: the sync store already has data.');
+    process.exit(1);
+  }
+  const customers = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(customers)) {
+    console.error('❌ Seed file must be a Primrose CRM backup (JSON array of customers).');
+    process.exit(1);
+  }
+  const now = new Date().toISOString();
+  customers.forEach(customer => applyChange({ id: customer.id, updatedAt: now, data: customer }, 'seed'));
+  saveStore(store);
+  console.log(`✅ Seeded ${customers.length} customers from ${file}`);
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+    } catch (error) {
+      reject(new Error('Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const handleRequest = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (url.pathname === '/health') {
+    sendJson(res, 200, { ok: true, revision: store.revision });
+    return;
+  }
+
+  if (SYNC_TOKEN && req.headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+    sendJson(res, 401, { error: 'Invalid sync token' });
+    return;
+  }
+
+  // Records changed after a revision, including deletions
+  if (req.method === 'GET' && url.pathname === '/changes') {
+    sendJson(res, 200, changesSince(Number(url.searchParams.get('since')) || 0));
+    return;
+  }
+
+  // Current customers in the same format as the app's "Export Backup"
+  if (req.method === 'GET' && url.pathname === '/export') {
+    const customers = Object.values(store.records)
+      .filter(record => !record.deleted)
+      .map(record => record.data);
+    sendJson(res, 200, customers);
+    return;
+  }
+
+  // Changes pushed by a device
+  if (req.method === 'POST' && url.pathname === '/push') {
+    const body = await readJsonBody(req);
+    if (!body.deviceId || !Array.isArray(body.changes)) {
+      sendJson(res, 400, { error: 'Expected { deviceId, changes: [] }' });
+      return;
+    }
+
+    sendJson(res, 200, pushChanges(body));
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+};
+
+// Run as a script; the tests require() it for the change handling alone
+if (require.main === module) {
+  const seedIndex = process.argv.indexOf('--seed');
+  if (seedIndex !== -1) {
+    seedFromExport(process.argv[seedIndex + 1]);
+  }
+
+  http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('Sync request error:', error);
+      sendJson(res, 400, { error: error.message });
+    });
+  }).listen(PORT, () => {
+    console.log(`✅ Primrose sync server listening on http://localhost:${PORT} (revision ${store.revision})`);
+  });
+}
+
+module.exports = { store, applyChange, changesSince, pushChanges };